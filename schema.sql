@@ -6,19 +6,36 @@
 -- Enable UUID extension for generating unique identifiers
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- ============================================================================
+-- 0. TENANTS TABLE
+-- Each game (tenant) has its own asset catalogue, system accounts and users.
+-- Account and transaction types are shared definitions
+-- ============================================================================
+CREATE TABLE tenants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) UNIQUE NOT NULL, -- Sent by platform API keys in the X-Tenant header
+    name VARCHAR(255) NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================================================
 -- 1. ASSET TYPES TABLE
 -- Defines the virtual currencies/assets in the system (Gold Coins, Diamonds, etc.)
 -- ============================================================================
 CREATE TABLE asset_types (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    code VARCHAR(50) UNIQUE NOT NULL,
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    code VARCHAR(50) NOT NULL,
     name VARCHAR(255) NOT NULL,
     description TEXT,
     decimals INTEGER DEFAULT 2,
+    is_transferable BOOLEAN DEFAULT false, -- Whether users may send this asset to each other
+    approval_threshold DECIMAL(20, 8), -- Bonuses/adjustments above this need a second operator; NULL = never
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, code)
 );
 
 CREATE INDEX idx_asset_types_code ON asset_types(code);
@@ -45,20 +62,28 @@ CREATE INDEX idx_account_types_code ON account_types(code);
 -- ============================================================================
 CREATE TABLE accounts (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
     account_type_id UUID NOT NULL REFERENCES account_types(id),
     user_id VARCHAR(255), -- NULL for system accounts
     email VARCHAR(255),
     name VARCHAR(255) NOT NULL,
-    is_active BOOLEAN DEFAULT true,
+    -- frozen: still credited, but the user cannot spend or send;
+    -- closed: no further activity, balances are zero
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'frozen', 'closed')),
+    status_reason TEXT, -- Why the account was last frozen, unfrozen or closed
+    status_changed_at TIMESTAMP,
     metadata JSONB DEFAULT '{}',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- user_id is unique within a tenant, and each tenant has one account per system account type
+CREATE UNIQUE INDEX idx_accounts_tenant_user ON accounts(tenant_id, user_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_accounts_tenant_system ON accounts(tenant_id, account_type_id) WHERE user_id IS NULL;
 CREATE INDEX idx_accounts_user_id ON accounts(user_id);
 CREATE INDEX idx_accounts_email ON accounts(email);
 CREATE INDEX idx_accounts_type ON accounts(account_type_id);
-CREATE INDEX idx_accounts_active ON accounts(is_active) WHERE is_active = true;
+CREATE INDEX idx_accounts_status ON accounts(status) WHERE status <> 'active';
 
 -- ============================================================================
 -- 4. TRANSACTION TYPES TABLE
@@ -81,22 +106,32 @@ CREATE INDEX idx_transaction_types_code ON transaction_types(code);
 -- ============================================================================
 CREATE TABLE transactions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    idempotency_key VARCHAR(255) UNIQUE NOT NULL,
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    idempotency_key VARCHAR(255) NOT NULL, -- Unique per tenant
+    -- Hash of the request that posted this transaction; kept after its
+    -- idempotency_log row is purged so a reused key is still recognised
+    request_hash VARCHAR(64),
     transaction_type_id UUID NOT NULL REFERENCES transaction_types(id),
-    asset_type_id UUID NOT NULL REFERENCES asset_types(id),
-    amount DECIMAL(20, 8) NOT NULL CHECK (amount > 0),
+    -- asset_type_id and amount are NULL for multi-asset transactions (e.g. exchanges);
+    -- per-asset amounts are always on ledger_entries
+    asset_type_id UUID REFERENCES asset_types(id),
+    amount DECIMAL(20, 8) CHECK (amount > 0),
     description TEXT,
     metadata JSONB DEFAULT '{}',
     status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'reversed')),
+    parent_transaction_id UUID REFERENCES transactions(id), -- Set on refunds/reversals
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    completed_at TIMESTAMP
+    completed_at TIMESTAMP,
+    CHECK ((asset_type_id IS NULL) = (amount IS NULL))
 );
 
 -- Critical index for idempotency checks - must be very fast
-CREATE UNIQUE INDEX idx_transactions_idempotency ON transactions(idempotency_key);
+CREATE UNIQUE INDEX idx_transactions_idempotency ON transactions(tenant_id, idempotency_key);
 CREATE INDEX idx_transactions_status ON transactions(status);
 CREATE INDEX idx_transactions_created_at ON transactions(created_at DESC);
+CREATE INDEX idx_transactions_tenant_created ON transactions(tenant_id, created_at DESC);
 CREATE INDEX idx_transactions_asset_type ON transactions(asset_type_id);
+CREATE INDEX idx_transactions_parent ON transactions(parent_transaction_id) WHERE parent_transaction_id IS NOT NULL;
 
 -- ============================================================================
 -- 6. LEDGER ENTRIES TABLE (Double-Entry Accounting)
@@ -112,6 +147,9 @@ CREATE TABLE ledger_entries (
     amount DECIMAL(20, 8) NOT NULL CHECK (amount > 0),
     running_balance DECIMAL(20, 8) NOT NULL,
     description TEXT,
+    -- Insertion order; entries for an account are written under its row lock,
+    -- so this orders them the way running_balance was computed
+    entry_seq BIGSERIAL NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -119,11 +157,17 @@ CREATE TABLE ledger_entries (
 CREATE INDEX idx_ledger_account_asset ON ledger_entries(account_id, asset_type_id);
 CREATE INDEX idx_ledger_transaction ON ledger_entries(transaction_id);
 CREATE INDEX idx_ledger_created_at ON ledger_entries(created_at DESC);
-CREATE INDEX idx_ledger_account_created ON ledger_entries(account_id, created_at DESC);
+-- Transaction history pages through a wallet's entries by (created_at, id)
+CREATE INDEX idx_ledger_account_created ON ledger_entries(account_id, created_at DESC, id DESC);
 
 -- Composite index for fast balance queries
 CREATE INDEX idx_ledger_balance_query ON ledger_entries(account_id, asset_type_id, created_at DESC);
 
+-- Running balance continuity checks walk each account's entries in order
+CREATE INDEX idx_ledger_account_seq ON ledger_entries(account_id, asset_type_id, entry_seq);
+-- Resuming a wallet's balance event stream (Last-Event-ID is an entry_seq)
+CREATE INDEX idx_ledger_account_entry_seq ON ledger_entries(account_id, entry_seq);
+
 -- ============================================================================
 -- 7. BALANCE CACHE TABLE (Performance Optimization)
 -- Materialized view of current balances to avoid summing millions of ledger entries
@@ -147,12 +191,17 @@ CREATE INDEX idx_balance_cache_updated ON balance_cache(updated_at DESC);
 -- Prevents duplicate processing of requests
 -- ============================================================================
 CREATE TABLE idempotency_log (
-    idempotency_key VARCHAR(255) PRIMARY KEY,
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    idempotency_key VARCHAR(255) NOT NULL,
     request_hash VARCHAR(64) NOT NULL,
     response_data JSONB,
-    status VARCHAR(20) NOT NULL,
+    -- 'processing' while a request holds the key (response_data is NULL and
+    -- expires_at is a short claim timeout), 'completed' once its response is stored
+    -- (kept for the operation's retention TTL, then purged by a background job)
+    status VARCHAR(20) NOT NULL CHECK (status IN ('processing', 'completed')),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    expires_at TIMESTAMP NOT NULL
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (tenant_id, idempotency_key)
 );
 
 CREATE INDEX idx_idempotency_expires ON idempotency_log(expires_at);
@@ -163,6 +212,7 @@ CREATE INDEX idx_idempotency_expires ON idempotency_log(expires_at);
 -- ============================================================================
 CREATE TABLE audit_log (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID REFERENCES tenants(id), -- NULL for platform-level actions
     transaction_id UUID REFERENCES transactions(id),
     account_id UUID REFERENCES accounts(id),
     action VARCHAR(100) NOT NULL,
@@ -177,6 +227,252 @@ CREATE TABLE audit_log (
 CREATE INDEX idx_audit_transaction ON audit_log(transaction_id);
 CREATE INDEX idx_audit_account ON audit_log(account_id);
 CREATE INDEX idx_audit_created_at ON audit_log(created_at DESC);
+CREATE INDEX idx_audit_tenant ON audit_log(tenant_id, created_at DESC);
+
+-- ============================================================================
+-- 10. TRANSACTION APPROVALS TABLE (Maker-Checker)
+-- Large bonuses and manual adjustments are held as 'pending' transactions
+-- until a second, different operator approves or rejects them
+-- ============================================================================
+CREATE TABLE transaction_approvals (
+    transaction_id UUID PRIMARY KEY REFERENCES transactions(id),
+    operation VARCHAR(50) NOT NULL, -- 'BONUS' or 'ADJUSTMENT'
+    account_id UUID REFERENCES accounts(id),
+    request_data JSONB NOT NULL,
+    requested_by VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    decided_by VARCHAR(255),
+    decision_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    decided_at TIMESTAMP,
+    CHECK (decided_by IS NULL OR decided_by <> requested_by)
+);
+
+CREATE INDEX idx_approvals_status ON transaction_approvals(status, created_at DESC);
+
+-- ============================================================================
+-- 11. HOLDS TABLE (Two-Phase Authorize / Capture / Void)
+-- An authorization moves funds from the user into SYSTEM_ESCROW; capture
+-- moves them on to SYSTEM_REVENUE and releases any remainder to the user
+-- ============================================================================
+CREATE TABLE holds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    asset_type_id UUID NOT NULL REFERENCES asset_types(id),
+    amount DECIMAL(20, 8) NOT NULL CHECK (amount > 0),
+    captured_amount DECIMAL(20, 8) NOT NULL DEFAULT 0 CHECK (captured_amount >= 0 AND captured_amount <= amount),
+    status VARCHAR(20) NOT NULL DEFAULT 'authorized' CHECK (status IN ('authorized', 'captured', 'voided', 'expired')),
+    authorization_transaction_id UUID NOT NULL REFERENCES transactions(id),
+    settlement_transaction_id UUID REFERENCES transactions(id),
+    metadata JSONB DEFAULT '{}',
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    settled_at TIMESTAMP
+);
+
+CREATE INDEX idx_holds_open_by_account ON holds(account_id, asset_type_id) WHERE status = 'authorized';
+CREATE INDEX idx_holds_open_by_expiry ON holds(expires_at) WHERE status = 'authorized';
+
+-- ============================================================================
+-- 12. EXCHANGE RATES TABLE
+-- Conversion rates for cross-asset exchanges (units of target per unit of source)
+-- Rows are immutable; a new rate supersedes the active one for its pair, and
+-- a rate's id serves as the quote id for slippage protection
+-- ============================================================================
+CREATE TABLE exchange_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    from_asset_type_id UUID NOT NULL REFERENCES asset_types(id),
+    to_asset_type_id UUID NOT NULL REFERENCES asset_types(id),
+    rate DECIMAL(30, 12) NOT NULL CHECK (rate > 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deactivated_at TIMESTAMP,
+    CHECK (from_asset_type_id <> to_asset_type_id)
+);
+
+-- At most one active rate per pair
+CREATE UNIQUE INDEX idx_exchange_rates_active_pair ON exchange_rates(from_asset_type_id, to_asset_type_id) WHERE is_active = true;
+
+-- ============================================================================
+-- 13. API KEYS TABLE
+-- Credentials for API clients; only a SHA-256 hash of each key is stored.
+-- The key's id is recorded as audit_log.actor for everything it does.
+-- A key bound to a tenant only ever acts for that tenant; a platform key
+-- (tenant_id NULL) names the tenant per request
+-- ============================================================================
+CREATE TABLE api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID REFERENCES tenants(id),
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL, -- Leading characters of the key, to identify it in listings
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL,
+    -- HMAC-SHA256 secret for signed requests; unlike the key it must be
+    -- readable to verify signatures
+    signing_secret VARCHAR(64),
+    require_signature BOOLEAN NOT NULL DEFAULT false, -- Reject unsigned requests
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'revoked')),
+    created_by VARCHAR(255),
+    replaced_by UUID REFERENCES api_keys(id), -- Set when the key is rotated
+    expires_at TIMESTAMP, -- NULL never expires; set for the grace period after a rotation
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX idx_api_keys_tenant ON api_keys(tenant_id);
+
+-- ============================================================================
+-- 14. REQUEST NONCES TABLE
+-- Nonces of verified signed requests, kept until their timestamp could no
+-- longer be accepted, so a captured request cannot be replayed
+-- ============================================================================
+CREATE TABLE request_nonces (
+    api_key_id UUID NOT NULL REFERENCES api_keys(id),
+    nonce VARCHAR(128) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (api_key_id, nonce)
+);
+
+CREATE INDEX idx_request_nonces_expires ON request_nonces(expires_at);
+
+-- ============================================================================
+-- 15. WEBHOOK ENDPOINTS TABLE
+-- URLs a tenant's downstream services registered to receive wallet events.
+-- Deliveries are signed with signing_secret, so it is stored readable
+-- ============================================================================
+CREATE TABLE webhook_endpoints (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    url VARCHAR(2048) NOT NULL,
+    event_types TEXT[] NOT NULL, -- Event types delivered to this endpoint (TOP_UP, PURCHASE, ...)
+    signing_secret VARCHAR(64) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    disabled_at TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_endpoints_tenant ON webhook_endpoints(tenant_id) WHERE is_active = true;
+
+-- ============================================================================
+-- 16. OUTBOX EVENTS TABLE
+-- Wallet events, written in the same database transaction as the ledger
+-- entries they describe, so an event exists if and only if the transaction
+-- committed. The dispatcher fans each event out to webhook_deliveries
+-- ============================================================================
+CREATE TABLE outbox_events (
+    id UUID PRIMARY KEY,
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    event_type VARCHAR(50) NOT NULL,
+    transaction_id UUID NOT NULL REFERENCES transactions(id),
+    payload JSONB NOT NULL, -- Body delivered to webhooks, as sent
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    dispatched_at TIMESTAMP -- Set once a delivery exists for every subscribed endpoint
+);
+
+CREATE INDEX idx_outbox_events_undispatched ON outbox_events(created_at) WHERE dispatched_at IS NULL;
+CREATE INDEX idx_outbox_events_transaction ON outbox_events(transaction_id);
+
+-- ============================================================================
+-- 17. WEBHOOK DELIVERIES TABLE
+-- One row per event and endpoint. Failed attempts are retried with
+-- exponential backoff until the attempt limit, then left as 'dead_letter'
+-- for an operator to replay
+-- ============================================================================
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES outbox_events(id),
+    endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead_letter')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    last_response_status INTEGER, -- HTTP status of the last attempt, NULL if no response
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (event_id, endpoint_id)
+);
+
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+
+-- ============================================================================
+-- 18. DAILY CLOSES TABLE
+-- End-of-day trial balance of a tenant for one UTC business date, computed
+-- from the ledger once the day has ended. Closes and their lines are
+-- immutable (see prevent_daily_close_changes below)
+-- ============================================================================
+CREATE TABLE daily_closes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    business_date DATE NOT NULL,
+    -- Per asset: supply at the open and close, the day's debits and credits,
+    -- and whether the day conserved it
+    supply JSONB NOT NULL,
+    supply_conserved BOOLEAN NOT NULL, -- true when every asset's supply was conserved
+    closed_by VARCHAR(255), -- Actor that closed the day; 'system' for the background job
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, business_date)
+);
+
+-- One line per asset and account type with a balance or activity that day
+CREATE TABLE daily_close_lines (
+    close_id UUID NOT NULL REFERENCES daily_closes(id),
+    asset_type_id UUID NOT NULL REFERENCES asset_types(id),
+    account_type_id UUID NOT NULL REFERENCES account_types(id),
+    opening_balance DECIMAL(20, 8) NOT NULL,
+    total_debits DECIMAL(20, 8) NOT NULL,
+    total_credits DECIMAL(20, 8) NOT NULL,
+    closing_balance DECIMAL(20, 8) NOT NULL,
+    transaction_counts JSONB NOT NULL DEFAULT '{}', -- e.g. {"TOP_UP": 12, "PURCHASE": 3}
+    PRIMARY KEY (close_id, asset_type_id, account_type_id)
+);
+
+-- ============================================================================
+-- 19. ANALYTICS ROLLUPS
+-- Daily aggregates of the ledger for the economy dashboards, maintained
+-- incrementally: posting a transaction's entries queues it in
+-- analytics_pending in the same database transaction, and the
+-- analytics-rollup job adds each queued transaction's entries to the rollups
+-- and dequeues it in one transaction, so every entry is counted exactly once.
+-- Days are UTC dates of ledger_entries.created_at
+-- ============================================================================
+CREATE TABLE analytics_pending (
+    transaction_id UUID PRIMARY KEY REFERENCES transactions(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_analytics_pending_created ON analytics_pending(created_at);
+
+-- Credits and debits per account type; revenue and supply are read from here
+CREATE TABLE analytics_daily_flows (
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    day DATE NOT NULL,
+    asset_type_id UUID NOT NULL REFERENCES asset_types(id),
+    account_type_id UUID NOT NULL REFERENCES account_types(id),
+    credits DECIMAL(20, 8) NOT NULL DEFAULT 0,
+    debits DECIMAL(20, 8) NOT NULL DEFAULT 0,
+    PRIMARY KEY (tenant_id, day, asset_type_id, account_type_id)
+);
+
+-- Net amounts per transaction metadata value:
+--   campaign        bonus pool outflow of BONUS transactions, by metadata.campaign
+--   payment_method  wallet credits of TOP_UP transactions, by metadata.paymentMethod
+--   item            revenue of PURCHASE and HOLD_CAPTURE transactions, by metadata.itemId
+-- Refunds and reversals are netted against the transaction they compensate
+CREATE TABLE analytics_daily_breakdowns (
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    breakdown VARCHAR(20) NOT NULL CHECK (breakdown IN ('campaign', 'payment_method', 'item')),
+    day DATE NOT NULL,
+    asset_type_id UUID NOT NULL REFERENCES asset_types(id),
+    value TEXT NOT NULL, -- Metadata value; '' when the transaction has none
+    amount DECIMAL(20, 8) NOT NULL DEFAULT 0,
+    transactions INTEGER NOT NULL DEFAULT 0, -- Compensations are not counted
+    PRIMARY KEY (tenant_id, breakdown, day, asset_type_id, value)
+);
 
 -- ============================================================================
 -- STORED FUNCTIONS FOR DEADLOCK AVOIDANCE
@@ -238,11 +534,35 @@ CREATE TRIGGER update_accounts_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+-- ============================================================================
+-- TRIGGERS FOR IMMUTABLE DAILY CLOSES
+-- A close records what the ledger said at the end of a day; it is never
+-- rewritten
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION prevent_daily_close_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Daily closes are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER daily_closes_immutable
+    BEFORE UPDATE OR DELETE ON daily_closes
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_daily_close_changes();
+
+CREATE TRIGGER daily_close_lines_immutable
+    BEFORE UPDATE OR DELETE ON daily_close_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_daily_close_changes();
+
 -- ============================================================================
 -- CONSTRAINT TO ENSURE DOUBLE-ENTRY BALANCE
--- This can be verified with a periodic job checking:
+-- For each transaction_id and asset_type_id:
 -- SUM(CASE WHEN entry_type = 'debit' THEN amount ELSE -amount END) = 0
--- for each transaction_id
+-- Enforced by the posting engine before commit (src/ledgerVerifier.js) and
+-- checked across the whole ledger by the ledger-verification job
 -- ============================================================================
 
 COMMENT ON TABLE ledger_entries IS 'Double-entry ledger: every transaction must have equal debits and credits';
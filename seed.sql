@@ -3,14 +3,25 @@
 -- This script populates initial data required for the system to function
 -- ============================================================================
 
+-- ============================================================================
+-- 0. SEED DEFAULT TENANT
+-- All seed data below belongs to this tenant
+-- ============================================================================
+INSERT INTO tenants (code, name) VALUES
+    ('dino-ventures', 'Dino Ventures');
+
 -- ============================================================================
 -- 1. SEED ASSET TYPES
 -- ============================================================================
-INSERT INTO asset_types (code, name, description, decimals, is_active) VALUES
-    ('GOLD_COIN', 'Gold Coins', 'Primary gaming currency for in-game purchases', 2, true),
-    ('DIAMOND', 'Diamonds', 'Premium currency for exclusive items and features', 2, true),
-    ('LOYALTY_POINT', 'Loyalty Points', 'Reward points earned through gameplay and engagement', 0, true),
-    ('ENERGY', 'Energy', 'Resource for playing games and challenges', 0, true);
+INSERT INTO asset_types (tenant_id, code, name, description, decimals, is_transferable, approval_threshold, is_active)
+SELECT t.id, a.code, a.name, a.description, a.decimals, a.is_transferable, a.approval_threshold, a.is_active
+FROM tenants t, (VALUES
+    ('GOLD_COIN', 'Gold Coins', 'Primary gaming currency for in-game purchases', 2, false, 100000, true),
+    ('DIAMOND', 'Diamonds', 'Premium currency for exclusive items and features', 2, true, 1000, true),
+    ('LOYALTY_POINT', 'Loyalty Points', 'Reward points earned through gameplay and engagement', 0, false, 100000, true),
+    ('ENERGY', 'Energy', 'Resource for playing games and challenges', 0, false, NULL, true)
+) AS a (code, name, description, decimals, is_transferable, approval_threshold, is_active)
+WHERE t.code = 'dino-ventures';
 
 -- ============================================================================
 -- 2. SEED ACCOUNT TYPES
@@ -20,7 +31,8 @@ INSERT INTO account_types (code, name, description) VALUES
     ('SYSTEM_TREASURY', 'System Treasury', 'Central treasury for issuing and receiving currency'),
     ('SYSTEM_REVENUE', 'System Revenue', 'Revenue collection account for purchases'),
     ('SYSTEM_BONUS', 'Bonus Pool', 'Pool for distributing bonuses and incentives'),
-    ('SYSTEM_RESERVE', 'Reserve Fund', 'Emergency reserve and float management');
+    ('SYSTEM_RESERVE', 'Reserve Fund', 'Emergency reserve and float management'),
+    ('SYSTEM_ESCROW', 'Hold Escrow', 'Funds reserved by open authorizations until capture or void');
 
 -- ============================================================================
 -- 3. SEED SYSTEM ACCOUNTS
@@ -33,45 +45,54 @@ DECLARE
     revenue_type_id UUID;
     bonus_type_id UUID;
     reserve_type_id UUID;
+    escrow_type_id UUID;
     user_type_id UUID;
+    seed_tenant_id UUID;
 BEGIN
+    SELECT id INTO seed_tenant_id FROM tenants WHERE code = 'dino-ventures';
     SELECT id INTO treasury_type_id FROM account_types WHERE code = 'SYSTEM_TREASURY';
     SELECT id INTO revenue_type_id FROM account_types WHERE code = 'SYSTEM_REVENUE';
     SELECT id INTO bonus_type_id FROM account_types WHERE code = 'SYSTEM_BONUS';
     SELECT id INTO reserve_type_id FROM account_types WHERE code = 'SYSTEM_RESERVE';
+    SELECT id INTO escrow_type_id FROM account_types WHERE code = 'SYSTEM_ESCROW';
     SELECT id INTO user_type_id FROM account_types WHERE code = 'USER';
 
     -- System Treasury Account
-    INSERT INTO accounts (account_type_id, user_id, name, email, metadata) VALUES
-        (treasury_type_id, NULL, 'System Treasury', 'treasury@dinoventures.com', 
+    INSERT INTO accounts (tenant_id, account_type_id, user_id, name, email, metadata) VALUES
+        (seed_tenant_id, treasury_type_id, NULL, 'System Treasury', 'treasury@dinoventures.com', 
          '{"purpose": "Central bank for currency issuance", "critical": true}');
 
     -- System Revenue Account
-    INSERT INTO accounts (account_type_id, user_id, name, email, metadata) VALUES
-        (revenue_type_id, NULL, 'Revenue Collection', 'revenue@dinoventures.com',
+    INSERT INTO accounts (tenant_id, account_type_id, user_id, name, email, metadata) VALUES
+        (seed_tenant_id, revenue_type_id, NULL, 'Revenue Collection', 'revenue@dinoventures.com',
          '{"purpose": "Collects all user purchases", "critical": true}');
 
     -- Bonus Pool Account
-    INSERT INTO accounts (account_type_id, user_id, name, email, metadata) VALUES
-        (bonus_type_id, NULL, 'Bonus & Incentive Pool', 'bonus@dinoventures.com',
+    INSERT INTO accounts (tenant_id, account_type_id, user_id, name, email, metadata) VALUES
+        (seed_tenant_id, bonus_type_id, NULL, 'Bonus & Incentive Pool', 'bonus@dinoventures.com',
          '{"purpose": "Distributes promotional bonuses", "critical": true}');
 
     -- Reserve Fund Account
-    INSERT INTO accounts (account_type_id, user_id, name, email, metadata) VALUES
-        (reserve_type_id, NULL, 'Reserve Fund', 'reserve@dinoventures.com',
+    INSERT INTO accounts (tenant_id, account_type_id, user_id, name, email, metadata) VALUES
+        (seed_tenant_id, reserve_type_id, NULL, 'Reserve Fund', 'reserve@dinoventures.com',
          '{"purpose": "Emergency reserves", "critical": true}');
 
+    -- Hold Escrow Account
+    INSERT INTO accounts (tenant_id, account_type_id, user_id, name, email, metadata) VALUES
+        (seed_tenant_id, escrow_type_id, NULL, 'Hold Escrow', 'escrow@dinoventures.com',
+         '{"purpose": "Holds authorized funds until capture or void", "critical": true}');
+
     -- ========================================================================
     -- 4. SEED USER ACCOUNTS (Test Users)
     -- ========================================================================
-    INSERT INTO accounts (account_type_id, user_id, name, email, metadata) VALUES
-        (user_type_id, 'user_001', 'Alex Morgan', 'alex.morgan@example.com',
+    INSERT INTO accounts (tenant_id, account_type_id, user_id, name, email, metadata) VALUES
+        (seed_tenant_id, user_type_id, 'user_001', 'Alex Morgan', 'alex.morgan@example.com',
          '{"level": 15, "region": "NA", "verified": true, "joined": "2024-01-15"}'),
-        (user_type_id, 'user_002', 'Sarah Chen', 'sarah.chen@example.com',
+        (seed_tenant_id, user_type_id, 'user_002', 'Sarah Chen', 'sarah.chen@example.com',
          '{"level": 28, "region": "APAC", "verified": true, "joined": "2023-11-20"}'),
-        (user_type_id, 'user_003', 'Marcus Johnson', 'marcus.j@example.com',
+        (seed_tenant_id, user_type_id, 'user_003', 'Marcus Johnson', 'marcus.j@example.com',
          '{"level": 42, "region": "EU", "verified": true, "joined": "2023-08-05"}'),
-        (user_type_id, 'user_004', 'Emma Rodriguez', 'emma.r@example.com',
+        (seed_tenant_id, user_type_id, 'user_004', 'Emma Rodriguez', 'emma.r@example.com',
          '{"level": 7, "region": "LATAM", "verified": true, "joined": "2024-12-01"}');
 END $$;
 
@@ -83,30 +104,52 @@ INSERT INTO transaction_types (code, name, description) VALUES
     ('BONUS', 'Bonus/Incentive', 'System issues free credits (referral, promotion, etc.)'),
     ('PURCHASE', 'In-app Purchase', 'User spends credits on items/services'),
     ('REFUND', 'Refund', 'Credits returned to user'),
+    ('REVERSAL', 'Reversal', 'Compensating entries that undo an earlier transaction'),
     ('ADJUSTMENT', 'Manual Adjustment', 'Administrative correction'),
+    ('ISSUANCE', 'Supply Issuance', 'New credits minted into the system treasury'),
     ('REWARD', 'Achievement Reward', 'Credits earned through gameplay'),
     ('TRANSFER_IN', 'Transfer In', 'Credits received from another account'),
-    ('TRANSFER_OUT', 'Transfer Out', 'Credits sent to another account');
+    ('TRANSFER_OUT', 'Transfer Out', 'Credits sent to another account'),
+    ('HOLD', 'Authorization Hold', 'Credits reserved in escrow pending capture'),
+    ('HOLD_CAPTURE', 'Hold Capture', 'Held credits settled to revenue'),
+    ('HOLD_RELEASE', 'Hold Release', 'Held credits returned to the user (void or expiry)'),
+    ('EXCHANGE', 'Currency Exchange', 'User converts one asset into another at the configured rate'),
+    ('ACCOUNT_CLOSURE', 'Account Closure Sweep', 'Remaining balances of a closed account moved to the reserve fund');
+
+-- ============================================================================
+-- 5b. SEED EXCHANGE RATES
+-- ============================================================================
+INSERT INTO exchange_rates (from_asset_type_id, to_asset_type_id, rate, created_by)
+SELECT f.id, t.id, 100, 'seed'
+FROM asset_types f, asset_types t
+WHERE f.code = 'DIAMOND' AND t.code = 'GOLD_COIN' AND t.tenant_id = f.tenant_id;
 
 -- ============================================================================
 -- 6. INITIALIZE SYSTEM ACCOUNTS WITH STARTING BALANCES
--- This seeds the system treasury with sufficient float
+-- This issues the tenant's supply into the system treasury, which then
+-- funds the bonus pool and reserve fund
 -- ============================================================================
 
 DO $$
 DECLARE
     treasury_account_id UUID;
     bonus_account_id UUID;
+    reserve_account_id UUID;
     gold_coin_id UUID;
     diamond_id UUID;
     loyalty_point_id UUID;
     energy_id UUID;
     init_transaction_id UUID;
+    issuance_type_id UUID;
     adjustment_type_id UUID;
+    seed_tenant_id UUID;
 BEGIN
+    SELECT id INTO seed_tenant_id FROM tenants WHERE code = 'dino-ventures';
+
     -- Get account IDs
     SELECT id INTO treasury_account_id FROM accounts WHERE name = 'System Treasury';
     SELECT id INTO bonus_account_id FROM accounts WHERE name = 'Bonus & Incentive Pool';
+    SELECT id INTO reserve_account_id FROM accounts WHERE name = 'Reserve Fund';
     
     -- Get asset type IDs
     SELECT id INTO gold_coin_id FROM asset_types WHERE code = 'GOLD_COIN';
@@ -114,60 +157,182 @@ BEGIN
     SELECT id INTO loyalty_point_id FROM asset_types WHERE code = 'LOYALTY_POINT';
     SELECT id INTO energy_id FROM asset_types WHERE code = 'ENERGY';
     
-    -- Get transaction type
+    -- Get transaction types
+    SELECT id INTO issuance_type_id FROM transaction_types WHERE code = 'ISSUANCE';
     SELECT id INTO adjustment_type_id FROM transaction_types WHERE code = 'ADJUSTMENT';
 
-    -- Initialize Treasury with large float for Gold Coins
+    -- Issue the tenant's supply into the Treasury. These are the only
+    -- single-sided entries in the ledger; everything below moves funds
+    -- out of the Treasury with balanced entries
+
+    -- Gold Coins: 10M float, plus 1M each for the bonus pool and reserve fund
+    init_transaction_id := uuid_generate_v4();
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (init_transaction_id, seed_tenant_id, 'INIT_TREASURY_GOLD_' || init_transaction_id, issuance_type_id, gold_coin_id, 12000000.00,
+            'Initial supply of Gold Coins', 'completed', CURRENT_TIMESTAMP);
+    
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, treasury_account_id, gold_coin_id, 'credit', 12000000.00, 12000000.00,
+            'Initial treasury balance');
+    
+    INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
+    VALUES (treasury_account_id, gold_coin_id, 12000000.00, init_transaction_id);
+
+    -- Diamonds: 5M float, plus 500k for the reserve fund
+    init_transaction_id := uuid_generate_v4();
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (init_transaction_id, seed_tenant_id, 'INIT_TREASURY_DIAMOND_' || init_transaction_id, issuance_type_id, diamond_id, 5500000.00,
+            'Initial supply of Diamonds', 'completed', CURRENT_TIMESTAMP);
+    
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, treasury_account_id, diamond_id, 'credit', 5500000.00, 5500000.00,
+            'Initial treasury balance');
+    
+    INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
+    VALUES (treasury_account_id, diamond_id, 5500000.00, init_transaction_id);
+
+    -- Loyalty Points: 5M for the bonus pool and 1M for the reserve fund
     init_transaction_id := uuid_generate_v4();
-    INSERT INTO transactions (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
-    VALUES (init_transaction_id, 'INIT_TREASURY_GOLD_' || init_transaction_id, adjustment_type_id, gold_coin_id, 10000000.00,
-            'Initial treasury float for Gold Coins', 'completed', CURRENT_TIMESTAMP);
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (init_transaction_id, seed_tenant_id, 'INIT_TREASURY_LOYALTY_' || init_transaction_id, issuance_type_id, loyalty_point_id, 6000000,
+            'Initial supply of Loyalty Points', 'completed', CURRENT_TIMESTAMP);
     
     INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
-    VALUES (init_transaction_id, treasury_account_id, gold_coin_id, 'credit', 10000000.00, 10000000.00,
+    VALUES (init_transaction_id, treasury_account_id, loyalty_point_id, 'credit', 6000000, 6000000,
             'Initial treasury balance');
     
     INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
-    VALUES (treasury_account_id, gold_coin_id, 10000000.00, init_transaction_id);
+    VALUES (treasury_account_id, loyalty_point_id, 6000000, init_transaction_id);
 
-    -- Initialize Treasury with Diamonds
+    -- Energy: 1M for the reserve fund
     init_transaction_id := uuid_generate_v4();
-    INSERT INTO transactions (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
-    VALUES (init_transaction_id, 'INIT_TREASURY_DIAMOND_' || init_transaction_id, adjustment_type_id, diamond_id, 5000000.00,
-            'Initial treasury float for Diamonds', 'completed', CURRENT_TIMESTAMP);
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (init_transaction_id, seed_tenant_id, 'INIT_TREASURY_ENERGY_' || init_transaction_id, issuance_type_id, energy_id, 1000000,
+            'Initial supply of Energy', 'completed', CURRENT_TIMESTAMP);
     
     INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
-    VALUES (init_transaction_id, treasury_account_id, diamond_id, 'credit', 5000000.00, 5000000.00,
+    VALUES (init_transaction_id, treasury_account_id, energy_id, 'credit', 1000000, 1000000,
             'Initial treasury balance');
     
     INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
-    VALUES (treasury_account_id, diamond_id, 5000000.00, init_transaction_id);
+    VALUES (treasury_account_id, energy_id, 1000000, init_transaction_id);
 
-    -- Initialize Bonus Pool with Gold Coins
+    -- Fund the Bonus Pool from the Treasury
     init_transaction_id := uuid_generate_v4();
-    INSERT INTO transactions (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
-    VALUES (init_transaction_id, 'INIT_BONUS_GOLD_' || init_transaction_id, adjustment_type_id, gold_coin_id, 1000000.00,
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (init_transaction_id, seed_tenant_id, 'INIT_BONUS_GOLD_' || init_transaction_id, adjustment_type_id, gold_coin_id, 1000000.00,
             'Initial bonus pool for Gold Coins', 'completed', CURRENT_TIMESTAMP);
     
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, treasury_account_id, gold_coin_id, 'debit', 1000000.00, 11000000.00,
+            'Initial bonus pool balance');
+    
     INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
     VALUES (init_transaction_id, bonus_account_id, gold_coin_id, 'credit', 1000000.00, 1000000.00,
             'Initial bonus pool balance');
     
+    UPDATE balance_cache SET balance = 11000000.00, last_transaction_id = init_transaction_id
+    WHERE account_id = treasury_account_id AND asset_type_id = gold_coin_id;
+    
     INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
     VALUES (bonus_account_id, gold_coin_id, 1000000.00, init_transaction_id);
 
-    -- Initialize Bonus Pool with Loyalty Points
     init_transaction_id := uuid_generate_v4();
-    INSERT INTO transactions (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
-    VALUES (init_transaction_id, 'INIT_BONUS_LOYALTY_' || init_transaction_id, adjustment_type_id, loyalty_point_id, 5000000,
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (init_transaction_id, seed_tenant_id, 'INIT_BONUS_LOYALTY_' || init_transaction_id, adjustment_type_id, loyalty_point_id, 5000000,
             'Initial bonus pool for Loyalty Points', 'completed', CURRENT_TIMESTAMP);
     
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, treasury_account_id, loyalty_point_id, 'debit', 5000000, 1000000,
+            'Initial bonus pool balance');
+    
     INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
     VALUES (init_transaction_id, bonus_account_id, loyalty_point_id, 'credit', 5000000, 5000000,
             'Initial bonus pool balance');
     
+    UPDATE balance_cache SET balance = 1000000, last_transaction_id = init_transaction_id
+    WHERE account_id = treasury_account_id AND asset_type_id = loyalty_point_id;
+    
     INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
     VALUES (bonus_account_id, loyalty_point_id, 5000000, init_transaction_id);
+
+    -- Fund the Reserve Fund (source of manual adjustments) from the Treasury
+    -- for every asset
+    init_transaction_id := uuid_generate_v4();
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (init_transaction_id, seed_tenant_id, 'INIT_RESERVE_GOLD_' || init_transaction_id, adjustment_type_id, gold_coin_id, 1000000.00,
+            'Initial reserve fund for Gold Coins', 'completed', CURRENT_TIMESTAMP);
+    
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, treasury_account_id, gold_coin_id, 'debit', 1000000.00, 10000000.00,
+            'Initial reserve balance');
+    
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, reserve_account_id, gold_coin_id, 'credit', 1000000.00, 1000000.00,
+            'Initial reserve balance');
+    
+    UPDATE balance_cache SET balance = 10000000.00, last_transaction_id = init_transaction_id
+    WHERE account_id = treasury_account_id AND asset_type_id = gold_coin_id;
+    
+    INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
+    VALUES (reserve_account_id, gold_coin_id, 1000000.00, init_transaction_id);
+
+    init_transaction_id := uuid_generate_v4();
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (init_transaction_id, seed_tenant_id, 'INIT_RESERVE_DIAMOND_' || init_transaction_id, adjustment_type_id, diamond_id, 500000.00,
+            'Initial reserve fund for Diamonds', 'completed', CURRENT_TIMESTAMP);
+    
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, treasury_account_id, diamond_id, 'debit', 500000.00, 5000000.00,
+            'Initial reserve balance');
+    
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, reserve_account_id, diamond_id, 'credit', 500000.00, 500000.00,
+            'Initial reserve balance');
+    
+    UPDATE balance_cache SET balance = 5000000.00, last_transaction_id = init_transaction_id
+    WHERE account_id = treasury_account_id AND asset_type_id = diamond_id;
+    
+    INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
+    VALUES (reserve_account_id, diamond_id, 500000.00, init_transaction_id);
+
+    init_transaction_id := uuid_generate_v4();
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (init_transaction_id, seed_tenant_id, 'INIT_RESERVE_LOYALTY_' || init_transaction_id, adjustment_type_id, loyalty_point_id, 1000000,
+            'Initial reserve fund for Loyalty Points', 'completed', CURRENT_TIMESTAMP);
+    
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, treasury_account_id, loyalty_point_id, 'debit', 1000000, 0,
+            'Initial reserve balance');
+    
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, reserve_account_id, loyalty_point_id, 'credit', 1000000, 1000000,
+            'Initial reserve balance');
+    
+    UPDATE balance_cache SET balance = 0, last_transaction_id = init_transaction_id
+    WHERE account_id = treasury_account_id AND asset_type_id = loyalty_point_id;
+    
+    INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
+    VALUES (reserve_account_id, loyalty_point_id, 1000000, init_transaction_id);
+
+    init_transaction_id := uuid_generate_v4();
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (init_transaction_id, seed_tenant_id, 'INIT_RESERVE_ENERGY_' || init_transaction_id, adjustment_type_id, energy_id, 1000000,
+            'Initial reserve fund for Energy', 'completed', CURRENT_TIMESTAMP);
+    
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, treasury_account_id, energy_id, 'debit', 1000000, 0,
+            'Initial reserve balance');
+    
+    INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+    VALUES (init_transaction_id, reserve_account_id, energy_id, 'credit', 1000000, 1000000,
+            'Initial reserve balance');
+    
+    UPDATE balance_cache SET balance = 0, last_transaction_id = init_transaction_id
+    WHERE account_id = treasury_account_id AND asset_type_id = energy_id;
+    
+    INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
+    VALUES (reserve_account_id, energy_id, 1000000, init_transaction_id);
 END $$;
 
 -- ============================================================================
@@ -184,8 +349,12 @@ DECLARE
     diamond_id UUID;
     loyalty_point_id UUID;
     topup_type_id UUID;
+    bonus_type_id UUID;
     txn_id UUID;
+    seed_tenant_id UUID;
 BEGIN
+    SELECT id INTO seed_tenant_id FROM tenants WHERE code = 'dino-ventures';
+
     -- Get account IDs
     SELECT id INTO user1_id FROM accounts WHERE user_id = 'user_001';
     SELECT id INTO user2_id FROM accounts WHERE user_id = 'user_002';
@@ -196,13 +365,14 @@ BEGIN
     SELECT id INTO diamond_id FROM asset_types WHERE code = 'DIAMOND';
     SELECT id INTO loyalty_point_id FROM asset_types WHERE code = 'LOYALTY_POINT';
     
-    -- Get transaction type
+    -- Get transaction types
     SELECT id INTO topup_type_id FROM transaction_types WHERE code = 'TOP_UP';
+    SELECT id INTO bonus_type_id FROM transaction_types WHERE code = 'BONUS';
 
     -- Give User 1: 500 Gold Coins
     txn_id := uuid_generate_v4();
-    INSERT INTO transactions (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
-    VALUES (txn_id, 'SEED_USER1_GOLD_' || txn_id, topup_type_id, gold_coin_id, 500.00,
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (txn_id, seed_tenant_id, 'SEED_USER1_GOLD_' || txn_id, topup_type_id, gold_coin_id, 500.00,
             'Initial balance for test user Alex Morgan', 'completed', CURRENT_TIMESTAMP);
     
     -- Debit from treasury
@@ -222,8 +392,8 @@ BEGIN
 
     -- Give User 1: 50 Diamonds
     txn_id := uuid_generate_v4();
-    INSERT INTO transactions (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
-    VALUES (txn_id, 'SEED_USER1_DIAMOND_' || txn_id, topup_type_id, diamond_id, 50.00,
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (txn_id, seed_tenant_id, 'SEED_USER1_DIAMOND_' || txn_id, topup_type_id, diamond_id, 50.00,
             'Initial diamonds for test user Alex Morgan', 'completed', CURRENT_TIMESTAMP);
     
     INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance)
@@ -240,8 +410,8 @@ BEGIN
 
     -- Give User 2: 1200 Gold Coins
     txn_id := uuid_generate_v4();
-    INSERT INTO transactions (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
-    VALUES (txn_id, 'SEED_USER2_GOLD_' || txn_id, topup_type_id, gold_coin_id, 1200.00,
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (txn_id, seed_tenant_id, 'SEED_USER2_GOLD_' || txn_id, topup_type_id, gold_coin_id, 1200.00,
             'Initial balance for test user Sarah Chen', 'completed', CURRENT_TIMESTAMP);
     
     INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance)
@@ -258,11 +428,11 @@ BEGIN
 
     -- Give User 2: 250 Loyalty Points
     txn_id := uuid_generate_v4();
-    INSERT INTO transactions (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
-    VALUES (txn_id, 'SEED_USER2_LOYALTY_' || txn_id, topup_type_id, loyalty_point_id, 250,
+    INSERT INTO transactions (id, tenant_id, idempotency_key, transaction_type_id, asset_type_id, amount, description, status, completed_at)
+    VALUES (txn_id, seed_tenant_id, 'SEED_USER2_LOYALTY_' || txn_id, bonus_type_id, loyalty_point_id, 250,
             'Initial loyalty points for test user Sarah Chen', 'completed', CURRENT_TIMESTAMP);
     
-    -- Note: Loyalty points come from bonus pool, not treasury
+    -- Note: Loyalty points are a bonus from the bonus pool, not a treasury top-up
     DECLARE bonus_id UUID;
     BEGIN
         SELECT id INTO bonus_id FROM accounts WHERE name = 'Bonus & Incentive Pool';
@@ -281,6 +451,14 @@ BEGIN
     END;
 END $$;
 
+-- ============================================================================
+-- 8. QUEUE SEED TRANSACTIONS FOR ANALYTICS ROLLUPS
+-- The entries above were written directly rather than through the posting
+-- engine, so queue them here; the analytics-rollup job picks them up
+-- ============================================================================
+INSERT INTO analytics_pending (transaction_id)
+SELECT DISTINCT transaction_id FROM ledger_entries;
+
 -- ============================================================================
 -- VERIFICATION QUERIES
 -- Run these to verify the seed data loaded correctly
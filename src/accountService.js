@@ -0,0 +1,420 @@
+const { pool, executeWithRetry } = require("./db");
+const logger = require("./logger");
+const postingEngine = require("./postingEngine");
+const { normalize } = require("./amount");
+const { AccountStatusError } = require("./errors");
+
+/**
+ * Account Service
+ * Opens user wallets and moves them through their lifecycle
+ *
+ *   active  -> frozen  (freeze)    credits still land; purchases, transfers,
+ *                                  exchanges and holds are refused
+ *   frozen  -> active  (unfreeze)
+ *   active/frozen -> closed (close) no further activity
+ *
+ * A wallet is closed only with zero balances and no open holds; with sweep,
+ * remaining balances are first moved to the tenant's SYSTEM_RESERVE in one
+ * ACCOUNT_CLOSURE transaction. Every change is written to the audit log.
+ *
+ * Status changes lock the account row, as postings do, so a posting racing a
+ * freeze or close fails to serialize and is retried against the new status.
+ */
+class AccountService {
+  /**
+   * Open a user's wallet; idempotent per user id
+   * Asking again for an existing user returns the existing account unchanged
+   *
+   * @param {object} params
+   * @param {string} params.userId - User identifier, unique within the tenant
+   * @param {string} params.name - Display name
+   * @param {string} [params.email] - Contact email
+   * @param {object} [params.metadata] - Additional metadata
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The account, and created: false if it already existed
+   */
+  async create({ userId, name, email = null, metadata = {} }, context = {}) {
+    return await executeWithRetry(async () => {
+      return await postingEngine.runInTransaction(async (client) => {
+        const existing = await client.query(
+          "SELECT * FROM accounts WHERE tenant_id = $1 AND user_id = $2",
+          [context.tenantId, userId],
+        );
+
+        if (existing.rows.length > 0) {
+          return { ...this._formatAccount(existing.rows[0]), created: false };
+        }
+
+        const account = await this.provision(
+          client,
+          { userId, name, email, metadata },
+          context,
+        );
+
+        return { ...account, created: true };
+      });
+    });
+  }
+
+  /**
+   * Open a user's wallet inside the caller's transaction unless it exists
+   * Used by create and, with AUTO_PROVISION_ACCOUNTS, by the first top-up or
+   * bonus for an unknown user. A concurrent open for the same user fails to
+   * serialize and is retried, finding the account the other one committed.
+   *
+   * @param {object} client - Database client inside a transaction
+   * @param {object} details - { userId, name, email, metadata }
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @param {string} [provisionedBy] - Operation that opened the wallet, for the audit log
+   * @returns {Promise<object|null>} The new account, or null if the user already has one
+   */
+  async provision(
+    client,
+    { userId, name, email = null, metadata = {} },
+    context,
+    provisionedBy = null,
+  ) {
+    const result = await client.query(
+      `INSERT INTO accounts (tenant_id, account_type_id, user_id, email, name, metadata)
+             SELECT $1, id, $2, $3, $4, $5 FROM account_types WHERE code = 'USER'
+             ON CONFLICT (tenant_id, user_id) WHERE user_id IS NOT NULL DO NOTHING
+             RETURNING *`,
+      [context.tenantId, userId, email, name, JSON.stringify(metadata)],
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const account = result.rows[0];
+
+    await postingEngine.createAuditLog(
+      client,
+      null,
+      account.id,
+      "ACCOUNT_CREATED",
+      {
+        userId,
+        name,
+        email,
+        metadata,
+        ...(provisionedBy ? { provisionedBy } : {}),
+      },
+      context,
+    );
+
+    logger.info("Account created", {
+      accountId: account.id,
+      userId,
+      provisionedBy,
+      actor: context.actor,
+    });
+
+    return this._formatAccount(account);
+  }
+
+  /**
+   * A user's wallet in a tenant
+   *
+   * @returns {Promise<object>} The account
+   */
+  async get(userId, tenantId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        "SELECT * FROM accounts WHERE tenant_id = $1 AND user_id = $2",
+        [tenantId, userId],
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`User account ${userId} not found`);
+      }
+
+      return this._formatAccount(result.rows[0]);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Freeze an active wallet
+   *
+   * @param {string} userId - User identifier
+   * @param {string} reason - Why, kept on the account and in the audit log
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The frozen account
+   */
+  async freeze(userId, reason, context = {}) {
+    return await this._changeStatus(userId, "frozen", reason, context);
+  }
+
+  /**
+   * Return a frozen wallet to active
+   *
+   * @param {string} userId - User identifier
+   * @param {string} reason - Why, kept on the account and in the audit log
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The active account
+   */
+  async unfreeze(userId, reason, context = {}) {
+    return await this._changeStatus(userId, "active", reason, context);
+  }
+
+  /**
+   * Close a wallet for good
+   * Refused while holds are authorized, or while balances remain unless
+   * sweep is set
+   *
+   * @param {string} userId - User identifier
+   * @param {object} params
+   * @param {string} params.reason - Why, kept on the account and in the audit log
+   * @param {boolean} [params.sweep] - Move remaining balances to SYSTEM_RESERVE
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The closed account, with the sweep transaction if any
+   */
+  async close(userId, { reason, sweep = false }, context = {}) {
+    return await executeWithRetry(async () => {
+      return await postingEngine.runInTransaction(async (client) => {
+        const account = await this._lockAccount(
+          client,
+          userId,
+          context.tenantId,
+        );
+
+        if (account.status === "closed") {
+          throw new Error(`User account ${userId} is already closed`);
+        }
+
+        const holds = await client.query(
+          `SELECT COUNT(*) as count FROM holds
+                 WHERE account_id = $1 AND status = 'authorized'`,
+          [account.id],
+        );
+
+        if (parseInt(holds.rows[0].count) > 0) {
+          throw new Error(
+            `User account ${userId} has active holds; capture or void them before closing`,
+          );
+        }
+
+        const balances = await client.query(
+          `SELECT bc.asset_type_id, bc.balance, at.code as asset_code
+                 FROM balance_cache bc
+                 JOIN asset_types at ON bc.asset_type_id = at.id
+                 WHERE bc.account_id = $1 AND bc.balance > 0
+                 ORDER BY at.code`,
+          [account.id],
+        );
+
+        if (balances.rows.length > 0 && !sweep) {
+          const remaining = balances.rows
+            .map((row) => `${normalize(row.balance)} ${row.asset_code}`)
+            .join(", ");
+
+          throw new Error(
+            `User account ${userId} has non-zero balances (${remaining}); close with sweep to move them to SYSTEM_RESERVE`,
+          );
+        }
+
+        let sweepResult = null;
+
+        if (balances.rows.length > 0) {
+          sweepResult = await this._sweepToReserve(
+            client,
+            account,
+            balances.rows,
+            context,
+          );
+        }
+
+        const closed = await this._setStatus(client, account, "closed", reason);
+
+        await postingEngine.createAuditLog(
+          client,
+          sweepResult ? sweepResult.transactionId : null,
+          account.id,
+          "ACCOUNT_CLOSED",
+          {
+            userId,
+            reason,
+            previousStatus: account.status,
+            sweepTransactionId: sweepResult ? sweepResult.transactionId : null,
+          },
+          context,
+        );
+
+        logger.info("Account closed", {
+          accountId: account.id,
+          userId,
+          swept: sweepResult !== null,
+          actor: context.actor,
+        });
+
+        return { ...this._formatAccount(closed), sweep: sweepResult };
+      });
+    });
+  }
+
+  /**
+   * Freeze or unfreeze a wallet
+   */
+  async _changeStatus(userId, status, reason, context) {
+    return await executeWithRetry(async () => {
+      return await postingEngine.runInTransaction(async (client) => {
+        const account = await this._lockAccount(
+          client,
+          userId,
+          context.tenantId,
+        );
+
+        if (account.status === "closed") {
+          throw new AccountStatusError(userId, "closed");
+        }
+
+        if (account.status === status) {
+          throw new Error(
+            status === "frozen"
+              ? `User account ${userId} is already frozen`
+              : `User account ${userId} is not frozen`,
+          );
+        }
+
+        const updated = await this._setStatus(client, account, status, reason);
+        const action =
+          status === "frozen" ? "ACCOUNT_FROZEN" : "ACCOUNT_UNFROZEN";
+
+        await postingEngine.createAuditLog(
+          client,
+          null,
+          account.id,
+          action,
+          { userId, reason, previousStatus: account.status },
+          context,
+        );
+
+        logger.info("Account status changed", {
+          accountId: account.id,
+          userId,
+          status,
+          actor: context.actor,
+        });
+
+        return this._formatAccount(updated);
+      });
+    });
+  }
+
+  /**
+   * Move a closing wallet's balances to the tenant's reserve
+   * One multi-asset ACCOUNT_CLOSURE transaction, debiting each asset
+   */
+  async _sweepToReserve(client, account, balances, context) {
+    const reserve = await client.query(
+      `SELECT a.id FROM accounts a
+             JOIN account_types at ON a.account_type_id = at.id
+             WHERE a.tenant_id = $1 AND at.code = 'SYSTEM_RESERVE'
+               AND a.user_id IS NULL AND a.status = 'active'`,
+      [context.tenantId],
+    );
+
+    if (reserve.rows.length === 0) {
+      throw new Error("System account SYSTEM_RESERVE not found");
+    }
+
+    const reserveAccountId = reserve.rows[0].id;
+    const swept = balances.map((row) => ({
+      assetCode: row.asset_code,
+      amount: normalize(row.balance),
+    }));
+    const legs = balances.flatMap((row) => [
+      {
+        accountId: account.id,
+        assetTypeId: row.asset_type_id,
+        entryType: "debit",
+        amount: row.balance,
+        description: "Account closure sweep",
+      },
+      {
+        accountId: reserveAccountId,
+        assetTypeId: row.asset_type_id,
+        entryType: "credit",
+        amount: row.balance,
+        description: `Closure sweep from ${account.user_id}`,
+        label: "reserve",
+      },
+    ]);
+
+    // The account is closed once, so its id is a stable idempotency key
+    return await postingEngine.post(client, {
+      typeCode: "ACCOUNT_CLOSURE",
+      idempotencyKey: `account-closure-${account.id}`,
+      description: `Closure sweep of ${account.user_id} to reserve`,
+      metadata: { userId: account.user_id },
+      legs,
+      request: {
+        operation: "ACCOUNT_CLOSURE",
+        userId: account.user_id,
+        balances: swept,
+      },
+      audit: {
+        accountId: account.id,
+        action: "ACCOUNT_CLOSURE",
+        data: { userId: account.user_id, balances: swept },
+      },
+      context,
+      respond: async (transactionId) => ({
+        transactionId,
+        balances: swept,
+      }),
+    });
+  }
+
+  /**
+   * Load and lock a user's wallet for a status change
+   */
+  async _lockAccount(client, userId, tenantId) {
+    const result = await client.query(
+      `SELECT * FROM accounts
+             WHERE tenant_id = $1 AND user_id = $2
+             FOR UPDATE`,
+      [tenantId, userId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`User account ${userId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  async _setStatus(client, account, status, reason) {
+    const result = await client.query(
+      `UPDATE accounts
+             SET status = $2, status_reason = $3,
+                 status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+      [account.id, status, reason],
+    );
+
+    return result.rows[0];
+  }
+
+  _formatAccount(row) {
+    return {
+      accountId: row.id,
+      userId: row.user_id,
+      name: row.name,
+      email: row.email,
+      status: row.status,
+      statusReason: row.status_reason,
+      statusChangedAt: row.status_changed_at,
+      metadata: row.metadata,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,908 @@
+const express = require('express');
+const { Readable, pipeline } = require('stream');
+const transactionService = require('./transactionService');
+const exchangeRateService = require('./exchangeRateService');
+const reconciliationService = require('./reconciliationService');
+const ledgerVerifier = require('./ledgerVerifier');
+const idempotencyRetention = require('./idempotencyRetention');
+const apiKeyService = require('./apiKeyService');
+const webhookService = require('./webhookService');
+const exportService = require('./exportService');
+const dailyCloseService = require('./dailyCloseService');
+const logger = require('./logger');
+const {
+    adjustmentSchema,
+    approvalDecisionSchema,
+    approvalListSchema,
+    exchangeRateQuerySchema,
+    exchangeRateSchema,
+    reconciliationQuerySchema,
+    reconciliationRepairSchema,
+    ledgerVerificationQuerySchema,
+    apiKeyCreateSchema,
+    apiKeyListSchema,
+    apiKeyRotateSchema,
+    webhookEndpointCreateSchema,
+    webhookEndpointListSchema,
+    webhookDeliveryListSchema,
+    exportQuerySchema,
+    businessDateSchema,
+    validate,
+    validateQuery
+} = require('./validation');
+const {
+    IdempotencyConflictError,
+    IdempotencyInProgressError,
+    AccountStatusError
+} = require('./errors');
+
+const router = express.Router();
+
+/**
+ * POST /api/admin/adjustments
+ * Manually credit or debit a user wallet against the reserve fund
+ *
+ * Request body:
+ * {
+ *   "userId": "user_001",
+ *   "assetCode": "GOLD_COIN",
+ *   "direction": "credit",
+ *   "amount": 250.00,
+ *   "reasonCode": "SERVICE_OUTAGE",
+ *   "justification": "Compensation for match lost during the 2024-02-14 outage",
+ *   "idempotencyKey": "adj-sup4821-1",
+ *   "metadata": {
+ *     "ticketId": "SUP-4821"
+ *   }
+ * }
+ */
+router.post('/adjustments', validate(adjustmentSchema), async (req, res) => {
+    try {
+        const {
+            userId,
+            assetCode,
+            direction,
+            amount,
+            reasonCode,
+            justification,
+            idempotencyKey,
+            metadata
+        } = req.body;
+
+        logger.info('Received adjustment request', {
+            userId,
+            assetCode,
+            direction,
+            amount,
+            reasonCode,
+            idempotencyKey,
+            actor: req.auditContext.actor
+        });
+
+        const result = await transactionService.adjust(
+            userId,
+            assetCode,
+            direction,
+            amount,
+            idempotencyKey,
+            { ...metadata, reasonCode, justification },
+            req.auditContext
+        );
+
+        // 202 when the adjustment is above the approval threshold and awaits a checker
+        res.status(result.status === 'pending_approval' ? 202 : 200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Adjustment request failed', {
+            error: error.message,
+            body: req.body,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('decimal places') ||
+                          error.message.includes('Insufficient') ? 400 : 500;
+
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/approvals
+ * List maker-checker approval requests
+ *
+ * Query params:
+ * - status (optional, default 'pending'): pending, approved or rejected
+ * - limit (optional, default 50)
+ */
+router.get('/approvals', validateQuery(approvalListSchema), async (req, res) => {
+    try {
+        const { status, limit } = req.query;
+
+        const result = await transactionService.listApprovals(status, limit, req.auditContext.tenantId);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Approval list query failed', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/approvals/:id/approve
+ * Approve a pending bonus or adjustment; ledger entries are posted now
+ *
+ * Request body:
+ * {
+ *   "note": "Verified against campaign budget"
+ * }
+ */
+router.post('/approvals/:id/approve', validate(approvalDecisionSchema), async (req, res) => {
+    try {
+        logger.info('Received approval', {
+            transactionId: req.params.id,
+            actor: req.auditContext.actor
+        });
+
+        const result = await transactionService.approveTransaction(
+            req.params.id,
+            req.auditContext,
+            req.body.note
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Approval failed', {
+            error: error.message,
+            transactionId: req.params.id,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error.message.includes('not found') ? 404 :
+                          error.message.includes('own approval') ? 403 :
+                          error instanceof AccountStatusError ||
+                          error.message.includes('already') ? 409 :
+                          error.message.includes('Insufficient') ? 400 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/approvals/:id/reject
+ * Reject a pending bonus or adjustment; the transaction is marked failed
+ *
+ * Request body:
+ * {
+ *   "note": "Exceeds campaign budget"
+ * }
+ */
+router.post('/approvals/:id/reject', validate(approvalDecisionSchema), async (req, res) => {
+    try {
+        logger.info('Received rejection', {
+            transactionId: req.params.id,
+            actor: req.auditContext.actor
+        });
+
+        const result = await transactionService.rejectTransaction(
+            req.params.id,
+            req.auditContext,
+            req.body.note
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Rejection failed', {
+            error: error.message,
+            transactionId: req.params.id,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error.message.includes('not found') ? 404 :
+                          error.message.includes('own approval') ? 403 :
+                          error.message.includes('already') ? 409 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/exchange-rates
+ * List exchange rates, including superseded ones when includeInactive=true
+ */
+router.get('/exchange-rates', validateQuery(exchangeRateQuerySchema), async (req, res) => {
+    try {
+        const result = await exchangeRateService.listRates(
+            req.query,
+            req.auditContext.tenantId
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Exchange rate list failed', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/exchange-rates
+ * Set the rate for an asset pair; supersedes the active rate, so outstanding
+ * quotes for the pair stop being honoured
+ *
+ * Request body:
+ * {
+ *   "fromAssetCode": "DIAMOND",
+ *   "toAssetCode": "GOLD_COIN",
+ *   "rate": 120
+ * }
+ */
+router.post('/exchange-rates', validate(exchangeRateSchema), async (req, res) => {
+    try {
+        const { fromAssetCode, toAssetCode, rate } = req.body;
+
+        logger.info('Received exchange rate update', {
+            fromAssetCode,
+            toAssetCode,
+            rate,
+            actor: req.auditContext.actor
+        });
+
+        const result = await exchangeRateService.setRate(
+            fromAssetCode,
+            toAssetCode,
+            rate,
+            req.auditContext
+        );
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Exchange rate update failed', {
+            error: error.message,
+            body: req.body,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error.message.includes('not found') ? 404 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/exchange-rates/:id
+ * Deactivate a rate; the pair cannot be exchanged until a new rate is set
+ */
+router.delete('/exchange-rates/:id', async (req, res) => {
+    try {
+        logger.info('Received exchange rate deactivation', {
+            rateId: req.params.id,
+            actor: req.auditContext.actor
+        });
+
+        const result = await exchangeRateService.deactivateRate(
+            req.params.id,
+            req.auditContext
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Exchange rate deactivation failed', {
+            error: error.message,
+            rateId: req.params.id,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error.message.includes('not found') ? 404 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/reconciliation
+ * Recompute every balance from the ledger and report where balance_cache or
+ * running balances disagree with it
+ */
+router.get('/reconciliation', validateQuery(reconciliationQuerySchema), async (req, res) => {
+    try {
+        const result = await reconciliationService.reconcile({
+            ...req.query,
+            tenantId: req.auditContext.tenantId
+        });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Reconciliation failed', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/reconciliation/repair
+ * Rebuild mismatched balance_cache rows from the ledger; every repaired row
+ * is audited as BALANCE_CACHE_REPAIRED
+ *
+ * Request body (both optional, to narrow the repair):
+ * {
+ *   "userId": "user_001",
+ *   "assetCode": "GOLD_COIN"
+ * }
+ */
+router.post('/reconciliation/repair', validate(reconciliationRepairSchema), async (req, res) => {
+    try {
+        logger.info('Received balance cache repair', {
+            filters: req.body,
+            actor: req.auditContext.actor
+        });
+
+        const result = await reconciliationService.repair(req.body, req.auditContext);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Balance cache repair failed', {
+            error: error.message,
+            body: req.body,
+            actor: req.auditContext.actor
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/ledger-verification
+ * Scan the ledger for transactions that break the double-entry invariant:
+ * unbalanced debits and credits, user operations funded from the wrong
+ * system account, and completed transactions without entries
+ */
+router.get('/ledger-verification', validateQuery(ledgerVerificationQuerySchema), async (req, res) => {
+    try {
+        const result = await ledgerVerifier.scan({
+            ...req.query,
+            tenantId: req.auditContext.tenantId
+        });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Ledger verification failed', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/idempotency
+ * Idempotency log size by status, retention TTLs and purge job metrics
+ */
+router.get('/idempotency', async (req, res) => {
+    try {
+        const result = await idempotencyRetention.getStats(req.auditContext.tenantId);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Failed to get idempotency stats', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/api-keys
+ * List API keys (never their secrets), including revoked ones when
+ * includeRevoked=true
+ */
+router.get('/api-keys', validateQuery(apiKeyListSchema), async (req, res) => {
+    try {
+        const result = await apiKeyService.list(req.query.includeRevoked, req.auditContext.tenantId);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('API key list failed', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Issue an API key; the key itself is only returned in this response
+ *
+ * Request body:
+ * {
+ *   "name": "game-server-eu",
+ *   "scopes": ["wallet:read", "wallet:purchase"],
+ *   "expiresAt": "2025-01-01T00:00:00Z"
+ * }
+ */
+router.post('/api-keys', validate(apiKeyCreateSchema), async (req, res) => {
+    try {
+        const result = await apiKeyService.create(req.body, req.auditContext);
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('API key creation failed', {
+            error: error.message,
+            actor: req.auditContext.actor
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/api-keys/:id/rotate
+ * Replace a key with a new one with the same name and scopes; the old key
+ * keeps working for gracePeriodSeconds (default 0)
+ *
+ * Request body:
+ * {
+ *   "gracePeriodSeconds": 3600
+ * }
+ */
+router.post('/api-keys/:id/rotate', validate(apiKeyRotateSchema), async (req, res) => {
+    try {
+        const result = await apiKeyService.rotate(
+            req.params.id,
+            req.body.gracePeriodSeconds,
+            req.auditContext
+        );
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('API key rotation failed', {
+            error: error.message,
+            apiKeyId: req.params.id,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error.message.includes('not found') ? 404 :
+                          error.message.includes('already') ? 409 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/api-keys/:id/revoke
+ * Revoke a key immediately
+ */
+router.post('/api-keys/:id/revoke', async (req, res) => {
+    try {
+        const result = await apiKeyService.revoke(req.params.id, req.auditContext);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('API key revocation failed', {
+            error: error.message,
+            apiKeyId: req.params.id,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error.message.includes('not found') ? 404 :
+                          error.message.includes('already') ? 409 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/webhooks
+ * List webhook endpoints (never their secrets), including disabled ones when
+ * includeDisabled=true
+ */
+router.get('/webhooks', validateQuery(webhookEndpointListSchema), async (req, res) => {
+    try {
+        const result = await webhookService.listEndpoints(
+            req.query.includeDisabled,
+            req.auditContext.tenantId
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Webhook endpoint list failed', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/webhooks
+ * Register a webhook endpoint; its signing secret is only returned in this
+ * response
+ *
+ * Request body:
+ * {
+ *   "url": "https://inventory.internal/wallet-events",
+ *   "eventTypes": ["PURCHASE", "REFUND"]
+ * }
+ */
+router.post('/webhooks', validate(webhookEndpointCreateSchema), async (req, res) => {
+    try {
+        const result = await webhookService.createEndpoint(req.body, req.auditContext);
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Webhook endpoint creation failed', {
+            error: error.message,
+            actor: req.auditContext.actor
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:id
+ * Disable an endpoint; its pending deliveries are dead-lettered
+ */
+router.delete('/webhooks/:id', async (req, res) => {
+    try {
+        const result = await webhookService.disableEndpoint(req.params.id, req.auditContext);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Webhook endpoint disable failed', {
+            error: error.message,
+            endpointId: req.params.id,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error.message.includes('not found') ? 404 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/webhook-deliveries
+ * List deliveries, optionally by status (e.g. dead_letter), endpoint or
+ * transaction
+ */
+router.get('/webhook-deliveries', validateQuery(webhookDeliveryListSchema), async (req, res) => {
+    try {
+        const result = await webhookService.listDeliveries(req.query, req.auditContext.tenantId);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Webhook delivery list failed', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/webhook-deliveries/:id/replay
+ * Send a delivered or dead-lettered delivery again, with a fresh attempt budget
+ */
+router.post('/webhook-deliveries/:id/replay', async (req, res) => {
+    try {
+        const result = await webhookService.replayDelivery(req.params.id, req.auditContext);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Webhook delivery replay failed', {
+            error: error.message,
+            deliveryId: req.params.id,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error.message.includes('not found') ? 404 :
+                          error.message.includes('already') ||
+                          error.message.includes('cannot be replayed') ? 409 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Stream an export as a download
+ * Filter errors are answered as JSON; once the file has started, a failure
+ * aborts the response, so the file arrives without its trailer
+ */
+function sendExport(kind) {
+    return async (req, res) => {
+        let plan;
+
+        try {
+            plan = await exportService.plan(kind, req.query, req.auditContext.tenantId);
+        } catch (error) {
+            logger.error('Export failed', {
+                error: error.message,
+                kind
+            });
+
+            return res.status(error.message.includes('not found') ? 404 : 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        logger.info('Export started', {
+            kind,
+            query: req.query,
+            actor: req.auditContext.actor
+        });
+
+        res.status(200).set({
+            'Content-Type': plan.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+            'Content-Disposition': `attachment; filename="${plan.filename}"`
+        });
+
+        pipeline(Readable.from(exportService.stream(plan)), res, (error) => {
+            if (error) {
+                // Includes clients that disconnect before the end
+                logger.warn('Export aborted', {
+                    error: error.message,
+                    kind
+                });
+            }
+        });
+    };
+}
+
+/**
+ * GET /api/admin/exports/ledger-entries
+ * Ledger entries posted in [from, to), as CSV or NDJSON with a checksum trailer
+ *
+ * Query params:
+ * - from: ISO date, inclusive
+ * - to (optional, default now): ISO date, exclusive
+ * - accountType (optional): e.g. USER, SYSTEM_TREASURY
+ * - assetCode (optional)
+ * - format (optional, default csv): csv or ndjson
+ */
+router.get('/exports/ledger-entries', validateQuery(exportQuerySchema), sendExport('ledger-entries'));
+
+/**
+ * GET /api/admin/exports/transactions
+ * Transactions created in [from, to), as CSV or NDJSON with a checksum
+ * trailer; accountType and assetCode keep transactions with at least one
+ * matching ledger entry
+ */
+router.get('/exports/transactions', validateQuery(exportQuerySchema), sendExport('transactions'));
+
+/**
+ * GET /api/admin/reports/trial-balance
+ * The stored end-of-day close of a business date: opening and closing
+ * balances, debits, credits and transaction counts per asset and account
+ * type, and whether each asset's total supply was conserved
+ *
+ * Query params:
+ * - date: business date (UTC), e.g. 2024-02-14
+ */
+router.get('/reports/trial-balance', validateQuery(businessDateSchema), async (req, res) => {
+    try {
+        const date = req.query.date;
+        const result = await dailyCloseService.getTrialBalance(date, req.auditContext.tenantId);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Trial balance failed', {
+            error: error.message,
+            query: req.query
+        });
+
+        const statusCode = error.message.includes('not found') ? 404 :
+                          error.message.includes('Invalid business date') ? 400 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/reports/daily-close
+ * Close an ended business date now instead of waiting for the daily close
+ * job, e.g. to backfill a day it missed. A day is closed only once.
+ *
+ * Request body:
+ * {
+ *   "date": "2024-02-14"
+ * }
+ */
+router.post('/reports/daily-close', validate(businessDateSchema), async (req, res) => {
+    try {
+        const date = req.body.date;
+
+        logger.info('Received daily close', {
+            date,
+            actor: req.auditContext.actor
+        });
+
+        const result = await dailyCloseService.close(date, req.auditContext);
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Daily close failed', {
+            error: error.message,
+            body: req.body,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error.message.includes('already closed') ? 409 :
+                          error.message.includes('has not ended') ? 400 :
+                          error.message.includes('Invalid business date') ? 400 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
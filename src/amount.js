@@ -0,0 +1,138 @@
+/**
+ * Exact decimal amounts
+ *
+ * Ledger amounts are DECIMAL(20, 8). Inside the service they are handled as
+ * BigInt counts of ledger units (10^-8) and they leave it as decimal strings,
+ * so no amount ever passes through a JavaScript float. Requests may send
+ * amounts as strings or JSON numbers; both are parsed digit by digit.
+ */
+
+const LEDGER_DECIMALS = 8;
+const RATE_DECIMALS = 12; // exchange_rates.rate is DECIMAL(30, 12)
+const DECIMAL_PATTERN = /^(-)?(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Parse a decimal string or number into a BigInt scaled by 10^scale
+ * Throws when the value has more than `scale` significant decimal places
+ *
+ * @param {string|number} value - Decimal value
+ * @param {number} scale - Number of decimal places kept
+ * @returns {bigint} value * 10^scale
+ */
+function parseDecimal(value, scale) {
+  const text =
+    typeof value === "number"
+      ? value.toLocaleString("en-US", {
+          useGrouping: false,
+          maximumFractionDigits: 20,
+        })
+      : String(value).trim();
+
+  const match = DECIMAL_PATTERN.exec(text);
+
+  if (!match) {
+    throw new Error(`Invalid amount ${value}`);
+  }
+
+  const [, sign, whole, fraction = ""] = match;
+  const significant = fraction.replace(/0+$/, "");
+
+  if (significant.length > scale) {
+    throw new Error(`Amount ${value} has more than ${scale} decimal places`);
+  }
+
+  const scaled =
+    BigInt(whole) * 10n ** BigInt(scale) +
+    BigInt(significant.padEnd(scale, "0") || "0");
+
+  return sign ? -scaled : scaled;
+}
+
+/**
+ * Format a BigInt scaled by 10^scale as a decimal string without trailing zeros
+ *
+ * @param {bigint} scaled - value * 10^scale
+ * @param {number} scale - Number of decimal places in scaled
+ * @returns {string} Decimal string, e.g. "12.5"
+ */
+function formatDecimal(scaled, scale) {
+  const negative = scaled < 0n;
+  const digits = (negative ? -scaled : scaled)
+    .toString()
+    .padStart(scale + 1, "0");
+  const whole = digits.slice(0, digits.length - scale);
+  const fraction = digits.slice(digits.length - scale).replace(/0+$/, "");
+
+  return `${negative ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`;
+}
+
+/**
+ * Parse an amount into ledger units
+ *
+ * @param {string|number} value - Amount
+ * @param {number} [decimals] - Decimal places allowed (an asset's asset_types.decimals)
+ * @returns {bigint} Amount in ledger units
+ */
+function toUnits(value, decimals = LEDGER_DECIMALS) {
+  const units = parseDecimal(value, LEDGER_DECIMALS);
+
+  if (decimals < LEDGER_DECIMALS) {
+    parseDecimal(value, decimals);
+  }
+
+  return units;
+}
+
+/**
+ * Format ledger units as a decimal string
+ */
+function fromUnits(units) {
+  return formatDecimal(units, LEDGER_DECIMALS);
+}
+
+/**
+ * Canonical decimal string for an amount, e.g. "100.00000000" -> "100"
+ */
+function normalize(value) {
+  return fromUnits(toUnits(value));
+}
+
+/**
+ * Parse an amount for an asset, rejecting precision beyond asset_types.decimals
+ *
+ * @param {string|number} value - Amount
+ * @param {object} asset - asset_types row (code, decimals)
+ * @returns {bigint} Amount in ledger units
+ */
+function toAssetUnits(value, asset) {
+  try {
+    return toUnits(value, asset.decimals);
+  } catch (error) {
+    if (error.message.includes("decimal places")) {
+      throw new Error(
+        `Amount ${value} has more decimal places than ${asset.code} allows (${asset.decimals})`,
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Round ledger units down to an asset's precision
+ */
+function truncateToAsset(units, asset) {
+  const step = 10n ** BigInt(LEDGER_DECIMALS - asset.decimals);
+  return units - (units % step);
+}
+
+module.exports = {
+  LEDGER_DECIMALS,
+  RATE_DECIMALS,
+  parseDecimal,
+  formatDecimal,
+  toUnits,
+  fromUnits,
+  normalize,
+  toAssetUnits,
+  truncateToAsset,
+};
@@ -0,0 +1,97 @@
+const express = require('express');
+const analyticsService = require('./analyticsService');
+const logger = require('./logger');
+const {
+    analyticsQuerySchema,
+    revenueQuerySchema,
+    topItemsQuerySchema,
+    supplyQuerySchema,
+    validateQuery
+} = require('./validation');
+
+const router = express.Router();
+
+/**
+ * Answer a dashboard query from the analytics rollups
+ * An unknown assetCode is a 404
+ */
+function sendReport(name, report) {
+    return async (req, res) => {
+        try {
+            const result = await report(req.query, req.auditContext.tenantId);
+
+            res.status(200).json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Analytics query failed', {
+                error: error.message,
+                report: name,
+                query: req.query
+            });
+
+            res.status(error.message.includes('not found') ? 404 : 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    };
+}
+
+/**
+ * GET /api/analytics/revenue
+ * Revenue credited to SYSTEM_REVENUE per asset and day, week or month:
+ * gross, refunded (refunds and reversals) and net
+ *
+ * Query params:
+ * - from: first day, e.g. 2024-02-01
+ * - to (optional, default today): last day, included
+ * - interval (optional, default day): day, week or month
+ * - assetCode (optional)
+ */
+router.get('/revenue', validateQuery(revenueQuerySchema),
+    sendReport('revenue', (query, tenantId) => analyticsService.getRevenue(query, tenantId)));
+
+/**
+ * GET /api/analytics/bonus-outflow
+ * Bonus pool outflow per campaign (metadata.campaign of bonuses) and asset
+ *
+ * Query params: from, to, assetCode (as for revenue)
+ */
+router.get('/bonus-outflow', validateQuery(analyticsQuerySchema),
+    sendReport('bonus-outflow', (query, tenantId) => analyticsService.getBonusOutflow(query, tenantId)));
+
+/**
+ * GET /api/analytics/top-ups
+ * Top-up volume per payment method (metadata.paymentMethod) and asset
+ *
+ * Query params: from, to, assetCode (as for revenue)
+ */
+router.get('/top-ups', validateQuery(analyticsQuerySchema),
+    sendReport('top-ups', (query, tenantId) => analyticsService.getTopUpVolume(query, tenantId)));
+
+/**
+ * GET /api/analytics/top-items
+ * Most purchased items (metadata.itemId of purchases and hold captures) by
+ * revenue, net of refunds
+ *
+ * Query params: from, to, assetCode (as for revenue), and
+ * - limit (optional, default 10, max 100)
+ */
+router.get('/top-items', validateQuery(topItemsQuerySchema),
+    sendReport('top-items', (query, tenantId) => analyticsService.getTopItems(query, tenantId)));
+
+/**
+ * GET /api/analytics/supply
+ * Circulating supply per asset (user wallets and escrow), total supply, and
+ * the balance held by each account type
+ *
+ * Query params:
+ * - assetCode (optional)
+ */
+router.get('/supply', validateQuery(supplyQuerySchema),
+    sendReport('supply', (query, tenantId) => analyticsService.getCirculatingSupply(query, tenantId)));
+
+module.exports = router;
@@ -0,0 +1,412 @@
+const { pool } = require("./db");
+const logger = require("./logger");
+const { toUnits, fromUnits, normalize } = require("./amount");
+
+// Account types whose balances are in players' hands: wallets, and funds
+// held from them in escrow
+const CIRCULATING_ACCOUNT_TYPES = ["USER", "SYSTEM_ESCROW"];
+
+// Transaction metadata field each breakdown is keyed by, and the name it is
+// returned under
+const BREAKDOWN_FIELDS = {
+  campaign: "campaign",
+  payment_method: "paymentMethod",
+  item: "itemId",
+};
+
+/**
+ * Analytics Service
+ * Economy dashboards, read from daily rollups of the ledger
+ *
+ * Rollups are maintained incrementally rather than aggregated from
+ * ledger_entries on every request. postEntries queues each transaction in
+ * analytics_pending alongside its entries; rollUp, run by the
+ * analytics-rollup job, adds a batch of queued transactions to
+ * analytics_daily_flows and analytics_daily_breakdowns and dequeues them in
+ * the same database transaction. The dashboards therefore trail the ledger
+ * by up to one job interval, and each query reads at most one row per day
+ * and key however large the ledger grows.
+ *
+ * Days are UTC. A period's from and to are both included.
+ */
+class AnalyticsService {
+  /**
+   * Queue a transaction's ledger entries for the rollups
+   *
+   * @param {object} client - Database client inside the posting transaction
+   * @param {string} transactionId - Transaction whose entries were posted
+   */
+  async queue(client, transactionId) {
+    await client.query(
+      `INSERT INTO analytics_pending (transaction_id) VALUES ($1)
+             ON CONFLICT (transaction_id) DO NOTHING`,
+      [transactionId],
+    );
+  }
+
+  /**
+   * Add a batch of queued transactions to the rollups
+   * Called periodically by the analytics rollup job. Batches are claimed
+   * with SKIP LOCKED, so concurrent runs on several instances take different
+   * transactions.
+   *
+   * @param {number} batchSize - Maximum transactions rolled up per run
+   * @returns {Promise<number>} Number of transactions rolled up
+   */
+  async rollUp(batchSize = 500) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const claimed = await client.query(
+        `DELETE FROM analytics_pending
+                 WHERE transaction_id IN (
+                   SELECT transaction_id FROM analytics_pending
+                   ORDER BY created_at
+                   LIMIT $1
+                   FOR UPDATE SKIP LOCKED
+                 )
+                 RETURNING transaction_id`,
+        [batchSize],
+      );
+      const transactionIds = claimed.rows.map((row) => row.transaction_id);
+
+      if (transactionIds.length > 0) {
+        await this._rollUpFlows(client, transactionIds);
+        await this._rollUpBreakdowns(client, transactionIds);
+      }
+
+      await client.query("COMMIT");
+
+      if (transactionIds.length > 0) {
+        logger.info("Analytics rollups updated", {
+          transactions: transactionIds.length,
+        });
+      }
+
+      return transactionIds.length;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Revenue credited to SYSTEM_REVENUE per asset and period
+   *
+   * @param {object} params
+   * @param {string} params.interval - 'day', 'week' (from Monday) or 'month'
+   * @param {Date} params.from - First day
+   * @param {Date} params.to - Last day
+   * @param {string} [params.assetCode] - Only this asset
+   * @param {string} tenantId - Tenant whose revenue is read
+   * @returns {Promise<object>} { interval, from, to, revenue }
+   */
+  async getRevenue({ interval, from, to, assetCode }, tenantId) {
+    const client = await pool.connect();
+
+    try {
+      const assetTypeId = await this._getAssetTypeId(
+        client,
+        assetCode,
+        tenantId,
+      );
+
+      const result = await client.query(
+        `SELECT to_char(date_trunc($2, f.day::timestamp), 'YYYY-MM-DD') as period,
+                        at.code as asset_code,
+                        SUM(f.credits) as credits, SUM(f.debits) as debits
+                 FROM analytics_daily_flows f
+                 JOIN account_types act ON f.account_type_id = act.id
+                 JOIN asset_types at ON f.asset_type_id = at.id
+                 WHERE f.tenant_id = $1 AND act.code = 'SYSTEM_REVENUE'
+                   AND f.day >= $3 AND f.day <= $4
+                   AND ($5::uuid IS NULL OR f.asset_type_id = $5)
+                 GROUP BY 1, at.code
+                 ORDER BY 1, at.code`,
+        [tenantId, interval, this._day(from), this._day(to), assetTypeId],
+      );
+
+      return {
+        interval,
+        from: this._day(from),
+        to: this._day(to),
+        revenue: result.rows.map((row) => ({
+          period: row.period,
+          assetCode: row.asset_code,
+          gross: normalize(row.credits),
+          // Refunds and reversals of revenue
+          refunded: normalize(row.debits),
+          net: fromUnits(toUnits(row.credits) - toUnits(row.debits)),
+        })),
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Bonus pool outflow per campaign (metadata.campaign of BONUS transactions)
+   *
+   * @param {object} params - { from, to, assetCode }
+   * @param {string} tenantId - Tenant whose bonuses are read
+   * @returns {Promise<object>} { from, to, campaigns }
+   */
+  async getBonusOutflow(params, tenantId) {
+    const { from, to, rows } = await this._getBreakdown(
+      "campaign",
+      params,
+      tenantId,
+    );
+
+    return { from, to, campaigns: rows };
+  }
+
+  /**
+   * Top-up volume per payment method (metadata.paymentMethod of TOP_UP
+   * transactions)
+   *
+   * @param {object} params - { from, to, assetCode }
+   * @param {string} tenantId - Tenant whose top-ups are read
+   * @returns {Promise<object>} { from, to, paymentMethods }
+   */
+  async getTopUpVolume(params, tenantId) {
+    const { from, to, rows } = await this._getBreakdown(
+      "payment_method",
+      params,
+      tenantId,
+    );
+
+    return { from, to, paymentMethods: rows };
+  }
+
+  /**
+   * Items by revenue (metadata.itemId of PURCHASE and HOLD_CAPTURE
+   * transactions), highest first
+   *
+   * @param {object} params - { from, to, assetCode, limit }
+   * @param {string} tenantId - Tenant whose purchases are read
+   * @returns {Promise<object>} { from, to, items }
+   */
+  async getTopItems(params, tenantId) {
+    const { from, to, rows } = await this._getBreakdown(
+      "item",
+      params,
+      tenantId,
+    );
+
+    return { from, to, items: rows };
+  }
+
+  /**
+   * Supply per asset: circulating (user wallets and escrow) and in total,
+   * with the balance held by each account type
+   *
+   * @param {object} params
+   * @param {string} [params.assetCode] - Only this asset
+   * @param {string} tenantId - Tenant whose supply is read
+   * @returns {Promise<object>} { supply }
+   */
+  async getCirculatingSupply({ assetCode }, tenantId) {
+    const client = await pool.connect();
+
+    try {
+      const assetTypeId = await this._getAssetTypeId(
+        client,
+        assetCode,
+        tenantId,
+      );
+
+      const result = await client.query(
+        `SELECT at.code as asset_code, act.code as account_type,
+                        SUM(f.credits) - SUM(f.debits) as balance
+                 FROM analytics_daily_flows f
+                 JOIN account_types act ON f.account_type_id = act.id
+                 JOIN asset_types at ON f.asset_type_id = at.id
+                 WHERE f.tenant_id = $1
+                   AND ($2::uuid IS NULL OR f.asset_type_id = $2)
+                 GROUP BY at.code, act.code
+                 ORDER BY at.code, act.code`,
+        [tenantId, assetTypeId],
+      );
+
+      const assets = new Map();
+
+      for (const row of result.rows) {
+        if (!assets.has(row.asset_code)) {
+          assets.set(row.asset_code, {
+            circulating: 0n,
+            total: 0n,
+            byAccountType: {},
+          });
+        }
+
+        const asset = assets.get(row.asset_code);
+        const balance = toUnits(row.balance);
+
+        if (CIRCULATING_ACCOUNT_TYPES.includes(row.account_type)) {
+          asset.circulating += balance;
+        }
+        asset.total += balance;
+        asset.byAccountType[row.account_type] = normalize(row.balance);
+      }
+
+      return {
+        supply: [...assets].map(([code, asset]) => ({
+          assetCode: code,
+          circulatingSupply: fromUnits(asset.circulating),
+          totalSupply: fromUnits(asset.total),
+          byAccountType: asset.byAccountType,
+        })),
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add the entries of claimed transactions to analytics_daily_flows
+   * Rows are upserted in key order, so concurrent runs do not deadlock
+   */
+  async _rollUpFlows(client, transactionIds) {
+    await client.query(
+      `INSERT INTO analytics_daily_flows (tenant_id, day, asset_type_id, account_type_id, credits, debits)
+             SELECT a.tenant_id, le.created_at::date, le.asset_type_id, a.account_type_id,
+                    SUM(CASE WHEN le.entry_type = 'credit' THEN le.amount ELSE 0 END),
+                    SUM(CASE WHEN le.entry_type = 'debit' THEN le.amount ELSE 0 END)
+             FROM ledger_entries le
+             JOIN accounts a ON le.account_id = a.id
+             WHERE le.transaction_id = ANY($1::uuid[])
+             GROUP BY 1, 2, 3, 4
+             ORDER BY 1, 2, 3, 4
+             ON CONFLICT (tenant_id, day, asset_type_id, account_type_id) DO UPDATE SET
+               credits = analytics_daily_flows.credits + EXCLUDED.credits,
+               debits = analytics_daily_flows.debits + EXCLUDED.debits`,
+      [transactionIds],
+    );
+  }
+
+  /**
+   * Add the entries of claimed transactions to analytics_daily_breakdowns
+   * Each breakdown follows one account type's entries for one transaction
+   * type, signed so that its usual direction counts up. Refunds and
+   * reversals take the transaction type and metadata of the transaction
+   * they compensate, so they net against it; only the original is counted
+   * in transactions.
+   */
+  async _rollUpBreakdowns(client, transactionIds) {
+    await client.query(
+      `INSERT INTO analytics_daily_breakdowns (tenant_id, breakdown, day, asset_type_id, value,
+                                                      amount, transactions)
+             SELECT a.tenant_id, b.breakdown, le.created_at::date, le.asset_type_id,
+                    COALESCE(o.metadata->>b.metadata_key, ''),
+                    SUM(CASE WHEN le.entry_type = b.entry_type THEN le.amount ELSE -le.amount END),
+                    COUNT(DISTINCT le.transaction_id) FILTER (WHERE o.id = t.id)
+             FROM ledger_entries le
+             JOIN accounts a ON le.account_id = a.id
+             JOIN account_types act ON a.account_type_id = act.id
+             JOIN transactions t ON le.transaction_id = t.id
+             JOIN transaction_types tt ON t.transaction_type_id = tt.id
+             JOIN transactions o ON o.id = CASE WHEN tt.code IN ('REFUND', 'REVERSAL')
+                                                THEN t.parent_transaction_id ELSE t.id END
+             JOIN transaction_types ott ON o.transaction_type_id = ott.id
+             JOIN (VALUES
+                    ('campaign', 'BONUS', 'SYSTEM_BONUS', 'debit', 'campaign'),
+                    ('payment_method', 'TOP_UP', 'USER', 'credit', 'paymentMethod'),
+                    ('item', 'PURCHASE', 'SYSTEM_REVENUE', 'credit', 'itemId'),
+                    ('item', 'HOLD_CAPTURE', 'SYSTEM_REVENUE', 'credit', 'itemId')
+                  ) b(breakdown, transaction_type, account_type, entry_type, metadata_key)
+               ON ott.code = b.transaction_type AND act.code = b.account_type
+             WHERE le.transaction_id = ANY($1::uuid[])
+             GROUP BY 1, 2, 3, 4, 5
+             ORDER BY 1, 2, 3, 4, 5
+             ON CONFLICT (tenant_id, breakdown, day, asset_type_id, value) DO UPDATE SET
+               amount = analytics_daily_breakdowns.amount + EXCLUDED.amount,
+               transactions = analytics_daily_breakdowns.transactions + EXCLUDED.transactions`,
+      [transactionIds],
+    );
+  }
+
+  /**
+   * One breakdown over a period, per value and asset, highest amount first
+   */
+  async _getBreakdown(
+    breakdown,
+    { from, to, assetCode, limit = null },
+    tenantId,
+  ) {
+    const client = await pool.connect();
+
+    try {
+      const assetTypeId = await this._getAssetTypeId(
+        client,
+        assetCode,
+        tenantId,
+      );
+
+      const result = await client.query(
+        `SELECT b.value, at.code as asset_code,
+                        SUM(b.amount) as amount, SUM(b.transactions) as transactions
+                 FROM analytics_daily_breakdowns b
+                 JOIN asset_types at ON b.asset_type_id = at.id
+                 WHERE b.tenant_id = $1 AND b.breakdown = $2
+                   AND b.day >= $3 AND b.day <= $4
+                   AND ($5::uuid IS NULL OR b.asset_type_id = $5)
+                 GROUP BY b.value, at.code
+                 ORDER BY SUM(b.amount) DESC, b.value, at.code
+                 LIMIT $6`,
+        [
+          tenantId,
+          breakdown,
+          this._day(from),
+          this._day(to),
+          assetTypeId,
+          limit,
+        ],
+      );
+
+      return {
+        from: this._day(from),
+        to: this._day(to),
+        rows: result.rows.map((row) => ({
+          // null for transactions without the metadata field
+          [BREAKDOWN_FIELDS[breakdown]]: row.value === "" ? null : row.value,
+          assetCode: row.asset_code,
+          amount: normalize(row.amount),
+          transactions: parseInt(row.transactions),
+        })),
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  async _getAssetTypeId(client, assetCode, tenantId) {
+    if (!assetCode) {
+      return null;
+    }
+
+    const result = await client.query(
+      "SELECT id FROM asset_types WHERE tenant_id = $1 AND code = $2",
+      [tenantId, assetCode],
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Asset type ${assetCode} not found`);
+    }
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * UTC date of a Date, YYYY-MM-DD
+   */
+  _day(date) {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,329 @@
+const crypto = require("crypto");
+const { validate: isUuid } = require("uuid");
+const { pool, executeWithRetry } = require("./db");
+const logger = require("./logger");
+const postingEngine = require("./postingEngine");
+
+const KEY_PREFIX = "wk_";
+const DISPLAY_PREFIX_LENGTH = 10;
+
+/**
+ * API Key Service
+ * Issues, rotates and revokes API keys and resolves a presented key
+ *
+ * A key is shown once, when it is created or rotated; only its SHA-256 hash
+ * is stored. Each key also gets a signing secret for HMAC-signed requests
+ * (see requestSigning.js), shown alongside it. Keys are random 192-bit values, so the hash is looked up
+ * directly. Every change is written to audit_log.
+ *
+ * Keys issued through the API belong to the caller's tenant, and a tenant
+ * only sees and manages its own keys. Platform keys (no tenant) are issued
+ * from the command line.
+ */
+class ApiKeyService {
+  /**
+   * Resolve a presented key to an active, unexpired API key
+   * Records the time of use
+   *
+   * @param {string} key - Key from the Authorization header
+   * @returns {Promise<object|null>} { id, tenant_id, name, scopes,
+   *   signing_secret, require_signature }, or null if not valid; keys of a
+   *   deactivated tenant are not valid
+   */
+  async authenticate(key) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+                 WHERE key_hash = $1
+                   AND status = 'active'
+                   AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+                   AND (tenant_id IS NULL
+                        OR tenant_id IN (SELECT id FROM tenants WHERE is_active = true))
+                 RETURNING id, tenant_id, name, scopes, signing_secret, require_signature`,
+        [this._hashKey(key)],
+      );
+
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Issue a new API key
+   *
+   * @param {object} params
+   * @param {string} params.name - What the key is for (e.g. 'game-server')
+   * @param {Array<string>} params.scopes - Granted scopes
+   * @param {Date} [params.expiresAt] - When the key stops working
+   * @param {boolean} [params.requireSignature] - Reject unsigned requests
+   * @param {object} context - Tenant the key is for, and operator attribution
+   *   (tenantId, actor, ipAddress, userAgent); no tenantId issues a platform key
+   * @returns {Promise<object>} The key, including its secret and signing secret
+   */
+  async create(
+    { name, scopes, expiresAt = null, requireSignature = false },
+    context = {},
+  ) {
+    return await postingEngine.runInTransaction(async (client) => {
+      const apiKey = await this._insertKey(client, {
+        tenantId: context.tenantId || null,
+        name,
+        scopes,
+        expiresAt,
+        requireSignature,
+        createdBy: context.actor,
+      });
+
+      await postingEngine.createAuditLog(
+        client,
+        null,
+        null,
+        "API_KEY_CREATED",
+        { apiKeyId: apiKey.id, name, scopes, requireSignature },
+        context,
+      );
+
+      logger.info("API key created", {
+        apiKeyId: apiKey.id,
+        name,
+        scopes,
+        actor: context.actor,
+      });
+
+      return apiKey;
+    });
+  }
+
+  /**
+   * Replace a key with a new one carrying the same name, scopes and
+   * signature requirement, and a new signing secret
+   * The old key keeps working for gracePeriodSeconds, then stops
+   *
+   * @param {string} apiKeyId - Key to rotate
+   * @param {number} gracePeriodSeconds - Overlap during which both keys work
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The new key, including its secrets
+   */
+  async rotate(apiKeyId, gracePeriodSeconds = 0, context = {}) {
+    return await executeWithRetry(async () => {
+      return await postingEngine.runInTransaction((client) =>
+        this._rotateKey(client, apiKeyId, gracePeriodSeconds, context),
+      );
+    });
+  }
+
+  /**
+   * Revoke a key immediately
+   *
+   * @param {string} apiKeyId - Key to revoke
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The revoked key
+   */
+  async revoke(apiKeyId, context = {}) {
+    return await executeWithRetry(async () => {
+      return await postingEngine.runInTransaction((client) =>
+        this._revokeKey(client, apiKeyId, context),
+      );
+    });
+  }
+
+  /**
+   * List a tenant's API keys, newest first; secrets are never returned
+   *
+   * @param {boolean} includeRevoked - Include revoked keys
+   * @param {string} tenantId - Tenant whose keys are listed
+   */
+  async list(includeRevoked = false, tenantId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT * FROM api_keys
+                 WHERE tenant_id IS NOT DISTINCT FROM $2
+                   AND ($1 OR status = 'active')
+                 ORDER BY created_at DESC`,
+        [includeRevoked, tenantId || null],
+      );
+
+      return result.rows.map((row) => this._formatKey(row));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Issue the replacement key and retire the old one, under its row lock
+   */
+  async _rotateKey(client, apiKeyId, gracePeriodSeconds, context) {
+    const existing = await this._lockActiveKey(
+      client,
+      apiKeyId,
+      context.tenantId,
+    );
+
+    if (existing.replaced_by) {
+      throw new Error(
+        `API key ${apiKeyId} was already rotated to ${existing.replaced_by}`,
+      );
+    }
+
+    const apiKey = await this._insertKey(client, {
+      tenantId: existing.tenant_id,
+      name: existing.name,
+      scopes: existing.scopes,
+      expiresAt: existing.expires_at,
+      requireSignature: existing.require_signature,
+      createdBy: context.actor,
+    });
+
+    await client.query(
+      `UPDATE api_keys
+               SET replaced_by = $2,
+                   status = CASE WHEN $3::int = 0 THEN 'revoked' ELSE status END,
+                   revoked_at = CASE WHEN $3::int = 0 THEN CURRENT_TIMESTAMP ELSE revoked_at END,
+                   expires_at = CASE WHEN $3::int = 0 THEN expires_at
+                                     ELSE LEAST(COALESCE(expires_at, 'infinity'),
+                                                CURRENT_TIMESTAMP + make_interval(secs => $3::int))
+                                END
+               WHERE id = $1`,
+      [apiKeyId, apiKey.id, gracePeriodSeconds],
+    );
+
+    await postingEngine.createAuditLog(
+      client,
+      null,
+      null,
+      "API_KEY_ROTATED",
+      { apiKeyId, replacedBy: apiKey.id, gracePeriodSeconds },
+      context,
+    );
+
+    logger.info("API key rotated", {
+      apiKeyId,
+      replacedBy: apiKey.id,
+      gracePeriodSeconds,
+      actor: context.actor,
+    });
+
+    return { ...apiKey, replaces: apiKeyId };
+  }
+
+  /**
+   * Revoke a key under its row lock
+   */
+  async _revokeKey(client, apiKeyId, context) {
+    await this._lockActiveKey(client, apiKeyId, context.tenantId);
+
+    const result = await client.query(
+      `UPDATE api_keys SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP
+               WHERE id = $1
+               RETURNING *`,
+      [apiKeyId],
+    );
+
+    await postingEngine.createAuditLog(
+      client,
+      null,
+      null,
+      "API_KEY_REVOKED",
+      { apiKeyId },
+      context,
+    );
+
+    logger.info("API key revoked", { apiKeyId, actor: context.actor });
+
+    return this._formatKey(result.rows[0]);
+  }
+
+  /**
+   * Generate and store a key; the secrets are only returned here
+   */
+  async _insertKey(
+    client,
+    { tenantId, name, scopes, expiresAt, requireSignature, createdBy },
+  ) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const signingSecret = crypto.randomBytes(32).toString("hex");
+
+    const result = await client.query(
+      `INSERT INTO api_keys
+             (tenant_id, name, key_prefix, key_hash, scopes, signing_secret, require_signature, created_by, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+      [
+        tenantId,
+        name,
+        key.slice(0, DISPLAY_PREFIX_LENGTH),
+        this._hashKey(key),
+        scopes,
+        signingSecret,
+        requireSignature,
+        createdBy || null,
+        expiresAt,
+      ],
+    );
+
+    return { ...this._formatKey(result.rows[0]), key, signingSecret };
+  }
+
+  /**
+   * Lock an active key of the tenant for rotation or revocation
+   */
+  async _lockActiveKey(client, apiKeyId, tenantId) {
+    if (!isUuid(apiKeyId)) {
+      throw new Error(`API key ${apiKeyId} not found`);
+    }
+
+    const result = await client.query(
+      `SELECT * FROM api_keys
+             WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $2
+             FOR UPDATE`,
+      [apiKeyId, tenantId || null],
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`API key ${apiKeyId} not found`);
+    }
+
+    const apiKey = result.rows[0];
+
+    if (apiKey.status === "revoked") {
+      throw new Error(`API key ${apiKeyId} is already revoked`);
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Stored form of a key
+   */
+  _hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+
+  /**
+   * Shape an api_keys row for API responses
+   */
+  _formatKey(row) {
+    return {
+      id: row.id,
+      tenantId: row.tenant_id,
+      name: row.name,
+      keyPrefix: row.key_prefix,
+      scopes: row.scopes,
+      requireSignature: row.require_signature,
+      status: row.status,
+      createdBy: row.created_by,
+      replacedBy: row.replaced_by,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      createdAt: row.created_at,
+      revokedAt: row.revoked_at,
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,220 @@
+const logger = require('./logger');
+const apiKeyService = require('./apiKeyService');
+const requestSigning = require('./requestSigning');
+const tenantService = require('./tenantService');
+const { RequestSignatureError } = require('./errors');
+
+/**
+ * API key authentication middleware
+ * Every API request (except the health check) must present an API key as a
+ * bearer token. The key's id is recorded as the actor of everything the
+ * request does.
+ */
+async function authenticate(req, res, next) {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            success: false,
+            error: 'API key is required'
+        });
+    }
+
+    let apiKey;
+
+    try {
+        apiKey = await apiKeyService.authenticate(token);
+    } catch (error) {
+        logger.error('API key authentication failed', {
+            error: error.message
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Authentication failed'
+        });
+    }
+
+    if (!apiKey) {
+        logger.warn('Rejected API key', {
+            method: req.method,
+            url: req.url,
+            ip: req.ip
+        });
+
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid, expired or revoked API key'
+        });
+    }
+
+    req.apiKey = apiKey;
+
+    // Recorded in audit_log.actor, ip_address and user_agent
+    req.auditContext = {
+        actor: apiKey.id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+    };
+
+    next();
+}
+
+/**
+ * Verify the HMAC signature of a request from an authenticated API key
+ * Signing is optional unless the key has require_signature set, but a request
+ * that carries an X-Signature header is always verified. Failures return 401
+ * with a code naming the check that failed.
+ */
+async function verifySignature(req, res, next) {
+    const signature = req.get('x-signature');
+
+    if (!signature && !req.apiKey.require_signature) {
+        return next();
+    }
+
+    try {
+        await requestSigning.verify(req.apiKey, {
+            method: req.method,
+            path: req.originalUrl,
+            timestamp: req.get('x-signature-timestamp'),
+            nonce: req.get('x-signature-nonce'),
+            signature,
+            body: req.rawBody
+        });
+    } catch (error) {
+        if (error instanceof RequestSignatureError) {
+            logger.warn('Rejected request signature', {
+                code: error.code,
+                apiKeyId: req.apiKey.id,
+                method: req.method,
+                url: req.url,
+                ip: req.ip
+            });
+
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+
+        logger.error('Request signature verification failed', {
+            error: error.message
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Signature verification failed'
+        });
+    }
+
+    next();
+}
+
+/**
+ * Resolve the tenant a request acts for
+ * A key bound to a tenant always acts for that tenant; an X-Tenant header
+ * naming any other tenant is refused. A platform key (no tenant) must name
+ * the tenant in X-Tenant. The tenant's id is added to req.auditContext, which
+ * scopes every service call the request makes.
+ */
+async function resolveTenant(req, res, next) {
+    const tenantCode = req.get('x-tenant');
+    let tenant;
+
+    if (!req.apiKey.tenant_id && !tenantCode) {
+        return res.status(400).json({
+            success: false,
+            error: 'X-Tenant header is required for platform API keys'
+        });
+    }
+
+    try {
+        tenant = tenantCode ? await tenantService.findActiveByCode(tenantCode) : null;
+    } catch (error) {
+        logger.error('Tenant resolution failed', {
+            error: error.message
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Tenant resolution failed'
+        });
+    }
+
+    if (req.apiKey.tenant_id) {
+        if (tenantCode && (!tenant || tenant.id !== req.apiKey.tenant_id)) {
+            logger.warn('API key used for another tenant', {
+                apiKeyId: req.apiKey.id,
+                tenantCode,
+                method: req.method,
+                url: req.url
+            });
+
+            return res.status(403).json({
+                success: false,
+                error: `API key is not valid for tenant ${tenantCode}`
+            });
+        }
+    } else if (!tenant) {
+        return res.status(404).json({
+            success: false,
+            error: `Tenant ${tenantCode} not found`
+        });
+    }
+
+    req.auditContext.tenantId = req.apiKey.tenant_id || tenant.id;
+
+    next();
+}
+
+/**
+ * Only allow platform API keys (keys not bound to a tenant)
+ * Used for tenant management, which spans tenants
+ */
+function requirePlatformKey(req, res, next) {
+    if (req.apiKey.tenant_id) {
+        return res.status(403).json({
+            success: false,
+            error: 'Only platform API keys can manage tenants'
+        });
+    }
+
+    next();
+}
+
+/**
+ * Require the authenticated API key to hold a scope
+ * 'admin:*' grants the admin endpoints only; it does not imply wallet scopes
+ *
+ * @param {string} scope - e.g. 'wallet:topup'
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiKey.scopes.includes(scope)) {
+            logger.warn('API key lacks required scope', {
+                apiKeyId: req.apiKey.id,
+                scope,
+                method: req.method,
+                url: req.url
+            });
+
+            return res.status(403).json({
+                success: false,
+                error: `API key does not have the ${scope} scope`
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    authenticate,
+    verifySignature,
+    resolveTenant,
+    requirePlatformKey,
+    requireScope
+};
@@ -0,0 +1,328 @@
+const { EventEmitter } = require("events");
+const { pool } = require("./db");
+const logger = require("./logger");
+const { normalize } = require("./amount");
+
+// Notified, with the transaction id, when a transaction's ledger entries commit
+const CHANNEL = "ledger_posted";
+const REPLAY_BATCH_SIZE = 500;
+
+// Emitted to every subscriber when the LISTEN connection is lost or closed
+const LISTENER_LOST = "listener-lost";
+
+/**
+ * Balance Events
+ * Live balance updates for users' wallets, fed by Postgres LISTEN/NOTIFY
+ *
+ * The posting engine notifies CHANNEL from inside the posting transaction, so
+ * the notification is delivered on commit and never for a rolled-back
+ * attempt. One dedicated connection per process listens and, for each
+ * notification, reads the transaction's user ledger entries and hands them to
+ * the subscribers of those accounts.
+ *
+ * Each ledger entry on the wallet becomes a balance.changed event whose id is
+ * its entry_seq, preceded by one transaction.completed event (without an id)
+ * per transaction. Accounts are locked while entries are posted, so a
+ * wallet's entry_seq order is its commit order, and a subscriber resuming
+ * from an entry_seq is replayed everything after it from the ledger. A
+ * transaction.completed event may be repeated on resumption; balance.changed
+ * events are not.
+ */
+class BalanceEvents {
+  constructor() {
+    this._emitter = new EventEmitter();
+    this._emitter.setMaxListeners(0);
+    this._listener = null;
+    this._connecting = null;
+    // Notifications are handled one at a time, in commit order
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Announce a posted transaction; delivered when the transaction commits
+   *
+   * @param {object} client - Database client inside the posting transaction
+   * @param {string} transactionId - Transaction whose entries were posted
+   */
+  async notifyPosted(client, transactionId) {
+    await client.query("SELECT pg_notify($1, $2)", [CHANNEL, transactionId]);
+  }
+
+  /**
+   * Wallet account of a user in a tenant
+   *
+   * @returns {Promise<string|null>} Account id, or null if the user has no wallet
+   */
+  async findAccount(tenantId, userId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        "SELECT id FROM accounts WHERE tenant_id = $1 AND user_id = $2",
+        [tenantId, userId],
+      );
+
+      return result.rows.length > 0 ? result.rows[0].id : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stream a wallet's events
+   * With lastEventId, entries posted after it are replayed from the ledger
+   * first; live events arriving meanwhile are held and sent after the replay.
+   *
+   * @param {string} accountId - Wallet account
+   * @param {string|null} lastEventId - entry_seq of the last event received
+   * @param {object} handlers
+   * @param {Function} handlers.send - ({ id, event, data }) => void
+   * @param {Function} handlers.end - Called if the stream can no longer be
+   *   fed; the client should reconnect with its last event id
+   * @returns {Promise<Function>} Unsubscribe
+   */
+  async subscribe(accountId, lastEventId, { send, end }) {
+    await this._listen();
+
+    let lastSeq = lastEventId === null ? 0n : BigInt(lastEventId);
+    let lastTransactionId = null;
+    let held = [];
+
+    const deliver = (rows) => {
+      for (const row of rows) {
+        const seq = BigInt(row.entry_seq);
+
+        if (seq <= lastSeq) {
+          continue;
+        }
+
+        if (row.transaction_id !== lastTransactionId) {
+          send({
+            event: "transaction.completed",
+            data: this._formatTransaction(row),
+          });
+          lastTransactionId = row.transaction_id;
+        }
+
+        send({
+          id: row.entry_seq,
+          event: "balance.changed",
+          data: this._formatEntry(row),
+        });
+        lastSeq = seq;
+      }
+    };
+
+    const onEntries = (rows) => (held ? held.push(rows) : deliver(rows));
+    const unsubscribe = () => {
+      this._emitter.off(accountId, onEntries);
+      this._emitter.off(LISTENER_LOST, end);
+    };
+
+    this._emitter.on(accountId, onEntries);
+    this._emitter.on(LISTENER_LOST, end);
+
+    try {
+      if (lastEventId !== null) {
+        for (;;) {
+          const rows = await this._entriesSince(accountId, lastSeq);
+          deliver(rows);
+
+          if (rows.length < REPLAY_BATCH_SIZE) {
+            break;
+          }
+        }
+      }
+    } catch (error) {
+      unsubscribe();
+      throw error;
+    }
+
+    for (const rows of held) {
+      deliver(rows);
+    }
+    held = null;
+
+    return unsubscribe;
+  }
+
+  /**
+   * Stop listening and end every open stream
+   * Called on shutdown so open streams do not hold the HTTP server open
+   */
+  close() {
+    this._emitter.emit(LISTENER_LOST);
+
+    if (this._listener) {
+      // Destroyed rather than returned to the pool, where it would keep listening
+      this._listener.release(true);
+      this._listener = null;
+    }
+  }
+
+  /**
+   * Start the LISTEN connection if it is not running
+   */
+  async _listen() {
+    if (this._listener) {
+      return;
+    }
+
+    if (!this._connecting) {
+      this._connecting = this._connect().finally(() => {
+        this._connecting = null;
+      });
+    }
+
+    await this._connecting;
+  }
+
+  /**
+   * Take a pool connection for LISTEN; it is held until it fails or close()
+   */
+  async _connect() {
+    const client = await pool.connect();
+
+    client.on("notification", (message) => {
+      this._queue = this._queue.then(() =>
+        this._onNotification(message.payload).catch((error) => {
+          logger.error("Failed to publish balance events", {
+            transactionId: message.payload,
+            error: error.message,
+          });
+        }),
+      );
+    });
+
+    client.on("error", (error) => {
+      logger.error("Balance event listener lost its connection", {
+        error: error.message,
+      });
+
+      if (this._listener === client) {
+        this._listener = null;
+        client.release(error);
+        // Subscribers reconnect and resume from the ledger
+        this._emitter.emit(LISTENER_LOST);
+      }
+    });
+
+    try {
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (error) {
+      client.release(error);
+      throw error;
+    }
+
+    this._listener = client;
+    logger.info("Balance event listener started", { channel: CHANNEL });
+  }
+
+  /**
+   * Hand a committed transaction's user entries to their subscribers
+   */
+  async _onNotification(transactionId) {
+    if (this._emitter.eventNames().every((name) => name === LISTENER_LOST)) {
+      return;
+    }
+
+    const client = await pool.connect();
+    let rows;
+
+    try {
+      const result = await client.query(
+        `${this._entryQuery()}
+                 WHERE le.transaction_id = $1 AND a.user_id IS NOT NULL
+                 ORDER BY le.entry_seq`,
+        [transactionId],
+      );
+      rows = result.rows;
+    } finally {
+      client.release();
+    }
+
+    const byAccount = new Map();
+
+    for (const row of rows) {
+      if (!byAccount.has(row.account_id)) {
+        byAccount.set(row.account_id, []);
+      }
+      byAccount.get(row.account_id).push(row);
+    }
+
+    for (const [accountId, accountRows] of byAccount) {
+      this._emitter.emit(accountId, accountRows);
+    }
+  }
+
+  /**
+   * Next batch of a wallet's entries after an entry_seq
+   */
+  async _entriesSince(accountId, lastSeq) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `${this._entryQuery()}
+                 WHERE le.account_id = $1 AND le.entry_seq > $2
+                 ORDER BY le.entry_seq
+                 LIMIT $3`,
+        [accountId, lastSeq.toString(), REPLAY_BATCH_SIZE],
+      );
+
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Ledger entries with their asset and transaction, for events
+   */
+  _entryQuery() {
+    return `SELECT le.entry_seq, le.transaction_id, le.account_id, le.entry_type, le.amount,
+                        le.running_balance, le.created_at, at.code as asset_code,
+                        tt.code as type_code, t.status, t.amount as transaction_amount,
+                        tat.code as transaction_asset_code, t.description, t.completed_at
+                 FROM ledger_entries le
+                 JOIN accounts a ON le.account_id = a.id
+                 JOIN asset_types at ON le.asset_type_id = at.id
+                 JOIN transactions t ON le.transaction_id = t.id
+                 JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                 LEFT JOIN asset_types tat ON t.asset_type_id = tat.id`;
+  }
+
+  /**
+   * transaction.completed event data
+   */
+  _formatTransaction(row) {
+    return {
+      transactionId: row.transaction_id,
+      type: row.type_code,
+      status: row.status,
+      assetCode: row.transaction_asset_code,
+      amount:
+        row.transaction_amount === null
+          ? null
+          : normalize(row.transaction_amount),
+      description: row.description,
+      completedAt: row.completed_at,
+    };
+  }
+
+  /**
+   * balance.changed event data
+   */
+  _formatEntry(row) {
+    return {
+      transactionId: row.transaction_id,
+      assetCode: row.asset_code,
+      entryType: row.entry_type,
+      amount: normalize(row.amount),
+      balance: normalize(row.running_balance),
+      timestamp: row.created_at,
+    };
+  }
+}
+
+module.exports = new BalanceEvents();
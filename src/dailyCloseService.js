@@ -0,0 +1,415 @@
+const { pool, executeWithRetry } = require("./db");
+const logger = require("./logger");
+const postingEngine = require("./postingEngine");
+const { toUnits, fromUnits, normalize } = require("./amount");
+
+// A day is closed only this long after it ends, so that postings begun
+// before midnight have committed
+const DAILY_CLOSE_GRACE_MS = parseInt(
+  process.env.DAILY_CLOSE_GRACE_MS || "300000",
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Daily Close Service
+ * End-of-day trial balance, kept as an immutable snapshot per business date
+ *
+ * Business dates are UTC days. Once a day has ended, its close sums the
+ * tenant's ledger per asset and account type: the opening balance (every
+ * entry before the day), the day's debits and credits, the closing balance,
+ * and how many transactions of each type touched those accounts. The lines
+ * and the verdict are written once and never changed; closing a day twice is
+ * refused.
+ *
+ * An asset's supply is its balance summed over every account type - the
+ * treasury, revenue, bonus, reserve and escrow accounts and the users'
+ * wallets. Balanced postings only move it between accounts; only an
+ * issuance, a single-sided credit to the treasury, adds to it. So a day
+ * conserves supply when its credits equal its debits plus what it issued and
+ * it opens with the supply the previous day's close ended with. Any other
+ * single-sided entry, or a ledger rewritten after the previous close, shows
+ * up as supply that was not conserved and is logged as an error.
+ */
+class DailyCloseService {
+  /**
+   * Close a business date
+   *
+   * @param {string} date - Business date, YYYY-MM-DD (UTC)
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The trial balance
+   */
+  async close(date, context = {}) {
+    const end = this._parseDate(date) + DAY_MS;
+
+    if (end + DAILY_CLOSE_GRACE_MS > Date.now()) {
+      throw new Error(`Business date ${date} has not ended`);
+    }
+
+    return await executeWithRetry(async () => {
+      return await postingEngine.runInTransaction(async (client) => {
+        const lines = await this._computeLines(client, context.tenantId, date);
+        const previous = await this._previousClosingSupply(
+          client,
+          context.tenantId,
+          date,
+        );
+        const supply = this._supply(lines, previous);
+        const supplyConserved = supply.every((asset) => asset.conserved);
+
+        const inserted = await client.query(
+          `INSERT INTO daily_closes (tenant_id, business_date, supply, supply_conserved, closed_by)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (tenant_id, business_date) DO NOTHING
+                 RETURNING *, to_char(business_date, 'YYYY-MM-DD') as business_day`,
+          [
+            context.tenantId,
+            date,
+            JSON.stringify(supply),
+            supplyConserved,
+            context.actor || null,
+          ],
+        );
+
+        if (inserted.rows.length === 0) {
+          throw new Error(`Business date ${date} is already closed`);
+        }
+
+        const dailyClose = inserted.rows[0];
+
+        for (const line of lines) {
+          await client.query(
+            `INSERT INTO daily_close_lines (close_id, asset_type_id, account_type_id, opening_balance,
+                                                   total_debits, total_credits, closing_balance, transaction_counts)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [
+              dailyClose.id,
+              line.asset_type_id,
+              line.account_type_id,
+              line.opening_balance,
+              line.total_debits,
+              line.total_credits,
+              line.closing_balance,
+              JSON.stringify(line.transaction_counts),
+            ],
+          );
+        }
+
+        await postingEngine.createAuditLog(
+          client,
+          null,
+          null,
+          "DAILY_CLOSE",
+          { businessDate: date, supplyConserved, lines: lines.length },
+          context,
+        );
+
+        if (!supplyConserved) {
+          logger.error("Daily close found supply not conserved", {
+            tenantId: context.tenantId,
+            businessDate: date,
+            assets: supply
+              .filter((asset) => !asset.conserved)
+              .map((asset) => asset.assetCode),
+          });
+        }
+
+        logger.info("Business date closed", {
+          tenantId: context.tenantId,
+          businessDate: date,
+          supplyConserved,
+          actor: context.actor,
+        });
+
+        return this._formatClose(dailyClose, lines);
+      });
+    });
+  }
+
+  /**
+   * The stored trial balance of a closed business date
+   *
+   * @param {string} date - Business date, YYYY-MM-DD (UTC)
+   * @param {string} tenantId - Tenant whose close is read
+   * @returns {Promise<object>} The trial balance
+   */
+  async getTrialBalance(date, tenantId) {
+    this._parseDate(date);
+
+    const client = await pool.connect();
+
+    try {
+      const closes = await client.query(
+        `SELECT *, to_char(business_date, 'YYYY-MM-DD') as business_day
+                 FROM daily_closes
+                 WHERE tenant_id = $1 AND business_date = $2`,
+        [tenantId, date],
+      );
+
+      if (closes.rows.length === 0) {
+        throw new Error(`Daily close for ${date} not found`);
+      }
+
+      const lines = await client.query(
+        `SELECT dcl.*, at.code as asset_code, act.code as account_type
+                 FROM daily_close_lines dcl
+                 JOIN asset_types at ON dcl.asset_type_id = at.id
+                 JOIN account_types act ON dcl.account_type_id = act.id
+                 WHERE dcl.close_id = $1
+                 ORDER BY at.code, act.code`,
+        [closes.rows[0].id],
+      );
+
+      return this._formatClose(closes.rows[0], lines.rows);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Close every ended business date not yet closed, for every active tenant
+   * Called periodically by the daily close job. A tenant's first close is
+   * the day of its first ledger entry; after that each run continues from
+   * its last close, so days missed while the job was not running are caught
+   * up.
+   *
+   * @returns {Promise<number>} Number of business dates closed
+   */
+  async closeDueDays() {
+    const client = await pool.connect();
+    let tenants;
+
+    try {
+      const result = await client.query(
+        `SELECT t.id,
+                        to_char(COALESCE(
+                          (SELECT MAX(dc.business_date) + 1 FROM daily_closes dc
+                           WHERE dc.tenant_id = t.id),
+                          (SELECT MIN(le.created_at)::date FROM ledger_entries le
+                           JOIN accounts a ON le.account_id = a.id
+                           WHERE a.tenant_id = t.id)
+                        ), 'YYYY-MM-DD') as next_date
+                 FROM tenants t
+                 WHERE t.is_active = true`,
+      );
+      tenants = result.rows;
+    } finally {
+      client.release();
+    }
+
+    const lastEnded = new Date(Date.now() - DAILY_CLOSE_GRACE_MS - DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+    let closed = 0;
+
+    for (const { id: tenantId, next_date: nextDate } of tenants) {
+      let date = nextDate;
+
+      try {
+        while (date !== null && date <= lastEnded) {
+          await this.close(date, { tenantId, actor: "system" });
+          closed++;
+          date = new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS)
+            .toISOString()
+            .slice(0, 10);
+        }
+      } catch (error) {
+        // e.g. a day closed by a request meanwhile; the next run continues
+        // after the last close
+        logger.error("Failed to close business date", {
+          error: error.message,
+          tenantId,
+          businessDate: date,
+        });
+      }
+    }
+
+    if (closed > 0) {
+      logger.info("Closed business dates", { closed });
+    }
+
+    return closed;
+  }
+
+  /**
+   * Start of a business date, in epoch milliseconds
+   * Refuses anything but a calendar date, e.g. 2026-02-30 or abc
+   */
+  _parseDate(date) {
+    const start = Date.parse(`${date}T00:00:00Z`);
+
+    if (
+      Number.isNaN(start) ||
+      new Date(start).toISOString().slice(0, 10) !== date
+    ) {
+      throw new Error(`Invalid business date ${date}`);
+    }
+
+    return start;
+  }
+
+  /**
+   * Trial balance lines of a day, from the ledger
+   * One per asset and account type with entries before the day ends
+   */
+  async _computeLines(client, tenantId, date) {
+    const balances = await client.query(
+      `SELECT le.asset_type_id, at.code as asset_code,
+                        a.account_type_id, act.code as account_type,
+                        COALESCE(SUM(CASE WHEN le.created_at >= $2::date THEN 0
+                                          WHEN le.entry_type = 'credit' THEN le.amount
+                                          ELSE -le.amount END), 0) as opening_balance,
+                        COALESCE(SUM(CASE WHEN le.created_at >= $2::date AND le.entry_type = 'debit'
+                                          THEN le.amount ELSE 0 END), 0) as total_debits,
+                        COALESCE(SUM(CASE WHEN le.created_at >= $2::date AND le.entry_type = 'credit'
+                                          THEN le.amount ELSE 0 END), 0) as total_credits,
+                        COALESCE(SUM(CASE WHEN le.created_at >= $2::date AND le.entry_type = 'credit'
+                                           AND tt.code = 'ISSUANCE' AND act.code = 'SYSTEM_TREASURY'
+                                          THEN le.amount ELSE 0 END), 0) as total_issued
+                 FROM ledger_entries le
+                 JOIN accounts a ON le.account_id = a.id
+                 JOIN account_types act ON a.account_type_id = act.id
+                 JOIN asset_types at ON le.asset_type_id = at.id
+                 JOIN transactions t ON le.transaction_id = t.id
+                 JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                 WHERE a.tenant_id = $1 AND le.created_at < $2::date + 1
+                 GROUP BY le.asset_type_id, at.code, a.account_type_id, act.code
+                 ORDER BY at.code, act.code`,
+      [tenantId, date],
+    );
+
+    // Transactions of each type with an entry on the line's accounts
+    const counts = await client.query(
+      `SELECT le.asset_type_id, a.account_type_id, tt.code as type_code,
+                        COUNT(DISTINCT le.transaction_id) as count
+                 FROM ledger_entries le
+                 JOIN accounts a ON le.account_id = a.id
+                 JOIN transactions t ON le.transaction_id = t.id
+                 JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                 WHERE a.tenant_id = $1
+                   AND le.created_at >= $2::date AND le.created_at < $2::date + 1
+                 GROUP BY le.asset_type_id, a.account_type_id, tt.code
+                 ORDER BY tt.code`,
+      [tenantId, date],
+    );
+
+    const lines = new Map();
+
+    for (const row of balances.rows) {
+      const closing =
+        toUnits(row.opening_balance) +
+        toUnits(row.total_credits) -
+        toUnits(row.total_debits);
+
+      lines.set(`${row.asset_type_id}:${row.account_type_id}`, {
+        ...row,
+        closing_balance: fromUnits(closing),
+        transaction_counts: {},
+      });
+    }
+
+    for (const row of counts.rows) {
+      const line = lines.get(`${row.asset_type_id}:${row.account_type_id}`);
+      line.transaction_counts[row.type_code] = parseInt(row.count);
+    }
+
+    return [...lines.values()];
+  }
+
+  /**
+   * Closing supply per asset code from the previous day's close, if closed
+   */
+  async _previousClosingSupply(client, tenantId, date) {
+    const result = await client.query(
+      `SELECT supply FROM daily_closes
+             WHERE tenant_id = $1 AND business_date = $2::date - 1`,
+      [tenantId, date],
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Map(
+      result.rows[0].supply.map((asset) => [
+        asset.assetCode,
+        toUnits(asset.closingSupply),
+      ]),
+    );
+  }
+
+  /**
+   * Supply per asset across all account types, and whether it was conserved
+   */
+  _supply(lines, previous) {
+    const assets = new Map();
+
+    for (const line of lines) {
+      if (!assets.has(line.asset_code)) {
+        assets.set(line.asset_code, {
+          opening: 0n,
+          debits: 0n,
+          credits: 0n,
+          issued: 0n,
+        });
+      }
+
+      const asset = assets.get(line.asset_code);
+      asset.opening += toUnits(line.opening_balance);
+      asset.debits += toUnits(line.total_debits);
+      asset.credits += toUnits(line.total_credits);
+      asset.issued += toUnits(line.total_issued);
+    }
+
+    return [...assets].map(([assetCode, asset]) => {
+      const { opening, debits, credits, issued } = asset;
+      const previousClosing = previous ? previous.get(assetCode) || 0n : null;
+
+      return {
+        assetCode,
+        openingSupply: fromUnits(opening),
+        totalDebits: fromUnits(debits),
+        totalCredits: fromUnits(credits),
+        issued: fromUnits(issued),
+        closingSupply: fromUnits(opening + credits - debits),
+        previousClosingSupply:
+          previousClosing === null ? null : fromUnits(previousClosing),
+        conserved:
+          credits === debits + issued &&
+          (previousClosing === null || previousClosing === opening),
+      };
+    });
+  }
+
+  _formatClose(row, lines) {
+    return {
+      closeId: row.id,
+      businessDate: row.business_day,
+      supplyConserved: row.supply_conserved,
+      // Stored as JSONB, which does not keep key order
+      supply: row.supply.map((asset) => ({
+        assetCode: asset.assetCode,
+        openingSupply: asset.openingSupply,
+        totalDebits: asset.totalDebits,
+        totalCredits: asset.totalCredits,
+        issued: asset.issued,
+        closingSupply: asset.closingSupply,
+        previousClosingSupply: asset.previousClosingSupply,
+        conserved: asset.conserved,
+      })),
+      lines: lines.map((line) => ({
+        assetCode: line.asset_code,
+        accountType: line.account_type,
+        openingBalance: normalize(line.opening_balance),
+        totalDebits: normalize(line.total_debits),
+        totalCredits: normalize(line.total_credits),
+        closingBalance: normalize(line.closing_balance),
+        transactionCounts: line.transaction_counts,
+      })),
+      closedBy: row.closed_by,
+      closedAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new DailyCloseService();
@@ -1,6 +1,15 @@
-const { Pool } = require('pg');
+const { Pool, types, defaults } = require('pg');
 const logger = require('./logger');
 
+// Timestamps without time zone (e.g. ledger_entries.created_at) hold UTC
+// wall-clock time, since every session runs in UTC (see below). Read them
+// as UTC rather than in the process's local time zone
+types.setTypeParser(types.builtins.TIMESTAMP, (value) => new Date(`${value}Z`));
+
+// ...and write Date parameters (statement windows, balance-at timestamps) as
+// UTC too: a local time's offset is dropped when cast to such a column
+defaults.parseInputDatesAsUTC = true;
+
 // Database connection pool configuration
 // Optimized for high-concurrency workloads with proper connection management
 const pool = new Pool({
@@ -20,6 +29,10 @@ const pool = new Pool({
     
     // Statement timeout to prevent long-running queries
     statement_timeout: 30000,
+
+    // Run every session in UTC, so CURRENT_TIMESTAMP defaults and ::date
+    // casts follow the UTC business days of closes, statements and analytics
+    options: '-c TimeZone=UTC',
     
     // Keepalive settings for stable connections
     keepAlive: true,
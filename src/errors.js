@@ -0,0 +1,67 @@
+/**
+ * Errors that carry their own HTTP status
+ * Routes still map most failures by message; these are raised where callers
+ * need to tell the case apart reliably
+ */
+
+/**
+ * An idempotency key was reused for a different request
+ */
+class IdempotencyConflictError extends Error {
+  constructor(idempotencyKey) {
+    super(
+      `Idempotency key ${idempotencyKey} was already used for a different request`,
+    );
+    this.name = "IdempotencyConflictError";
+    this.status = 409;
+    this.idempotencyKey = idempotencyKey;
+  }
+}
+
+/**
+ * A request with the same idempotency key is still being processed
+ * retryAfter is the number of seconds to wait before retrying
+ */
+class IdempotencyInProgressError extends Error {
+  constructor(idempotencyKey, retryAfter = 1) {
+    super(`Request with idempotency key ${idempotencyKey} is still in progress`);
+    this.name = "IdempotencyInProgressError";
+    this.status = 409;
+    this.idempotencyKey = idempotencyKey;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * A signed request failed verification
+ * code tells the client which check failed: SIGNATURE_REQUIRED,
+ * SIGNATURE_INVALID, SIGNATURE_EXPIRED or NONCE_REUSED
+ */
+class RequestSignatureError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "RequestSignatureError";
+    this.status = 401;
+    this.code = code;
+  }
+}
+
+/**
+ * A user's wallet is frozen or closed and cannot take part in the operation
+ */
+class AccountStatusError extends Error {
+  constructor(userId, status) {
+    super(`User account ${userId} is ${status}`);
+    this.name = "AccountStatusError";
+    this.status = 409;
+    this.userId = userId;
+    this.accountStatus = status;
+  }
+}
+
+module.exports = {
+  IdempotencyConflictError,
+  IdempotencyInProgressError,
+  RequestSignatureError,
+  AccountStatusError,
+};
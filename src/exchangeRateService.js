@@ -0,0 +1,281 @@
+const { validate: isUuid } = require("uuid");
+const { pool } = require("./db");
+const logger = require("./logger");
+const { RATE_DECIMALS, parseDecimal, formatDecimal } = require("./amount");
+
+/**
+ * Exchange Rate Service
+ * Manages the configurable conversion rates used by cross-asset exchanges
+ *
+ * Rate rows are immutable: setting a new rate deactivates the previous row
+ * for that pair and inserts a new one, holding a lock on the pair. A rate row's id therefore doubles as
+ * a quote id - a client that quoted a rate can require that exact row when
+ * exchanging, and is refused if the rate has changed in the meantime.
+ *
+ * Rates belong to the tenant that owns their assets.
+ */
+class ExchangeRateService {
+  /**
+   * List exchange rates
+   *
+   * @param {object} filters - fromAssetCode, toAssetCode, includeInactive
+   * @param {string} tenantId - Tenant whose rates are listed
+   */
+  async listRates(
+    { fromAssetCode, toAssetCode, includeInactive = false } = {},
+    tenantId,
+  ) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT er.id, er.rate, er.is_active, er.created_by, er.created_at, er.deactivated_at,
+                        fa.code as from_asset_code, ta.code as to_asset_code
+                 FROM exchange_rates er
+                 JOIN asset_types fa ON er.from_asset_type_id = fa.id
+                 JOIN asset_types ta ON er.to_asset_type_id = ta.id
+                 WHERE fa.tenant_id = $4
+                   AND ($1::text IS NULL OR fa.code = $1)
+                   AND ($2::text IS NULL OR ta.code = $2)
+                   AND ($3 OR er.is_active = true)
+                 ORDER BY fa.code, ta.code, er.created_at DESC`,
+        [fromAssetCode || null, toAssetCode || null, includeInactive, tenantId],
+      );
+
+      return {
+        rates: result.rows.map((row) => this._formatRate(row)),
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Set the rate for an asset pair, superseding the current one
+   *
+   * @param {string} fromAssetCode - Source asset
+   * @param {string} toAssetCode - Target asset
+   * @param {string|number} rate - Units of target asset per unit of source asset
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The new rate
+   */
+  async setRate(fromAssetCode, toAssetCode, rate, context = {}) {
+    if (fromAssetCode === toAssetCode) {
+      throw new Error("Cannot set an exchange rate between the same asset");
+    }
+
+    if (parseDecimal(rate, RATE_DECIMALS) <= 0n) {
+      throw new Error("Rate must be positive");
+    }
+
+    rate = this._formatRateValue(rate);
+
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const assets = await this._getAssetIds(
+        client,
+        [fromAssetCode, toAssetCode],
+        context.tenantId,
+      );
+
+      // One change to a pair at a time: concurrent updates would otherwise
+      // both find the same active rate to supersede, and both insert one.
+      // A row lock cannot cover a pair that has no active rate yet
+      await client.query(
+        "SELECT pg_advisory_xact_lock(hashtext($1::text || '>' || $2::text))",
+        [assets[fromAssetCode], assets[toAssetCode]],
+      );
+
+      // Supersede the active rate for this pair
+      const previous = await client.query(
+        `UPDATE exchange_rates
+                 SET is_active = false, deactivated_at = CURRENT_TIMESTAMP
+                 WHERE from_asset_type_id = $1 AND to_asset_type_id = $2 AND is_active = true
+                 RETURNING id, rate`,
+        [assets[fromAssetCode], assets[toAssetCode]],
+      );
+
+      const result = await client.query(
+        `INSERT INTO exchange_rates (from_asset_type_id, to_asset_type_id, rate, created_by)
+                 VALUES ($1, $2, $3, $4)
+                 RETURNING id, rate, is_active, created_by, created_at, deactivated_at`,
+        [
+          assets[fromAssetCode],
+          assets[toAssetCode],
+          rate,
+          context.actor || null,
+        ],
+      );
+
+      await this._createAuditLog(client, "EXCHANGE_RATE_SET", context, {
+        fromAssetCode,
+        toAssetCode,
+        rate,
+        rateId: result.rows[0].id,
+        previousRateId: previous.rows[0] ? previous.rows[0].id : null,
+        previousRate: previous.rows[0]
+          ? this._formatRateValue(previous.rows[0].rate)
+          : null,
+      });
+
+      await client.query("COMMIT");
+
+      logger.info("Exchange rate set", {
+        fromAssetCode,
+        toAssetCode,
+        rate,
+        actor: context.actor,
+      });
+
+      return this._formatRate({
+        ...result.rows[0],
+        from_asset_code: fromAssetCode,
+        to_asset_code: toAssetCode,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Deactivate a rate; its pair can no longer be exchanged until a new rate is set
+   *
+   * @param {string} rateId - Rate identifier
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   */
+  async deactivateRate(rateId, context = {}) {
+    if (!isUuid(rateId)) {
+      throw new Error(`Exchange rate ${rateId} not found`);
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `UPDATE exchange_rates
+                 SET is_active = false, deactivated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND is_active = true
+                   AND from_asset_type_id IN (SELECT id FROM asset_types WHERE tenant_id = $2)
+                 RETURNING id`,
+        [rateId, context.tenantId],
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Exchange rate ${rateId} not found or already inactive`);
+      }
+
+      await this._createAuditLog(client, "EXCHANGE_RATE_DISABLED", context, {
+        rateId,
+      });
+
+      await client.query("COMMIT");
+
+      logger.info("Exchange rate deactivated", {
+        rateId,
+        actor: context.actor,
+      });
+
+      return { rateId, isActive: false };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the active rate for a pair inside an open transaction
+   * The row is share-locked so it cannot be superseded mid-exchange
+   *
+   * @param {object} client - Database client inside a transaction
+   * @param {string} fromAssetTypeId - Source asset type id
+   * @param {string} toAssetTypeId - Target asset type id
+   * @returns {Promise<object|null>} Rate row ({ id, rate }) or null
+   */
+  async getActiveRate(client, fromAssetTypeId, toAssetTypeId) {
+    const result = await client.query(
+      `SELECT id, rate FROM exchange_rates
+             WHERE from_asset_type_id = $1 AND to_asset_type_id = $2 AND is_active = true
+             FOR SHARE`,
+      [fromAssetTypeId, toAssetTypeId],
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Resolve asset codes in a tenant's catalogue to ids, failing on unknown codes
+   */
+  async _getAssetIds(client, assetCodes, tenantId) {
+    const result = await client.query(
+      `SELECT id, code FROM asset_types
+             WHERE tenant_id = $2 AND code = ANY($1) AND is_active = true`,
+      [assetCodes, tenantId],
+    );
+
+    const ids = {};
+    for (const row of result.rows) {
+      ids[row.code] = row.id;
+    }
+
+    for (const code of assetCodes) {
+      if (!ids[code]) {
+        throw new Error(`Asset type ${code} not found`);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Audit a rate change
+   */
+  async _createAuditLog(client, action, context, requestData) {
+    await client.query(
+      `INSERT INTO audit_log (tenant_id, action, actor, ip_address, user_agent, request_data)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        context.tenantId || null,
+        action,
+        context.actor || null,
+        context.ipAddress || null,
+        context.userAgent || null,
+        JSON.stringify(requestData),
+      ],
+    );
+  }
+
+  /**
+   * Shape an exchange_rates row for API responses
+   */
+  _formatRate(row) {
+    return {
+      rateId: row.id,
+      fromAssetCode: row.from_asset_code,
+      toAssetCode: row.to_asset_code,
+      rate: this._formatRateValue(row.rate),
+      isActive: row.is_active,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      deactivatedAt: row.deactivated_at,
+    };
+  }
+
+  /**
+   * Canonical decimal string for a rate, e.g. "100.000000000000" -> "100"
+   */
+  _formatRateValue(rate) {
+    return formatDecimal(parseDecimal(rate, RATE_DECIMALS), RATE_DECIMALS);
+  }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,350 @@
+const crypto = require("crypto");
+const { pool } = require("./db");
+const logger = require("./logger");
+const { normalize } = require("./amount");
+
+// Rows fetched from the database cursor at a time
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE || "1000");
+
+/**
+ * Column layouts, in file order. CSV headers and NDJSON keys use these names;
+ * columns are only ever appended, never reordered or renamed.
+ */
+const LEDGER_ENTRY_COLUMNS = [
+  "entry_seq",
+  "entry_id",
+  "created_at",
+  "transaction_id",
+  "transaction_type",
+  "account_id",
+  "account_type",
+  "user_id",
+  "asset_code",
+  "entry_type",
+  "amount",
+  "running_balance",
+  "description",
+];
+
+const TRANSACTION_COLUMNS = [
+  "transaction_id",
+  "created_at",
+  "completed_at",
+  "transaction_type",
+  "status",
+  "asset_code",
+  "amount",
+  "parent_transaction_id",
+  "idempotency_key",
+  "description",
+];
+
+/**
+ * Export Service
+ * Bulk extracts of ledger entries and transactions for accounting
+ *
+ * An export is planned first - its filters resolved, so an unknown asset or
+ * account type is reported before anything is sent - then streamed from a
+ * server-side cursor inside one REPEATABLE READ snapshot, a batch at a time,
+ * so memory use does not grow with the period exported.
+ *
+ * Every file ends with a trailer: the row count and per-asset totals computed
+ * by the database over the same snapshot and filters, and the SHA-256 of all
+ * bytes before the trailer. A reader checks a file by hashing it up to the
+ * trailer and summing its rows against the totals.
+ */
+class ExportService {
+  /**
+   * Resolve an export's filters
+   *
+   * @param {string} kind - 'ledger-entries' or 'transactions'
+   * @param {object} params
+   * @param {Date} params.from - Start, inclusive
+   * @param {Date} params.to - End, exclusive
+   * @param {string} [params.accountType] - Only entries on accounts of this type
+   *   (transactions: with at least one such entry)
+   * @param {string} [params.assetCode] - Only entries in this asset
+   *   (transactions: with at least one such entry)
+   * @param {string} params.format - 'csv' or 'ndjson'
+   * @param {string} tenantId - Tenant whose ledger is exported
+   * @returns {Promise<object>} Plan for stream(), with its filename
+   */
+  async plan(kind, { from, to, accountType, assetCode, format }, tenantId) {
+    const client = await pool.connect();
+
+    try {
+      let accountTypeId = null;
+      let assetTypeId = null;
+
+      if (accountType) {
+        const result = await client.query(
+          "SELECT id FROM account_types WHERE code = $1",
+          [accountType],
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error(`Account type ${accountType} not found`);
+        }
+
+        accountTypeId = result.rows[0].id;
+      }
+
+      if (assetCode) {
+        const result = await client.query(
+          "SELECT id FROM asset_types WHERE tenant_id = $1 AND code = $2",
+          [tenantId, assetCode],
+        );
+
+        if (result.rows.length === 0) {
+          throw new Error(`Asset type ${assetCode} not found`);
+        }
+
+        assetTypeId = result.rows[0].id;
+      }
+
+      const day = (date) => date.toISOString().slice(0, 10);
+
+      return {
+        kind,
+        format,
+        tenantId,
+        from,
+        to,
+        accountTypeId,
+        assetTypeId,
+        filename: `${kind}-${day(from)}-${day(to)}.${format}`,
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stream a planned export: header (CSV), rows, then the trailer
+   * Abandoning the iteration (e.g. the client disconnected) rolls the
+   * snapshot back and releases its connection.
+   *
+   * @param {object} plan - From plan()
+   * @returns {AsyncGenerator<string>} File chunks
+   */
+  async *stream(plan) {
+    const { columns, rowsQuery, totalsQuery, formatRow } =
+      plan.kind === "ledger-entries"
+        ? this._ledgerEntryExport()
+        : this._transactionExport();
+    const params = [
+      plan.tenantId,
+      plan.from,
+      plan.to,
+      plan.accountTypeId,
+      plan.assetTypeId,
+    ];
+    const hash = crypto.createHash("sha256");
+    const hashed = (text) => {
+      hash.update(text);
+      return text;
+    };
+    const client = await pool.connect();
+    let finished = false;
+    let rows = 0;
+
+    try {
+      await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+
+      const totals = await client.query(totalsQuery, params);
+      await client.query(
+        `DECLARE export_rows NO SCROLL CURSOR FOR ${rowsQuery}`,
+        params,
+      );
+
+      if (plan.format === "csv") {
+        yield hashed(this._csvLine(columns));
+      }
+
+      for (;;) {
+        const batch = await client.query(
+          `FETCH ${EXPORT_BATCH_SIZE} FROM export_rows`,
+        );
+
+        if (batch.rows.length === 0) {
+          break;
+        }
+
+        rows += batch.rows.length;
+        yield hashed(
+          batch.rows
+            .map((row) => {
+              const values = formatRow(row);
+
+              return plan.format === "csv"
+                ? this._csvLine(columns.map((column) => values[column]))
+                : `${JSON.stringify(values)}\n`;
+            })
+            .join(""),
+        );
+      }
+
+      await client.query("COMMIT");
+      finished = true;
+
+      yield this._trailer(plan.format, {
+        rows,
+        totals: totals.rows.map((row) => ({
+          assetCode: row.asset_code,
+          debits: normalize(row.debits),
+          credits: normalize(row.credits),
+        })),
+        sha256: hash.digest("hex"),
+      });
+
+      logger.info("Export completed", {
+        kind: plan.kind,
+        format: plan.format,
+        tenantId: plan.tenantId,
+        rows,
+      });
+    } finally {
+      try {
+        if (!finished) {
+          await client.query("ROLLBACK");
+        }
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * One ledger entry per row; totals are debits and credits per asset
+   */
+  _ledgerEntryExport() {
+    const from = `FROM ledger_entries le
+                 JOIN accounts a ON le.account_id = a.id
+                 JOIN account_types act ON a.account_type_id = act.id
+                 JOIN asset_types at ON le.asset_type_id = at.id
+                 JOIN transactions t ON le.transaction_id = t.id
+                 JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                 WHERE a.tenant_id = $1
+                   AND le.created_at >= $2 AND le.created_at < $3
+                   AND ($4::uuid IS NULL OR a.account_type_id = $4)
+                   AND ($5::uuid IS NULL OR le.asset_type_id = $5)`;
+
+    return {
+      columns: LEDGER_ENTRY_COLUMNS,
+      rowsQuery: `SELECT le.*, tt.code as transaction_type, act.code as account_type,
+                        a.user_id, at.code as asset_code
+                 ${from}
+                 ORDER BY le.entry_seq`,
+      totalsQuery: `SELECT at.code as asset_code,
+                        SUM(CASE WHEN le.entry_type = 'debit' THEN le.amount ELSE 0 END) as debits,
+                        SUM(CASE WHEN le.entry_type = 'credit' THEN le.amount ELSE 0 END) as credits
+                 ${from}
+                 GROUP BY at.code
+                 ORDER BY at.code`,
+      formatRow: (row) => ({
+        entry_seq: row.entry_seq,
+        entry_id: row.id,
+        created_at: row.created_at.toISOString(),
+        transaction_id: row.transaction_id,
+        transaction_type: row.transaction_type,
+        account_id: row.account_id,
+        account_type: row.account_type,
+        user_id: row.user_id,
+        asset_code: row.asset_code,
+        entry_type: row.entry_type,
+        amount: normalize(row.amount),
+        running_balance: normalize(row.running_balance),
+        description: row.description,
+      }),
+    };
+  }
+
+  /**
+   * One transaction per row; totals are the ledger debits and credits of
+   * the exported transactions per asset (equal when they balance)
+   */
+  _transactionExport() {
+    const from = `FROM transactions t
+                 WHERE t.tenant_id = $1
+                   AND t.created_at >= $2 AND t.created_at < $3
+                   AND (($4::uuid IS NULL AND $5::uuid IS NULL) OR EXISTS (
+                     SELECT 1 FROM ledger_entries le
+                     JOIN accounts a ON le.account_id = a.id
+                     WHERE le.transaction_id = t.id
+                       AND ($4::uuid IS NULL OR a.account_type_id = $4)
+                       AND ($5::uuid IS NULL OR le.asset_type_id = $5)
+                   ))`;
+
+    return {
+      columns: TRANSACTION_COLUMNS,
+      rowsQuery: `SELECT t.*, tt.code as transaction_type, at.code as asset_code
+                 FROM (SELECT t.* ${from}) t
+                 JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                 LEFT JOIN asset_types at ON t.asset_type_id = at.id
+                 ORDER BY t.created_at, t.id`,
+      totalsQuery: `SELECT at.code as asset_code,
+                        SUM(CASE WHEN le.entry_type = 'debit' THEN le.amount ELSE 0 END) as debits,
+                        SUM(CASE WHEN le.entry_type = 'credit' THEN le.amount ELSE 0 END) as credits
+                 FROM (SELECT t.id ${from}) t
+                 JOIN ledger_entries le ON le.transaction_id = t.id
+                 JOIN asset_types at ON le.asset_type_id = at.id
+                 GROUP BY at.code
+                 ORDER BY at.code`,
+      formatRow: (row) => ({
+        transaction_id: row.id,
+        created_at: row.created_at.toISOString(),
+        completed_at: row.completed_at ? row.completed_at.toISOString() : null,
+        transaction_type: row.transaction_type,
+        status: row.status,
+        asset_code: row.asset_code,
+        amount: row.amount === null ? null : normalize(row.amount),
+        parent_transaction_id: row.parent_transaction_id,
+        idempotency_key: row.idempotency_key,
+        description: row.description,
+      }),
+    };
+  }
+
+  /**
+   * CSV trailer lines start with '#'; NDJSON ends with one trailer object
+   */
+  _trailer(format, { rows, totals, sha256 }) {
+    if (format === "ndjson") {
+      return `${JSON.stringify({ trailer: { rows, totals, sha256 } })}\n`;
+    }
+
+    return [
+      `#rows,${rows}`,
+      ...totals.map(
+        (total) => `#total,${total.assetCode},${total.debits},${total.credits}`,
+      ),
+      `#sha256,${sha256}`,
+    ]
+      .map((line) => `${line}\n`)
+      .join("");
+  }
+
+  /**
+   * One CSV line (RFC 4180). Empty for null. Text that a spreadsheet would
+   * read as a formula is prefixed with a single quote.
+   */
+  _csvLine(values) {
+    return `${values
+      .map((value) => {
+        if (value === null || value === undefined) {
+          return "";
+        }
+
+        let text = String(value);
+
+        if (/^[=+\-@\t\r]/.test(text)) {
+          text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      })
+      .join(",")}\n`;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,148 @@
+const { pool } = require("./db");
+const logger = require("./logger");
+
+const DEFAULT_TTL_HOURS = 24;
+const TTL_OVERRIDE_PREFIX = "IDEMPOTENCY_TTL_HOURS_";
+
+/**
+ * Idempotency Retention
+ * Decides how long idempotency_log rows are kept and purges expired ones
+ *
+ * Rows live for IDEMPOTENCY_TTL_HOURS (default 24), overridable per
+ * operation with IDEMPOTENCY_TTL_HOURS_<OPERATION>, e.g.
+ * IDEMPOTENCY_TTL_HOURS_PURCHASE=72. A purged key is not forgotten: the
+ * posting engine still recognises a replay from transactions.idempotency_key.
+ */
+class IdempotencyRetention {
+  constructor() {
+    // Purge metrics since process start
+    this.metrics = {
+      runs: 0,
+      deletedTotal: 0,
+      lastRunAt: null,
+      lastRunDeleted: 0,
+      lastRunDurationMs: null,
+    };
+  }
+
+  /**
+   * Retention for a completed request's stored response
+   *
+   * @param {string} [operation] - Operation of the idempotent request (e.g. 'TOP_UP')
+   * @returns {number} Seconds to keep the idempotency_log row
+   */
+  ttlSeconds(operation) {
+    const hours = parseFloat(
+      (operation && process.env[`${TTL_OVERRIDE_PREFIX}${operation}`]) ||
+        process.env.IDEMPOTENCY_TTL_HOURS ||
+        DEFAULT_TTL_HOURS,
+    );
+
+    return Math.round(hours * 3600);
+  }
+
+  /**
+   * Delete expired idempotency_log rows in batches
+   * Each batch is its own statement so the purge never holds many row
+   * locks at once; rows being claimed concurrently are skipped
+   *
+   * @param {number} batchSize - Rows deleted per statement
+   * @param {number} maxBatches - Maximum statements per run
+   * @returns {Promise<number>} Rows deleted
+   */
+  async purgeExpired(batchSize = 1000, maxBatches = 10) {
+    const startedAt = Date.now();
+    const client = await pool.connect();
+    let deleted = 0;
+
+    try {
+      for (let batch = 0; batch < maxBatches; batch++) {
+        const result = await client.query(
+          `DELETE FROM idempotency_log
+                   WHERE (tenant_id, idempotency_key) IN (
+                     SELECT tenant_id, idempotency_key FROM idempotency_log
+                     WHERE expires_at <= CURRENT_TIMESTAMP
+                     ORDER BY expires_at
+                     LIMIT $1
+                     FOR UPDATE SKIP LOCKED
+                   )`,
+          [batchSize],
+        );
+
+        deleted += result.rowCount;
+
+        if (result.rowCount < batchSize) {
+          break;
+        }
+      }
+    } finally {
+      client.release();
+
+      this.metrics.runs++;
+      this.metrics.deletedTotal += deleted;
+      this.metrics.lastRunAt = new Date(startedAt).toISOString();
+      this.metrics.lastRunDeleted = deleted;
+      this.metrics.lastRunDurationMs = Date.now() - startedAt;
+    }
+
+    if (deleted > 0) {
+      logger.info("Purged expired idempotency keys", {
+        deleted,
+        durationMs: this.metrics.lastRunDurationMs,
+        deletedTotal: this.metrics.deletedTotal,
+      });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Current size of a tenant's idempotency_log, retention settings and purge
+   * metrics (the purge runs across all tenants)
+   *
+   * @param {string} tenantId - Tenant whose keys are counted
+   */
+  async getStats(tenantId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT status,
+                        COUNT(*) as total,
+                        COUNT(*) FILTER (WHERE expires_at <= CURRENT_TIMESTAMP) as expired,
+                        MIN(created_at) as oldest
+                 FROM idempotency_log
+                 WHERE tenant_id = $1
+                 GROUP BY status
+                 ORDER BY status`,
+        [tenantId],
+      );
+
+      const ttlOverrides = {};
+      for (const name of Object.keys(process.env)) {
+        if (name.startsWith(TTL_OVERRIDE_PREFIX)) {
+          const operation = name.slice(TTL_OVERRIDE_PREFIX.length);
+          ttlOverrides[operation] = this.ttlSeconds(operation) / 3600;
+        }
+      }
+
+      return {
+        keys: result.rows.map((row) => ({
+          status: row.status,
+          total: parseInt(row.total),
+          expired: parseInt(row.expired),
+          oldest: row.oldest,
+        })),
+        retention: {
+          defaultTtlHours: this.ttlSeconds(null) / 3600,
+          ttlHoursByOperation: ttlOverrides,
+        },
+        purge: { ...this.metrics },
+      };
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new IdempotencyRetention();
@@ -0,0 +1,93 @@
+const { scheduleJob, stopAllJobs } = require("./scheduler");
+const transactionService = require("../transactionService");
+const reconciliationService = require("../reconciliationService");
+const ledgerVerifier = require("../ledgerVerifier");
+const idempotencyRetention = require("../idempotencyRetention");
+const requestSigning = require("../requestSigning");
+const webhookService = require("../webhookService");
+const dailyCloseService = require("../dailyCloseService");
+const analyticsService = require("../analyticsService");
+
+/**
+ * Register all background jobs
+ * Set JOBS_ENABLED=false on instances that should only serve HTTP traffic
+ */
+function startJobs() {
+  if (process.env.JOBS_ENABLED === "false") {
+    return;
+  }
+
+  // Release holds that were never captured
+  scheduleJob(
+    "hold-expiry",
+    parseInt(process.env.HOLD_EXPIRY_INTERVAL_MS || "60000"),
+    () =>
+      transactionService.expireHolds(
+        parseInt(process.env.HOLD_EXPIRY_BATCH_SIZE || "100"),
+      ),
+  );
+
+  // Check balance_cache against the ledger; discrepancies are logged as errors
+  scheduleJob(
+    "balance-reconciliation",
+    parseInt(process.env.RECONCILIATION_INTERVAL_MS || "3600000"),
+    () => reconciliationService.reconcile(),
+  );
+
+  // Scan the ledger for double-entry violations; they are logged as errors
+  scheduleJob(
+    "ledger-verification",
+    parseInt(process.env.LEDGER_VERIFICATION_INTERVAL_MS || "3600000"),
+    () => ledgerVerifier.scan(),
+  );
+
+  // Delete idempotency_log rows past their retention TTL
+  scheduleJob(
+    "idempotency-purge",
+    parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_MS || "300000"),
+    () =>
+      idempotencyRetention.purgeExpired(
+        parseInt(process.env.IDEMPOTENCY_PURGE_BATCH_SIZE || "1000"),
+        parseInt(process.env.IDEMPOTENCY_PURGE_MAX_BATCHES || "10"),
+      ),
+  );
+
+  // Forget nonces of signed requests once their timestamps have expired
+  scheduleJob(
+    "request-nonce-purge",
+    parseInt(process.env.NONCE_PURGE_INTERVAL_MS || "300000"),
+    () => requestSigning.purgeExpiredNonces(),
+  );
+
+  // Deliver outbox events to webhook endpoints, retrying failed deliveries
+  scheduleJob(
+    "webhook-dispatch",
+    parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS || "5000"),
+    () =>
+      webhookService.dispatch(
+        parseInt(process.env.WEBHOOK_DISPATCH_BATCH_SIZE || "50"),
+      ),
+  );
+
+  // Close each tenant's ended business dates into trial balance snapshots
+  scheduleJob(
+    "daily-close",
+    parseInt(process.env.DAILY_CLOSE_INTERVAL_MS || "3600000"),
+    () => dailyCloseService.closeDueDays(),
+  );
+
+  // Add newly posted transactions to the analytics rollups
+  scheduleJob(
+    "analytics-rollup",
+    parseInt(process.env.ANALYTICS_ROLLUP_INTERVAL_MS || "10000"),
+    () =>
+      analyticsService.rollUp(
+        parseInt(process.env.ANALYTICS_ROLLUP_BATCH_SIZE || "500"),
+      ),
+  );
+}
+
+module.exports = {
+  startJobs,
+  stopJobs: stopAllJobs,
+};
@@ -0,0 +1,61 @@
+const logger = require("../logger");
+
+// Registered in-process jobs, stopped together on shutdown
+const jobs = [];
+
+/**
+ * Run a task every intervalMs
+ * A run is skipped if the previous one is still in progress, and errors are
+ * logged rather than thrown so one bad run does not stop the schedule
+ *
+ * @param {string} name - Job name used in logs
+ * @param {number} intervalMs - Interval between runs
+ * @param {Function} task - Async function to run
+ */
+function scheduleJob(name, intervalMs, task) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) {
+      logger.debug("Skipping job run, previous run still in progress", {
+        job: name,
+      });
+      return;
+    }
+
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      logger.error("Scheduled job failed", {
+        job: name,
+        error: error.message,
+        stack: error.stack,
+      });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Do not keep the process alive just for background jobs
+  timer.unref();
+
+  jobs.push({ name, timer });
+  logger.info("Scheduled job registered", { job: name, intervalMs });
+}
+
+/**
+ * Stop all registered jobs
+ */
+function stopAllJobs() {
+  for (const job of jobs) {
+    clearInterval(job.timer);
+  }
+  logger.info("Scheduled jobs stopped", { count: jobs.length });
+  jobs.length = 0;
+}
+
+module.exports = {
+  scheduleJob,
+  stopAllJobs,
+};
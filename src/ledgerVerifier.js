@@ -0,0 +1,259 @@
+const { pool } = require("./db");
+const logger = require("./logger");
+const { normalize } = require("./amount");
+const { USER_OPERATIONS } = require("./userOperations");
+
+// Expected system account type per user operation, e.g. { TOP_UP: "SYSTEM_TREASURY" }
+const EXPECTED_COUNTERPARTIES = Object.fromEntries(
+  Object.entries(USER_OPERATIONS).map(([typeCode, operation]) => [
+    typeCode,
+    operation.counterparty,
+  ]),
+);
+
+/**
+ * Ledger Verifier
+ * Enforces and audits the double-entry invariant: for every transaction and
+ * asset, the sum of debits equals the sum of credits
+ *
+ * verifyTransaction runs inside the posting transaction against the entries
+ * actually written, so a posting that breaks the invariant is rolled back
+ * rather than committed. scan checks the whole ledger, or one tenant's part
+ * of it, for historical violations, including user operations funded from
+ * the wrong system account.
+ */
+class LedgerVerifier {
+  /**
+   * Refuse a transaction whose written entries do not balance per asset
+   *
+   * @param {object} client - Database client inside the posting transaction
+   * @param {string} transactionId - Transaction to verify
+   */
+  async verifyTransaction(client, transactionId) {
+    const result = await client.query(
+      `SELECT at.code as asset_code,
+                    SUM(CASE WHEN le.entry_type = 'debit' THEN le.amount ELSE 0 END) as debits,
+                    SUM(CASE WHEN le.entry_type = 'credit' THEN le.amount ELSE 0 END) as credits
+             FROM ledger_entries le
+             JOIN asset_types at ON le.asset_type_id = at.id
+             WHERE le.transaction_id = $1
+             GROUP BY at.code
+             HAVING SUM(CASE WHEN le.entry_type = 'debit' THEN le.amount ELSE -le.amount END) <> 0`,
+      [transactionId],
+    );
+
+    if (result.rows.length > 0) {
+      const { asset_code, debits, credits } = result.rows[0];
+
+      logger.error("Double-entry violation refused", {
+        transactionId,
+        assetCode: asset_code,
+        debits,
+        credits,
+      });
+
+      throw new Error(
+        `Double-entry violation in transaction ${transactionId}: ${asset_code} debits ${normalize(debits)} do not equal credits ${normalize(credits)}`,
+      );
+    }
+  }
+
+  /**
+   * Scan the ledger for double-entry violations
+   *
+   * @param {object} options
+   * @param {number} [options.limit] - Maximum violations listed per check
+   * @param {string} [options.tenantId] - Only check this tenant's transactions
+   * @returns {Promise<object>} Verification report
+   */
+  async scan({ limit = 100, tenantId = null } = {}) {
+    const client = await pool.connect();
+
+    try {
+      // One snapshot for all checks
+      await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+
+      const countResult = await client.query(
+        `SELECT COUNT(*) as transactions_checked FROM transactions
+                 WHERE $1::uuid IS NULL OR tenant_id = $1`,
+        [tenantId],
+      );
+
+      const unbalanced = await this._findUnbalanced(client, limit, tenantId);
+      const fundingMismatches = await this._findFundingMismatches(
+        client,
+        limit,
+        tenantId,
+      );
+      const missingEntries = await this._findMissingEntries(
+        client,
+        limit,
+        tenantId,
+      );
+
+      await client.query("COMMIT");
+
+      const report = {
+        checkedAt: new Date().toISOString(),
+        transactionsChecked: parseInt(countResult.rows[0].transactions_checked),
+        healthy:
+          unbalanced.total === 0 &&
+          fundingMismatches.total === 0 &&
+          missingEntries.total === 0,
+        unbalancedCount: unbalanced.total,
+        unbalanced: unbalanced.rows.map((row) => ({
+          ...this._formatTransaction(row),
+          assetCode: row.asset_code,
+          debits: normalize(row.debits),
+          credits: normalize(row.credits),
+        })),
+        fundingMismatchCount: fundingMismatches.total,
+        fundingMismatches: fundingMismatches.rows.map((row) => ({
+          ...this._formatTransaction(row),
+          expectedAccountType: row.expected_account_type,
+          fundedFrom: row.funded_from,
+        })),
+        missingEntriesCount: missingEntries.total,
+        missingEntries: missingEntries.rows.map((row) => ({
+          ...this._formatTransaction(row),
+          status: row.status,
+        })),
+      };
+
+      if (report.healthy) {
+        logger.info("Ledger verification passed", {
+          transactionsChecked: report.transactionsChecked,
+        });
+      } else {
+        logger.error("Ledger verification found double-entry violations", {
+          transactionsChecked: report.transactionsChecked,
+          unbalanced: report.unbalancedCount,
+          fundingMismatches: report.fundingMismatchCount,
+          missingEntries: report.missingEntriesCount,
+          transactionIds: [
+            ...report.unbalanced,
+            ...report.fundingMismatches,
+            ...report.missingEntries,
+          ].map((violation) => violation.transactionId),
+        });
+      }
+
+      return report;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Transactions whose debits and credits differ for an asset
+   * Issuance credits to the treasury are single-sided by design and left out
+   */
+  async _findUnbalanced(client, limit, tenantId) {
+    const result = await client.query(
+      `SELECT t.id, t.idempotency_key, t.description, t.created_at, tt.code as type_code,
+                        at.code as asset_code,
+                        SUM(CASE WHEN le.entry_type = 'debit' THEN le.amount ELSE 0 END) as debits,
+                        SUM(CASE WHEN le.entry_type = 'credit' THEN le.amount ELSE 0 END) as credits,
+                        COUNT(*) OVER () as total_count
+                 FROM ledger_entries le
+                 JOIN transactions t ON le.transaction_id = t.id
+                 JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                 JOIN asset_types at ON le.asset_type_id = at.id
+                 JOIN accounts a ON le.account_id = a.id
+                 JOIN account_types act ON a.account_type_id = act.id
+                 WHERE ($2::uuid IS NULL OR t.tenant_id = $2)
+                   AND NOT (tt.code = 'ISSUANCE' AND act.code = 'SYSTEM_TREASURY'
+                            AND le.entry_type = 'credit')
+                 GROUP BY t.id, tt.code, at.code
+                 HAVING SUM(CASE WHEN le.entry_type = 'debit' THEN le.amount ELSE -le.amount END) <> 0
+                 ORDER BY t.created_at, t.id, at.code
+                 LIMIT $1`,
+      [limit, tenantId],
+    );
+
+    return this._withTotal(result);
+  }
+
+  /**
+   * User operations (top-up, bonus, purchase, adjustment) whose user wallet
+   * was funded from a system account other than the operation's counterparty
+   */
+  async _findFundingMismatches(client, limit, tenantId) {
+    const result = await client.query(
+      `SELECT t.id, t.idempotency_key, t.description, t.created_at, tt.code as type_code,
+                        $1::jsonb ->> tt.code as expected_account_type,
+                        string_agg(DISTINCT act.code, ', ') as funded_from,
+                        COUNT(*) OVER () as total_count
+                 FROM transactions t
+                 JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                 JOIN ledger_entries le ON le.transaction_id = t.id
+                 JOIN accounts a ON le.account_id = a.id
+                 JOIN account_types act ON a.account_type_id = act.id
+                 WHERE $1::jsonb ? tt.code
+                   AND ($3::uuid IS NULL OR t.tenant_id = $3)
+                   AND act.code <> 'USER'
+                   AND act.code <> $1::jsonb ->> tt.code
+                   AND EXISTS (
+                     SELECT 1 FROM ledger_entries ule
+                     JOIN accounts ua ON ule.account_id = ua.id
+                     JOIN account_types uat ON ua.account_type_id = uat.id
+                     WHERE ule.transaction_id = t.id AND uat.code = 'USER'
+                   )
+                 GROUP BY t.id, tt.code
+                 ORDER BY t.created_at, t.id
+                 LIMIT $2`,
+      [JSON.stringify(EXPECTED_COUNTERPARTIES), limit, tenantId],
+    );
+
+    return this._withTotal(result);
+  }
+
+  /**
+   * Completed or reversed transactions that never posted ledger entries
+   */
+  async _findMissingEntries(client, limit, tenantId) {
+    const result = await client.query(
+      `SELECT t.id, t.idempotency_key, t.description, t.created_at, t.status,
+                        tt.code as type_code,
+                        COUNT(*) OVER () as total_count
+                 FROM transactions t
+                 JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                 WHERE t.status IN ('completed', 'reversed')
+                   AND ($2::uuid IS NULL OR t.tenant_id = $2)
+                   AND NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.transaction_id = t.id)
+                 ORDER BY t.created_at, t.id
+                 LIMIT $1`,
+      [limit, tenantId],
+    );
+
+    return this._withTotal(result);
+  }
+
+  /**
+   * Rows plus the total match count carried in total_count
+   */
+  _withTotal(result) {
+    return {
+      rows: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+    };
+  }
+
+  /**
+   * Common transaction fields of a violation
+   */
+  _formatTransaction(row) {
+    return {
+      transactionId: row.id,
+      typeCode: row.type_code,
+      idempotencyKey: row.idempotency_key,
+      description: row.description,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new LedgerVerifier();
@@ -0,0 +1,47 @@
+/**
+ * Transactional outbox
+ *
+ * Wallet events are written to outbox_events on the client of the database
+ * transaction that posts them, so an event is committed exactly when its
+ * ledger entries are and never for a rolled-back attempt. The webhook
+ * dispatcher (webhookService.dispatch) delivers them afterwards.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * Write a wallet event for a completed transaction
+ * The stored payload is the webhook body, sent as is to every endpoint
+ * subscribed to the event type
+ *
+ * @param {object} client - Database client inside the posting transaction
+ * @param {object} event
+ * @param {string} event.tenantId - Tenant the transaction belongs to
+ * @param {string} event.type - Event type, the transaction type code (e.g. 'TOP_UP')
+ * @param {string} event.transactionId - Transaction the event describes
+ * @param {object} event.data - The operation's response
+ * @returns {Promise<string>} Event id
+ */
+async function enqueue(client, { tenantId, type, transactionId, data }) {
+  const eventId = uuidv4();
+  const payload = {
+    id: eventId,
+    type,
+    tenantId,
+    transactionId,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+
+  await client.query(
+    `INSERT INTO outbox_events (id, tenant_id, event_type, transaction_id, payload)
+           VALUES ($1, $2, $3, $4, $5)`,
+    [eventId, tenantId, type, transactionId, JSON.stringify(payload)],
+  );
+
+  return eventId;
+}
+
+module.exports = {
+  enqueue,
+};
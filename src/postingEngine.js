@@ -0,0 +1,637 @@
+const { v4: uuidv4 } = require("uuid");
+const crypto = require("crypto");
+const { pool, executeWithRetry } = require("./db");
+const logger = require("./logger");
+const { toUnits, fromUnits, normalize } = require("./amount");
+const ledgerVerifier = require("./ledgerVerifier");
+const idempotencyRetention = require("./idempotencyRetention");
+const outbox = require("./outbox");
+const balanceEvents = require("./balanceEvents");
+const analyticsService = require("./analyticsService");
+const {
+  IdempotencyConflictError,
+  IdempotencyInProgressError,
+} = require("./errors");
+
+// How long a 'processing' claim is honoured before another request may take
+// the key over (e.g. after a crash mid-request)
+const IDEMPOTENCY_CLAIM_TTL_SECONDS = parseInt(
+  process.env.IDEMPOTENCY_CLAIM_TTL_SECONDS || "60",
+);
+
+// How long a concurrent duplicate waits for the first request to finish
+const IDEMPOTENCY_WAIT_MS = parseInt(process.env.IDEMPOTENCY_WAIT_MS || "2000");
+const IDEMPOTENCY_POLL_MS = 100;
+
+/**
+ * Posting Engine
+ * Writes balanced multi-leg transactions to the double-entry ledger
+ *
+ * A posting is a list of legs ({ accountId, assetTypeId, entryType, amount })
+ * whose debits equal its credits for every asset. The engine locks the
+ * accounts involved in deterministic order, writes the transaction row and
+ * ledger entries with running balances, keeps balance_cache in step, and
+ * records the idempotency log, audit trail and any outbox event in the same
+ * database transaction. Operations only have to resolve accounts and declare
+ * legs.
+ *
+ * Transactions and idempotency keys belong to a tenant (context.tenantId):
+ * two tenants may use the same key without seeing each other's requests.
+ */
+class PostingEngine {
+  /**
+   * Run work inside a SERIALIZABLE database transaction
+   * Commits when work resolves, rolls back when it throws
+   *
+   * @param {Function} work - async (client) => result
+   * @returns {Promise<any>} Result of work
+   */
+  async runInTransaction(work) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN ISOLATION LEVEL SERIALIZABLE");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Post a transaction: transaction row, ledger legs, idempotency log, audit
+   * and outbox event
+   *
+   * @param {object} client - Database client inside a transaction
+   * @param {object} posting
+   * @param {string} posting.typeCode - transaction_types.code
+   * @param {string} posting.idempotencyKey - Unique key
+   * @param {string} [posting.assetTypeId] - Asset of a single-asset transaction (NULL for multi-asset)
+   * @param {string} [posting.amount] - Headline amount of a single-asset transaction
+   * @param {string} posting.description - Transaction description
+   * @param {object} [posting.metadata] - Transaction metadata
+   * @param {string} [posting.parentTransactionId] - Transaction this one refunds or reverses
+   * @param {string} [posting.status] - 'completed', or 'pending' to record a transaction
+   *   (e.g. awaiting approval) whose legs are posted later with postEntries
+   * @param {Array<object>} posting.legs - Ledger legs, balanced per asset
+   * @param {object} posting.request - What the idempotency key stands for (operation,
+   *   request fields, metadata); hashed into the idempotency log
+   * @param {object} posting.audit - { accountId, action, data } for audit_log
+   * @param {object} posting.context - Tenant and attribution (tenantId, actor,
+   *   ipAddress, userAgent)
+   * @param {boolean} [posting.publish] - Write an outbox event (type typeCode,
+   *   data the response) for webhook delivery; completed transactions only
+   * @param {Function} posting.respond - async (transactionId, entries) => response;
+   *   may write operation-specific rows (holds, approvals) before the response is stored
+   * @returns {Promise<object>} The response stored in the idempotency log
+   */
+  async post(
+    client,
+    {
+      typeCode,
+      idempotencyKey,
+      assetTypeId = null,
+      amount = null,
+      description,
+      metadata = {},
+      parentTransactionId = null,
+      status = "completed",
+      legs,
+      request,
+      audit,
+      context = {},
+      publish = false,
+      respond,
+    },
+  ) {
+    if (status === "pending" && legs.length > 0) {
+      throw new Error("Pending transactions cannot post ledger entries");
+    }
+
+    if (publish && status !== "completed") {
+      throw new Error("Only completed transactions publish events");
+    }
+
+    if (!context.tenantId) {
+      throw new Error("Transactions must be posted for a tenant");
+    }
+
+    const txnTypeResult = await client.query(
+      "SELECT id FROM transaction_types WHERE code = $1",
+      [typeCode],
+    );
+
+    if (txnTypeResult.rows.length === 0) {
+      throw new Error(`Transaction type ${typeCode} not found`);
+    }
+
+    const transactionId = uuidv4();
+    const requestHash = this.hashRequest(request);
+
+    await client.query(
+      `INSERT INTO transactions
+   (id, tenant_id, idempotency_key, request_hash, transaction_type_id, asset_type_id, amount, description, metadata, status, completed_at, parent_transaction_id)
+   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        transactionId,
+        context.tenantId,
+        idempotencyKey,
+        requestHash,
+        txnTypeResult.rows[0].id,
+        assetTypeId,
+        amount,
+        description,
+        JSON.stringify(metadata),
+        status,
+        status === "completed" ? new Date() : null,
+        parentTransactionId,
+      ],
+    );
+
+    const entries =
+      legs.length > 0
+        ? await this.postEntries(client, transactionId, legs)
+        : [];
+
+    const responseData = await respond(transactionId, entries);
+
+    // Completes the 'processing' claim taken by executeIdempotent
+    await client.query(
+      `INSERT INTO idempotency_log
+   (tenant_id, idempotency_key, request_hash, response_data, status, expires_at)
+   VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(secs => $6))
+   ON CONFLICT (tenant_id, idempotency_key) DO UPDATE SET
+      request_hash = EXCLUDED.request_hash,
+      response_data = EXCLUDED.response_data,
+      status = EXCLUDED.status,
+      expires_at = EXCLUDED.expires_at`,
+      [
+        context.tenantId,
+        idempotencyKey,
+        requestHash,
+        JSON.stringify(responseData),
+        "completed",
+        idempotencyRetention.ttlSeconds(request.operation),
+      ],
+    );
+
+    await this.createAuditLog(
+      client,
+      transactionId,
+      audit.accountId,
+      audit.action,
+      audit.data,
+      context,
+    );
+
+    if (publish) {
+      await outbox.enqueue(client, {
+        tenantId: context.tenantId,
+        type: typeCode,
+        transactionId,
+        data: responseData,
+      });
+    }
+
+    logger.info("Transaction posted", {
+      transactionId,
+      typeCode,
+      status,
+      legs: entries.length,
+    });
+
+    return responseData;
+  }
+
+  /**
+   * Post ledger legs for an existing transaction
+   * Verifies the legs balance per asset, locks every account involved in
+   * sorted order, then writes each leg against the balance left by the
+   * previous one so an account in several legs keeps a continuous running
+   * balance. No account may go negative. The entries written are verified
+   * again before returning, so an unbalanced transaction is never committed.
+   * Balance event streams are notified, and the transaction is queued for
+   * the analytics rollups, on commit.
+   *
+   * @param {object} client - Database client inside a transaction
+   * @param {string} transactionId - Transaction the entries belong to
+   * @param {Array<object>} legs - { accountId, assetTypeId, entryType, amount, description, label }
+   *   amount is a decimal string or number
+   *   label names the account in insufficient balance errors (e.g. 'treasury')
+   * @returns {Promise<Array<object>>} Posted entries, in leg order
+   */
+  async postEntries(client, transactionId, legs) {
+    this._assertBalanced(legs);
+
+    await this._lockAccounts(
+      client,
+      legs.map((leg) => leg.accountId),
+    );
+
+    const entries = [];
+
+    for (const leg of legs) {
+      const balance = await this.getBalance(
+        client,
+        leg.accountId,
+        leg.assetTypeId,
+      );
+      const legUnits = toUnits(leg.amount);
+      const newBalance =
+        leg.entryType === "credit" ? balance + legUnits : balance - legUnits;
+
+      if (newBalance < 0n) {
+        throw new Error(
+          `Insufficient ${leg.label ? `${leg.label} ` : ""}balance. Available: ${fromUnits(balance)}, Required: ${fromUnits(legUnits)}`,
+        );
+      }
+
+      const entryResult = await client.query(
+        `INSERT INTO ledger_entries
+                 (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 RETURNING id`,
+        [
+          transactionId,
+          leg.accountId,
+          leg.assetTypeId,
+          leg.entryType,
+          fromUnits(legUnits),
+          fromUnits(newBalance),
+          leg.description,
+        ],
+      );
+
+      await this._updateBalanceCache(
+        client,
+        leg.accountId,
+        leg.assetTypeId,
+        fromUnits(newBalance),
+        transactionId,
+      );
+
+      entries.push({
+        id: entryResult.rows[0].id,
+        accountId: leg.accountId,
+        entryType: leg.entryType,
+        amount: fromUnits(legUnits),
+        runningBalance: fromUnits(newBalance),
+      });
+    }
+
+    await ledgerVerifier.verifyTransaction(client, transactionId);
+
+    // Delivered to balance event streams when the transaction commits
+    await balanceEvents.notifyPosted(client, transactionId);
+
+    // Rolled up for the economy dashboards once the transaction commits
+    await analyticsService.queue(client, transactionId);
+
+    return entries;
+  }
+
+  /**
+   * Run an operation at most once per idempotency key
+   * The key is claimed as 'processing' before work runs, so a concurrent
+   * duplicate cannot execute it a second time: it waits up to
+   * IDEMPOTENCY_WAIT_MS for the first request's response, then gets
+   * IdempotencyInProgressError. A replay of a completed request returns the
+   * stored response, and a key used for a different request throws
+   * IdempotencyConflictError. Once the log row has been purged, a replay is
+   * recognised from transactions.idempotency_key and answered with a summary
+   * of the posted transaction. If work fails the claim is released so the
+   * request can be retried.
+   *
+   * @param {string} tenantId - Tenant the key belongs to
+   * @param {string} idempotencyKey - Unique key within the tenant
+   * @param {object} request - Same object the operation passes to post()
+   * @param {Function} work - async () => response; retried on deadlocks and
+   *   serialization failures, and must post() with idempotencyKey
+   * @returns {Promise<object>} The response of the first execution
+   */
+  async executeIdempotent(tenantId, idempotencyKey, request, work) {
+    const requestHash = this.hashRequest(request);
+    const waitUntil = Date.now() + IDEMPOTENCY_WAIT_MS;
+
+    for (;;) {
+      const { claimed, existing } = await this._claimIdempotencyKey(
+        tenantId,
+        idempotencyKey,
+        requestHash,
+      );
+
+      if (claimed) {
+        break;
+      }
+
+      // Released between our claim attempt and the read; try again
+      if (!existing) {
+        continue;
+      }
+
+      if (existing.request_hash !== requestHash) {
+        logger.warn("Idempotency key reused for a different request", {
+          idempotencyKey,
+        });
+        throw new IdempotencyConflictError(idempotencyKey);
+      }
+
+      if (existing.status === "completed") {
+        logger.info("Returning cached result for idempotent request", {
+          idempotencyKey,
+        });
+        return existing.response_data;
+      }
+
+      if (Date.now() >= waitUntil) {
+        throw new IdempotencyInProgressError(idempotencyKey);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, IDEMPOTENCY_POLL_MS));
+    }
+
+    try {
+      // The log row may have been purged after the request was posted
+      const posted = await this._findPostedTransaction(
+        tenantId,
+        idempotencyKey,
+      );
+
+      if (posted) {
+        await this._releaseIdempotencyKey(tenantId, idempotencyKey);
+
+        if (posted.request_hash && posted.request_hash !== requestHash) {
+          throw new IdempotencyConflictError(idempotencyKey);
+        }
+
+        logger.info("Returning posted transaction for expired idempotency key", {
+          idempotencyKey,
+          transactionId: posted.id,
+        });
+
+        return this._formatReplay(posted);
+      }
+
+      return await executeWithRetry(work);
+    } catch (error) {
+      await this._releaseIdempotencyKey(tenantId, idempotencyKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Get current balance from cache, in ledger units
+   */
+  async getBalance(client, accountId, assetTypeId) {
+    const result = await client.query(
+      "SELECT balance FROM balance_cache WHERE account_id = $1 AND asset_type_id = $2",
+      [accountId, assetTypeId],
+    );
+
+    return result.rows.length > 0 ? toUnits(result.rows[0].balance) : 0n;
+  }
+
+  /**
+   * Create audit log entry
+   * context carries the tenant and operator attribution (tenantId, actor,
+   * ipAddress, userAgent); platform-level actions have no tenant
+   */
+  async createAuditLog(
+    client,
+    transactionId,
+    accountId,
+    action,
+    requestData,
+    context = {},
+  ) {
+    await client.query(
+      `INSERT INTO audit_log (tenant_id, transaction_id, account_id, action, actor, ip_address, user_agent, request_data)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        context.tenantId || null,
+        transactionId,
+        accountId,
+        action,
+        context.actor || null,
+        context.ipAddress || null,
+        context.userAgent || null,
+        JSON.stringify(requestData),
+      ],
+    );
+  }
+
+  /**
+   * Hash request for idempotency checking
+   * Object keys are sorted first so metadata sent in a different key order
+   * still hashes the same
+   */
+  hashRequest(data) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(this._canonicalize(data)))
+      .digest("hex");
+  }
+
+  /**
+   * Copy of a JSON value with object keys sorted, recursively
+   */
+  _canonicalize(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this._canonicalize(item));
+    }
+
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.keys(value)
+          .sort()
+          .map((key) => [key, this._canonicalize(value[key])]),
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Reject malformed legs and postings whose debits and credits differ
+   */
+  _assertBalanced(legs) {
+    if (legs.length < 2) {
+      throw new Error("A posting needs at least two legs");
+    }
+
+    const netByAsset = new Map();
+
+    for (const leg of legs) {
+      if (!["debit", "credit"].includes(leg.entryType)) {
+        throw new Error(`Invalid entry type ${leg.entryType}`);
+      }
+
+      const units = toUnits(leg.amount);
+
+      if (units <= 0n) {
+        throw new Error("Ledger leg amounts must be positive");
+      }
+
+      const net = netByAsset.get(leg.assetTypeId) || 0n;
+      netByAsset.set(
+        leg.assetTypeId,
+        leg.entryType === "credit" ? net + units : net - units,
+      );
+    }
+
+    for (const [assetTypeId, net] of netByAsset) {
+      if (net !== 0n) {
+        throw new Error(
+          `Unbalanced posting: debits and credits differ for asset ${assetTypeId}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Claim an idempotency key as 'processing'
+   * An expired row (a stale claim or an old response) is taken over. When
+   * the key is held, the current row is returned instead.
+   */
+  async _claimIdempotencyKey(tenantId, idempotencyKey, requestHash) {
+    const client = await pool.connect();
+
+    try {
+      const claim = await client.query(
+        `INSERT INTO idempotency_log (tenant_id, idempotency_key, request_hash, status, expires_at)
+                 VALUES ($1, $2, $3, 'processing', CURRENT_TIMESTAMP + make_interval(secs => $4))
+                 ON CONFLICT (tenant_id, idempotency_key) DO UPDATE SET
+                    request_hash = EXCLUDED.request_hash,
+                    response_data = NULL,
+                    status = EXCLUDED.status,
+                    created_at = CURRENT_TIMESTAMP,
+                    expires_at = EXCLUDED.expires_at
+                 WHERE idempotency_log.expires_at <= CURRENT_TIMESTAMP
+                 RETURNING idempotency_key`,
+        [tenantId, idempotencyKey, requestHash, IDEMPOTENCY_CLAIM_TTL_SECONDS],
+      );
+
+      if (claim.rows.length > 0) {
+        return { claimed: true };
+      }
+
+      const result = await client.query(
+        `SELECT request_hash, response_data, status
+                 FROM idempotency_log
+                 WHERE tenant_id = $1 AND idempotency_key = $2`,
+        [tenantId, idempotencyKey],
+      );
+
+      return { claimed: false, existing: result.rows[0] || null };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Transaction already posted under an idempotency key, if any
+   */
+  async _findPostedTransaction(tenantId, idempotencyKey) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT t.id, t.request_hash, t.status, t.amount, t.description, t.created_at,
+                        t.completed_at, tt.code as type_code, at.code as asset_code
+                 FROM transactions t
+                 JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                 LEFT JOIN asset_types at ON t.asset_type_id = at.id
+                 WHERE t.tenant_id = $1 AND t.idempotency_key = $2`,
+        [tenantId, idempotencyKey],
+      );
+
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Response for a replay whose stored response has been purged
+   * The original response is gone, so the posted transaction is summarised
+   */
+  _formatReplay(row) {
+    return {
+      transactionId: row.id,
+      typeCode: row.type_code,
+      status: row.status,
+      assetCode: row.asset_code,
+      amount: row.amount === null ? null : normalize(row.amount),
+      description: row.description,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      replayed: true,
+    };
+  }
+
+  /**
+   * Release a 'processing' claim after a failed attempt
+   * Errors are logged, not thrown, so the attempt's own error is reported
+   */
+  async _releaseIdempotencyKey(tenantId, idempotencyKey) {
+    let client;
+
+    try {
+      client = await pool.connect();
+      await client.query(
+        `DELETE FROM idempotency_log
+                 WHERE tenant_id = $1 AND idempotency_key = $2 AND status = 'processing'`,
+        [tenantId, idempotencyKey],
+      );
+    } catch (error) {
+      logger.error("Failed to release idempotency key", {
+        idempotencyKey,
+        error: error.message,
+      });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Lock accounts in deterministic (sorted) order to prevent deadlocks
+   */
+  async _lockAccounts(client, accountIds) {
+    const sortedIds = [...new Set(accountIds)].sort();
+
+    await client.query(
+      "SELECT id FROM accounts WHERE id = ANY($1) ORDER BY id FOR UPDATE NOWAIT",
+      [sortedIds],
+    );
+  }
+
+  /**
+   * Update balance cache
+   */
+  async _updateBalanceCache(
+    client,
+    accountId,
+    assetTypeId,
+    newBalance,
+    transactionId,
+  ) {
+    await client.query(
+      `INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id, updated_at)
+             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+             ON CONFLICT (account_id, asset_type_id)
+             DO UPDATE SET
+                balance = EXCLUDED.balance,
+                last_transaction_id = EXCLUDED.last_transaction_id,
+                updated_at = CURRENT_TIMESTAMP`,
+      [accountId, assetTypeId, newBalance, transactionId],
+    );
+  }
+}
+
+module.exports = new PostingEngine();
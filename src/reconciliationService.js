@@ -0,0 +1,352 @@
+const { pool, executeWithRetry } = require("./db");
+const logger = require("./logger");
+const postingEngine = require("./postingEngine");
+const { toUnits, fromUnits, normalize } = require("./amount");
+
+/**
+ * Reconciliation Service
+ * Verifies balance_cache against the ledger it is derived from
+ *
+ * The ledger is the source of truth: an account's balance is the sum of its
+ * credits minus its debits. Reconciliation recomputes that sum for every
+ * account and asset, compares it with the cached balance, and walks each
+ * account's entries in order to check that every running_balance follows
+ * from the one before it. Repair only ever rewrites cache rows - ledger
+ * entries are immutable. Admin requests check their own tenant's accounts;
+ * the background job checks every tenant.
+ */
+class ReconciliationService {
+  /**
+   * Compare balance_cache and running balances with the ledger
+   *
+   * @param {object} options
+   * @param {number} [options.limit] - Maximum discrepancies listed per check
+   * @param {string} [options.tenantId] - Only check this tenant's accounts
+   * @returns {Promise<object>} Reconciliation report
+   */
+  async reconcile({ limit = 100, tenantId = null } = {}) {
+    const client = await pool.connect();
+
+    try {
+      // One snapshot for all three queries so they agree with each other
+      await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+
+      const countResult = await client.query(
+        `SELECT COUNT(*) as balances_checked FROM (
+                   SELECT account_id, asset_type_id FROM ledger_entries
+                   UNION
+                   SELECT account_id, asset_type_id FROM balance_cache
+                 ) pairs
+                 JOIN accounts a ON pairs.account_id = a.id
+                 WHERE $1::uuid IS NULL OR a.tenant_id = $1`,
+        [tenantId],
+      );
+
+      const mismatches = await this._findCacheMismatches(client, {
+        tenantId,
+        limit,
+      });
+      const continuityBreaks = await this._findContinuityBreaks(
+        client,
+        limit,
+        tenantId,
+      );
+
+      await client.query("COMMIT");
+
+      const report = {
+        checkedAt: new Date().toISOString(),
+        balancesChecked: parseInt(countResult.rows[0].balances_checked),
+        healthy: mismatches.total === 0 && continuityBreaks.total === 0,
+        cacheMismatchCount: mismatches.total,
+        cacheMismatches: mismatches.rows.map((row) =>
+          this._formatMismatch(row),
+        ),
+        continuityBreakCount: continuityBreaks.total,
+        continuityBreaks: continuityBreaks.rows.map((row) =>
+          this._formatContinuityBreak(row),
+        ),
+      };
+
+      if (report.healthy) {
+        logger.info("Balance reconciliation passed", {
+          balancesChecked: report.balancesChecked,
+        });
+      } else {
+        logger.error("Balance reconciliation found discrepancies", {
+          balancesChecked: report.balancesChecked,
+          cacheMismatches: report.cacheMismatchCount,
+          continuityBreaks: report.continuityBreakCount,
+        });
+      }
+
+      return report;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rebuild mismatched balance_cache rows from the ledger
+   * Each row is repaired in its own transaction under the account lock and
+   * audited as BALANCE_CACHE_REPAIRED; a row that cannot be repaired is
+   * reported without stopping the others
+   *
+   * @param {object} filters
+   * @param {string} [filters.userId] - Only repair this user's wallet
+   * @param {string} [filters.assetCode] - Only repair this asset
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Repaired and failed rows
+   */
+  async repair({ userId, assetCode } = {}, context = {}) {
+    const client = await pool.connect();
+    let candidates;
+
+    try {
+      const result = await this._findCacheMismatches(client, {
+        tenantId: context.tenantId,
+        userId,
+        assetCode,
+      });
+      candidates = result.rows;
+    } finally {
+      client.release();
+    }
+
+    const repaired = [];
+    const failed = [];
+
+    for (const row of candidates) {
+      try {
+        const repair = await executeWithRetry(async () => {
+          return await postingEngine.runInTransaction((txClient) =>
+            this._repairBalance(txClient, row, context),
+          );
+        });
+
+        if (repair) {
+          repaired.push(repair);
+        }
+      } catch (error) {
+        logger.error("Balance cache repair failed", {
+          error: error.message,
+          accountId: row.account_id,
+          assetCode: row.asset_code,
+        });
+
+        failed.push({
+          ...this._formatMismatch(row),
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info("Balance cache repair completed", {
+      repaired: repaired.length,
+      failed: failed.length,
+      actor: context.actor,
+    });
+
+    return { repaired, failed };
+  }
+
+  /**
+   * Rewrite one cache row from the ledger, re-checked under the account lock
+   * Returns null when the row no longer needs repair
+   */
+  async _repairBalance(client, row, context) {
+    await client.query(
+      "SELECT id FROM accounts WHERE id = $1 FOR UPDATE NOWAIT",
+      [row.account_id],
+    );
+
+    const ledgerResult = await client.query(
+      `SELECT COALESCE(SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END), 0) as ledger_balance,
+                    (SELECT transaction_id FROM ledger_entries
+                     WHERE account_id = $1 AND asset_type_id = $2
+                     ORDER BY entry_seq DESC LIMIT 1) as last_transaction_id
+             FROM ledger_entries
+             WHERE account_id = $1 AND asset_type_id = $2`,
+      [row.account_id, row.asset_type_id],
+    );
+
+    const cacheResult = await client.query(
+      "SELECT balance FROM balance_cache WHERE account_id = $1 AND asset_type_id = $2",
+      [row.account_id, row.asset_type_id],
+    );
+
+    const ledgerUnits = toUnits(ledgerResult.rows[0].ledger_balance);
+    const cachedUnits =
+      cacheResult.rows.length > 0 ? toUnits(cacheResult.rows[0].balance) : null;
+
+    if (cachedUnits === ledgerUnits) {
+      return null;
+    }
+
+    if (ledgerUnits < 0n) {
+      throw new Error(
+        `Ledger balance ${fromUnits(ledgerUnits)} is negative and cannot be cached`,
+      );
+    }
+
+    await client.query(
+      `INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id, updated_at)
+             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+             ON CONFLICT (account_id, asset_type_id)
+             DO UPDATE SET
+                balance = EXCLUDED.balance,
+                last_transaction_id = EXCLUDED.last_transaction_id,
+                updated_at = CURRENT_TIMESTAMP`,
+      [
+        row.account_id,
+        row.asset_type_id,
+        fromUnits(ledgerUnits),
+        ledgerResult.rows[0].last_transaction_id,
+      ],
+    );
+
+    const repair = {
+      accountId: row.account_id,
+      userId: row.user_id,
+      accountType: row.account_type,
+      assetCode: row.asset_code,
+      previousBalance: cachedUnits === null ? null : fromUnits(cachedUnits),
+      newBalance: fromUnits(ledgerUnits),
+    };
+
+    await postingEngine.createAuditLog(
+      client,
+      null,
+      row.account_id,
+      "BALANCE_CACHE_REPAIRED",
+      repair,
+      context,
+    );
+
+    logger.warn("Balance cache repaired", {
+      ...repair,
+      actor: context.actor,
+    });
+
+    return repair;
+  }
+
+  /**
+   * Accounts whose cached balance differs from the ledger sum
+   * A missing cache row counts as zero
+   */
+  async _findCacheMismatches(
+    client,
+    { tenantId = null, userId = null, assetCode = null, limit = null } = {},
+  ) {
+    const result = await client.query(
+      `WITH ledger AS (
+                   SELECT account_id, asset_type_id,
+                          SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END) as ledger_balance
+                   FROM ledger_entries
+                   GROUP BY account_id, asset_type_id
+                 )
+                 SELECT COALESCE(l.account_id, bc.account_id) as account_id,
+                        COALESCE(l.asset_type_id, bc.asset_type_id) as asset_type_id,
+                        COALESCE(l.ledger_balance, 0) as ledger_balance,
+                        bc.balance as cached_balance,
+                        a.user_id, act.code as account_type, at.code as asset_code,
+                        COUNT(*) OVER () as total_count
+                 FROM ledger l
+                 FULL OUTER JOIN balance_cache bc
+                   ON bc.account_id = l.account_id AND bc.asset_type_id = l.asset_type_id
+                 JOIN accounts a ON a.id = COALESCE(l.account_id, bc.account_id)
+                 JOIN account_types act ON a.account_type_id = act.id
+                 JOIN asset_types at ON at.id = COALESCE(l.asset_type_id, bc.asset_type_id)
+                 WHERE COALESCE(bc.balance, 0) <> COALESCE(l.ledger_balance, 0)
+                   AND ($4::uuid IS NULL OR a.tenant_id = $4)
+                   AND ($1::text IS NULL OR a.user_id = $1)
+                   AND ($2::text IS NULL OR at.code = $2)
+                 ORDER BY act.code, a.user_id, at.code
+                 LIMIT $3`,
+      [userId, assetCode, limit, tenantId],
+    );
+
+    return {
+      rows: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+    };
+  }
+
+  /**
+   * Ledger entries whose running_balance does not follow from the previous
+   * entry for the same account and asset (the first entry follows from zero)
+   */
+  async _findContinuityBreaks(client, limit, tenantId = null) {
+    const result = await client.query(
+      `SELECT e.*, a.user_id, act.code as account_type, at.code as asset_code,
+                        COUNT(*) OVER () as total_count
+                 FROM (
+                   SELECT le.id, le.transaction_id, le.account_id, le.asset_type_id, le.entry_type,
+                          le.amount, le.running_balance, le.entry_seq, le.created_at,
+                          COALESCE(LAG(le.running_balance) OVER (
+                            PARTITION BY le.account_id, le.asset_type_id ORDER BY le.entry_seq
+                          ), 0) + CASE WHEN le.entry_type = 'credit' THEN le.amount ELSE -le.amount END
+                            as expected_running_balance
+                   FROM ledger_entries le
+                 ) e
+                 JOIN accounts a ON e.account_id = a.id
+                 JOIN account_types act ON a.account_type_id = act.id
+                 JOIN asset_types at ON e.asset_type_id = at.id
+                 WHERE e.running_balance <> e.expected_running_balance
+                   AND ($2::uuid IS NULL OR a.tenant_id = $2)
+                 ORDER BY e.account_id, e.asset_type_id, e.entry_seq
+                 LIMIT $1`,
+      [limit, tenantId],
+    );
+
+    return {
+      rows: result.rows,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+    };
+  }
+
+  /**
+   * Shape a cache mismatch row for API responses
+   */
+  _formatMismatch(row) {
+    const ledgerUnits = toUnits(row.ledger_balance);
+    const cachedUnits =
+      row.cached_balance === null ? 0n : toUnits(row.cached_balance);
+
+    return {
+      accountId: row.account_id,
+      userId: row.user_id,
+      accountType: row.account_type,
+      assetCode: row.asset_code,
+      ledgerBalance: fromUnits(ledgerUnits),
+      cachedBalance:
+        row.cached_balance === null ? null : normalize(row.cached_balance),
+      difference: fromUnits(cachedUnits - ledgerUnits),
+    };
+  }
+
+  /**
+   * Shape a running balance continuity break for API responses
+   */
+  _formatContinuityBreak(row) {
+    return {
+      entryId: row.id,
+      transactionId: row.transaction_id,
+      accountId: row.account_id,
+      userId: row.user_id,
+      accountType: row.account_type,
+      assetCode: row.asset_code,
+      entryType: row.entry_type,
+      amount: normalize(row.amount),
+      runningBalance: normalize(row.running_balance),
+      expectedRunningBalance: normalize(row.expected_running_balance),
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,169 @@
+const crypto = require("crypto");
+const { pool } = require("./db");
+const logger = require("./logger");
+const { RequestSignatureError } = require("./errors");
+
+const MAX_SKEW_SECONDS = parseInt(
+  process.env.SIGNATURE_MAX_SKEW_SECONDS || "300",
+);
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Request Signing
+ * Verifies HMAC-SHA256 signatures on server-to-server requests
+ *
+ * The client signs, with its key's signing secret, the string
+ *
+ *   METHOD \n PATH \n TIMESTAMP \n NONCE \n hex(SHA-256(body))
+ *
+ * where PATH includes the query string and TIMESTAMP is in Unix seconds.
+ * A signature is only accepted within MAX_SKEW_SECONDS of the server clock,
+ * and each nonce only once per key: nonces are remembered for twice the skew
+ * window, which covers every timestamp that could still be accepted.
+ */
+class RequestSigning {
+  /**
+   * Verify a signed request
+   *
+   * @param {object} apiKey - Authenticated key ({ id, signing_secret })
+   * @param {object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path and query string as sent
+   * @param {string} request.timestamp - X-Signature-Timestamp header
+   * @param {string} request.nonce - X-Signature-Nonce header
+   * @param {string} request.signature - X-Signature header (hex)
+   * @param {Buffer} [request.body] - Raw request body
+   * @throws {RequestSignatureError}
+   */
+  async verify(apiKey, { method, path, timestamp, nonce, signature, body }) {
+    if (!signature || !timestamp || !nonce) {
+      throw new RequestSignatureError(
+        "SIGNATURE_REQUIRED",
+        "X-Signature, X-Signature-Timestamp and X-Signature-Nonce headers are required",
+      );
+    }
+
+    if (!apiKey.signing_secret) {
+      throw new RequestSignatureError(
+        "SIGNATURE_INVALID",
+        "API key has no signing secret",
+      );
+    }
+
+    if (!/^\d+$/.test(timestamp)) {
+      throw new RequestSignatureError(
+        "SIGNATURE_INVALID",
+        "X-Signature-Timestamp must be Unix seconds",
+      );
+    }
+
+    if (!NONCE_PATTERN.test(nonce)) {
+      throw new RequestSignatureError(
+        "SIGNATURE_INVALID",
+        "X-Signature-Nonce must be 16-128 characters of A-Z, a-z, 0-9, _ or -",
+      );
+    }
+
+    const skew = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+
+    if (skew > MAX_SKEW_SECONDS) {
+      throw new RequestSignatureError(
+        "SIGNATURE_EXPIRED",
+        `Signature timestamp is outside the allowed window of ${MAX_SKEW_SECONDS} seconds`,
+      );
+    }
+
+    const expected = crypto
+      .createHmac("sha256", apiKey.signing_secret)
+      .update(this.stringToSign(method, path, timestamp, nonce, body))
+      .digest("hex");
+
+    if (!this._signaturesMatch(signature, expected)) {
+      throw new RequestSignatureError(
+        "SIGNATURE_INVALID",
+        "Request signature does not match",
+      );
+    }
+
+    // Only a verified signature consumes its nonce
+    if (!(await this._recordNonce(apiKey.id, nonce))) {
+      throw new RequestSignatureError(
+        "NONCE_REUSED",
+        `Nonce ${nonce} has already been used`,
+      );
+    }
+  }
+
+  /**
+   * The string a client signs
+   */
+  stringToSign(method, path, timestamp, nonce, body) {
+    const bodyDigest = crypto
+      .createHash("sha256")
+      .update(body || "")
+      .digest("hex");
+
+    return [method.toUpperCase(), path, timestamp, nonce, bodyDigest].join(
+      "\n",
+    );
+  }
+
+  /**
+   * Delete nonces that can no longer be replayed within the skew window
+   *
+   * @returns {Promise<number>} Nonces deleted
+   */
+  async purgeExpiredNonces() {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        "DELETE FROM request_nonces WHERE expires_at <= CURRENT_TIMESTAMP",
+      );
+
+      if (result.rowCount > 0) {
+        logger.info("Purged expired request nonces", {
+          deleted: result.rowCount,
+        });
+      }
+
+      return result.rowCount;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remember a nonce for this key; false if it was already used
+   * An expired row that has not been purged yet does not count as a use
+   */
+  async _recordNonce(apiKeyId, nonce) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `INSERT INTO request_nonces (api_key_id, nonce, expires_at)
+                 VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(secs => $3))
+                 ON CONFLICT (api_key_id, nonce) DO UPDATE
+                   SET expires_at = EXCLUDED.expires_at
+                   WHERE request_nonces.expires_at <= CURRENT_TIMESTAMP`,
+        [apiKeyId, nonce, MAX_SKEW_SECONDS * 2],
+      );
+
+      return result.rowCount === 1;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Constant-time signature comparison
+   */
+  _signaturesMatch(provided, expected) {
+    const a = Buffer.from(provided.toLowerCase());
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+module.exports = new RequestSigning();
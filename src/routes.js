@@ -1,18 +1,53 @@
 const express = require('express');
 const transactionService = require('./transactionService');
+const accountService = require('./accountService');
+const statementService = require('./statementService');
+const exchangeRateService = require('./exchangeRateService');
+const balanceEvents = require('./balanceEvents');
 const logger = require('./logger');
+const adminRoutes = require('./adminRoutes');
+const tenantRoutes = require('./tenantRoutes');
+const analyticsRoutes = require('./analyticsRoutes');
+const {
+    authenticate,
+    verifySignature,
+    resolveTenant,
+    requirePlatformKey,
+    requireScope
+} = require('./auth');
 const {
     topUpSchema,
     bonusSchema,
     purchaseSchema,
+    transferSchema,
+    authorizeSchema,
+    captureSchema,
+    voidSchema,
+    refundSchema,
+    reversalSchema,
+    exchangeSchema,
+    exchangeRateQuerySchema,
+    accountCreateSchema,
+    accountStatusSchema,
+    accountCloseSchema,
     balanceQuerySchema,
+    balanceAtQuerySchema,
+    statementQuerySchema,
     transactionHistorySchema,
     validate,
     validateQuery
 } = require('./validation');
+const {
+    IdempotencyConflictError,
+    IdempotencyInProgressError,
+    AccountStatusError
+} = require('./errors');
 
 const router = express.Router();
 
+// Comment line sent on idle event streams so proxies keep them open
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS || '25000');
+
 /**
  * Health check endpoint
  */
@@ -24,6 +59,24 @@ router.get('/health', (req, res) => {
     });
 });
 
+/**
+ * Everything below requires an API key, and a valid signature when one is
+ * sent or the key requires it; each route names the scope it needs
+ */
+router.use(authenticate, verifySignature);
+
+/**
+ * Tenant management (/api/admin/tenants/*) spans tenants, so it is only open
+ * to platform keys and comes before tenant resolution
+ */
+router.use('/admin/tenants', requireScope('admin:*'), requirePlatformKey, tenantRoutes);
+
+/**
+ * Everything else acts for one tenant: the key's own, or the one a platform
+ * key names in X-Tenant
+ */
+router.use(resolveTenant);
+
 /**
  * POST /api/transactions/topup
  * Top up user wallet (purchase credits with real money)
@@ -37,12 +90,16 @@ router.get('/health', (req, res) => {
  *   "metadata": {
  *     "paymentId": "pay_xyz",
  *     "paymentMethod": "credit_card"
+ *   },
+ *   "account": {                   // optional, see AUTO_PROVISION_ACCOUNTS
+ *     "name": "Alice Player",
+ *     "email": "alice@example.com"
  *   }
  * }
  */
-router.post('/transactions/topup', validate(topUpSchema), async (req, res) => {
+router.post('/transactions/topup', requireScope('wallet:topup'), validate(topUpSchema), async (req, res) => {
     try {
-        const { userId, assetCode, amount, idempotencyKey, metadata } = req.body;
+        const { userId, assetCode, amount, idempotencyKey, metadata, account } = req.body;
 
         logger.info('Received top-up request', {
             userId,
@@ -57,7 +114,9 @@ router.post('/transactions/topup', validate(topUpSchema), async (req, res) => {
             assetCode,
             amount,
             idempotencyKey,
-            metadata
+            metadata,
+            account,
+            req.auditContext
         );
 
         res.status(200).json({
@@ -71,9 +130,17 @@ router.post('/transactions/topup', validate(topUpSchema), async (req, res) => {
             body: req.body
         });
 
-        const statusCode = error.message.includes('not found') ? 404 :
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('decimal places') ||
                           error.message.includes('Insufficient') ? 400 : 500;
 
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
         res.status(statusCode).json({
             success: false,
             error: error.message
@@ -94,12 +161,15 @@ router.post('/transactions/topup', validate(topUpSchema), async (req, res) => {
  *   "metadata": {
  *     "reason": "Referral bonus",
  *     "campaign": "spring_2024"
+ *   },
+ *   "account": {                   // optional, see AUTO_PROVISION_ACCOUNTS
+ *     "name": "Alice Player"
  *   }
  * }
  */
-router.post('/transactions/bonus', validate(bonusSchema), async (req, res) => {
+router.post('/transactions/bonus', requireScope('wallet:bonus'), validate(bonusSchema), async (req, res) => {
     try {
-        const { userId, assetCode, amount, idempotencyKey, metadata } = req.body;
+        const { userId, assetCode, amount, idempotencyKey, metadata, account } = req.body;
 
         logger.info('Received bonus request', {
             userId,
@@ -114,10 +184,13 @@ router.post('/transactions/bonus', validate(bonusSchema), async (req, res) => {
             assetCode,
             amount,
             idempotencyKey,
-            metadata
+            metadata,
+            account,
+            req.auditContext
         );
 
-        res.status(200).json({
+        // 202 when the bonus is above the approval threshold and awaits a checker
+        res.status(result.status === 'pending_approval' ? 202 : 200).json({
             success: true,
             data: result
         });
@@ -128,9 +201,17 @@ router.post('/transactions/bonus', validate(bonusSchema), async (req, res) => {
             body: req.body
         });
 
-        const statusCode = error.message.includes('not found') ? 404 :
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('decimal places') ||
                           error.message.includes('Insufficient') ? 400 : 500;
 
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
         res.status(statusCode).json({
             success: false,
             error: error.message
@@ -155,7 +236,7 @@ router.post('/transactions/bonus', validate(bonusSchema), async (req, res) => {
  *   }
  * }
  */
-router.post('/transactions/purchase', validate(purchaseSchema), async (req, res) => {
+router.post('/transactions/purchase', requireScope('wallet:purchase'), validate(purchaseSchema), async (req, res) => {
     try {
         const { userId, assetCode, amount, idempotencyKey, metadata } = req.body;
 
@@ -172,7 +253,8 @@ router.post('/transactions/purchase', validate(purchaseSchema), async (req, res)
             assetCode,
             amount,
             idempotencyKey,
-            metadata
+            metadata,
+            req.auditContext
         );
 
         res.status(200).json({
@@ -186,9 +268,17 @@ router.post('/transactions/purchase', validate(purchaseSchema), async (req, res)
             body: req.body
         });
 
-        const statusCode = error.message.includes('not found') ? 404 :
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('decimal places') ||
                           error.message.includes('Insufficient balance') ? 400 : 500;
 
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
         res.status(statusCode).json({
             success: false,
             error: error.message
@@ -197,41 +287,145 @@ router.post('/transactions/purchase', validate(purchaseSchema), async (req, res)
 });
 
 /**
- * GET /api/balance/:userId
- * Get user's balance for a specific asset or all assets
+ * POST /api/transactions/transfer
+ * Send credits from one user to another (transferable assets only)
  * 
- * Query params:
- * - assetCode (optional): specific asset to query
+ * Request body:
+ * {
+ *   "fromUserId": "user_001",
+ *   "toUserId": "user_002",
+ *   "assetCode": "DIAMOND",
+ *   "amount": 10,
+ *   "idempotencyKey": "unique-key-321",
+ *   "metadata": {
+ *     "message": "Happy birthday!"
+ *   }
+ * }
  */
-router.get('/balance/:userId', async (req, res) => {
+router.post('/transactions/transfer', requireScope('wallet:transfer'), validate(transferSchema), async (req, res) => {
     try {
-        const { userId } = req.params;
-        const { assetCode } = req.query;
+        const { fromUserId, toUserId, assetCode, amount, idempotencyKey, metadata } = req.body;
 
-        logger.info('Received balance query', {
-            userId,
-            assetCode
+        logger.info('Received transfer request', {
+            fromUserId,
+            toUserId,
+            assetCode,
+            amount,
+            idempotencyKey
         });
 
-        let result;
-        if (assetCode) {
-            result = await transactionService.getBalance(userId, assetCode);
-        } else {
-            result = await transactionService.getAllBalances(userId);
+        const result = await transactionService.transfer(
+            fromUserId,
+            toUserId,
+            assetCode,
+            amount,
+            idempotencyKey,
+            metadata,
+            req.auditContext
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Transfer request failed', {
+            error: error.message,
+            body: req.body
+        });
+
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('decimal places') ||
+                          error.message.includes('Insufficient balance') ||
+                          error.message.includes('not transferable') ? 400 : 500;
+
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
         }
 
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/transactions/exchange
+ * Convert credits from one asset to another at the configured rate
+ * 
+ * Request body:
+ * {
+ *   "userId": "user_001",
+ *   "fromAssetCode": "DIAMOND",
+ *   "toAssetCode": "GOLD_COIN",
+ *   "amount": 5,
+ *   "rateQuoteId": "uuid-from-exchange-rates",   // optional slippage protection
+ *   "idempotencyKey": "unique-key-654",
+ *   "metadata": {}
+ * }
+ */
+router.post('/transactions/exchange', requireScope('wallet:exchange'), validate(exchangeSchema), async (req, res) => {
+    try {
+        const {
+            userId,
+            fromAssetCode,
+            toAssetCode,
+            amount,
+            rateQuoteId,
+            idempotencyKey,
+            metadata
+        } = req.body;
+
+        logger.info('Received exchange request', {
+            userId,
+            fromAssetCode,
+            toAssetCode,
+            amount,
+            rateQuoteId,
+            idempotencyKey
+        });
+
+        const result = await transactionService.exchange(
+            userId,
+            fromAssetCode,
+            toAssetCode,
+            amount,
+            idempotencyKey,
+            metadata,
+            rateQuoteId,
+            req.auditContext
+        );
+
         res.status(200).json({
             success: true,
             data: result
         });
 
     } catch (error) {
-        logger.error('Balance query failed', {
+        logger.error('Exchange request failed', {
             error: error.message,
-            userId: req.params.userId
+            body: req.body
         });
 
-        res.status(500).json({
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('rate changed') ? 409 :
+                          error.message.includes('decimal places') ||
+                          error.message.includes('Insufficient balance') ||
+                          error.message.includes('too small') ? 400 : 500;
+
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(statusCode).json({
             success: false,
             error: error.message
         });
@@ -239,28 +433,75 @@ router.get('/balance/:userId', async (req, res) => {
 });
 
 /**
- * GET /api/transactions/:userId
- * Get transaction history for a user
+ * GET /api/exchange-rates
+ * Quote the active exchange rates; a rate's id can be passed as rateQuoteId
  * 
  * Query params:
- * - limit (optional, default 50): number of transactions to return
- * - offset (optional, default 0): pagination offset
+ * - fromAssetCode (optional)
+ * - toAssetCode (optional)
  */
-router.get('/transactions/:userId', async (req, res) => {
+router.get('/exchange-rates', requireScope('wallet:read'), validateQuery(exchangeRateQuerySchema), async (req, res) => {
     try {
-        const { userId } = req.params;
-        const { limit = 50, offset = 0 } = req.query;
+        const { fromAssetCode, toAssetCode } = req.query;
 
-        logger.info('Received transaction history query', {
+        const result = await exchangeRateService.listRates(
+            { fromAssetCode, toAssetCode },
+            req.auditContext.tenantId
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Exchange rate query failed', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/holds
+ * Authorize a hold: reserve credits now, settle them later
+ * 
+ * Request body:
+ * {
+ *   "userId": "user_001",
+ *   "assetCode": "GOLD_COIN",
+ *   "amount": 50,
+ *   "idempotencyKey": "match-9182-entry",
+ *   "ttlSeconds": 1800,          // optional, default HOLD_DEFAULT_TTL_SECONDS
+ *   "metadata": {
+ *     "matchId": "match_9182"
+ *   }
+ * }
+ */
+router.post('/holds', requireScope('wallet:hold'), validate(authorizeSchema), async (req, res) => {
+    try {
+        const { userId, assetCode, amount, idempotencyKey, ttlSeconds, metadata } = req.body;
+
+        logger.info('Received hold authorization request', {
             userId,
-            limit,
-            offset
+            assetCode,
+            amount,
+            idempotencyKey,
+            ttlSeconds
         });
 
-        const result = await transactionService.getTransactionHistory(
+        const result = await transactionService.authorize(
             userId,
-            parseInt(limit),
-            parseInt(offset)
+            assetCode,
+            amount,
+            idempotencyKey,
+            metadata,
+            ttlSeconds,
+            req.auditContext
         );
 
         res.status(200).json({
@@ -269,18 +510,774 @@ router.get('/transactions/:userId', async (req, res) => {
         });
 
     } catch (error) {
-        logger.error('Transaction history query failed', {
+        logger.error('Hold authorization request failed', {
             error: error.message,
-            userId: req.params.userId
+            body: req.body
         });
 
-        res.status(500).json({
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('decimal places') ||
+                          error.message.includes('Insufficient balance') ? 400 : 500;
+
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/holds/:id
+ * Get the current state of a hold
+ */
+router.get('/holds/:id', requireScope('wallet:read'), async (req, res) => {
+    try {
+        const result = await transactionService.getHold(req.params.id, req.auditContext.tenantId);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Hold query failed', {
+            error: error.message,
+            holdId: req.params.id
+        });
+
+        res.status(error.message.includes('not found') ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/holds/:id/capture
+ * Capture a hold (full or partial); any uncaptured remainder is released
+ * 
+ * Request body:
+ * {
+ *   "amount": 30,                // optional, defaults to the full hold
+ *   "idempotencyKey": "match-9182-settle",
+ *   "metadata": {
+ *     "itemId": "tournament_entry"
+ *   }
+ * }
+ */
+router.post('/holds/:id/capture', requireScope('wallet:hold'), validate(captureSchema), async (req, res) => {
+    try {
+        const { amount, idempotencyKey, metadata } = req.body;
+
+        logger.info('Received hold capture request', {
+            holdId: req.params.id,
+            amount,
+            idempotencyKey
+        });
+
+        const result = await transactionService.capture(
+            req.params.id,
+            amount,
+            idempotencyKey,
+            metadata,
+            req.auditContext
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Hold capture request failed', {
+            error: error.message,
+            holdId: req.params.id,
+            body: req.body
+        });
+
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('cannot be settled') ? 409 :
+                          error.message.includes('decimal places') ||
+                          error.message.includes('exceeds') ? 400 : 500;
+
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/holds/:id/void
+ * Void a hold, returning all held credits to the user
+ * 
+ * Request body:
+ * {
+ *   "idempotencyKey": "match-9182-cancel",
+ *   "metadata": {
+ *     "reason": "Match cancelled"
+ *   }
+ * }
+ */
+router.post('/holds/:id/void', requireScope('wallet:hold'), validate(voidSchema), async (req, res) => {
+    try {
+        const { idempotencyKey, metadata } = req.body;
+
+        logger.info('Received hold void request', {
+            holdId: req.params.id,
+            idempotencyKey
+        });
+
+        const result = await transactionService.void(
+            req.params.id,
+            idempotencyKey,
+            metadata,
+            req.auditContext
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Hold void request failed', {
+            error: error.message,
+            holdId: req.params.id,
+            body: req.body
+        });
+
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('cannot be settled') ? 409 : 500;
+
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(statusCode).json({
             success: false,
             error: error.message
         });
     }
 });
 
+/**
+ * POST /api/transactions/:id/refund
+ * Refund a completed purchase (full or partial)
+ * 
+ * Request body:
+ * {
+ *   "amount": 10.00,            // optional, defaults to the remaining refundable amount
+ *   "idempotencyKey": "refund-key-123",
+ *   "metadata": {
+ *     "reason": "Accidental purchase",
+ *     "ticketId": "SUP-4821"
+ *   }
+ * }
+ */
+router.post('/transactions/:id/refund', requireScope('wallet:refund'), validate(refundSchema), async (req, res) => {
+    try {
+        const { amount, idempotencyKey, metadata } = req.body;
+
+        logger.info('Received refund request', {
+            transactionId: req.params.id,
+            amount,
+            idempotencyKey,
+            reason: metadata.reason
+        });
+
+        const result = await transactionService.refund(
+            req.params.id,
+            amount,
+            idempotencyKey,
+            metadata,
+            req.auditContext
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Refund request failed', {
+            error: error.message,
+            transactionId: req.params.id,
+            body: req.body
+        });
+
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('decimal places') ||
+                          error.message.includes('Insufficient') ||
+                          error.message.includes('cannot be') ||
+                          error.message.includes('exceeds') ? 400 : 500;
+
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/transactions/:id/reverse
+ * Reverse a completed transaction (full or partial) by mirroring its ledger legs
+ * 
+ * Request body:
+ * {
+ *   "amount": 100.00,           // optional, defaults to the remaining reversible amount
+ *   "idempotencyKey": "reverse-key-123",
+ *   "metadata": {
+ *     "reason": "Duplicate top-up"
+ *   }
+ * }
+ */
+router.post('/transactions/:id/reverse', requireScope('wallet:refund'), validate(reversalSchema), async (req, res) => {
+    try {
+        const { amount, idempotencyKey, metadata } = req.body;
+
+        logger.info('Received reversal request', {
+            transactionId: req.params.id,
+            amount,
+            idempotencyKey,
+            reason: metadata.reason
+        });
+
+        const result = await transactionService.reverse(
+            req.params.id,
+            amount,
+            idempotencyKey,
+            metadata,
+            req.auditContext
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Reversal request failed', {
+            error: error.message,
+            transactionId: req.params.id,
+            body: req.body
+        });
+
+        const statusCode = error instanceof IdempotencyConflictError ||
+                          error instanceof IdempotencyInProgressError ||
+                          error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('decimal places') ||
+                          error.message.includes('Insufficient') ||
+                          error.message.includes('cannot be') ||
+                          error.message.includes('exceeds') ? 400 : 500;
+
+        if (error instanceof IdempotencyInProgressError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/accounts
+ * Open a user's wallet; idempotent per userId
+ * Returns 201 when the account is created and 200 with the existing account
+ * when the user already has one
+ * 
+ * Request body:
+ * {
+ *   "userId": "user_003",
+ *   "name": "Charlie Player",
+ *   "email": "charlie@example.com", // optional
+ *   "metadata": {}                  // optional
+ * }
+ */
+router.post('/accounts', requireScope('wallet:accounts'), validate(accountCreateSchema), async (req, res) => {
+    try {
+        logger.info('Received account creation request', {
+            userId: req.body.userId
+        });
+
+        const { created, ...account } = await accountService.create(req.body, req.auditContext);
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            data: account
+        });
+
+    } catch (error) {
+        logger.error('Account creation failed', {
+            error: error.message,
+            userId: req.body.userId
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/accounts/:userId
+ * Get a user's wallet and its status
+ */
+router.get('/accounts/:userId', requireScope('wallet:read'), async (req, res) => {
+    try {
+        const result = await accountService.get(req.params.userId, req.auditContext.tenantId);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Account query failed', {
+            error: error.message,
+            userId: req.params.userId
+        });
+
+        res.status(error.message.includes('not found') ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/accounts/:userId/freeze
+ * Freeze a wallet: it can still be credited, but purchases, transfers,
+ * exchanges and holds are refused until it is unfrozen
+ * 
+ * Request body:
+ * {
+ *   "reason": "Chargeback under investigation"
+ * }
+ */
+router.post('/accounts/:userId/freeze', requireScope('wallet:accounts'), validate(accountStatusSchema), async (req, res) => {
+    try {
+        logger.info('Received account freeze request', {
+            userId: req.params.userId,
+            reason: req.body.reason
+        });
+
+        const result = await accountService.freeze(req.params.userId, req.body.reason, req.auditContext);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Account freeze failed', {
+            error: error.message,
+            userId: req.params.userId
+        });
+
+        const statusCode = error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('already frozen') ? 409 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/accounts/:userId/unfreeze
+ * Return a frozen wallet to active
+ * 
+ * Request body:
+ * {
+ *   "reason": "Chargeback resolved"
+ * }
+ */
+router.post('/accounts/:userId/unfreeze', requireScope('wallet:accounts'), validate(accountStatusSchema), async (req, res) => {
+    try {
+        logger.info('Received account unfreeze request', {
+            userId: req.params.userId,
+            reason: req.body.reason
+        });
+
+        const result = await accountService.unfreeze(req.params.userId, req.body.reason, req.auditContext);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Account unfreeze failed', {
+            error: error.message,
+            userId: req.params.userId
+        });
+
+        const statusCode = error instanceof AccountStatusError ? 409 :
+                          error.message.includes('not found') ? 404 :
+                          error.message.includes('not frozen') ? 409 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/accounts/:userId/close
+ * Close a wallet for good
+ * Refused while holds are authorized or balances remain; with sweep, the
+ * remaining balances are moved to SYSTEM_RESERVE in an ACCOUNT_CLOSURE
+ * transaction first
+ * 
+ * Request body:
+ * {
+ *   "reason": "Player requested deletion",
+ *   "sweep": true                // optional, defaults to false
+ * }
+ */
+router.post('/accounts/:userId/close', requireScope('wallet:accounts'), validate(accountCloseSchema), async (req, res) => {
+    try {
+        logger.info('Received account close request', {
+            userId: req.params.userId,
+            reason: req.body.reason,
+            sweep: req.body.sweep
+        });
+
+        const result = await accountService.close(req.params.userId, req.body, req.auditContext);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Account close failed', {
+            error: error.message,
+            userId: req.params.userId
+        });
+
+        const statusCode = error.message.includes('not found') ? 404 :
+                          error.message.includes('already closed') ||
+                          error.message.includes('active holds') ||
+                          error.message.includes('non-zero balances') ? 409 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/balance/:userId
+ * Get user's balance for a specific asset or all assets
+ * 
+ * Query params:
+ * - assetCode (optional): specific asset to query
+ */
+router.get('/balance/:userId', requireScope('wallet:read'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { assetCode } = req.query;
+
+        logger.info('Received balance query', {
+            userId,
+            assetCode
+        });
+
+        let result;
+        if (assetCode) {
+            result = await transactionService.getBalance(userId, assetCode, req.auditContext.tenantId);
+        } else {
+            result = await transactionService.getAllBalances(userId, req.auditContext.tenantId);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Balance query failed', {
+            error: error.message,
+            userId: req.params.userId
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/balance/:userId/at
+ * Get user's balances as they stood at a point in time, from the ledger
+ * 
+ * Query params:
+ * - timestamp: ISO date; entries posted at or before it count
+ * - assetCode (optional): specific asset to query
+ */
+router.get('/balance/:userId/at', requireScope('wallet:read'), validateQuery(balanceAtQuerySchema), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { timestamp, assetCode } = req.query;
+
+        logger.info('Received point-in-time balance query', {
+            userId,
+            timestamp,
+            assetCode
+        });
+
+        const result = await statementService.getBalanceAt(
+            userId,
+            timestamp,
+            assetCode,
+            req.auditContext.tenantId
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Point-in-time balance query failed', {
+            error: error.message,
+            userId: req.params.userId
+        });
+
+        res.status(error.message.includes('not found') ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/events
+ * Server-Sent Events stream of the user's balance changes
+ *
+ * Events:
+ * - transaction.completed: a transaction touching the wallet was committed
+ * - balance.changed: one ledger entry on the wallet; its id is the entry's
+ *   sequence number
+ *
+ * Send Last-Event-ID (the last balance.changed id received) when reconnecting
+ * to be replayed every change since from the ledger.
+ */
+router.get('/users/:userId/events', requireScope('wallet:read'), async (req, res) => {
+    const { userId } = req.params;
+    const lastEventId = req.get('last-event-id') || null;
+
+    if (lastEventId !== null && !/^\d{1,18}$/.test(lastEventId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Last-Event-ID must be the id of a balance.changed event'
+        });
+    }
+
+    let accountId;
+
+    try {
+        accountId = await balanceEvents.findAccount(req.auditContext.tenantId, userId);
+    } catch (error) {
+        logger.error('Balance event stream failed', {
+            error: error.message,
+            userId
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (!accountId) {
+        return res.status(404).json({
+            success: false,
+            error: `User ${userId} not found`
+        });
+    }
+
+    // no-transform keeps the compression middleware from buffering the stream
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let unsubscribe = null;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+    const close = () => {
+        clearInterval(heartbeat);
+        if (unsubscribe) {
+            unsubscribe();
+        }
+        res.end();
+    };
+
+    res.on('close', close);
+
+    logger.info('Balance event stream opened', {
+        userId,
+        lastEventId
+    });
+
+    try {
+        unsubscribe = await balanceEvents.subscribe(accountId, lastEventId, {
+            send: ({ id, event, data }) => {
+                res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            },
+            end: close
+        });
+
+        // The client went away while the replay was running
+        if (res.writableEnded) {
+            unsubscribe();
+        }
+    } catch (error) {
+        logger.error('Balance event stream failed', {
+            error: error.message,
+            userId
+        });
+
+        close();
+    }
+});
+
+/**
+ * GET /api/users/:userId/statement
+ * Statement of one asset: opening balance, every ledger movement and the
+ * closing balance, verified against each other
+ * 
+ * Query params:
+ * - assetCode: asset of the statement
+ * - from: ISO date, inclusive
+ * - to (optional, default now): ISO date, exclusive
+ */
+router.get('/users/:userId/statement', requireScope('wallet:read'), validateQuery(statementQuerySchema), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        logger.info('Received statement query', {
+            userId,
+            query: req.query
+        });
+
+        const result = await statementService.getStatement(
+            userId,
+            req.query,
+            req.auditContext.tenantId
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Statement query failed', {
+            error: error.message,
+            userId: req.params.userId
+        });
+
+        res.status(error.message.includes('not found') ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/transactions/:userId
+ * Get transaction history for a user, newest first, one row per ledger entry
+ * 
+ * Query params:
+ * - limit (optional, default 50, max 100): entries per page
+ * - cursor (optional): nextCursor from the previous page
+ * - assetCode, type, entryType, status (completed or reversed) (optional): exact filters
+ * - from, to (optional): ISO dates; from inclusive, to exclusive
+ * - minAmount, maxAmount (optional): entry amount range, inclusive
+ */
+router.get('/transactions/:userId', requireScope('wallet:read'), validateQuery(transactionHistorySchema), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        logger.info('Received transaction history query', {
+            userId,
+            query: req.query
+        });
+
+        const result = await transactionService.getTransactionHistory(
+            userId,
+            req.query,
+            req.auditContext.tenantId
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Transaction history query failed', {
+            error: error.message,
+            userId: req.params.userId
+        });
+
+        res.status(error.message === 'Invalid cursor' ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Economy dashboards (/api/analytics/*)
+ */
+router.use('/analytics', requireScope('analytics:read'), analyticsRoutes);
+
+/**
+ * Administrative endpoints (/api/admin/*)
+ */
+router.use('/admin', requireScope('admin:*'), adminRoutes);
+
 /**
  * Error handling for undefined routes
  */
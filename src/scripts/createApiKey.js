@@ -0,0 +1,62 @@
+require('dotenv').config();
+const apiKeyService = require('../apiKeyService');
+const tenantService = require('../tenantService');
+const { shutdown } = require('../db');
+const { API_KEY_SCOPES } = require('../validation');
+
+/**
+ * Issue an API key from the command line
+ * Used to create the first admin key, since the key management endpoints
+ * themselves need one. Without --tenant the key is a platform key, which
+ * names its tenant per request and can create tenants.
+ *
+ * Usage: npm run create-api-key -- [--tenant <code>] <name> <scope> [scope...]
+ * e.g.   npm run create-api-key -- ops-bootstrap 'admin:*'
+ *        npm run create-api-key -- --tenant dino-ventures game-server wallet:read wallet:purchase
+ */
+async function createApiKey() {
+    const args = process.argv.slice(2);
+    const tenantCode = args[0] === '--tenant' ? args.splice(0, 2)[1] : null;
+    const [name, ...scopes] = args;
+
+    try {
+        if (!name || scopes.length === 0) {
+            throw new Error('Usage: npm run create-api-key -- [--tenant <code>] <name> <scope> [scope...]');
+        }
+
+        const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+
+        if (unknown.length > 0) {
+            throw new Error(`Unknown scopes ${unknown.join(', ')}; expected ${API_KEY_SCOPES.join(', ')}`);
+        }
+
+        let tenant = null;
+
+        if (tenantCode) {
+            tenant = await tenantService.findActiveByCode(tenantCode);
+
+            if (!tenant) {
+                throw new Error(`Tenant ${tenantCode} not found`);
+            }
+        }
+
+        const apiKey = await apiKeyService.create(
+            { name, scopes: [...new Set(scopes)] },
+            { actor: 'cli', tenantId: tenant ? tenant.id : null }
+        );
+
+        console.log(`API key ${apiKey.id} (${apiKey.name}): ${apiKey.scopes.join(', ')}`);
+        console.log(tenant ? `Tenant: ${tenant.code}` : 'Platform key: send X-Tenant with each request');
+        console.log(`\n   Key:            ${apiKey.key}`);
+        console.log(`   Signing secret: ${apiKey.signingSecret}\n`);
+        console.log('Store these now; they cannot be shown again.');
+
+    } catch (error) {
+        console.error('❌ Error creating API key:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await shutdown();
+    }
+}
+
+createApiKey();
@@ -8,7 +8,9 @@ const pool = new Pool({
     port: parseInt(process.env.DB_PORT || '5432'),
     database: process.env.DB_NAME || 'wallet_service',
     user: process.env.DB_USER || 'wallet_admin',
-    password: process.env.DB_PASSWORD
+    password: process.env.DB_PASSWORD,
+    // Seed timestamps in UTC, as the service's sessions use
+    options: '-c TimeZone=UTC'
 });
 
 async function runSeed() {
@@ -9,6 +9,8 @@ const path = require('path');
 const logger = require('./logger');
 const { testConnection, shutdown } = require('./db');
 const routes = require('./routes');
+const { startJobs, stopJobs } = require('./jobs');
+const balanceEvents = require('./balanceEvents');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -30,7 +32,15 @@ app.use(helmet());
 app.use(cors({
     origin: process.env.CORS_ORIGIN || '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: [
+        'Content-Type',
+        'Authorization',
+        'X-Signature',
+        'X-Signature-Timestamp',
+        'X-Signature-Nonce',
+        'X-Tenant',
+        'Last-Event-ID'
+    ]
 }));
 
 // Rate limiting to prevent abuse
@@ -53,8 +63,13 @@ app.use('/api/', limiter);
 // BODY PARSING MIDDLEWARE
 // ============================================================================
 
-// Parse JSON bodies with size limit
-app.use(express.json({ limit: '1mb' }));
+// Parse JSON bodies with size limit; the raw bytes are kept for request signatures
+app.use(express.json({
+    limit: '1mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Compression middleware
@@ -161,9 +176,17 @@ async function startServer() {
             logger.info('='.repeat(60));
         });
 
+        // Background jobs (hold expiry, etc.)
+        startJobs();
+
         // Graceful shutdown
         const gracefulShutdown = async (signal) => {
             logger.info(`${signal} received, starting graceful shutdown...`);
+
+            stopJobs();
+
+            // End open event streams, which would otherwise keep the server open
+            balanceEvents.close();
             
             server.close(async () => {
                 logger.info('HTTP server closed');
@@ -0,0 +1,229 @@
+const { pool } = require("./db");
+const logger = require("./logger");
+const { toUnits, fromUnits, normalize } = require("./amount");
+
+/**
+ * Statement Service
+ * Historical balances and statements, read from the ledger
+ *
+ * A wallet's balance at a time is the running_balance of its last ledger
+ * entry for the asset posted before then; entries are taken in entry_seq
+ * order, the order their running balances were computed in. A statement
+ * lists every entry in [from, to) between the opening balance (at from) and
+ * the closing balance (at to), and checks them against each other: opening
+ * plus credits minus debits must equal closing, and each entry's running
+ * balance must follow from the one before it. A statement that does not add
+ * up is still returned, flagged unverified with its gaps.
+ */
+class StatementService {
+  /**
+   * A user's balances as they stood at a point in time
+   *
+   * @param {string} userId - User identifier
+   * @param {Date} timestamp - Point in time; entries posted at or before it count
+   * @param {string} [assetCode] - Only this asset
+   * @param {string} tenantId - Tenant the wallet belongs to
+   * @returns {Promise<object>} { userId, timestamp, balances }
+   */
+  async getBalanceAt(userId, timestamp, assetCode = null, tenantId) {
+    const client = await pool.connect();
+
+    try {
+      const accountId = await this._getAccountId(client, userId, tenantId);
+
+      if (assetCode) {
+        await this._getAsset(client, assetCode, tenantId);
+      }
+
+      const result = await client.query(
+        `SELECT DISTINCT ON (at.code)
+                        at.code as asset_code, at.name as asset_name,
+                        le.running_balance, le.transaction_id, le.created_at
+                 FROM ledger_entries le
+                 JOIN asset_types at ON le.asset_type_id = at.id
+                 WHERE le.account_id = $1 AND le.created_at <= $2
+                   AND ($3::text IS NULL OR at.code = $3)
+                 ORDER BY at.code, le.entry_seq DESC`,
+        [accountId, timestamp, assetCode],
+      );
+
+      return {
+        userId,
+        timestamp,
+        balances: result.rows.map((row) => ({
+          assetCode: row.asset_code,
+          assetName: row.asset_name,
+          balance: normalize(row.running_balance),
+          lastTransactionId: row.transaction_id,
+          lastEntryAt: row.created_at,
+        })),
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * A user's statement for one asset over [from, to)
+   *
+   * @param {string} userId - User identifier
+   * @param {object} params
+   * @param {string} params.assetCode - Asset of the statement
+   * @param {Date} params.from - Start, inclusive
+   * @param {Date} params.to - End, exclusive
+   * @param {string} tenantId - Tenant the wallet belongs to
+   * @returns {Promise<object>} Opening balance, movements, closing balance and
+   *   their verification
+   */
+  async getStatement(userId, { assetCode, from, to }, tenantId) {
+    const client = await pool.connect();
+
+    try {
+      // One snapshot, so the balances and movements agree with each other
+      await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+
+      const accountId = await this._getAccountId(client, userId, tenantId);
+      const asset = await this._getAsset(client, assetCode, tenantId);
+
+      const opening = await this._balanceBefore(client, accountId, asset, from);
+      const closing = await this._balanceBefore(client, accountId, asset, to);
+
+      const movements = await client.query(
+        `SELECT le.id, le.entry_seq, le.transaction_id, le.entry_type, le.amount,
+                        le.running_balance, le.description, le.created_at,
+                        tt.code as type_code
+                 FROM ledger_entries le
+                 JOIN transactions t ON le.transaction_id = t.id
+                 JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                 WHERE le.account_id = $1 AND le.asset_type_id = $2
+                   AND le.created_at >= $3 AND le.created_at < $4
+                 ORDER BY le.entry_seq`,
+        [accountId, asset.id, from, to],
+      );
+
+      await client.query("COMMIT");
+
+      let credits = 0n;
+      let debits = 0n;
+      let previous = opening;
+      const gaps = [];
+
+      for (const row of movements.rows) {
+        const amount = toUnits(row.amount);
+        const balanceBefore =
+          toUnits(row.running_balance) +
+          (row.entry_type === "credit" ? -amount : amount);
+
+        if (balanceBefore !== previous) {
+          gaps.push({
+            entryId: row.id,
+            transactionId: row.transaction_id,
+            expectedBalanceBefore: fromUnits(previous),
+            balanceBefore: fromUnits(balanceBefore),
+            difference: fromUnits(balanceBefore - previous),
+            createdAt: row.created_at,
+          });
+        }
+
+        if (row.entry_type === "credit") {
+          credits += amount;
+        } else {
+          debits += amount;
+        }
+        previous = toUnits(row.running_balance);
+      }
+
+      const expectedClosing = opening + credits - debits;
+      const verified = expectedClosing === closing && gaps.length === 0;
+
+      if (!verified) {
+        logger.error("Statement does not reconcile", {
+          userId,
+          assetCode: asset.code,
+          from,
+          to,
+          openingBalance: fromUnits(opening),
+          closingBalance: fromUnits(closing),
+          expectedClosingBalance: fromUnits(expectedClosing),
+          gaps: gaps.length,
+        });
+      }
+
+      return {
+        userId,
+        assetCode: asset.code,
+        assetName: asset.name,
+        from,
+        to,
+        openingBalance: fromUnits(opening),
+        totalCredits: fromUnits(credits),
+        totalDebits: fromUnits(debits),
+        closingBalance: fromUnits(closing),
+        expectedClosingBalance: fromUnits(expectedClosing),
+        verified,
+        gaps,
+        movements: movements.rows.map((row) => ({
+          entryId: row.id,
+          transactionId: row.transaction_id,
+          typeCode: row.type_code,
+          entryType: row.entry_type,
+          amount: normalize(row.amount),
+          runningBalance: normalize(row.running_balance),
+          description: row.description,
+          timestamp: row.created_at,
+        })),
+      };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Balance in ledger units from the last entry posted before a time
+   */
+  async _balanceBefore(client, accountId, asset, time) {
+    const result = await client.query(
+      `SELECT running_balance FROM ledger_entries
+             WHERE account_id = $1 AND asset_type_id = $2 AND created_at < $3
+             ORDER BY entry_seq DESC
+             LIMIT 1`,
+      [accountId, asset.id, time],
+    );
+
+    return result.rows.length > 0
+      ? toUnits(result.rows[0].running_balance)
+      : 0n;
+  }
+
+  async _getAccountId(client, userId, tenantId) {
+    const result = await client.query(
+      "SELECT id FROM accounts WHERE tenant_id = $1 AND user_id = $2",
+      [tenantId, userId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`User account ${userId} not found`);
+    }
+
+    return result.rows[0].id;
+  }
+
+  async _getAsset(client, assetCode, tenantId) {
+    const result = await client.query(
+      `SELECT id, code, name FROM asset_types
+             WHERE tenant_id = $1 AND code = $2`,
+      [tenantId, assetCode],
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Asset type ${assetCode} not found`);
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new StatementService();
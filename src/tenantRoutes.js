@@ -0,0 +1,76 @@
+const express = require('express');
+const tenantService = require('./tenantService');
+const logger = require('./logger');
+const { tenantCreateSchema, validate } = require('./validation');
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/tenants
+ * List tenants
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await tenantService.list();
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Tenant list failed', {
+            error: error.message
+        });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/tenants
+ * Create a tenant with its system accounts and asset catalogue
+ *
+ * Request body:
+ * {
+ *   "code": "dino-racer",
+ *   "name": "Dino Racer",
+ *   "assets": [
+ *     { "code": "GOLD_COIN", "name": "Gold Coins", "decimals": 2, "approvalThreshold": 100000 }
+ *   ]
+ * }
+ */
+router.post('/', validate(tenantCreateSchema), async (req, res) => {
+    try {
+        logger.info('Received tenant creation request', {
+            code: req.body.code,
+            actor: req.auditContext.actor
+        });
+
+        const result = await tenantService.create(req.body, req.auditContext);
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Tenant creation failed', {
+            error: error.message,
+            code: req.body.code,
+            actor: req.auditContext.actor
+        });
+
+        const statusCode = error.message.includes('already exists') ? 409 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const { pool } = require("./db");
+const logger = require("./logger");
+const postingEngine = require("./postingEngine");
+const { normalize } = require("./amount");
+
+/**
+ * Tenant Service
+ * Creates and resolves tenants - the games sharing this wallet service
+ *
+ * Each tenant has its own asset catalogue, system accounts and user wallets;
+ * account types and transaction types are shared. Creating a tenant opens
+ * one account per system account type (treasury, revenue, bonus, reserve,
+ * escrow) and its initial assets. The system accounts start empty.
+ */
+class TenantService {
+  /**
+   * Resolve an active tenant by code
+   *
+   * @param {string} code - Tenant code (X-Tenant header)
+   * @returns {Promise<object|null>} tenants row, or null
+   */
+  async findActiveByCode(code) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        "SELECT * FROM tenants WHERE code = $1 AND is_active = true",
+        [code],
+      );
+
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List tenants with their account and asset counts
+   */
+  async list() {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT t.*,
+                        (SELECT COUNT(*) FROM accounts a
+                         WHERE a.tenant_id = t.id AND a.user_id IS NOT NULL) as user_accounts,
+                        (SELECT COUNT(*) FROM asset_types at
+                         WHERE at.tenant_id = t.id AND at.is_active = true) as active_assets
+                 FROM tenants t
+                 ORDER BY t.code`,
+      );
+
+      return result.rows.map((row) => ({
+        ...this._formatTenant(row),
+        userAccounts: parseInt(row.user_accounts),
+        activeAssets: parseInt(row.active_assets),
+      }));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create a tenant with its system accounts and asset catalogue
+   *
+   * @param {object} params
+   * @param {string} params.code - Unique tenant code (e.g. 'dino-racer')
+   * @param {string} params.name - Display name
+   * @param {Array<object>} params.assets - { code, name, description, decimals,
+   *   isTransferable, approvalThreshold }
+   * @param {object} context - Operator attribution (actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The tenant, its system accounts and assets
+   */
+  async create({ code, name, assets = [] }, context = {}) {
+    return await postingEngine.runInTransaction(async (client) => {
+      const existing = await client.query(
+        "SELECT id FROM tenants WHERE code = $1",
+        [code],
+      );
+
+      if (existing.rows.length > 0) {
+        throw new Error(`Tenant ${code} already exists`);
+      }
+
+      const tenantResult = await client.query(
+        "INSERT INTO tenants (code, name) VALUES ($1, $2) RETURNING *",
+        [code, name],
+      );
+      const tenant = tenantResult.rows[0];
+
+      // One account per system account type
+      const systemAccounts = await client.query(
+        `WITH created AS (
+                   INSERT INTO accounts (tenant_id, account_type_id, user_id, name, metadata)
+                   SELECT $1, id, NULL, name, '{"critical": true}'
+                   FROM account_types
+                   WHERE code <> 'USER'
+                   RETURNING id, account_type_id
+                 )
+                 SELECT c.id, at.code as account_type FROM created c
+                 JOIN account_types at ON c.account_type_id = at.id
+                 ORDER BY at.code`,
+        [tenant.id],
+      );
+
+      const assetRows = [];
+      for (const asset of assets) {
+        const assetResult = await client.query(
+          `INSERT INTO asset_types
+                   (tenant_id, code, name, description, decimals, is_transferable, approval_threshold)
+                   VALUES ($1, $2, $3, $4, $5, $6, $7)
+                   RETURNING code, name, decimals, is_transferable, approval_threshold`,
+          [
+            tenant.id,
+            asset.code,
+            asset.name,
+            asset.description || null,
+            asset.decimals,
+            asset.isTransferable || false,
+            asset.approvalThreshold === undefined
+              ? null
+              : asset.approvalThreshold,
+          ],
+        );
+        assetRows.push(assetResult.rows[0]);
+      }
+
+      await postingEngine.createAuditLog(
+        client,
+        null,
+        null,
+        "TENANT_CREATED",
+        { code, name, assets: assets.map((asset) => asset.code) },
+        { ...context, tenantId: tenant.id },
+      );
+
+      logger.info("Tenant created", {
+        tenantId: tenant.id,
+        code,
+        assets: assetRows.length,
+        actor: context.actor,
+      });
+
+      return {
+        ...this._formatTenant(tenant),
+        systemAccounts: systemAccounts.rows.map((row) => ({
+          accountId: row.id,
+          accountType: row.account_type,
+        })),
+        assets: assetRows.map((row) => ({
+          assetCode: row.code,
+          assetName: row.name,
+          decimals: row.decimals,
+          isTransferable: row.is_transferable,
+          approvalThreshold:
+            row.approval_threshold === null
+              ? null
+              : normalize(row.approval_threshold),
+        })),
+      };
+    });
+  }
+
+  /**
+   * Shape a tenants row for API responses
+   */
+  _formatTenant(row) {
+    return {
+      tenantId: row.id,
+      code: row.code,
+      name: row.name,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new TenantService();
@@ -1,12 +1,38 @@
-const { v4: uuidv4 } = require("uuid");
-const crypto = require("crypto");
+const { v4: uuidv4, validate: isUuid } = require("uuid");
 const { pool, executeWithRetry } = require("./db");
 const logger = require("./logger");
+const postingEngine = require("./postingEngine");
+const {
+  RATE_DECIMALS,
+  parseDecimal,
+  formatDecimal,
+  toUnits,
+  fromUnits,
+  normalize,
+  toAssetUnits,
+  truncateToAsset,
+} = require("./amount");
+const exchangeRateService = require("./exchangeRateService");
+const { USER_OPERATIONS } = require("./userOperations");
+const outbox = require("./outbox");
+const accountService = require("./accountService");
+const { AccountStatusError } = require("./errors");
+
+// Open wallets for unknown users on their first top-up or bonus
+const AUTO_PROVISION_ACCOUNTS = process.env.AUTO_PROVISION_ACCOUNTS === "true";
+
+// Hold transactions move funds through escrow and are settled through the
+// hold itself (capture, void or expiry), never reversed
+const HOLD_TRANSACTION_TYPES = ["HOLD", "HOLD_CAPTURE", "HOLD_RELEASE"];
 
 /**
  * Transaction Service
  * Implements double-entry ledger with ACID guarantees
  * Handles concurrency, race conditions, and deadlock prevention
+ *
+ * Every lookup is confined to one tenant: assets, user wallets and system
+ * accounts are resolved within context.tenantId (or the tenantId argument of
+ * read methods), so a request can never touch another tenant's ledger.
  */
 class TransactionService {
   /**
@@ -18,9 +44,20 @@ class TransactionService {
    * @param {number} amount - Amount to add
    * @param {string} idempotencyKey - Unique key to prevent duplicate processing
    * @param {object} metadata - Additional transaction metadata
+   * @param {object} [account] - { name, email, metadata } for the wallet opened
+   *   if the user has none and AUTO_PROVISION_ACCOUNTS is on
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
    * @returns {Promise<object>} Transaction result
    */
-  async topUp(userId, assetCode, amount, idempotencyKey, metadata = {}) {
+  async topUp(
+    userId,
+    assetCode,
+    amount,
+    idempotencyKey,
+    metadata = {},
+    account = null,
+    context = {},
+  ) {
     logger.info("Processing top-up transaction", {
       userId,
       assetCode,
@@ -33,262 +70,170 @@ class TransactionService {
       throw new Error("Missing required parameters");
     }
 
-    if (amount <= 0) {
+    if (toUnits(amount) <= 0n) {
       throw new Error("Amount must be positive");
     }
 
-    // Check idempotency first (outside transaction for performance)
-    const existingResult = await this._checkIdempotency(idempotencyKey);
-    if (existingResult) {
-      logger.info("Returning cached result for idempotent request", {
-        idempotencyKey,
-      });
-      return existingResult;
-    }
+    // Amounts are canonical decimal strings from here on
+    amount = normalize(amount);
 
-    // Execute transaction with retry logic for deadlock handling
-    return await executeWithRetry(async () => {
-      return await this._executeTopUpTransaction(
-        userId,
-        assetCode,
-        amount,
-        idempotencyKey,
-        metadata,
-      );
-    });
+    // What the key stands for; reusing it for another operation, user,
+    // amount or metadata is a conflict rather than a replay
+    const idempotencyRequest = {
+      operation: "TOP_UP",
+      userId,
+      assetCode,
+      amount,
+      metadata,
+    };
+
+    // Execute once per idempotency key, with retry logic for deadlock handling
+    return await postingEngine.executeIdempotent(
+      context.tenantId,
+      idempotencyKey,
+      idempotencyRequest,
+      async () => {
+        return await this._executeUserOperation("TOP_UP", {
+          userId,
+          assetCode,
+          amount,
+          idempotencyKey,
+          description: metadata.description || `Top-up ${amount} ${assetCode}`,
+          metadata,
+          idempotencyRequest,
+          requestData: { userId, assetCode, amount },
+          auditData: { userId, assetCode, amount, idempotencyKey },
+          provision: this._provisionDetails(userId, account),
+          context,
+        });
+      },
+    );
   }
 
   /**
-   * Internal method to execute top-up transaction
-   * Runs within a database transaction with proper locking
+   * Internal method to execute a USER_OPERATIONS transaction
+   * Runs within a database transaction; operations flagged requiresApproval
+   * are parked for a second operator when the amount exceeds the asset's
+   * approval threshold
    */
-  async _executeTopUpTransaction(
-    userId,
-    assetCode,
-    amount,
-    idempotencyKey,
-    metadata,
-  ) {
-    const client = await pool.connect();
+  async _executeUserOperation(typeCode, request) {
+    const operation = USER_OPERATIONS[typeCode];
+    const {
+      userId,
+      assetCode,
+      amount,
+      idempotencyKey,
+      description,
+      metadata,
+      requestData,
+      idempotencyRequest,
+      auditData,
+      responseData = {},
+      provision = null,
+      context = {},
+    } = request;
+    const userEntryType = request.direction || operation.userEntryType;
+    const counterpartyEntryType =
+      userEntryType === "credit" ? "debit" : "credit";
 
     try {
-      // Start transaction with serializable isolation level
-      await client.query("BEGIN ISOLATION LEVEL SERIALIZABLE");
-
-      // Get asset type
-      const assetResult = await client.query(
-        "SELECT id FROM asset_types WHERE code = $1 AND is_active = true",
-        [assetCode],
-      );
-
-      if (assetResult.rows.length === 0) {
-        throw new Error(`Asset type ${assetCode} not found or inactive`);
-      }
-
-      const assetTypeId = assetResult.rows[0].id;
-
-      // Get user account with lock
-      const userAccountResult = await client.query(
-        `SELECT id FROM accounts 
-                 WHERE user_id = $1 AND is_active = true
-                 FOR UPDATE NOWAIT`,
-        [userId],
-      );
-
-      if (userAccountResult.rows.length === 0) {
-        throw new Error(`User account ${userId} not found or inactive`);
-      }
-
-      const userAccountId = userAccountResult.rows[0].id;
-
-      // Get system treasury account
-      const treasuryResult = await client.query(
-        `SELECT a.id FROM accounts a
-                 JOIN account_types at ON a.account_type_id = at.id
-                 WHERE at.code = 'SYSTEM_TREASURY' AND a.is_active = true`,
-      );
+      return await postingEngine.runInTransaction(async (client) => {
+        const asset = await this._getAsset(client, assetCode, context.tenantId);
 
-      if (treasuryResult.rows.length === 0) {
-        throw new Error("System treasury account not found");
-      }
-
-      const treasuryAccountId = treasuryResult.rows[0].id;
+        // Opened in this transaction, so a failed credit leaves no wallet
+        const provisioned = provision
+          ? await accountService.provision(client, provision, context, typeCode)
+          : null;
 
-      // Lock accounts in deterministic order to prevent deadlocks
-      // Always lock in sorted order by account ID
-      const accountIds = [userAccountId, treasuryAccountId].sort();
-
-      // Lock both accounts (one is already locked, lock the other)
-      if (accountIds[0] !== userAccountId) {
-        await client.query(
-          "SELECT id FROM accounts WHERE id = $1 FOR UPDATE NOWAIT",
-          [accountIds[0]],
-        );
-      }
-      if (accountIds[1] !== userAccountId) {
-        await client.query(
-          "SELECT id FROM accounts WHERE id = $1 FOR UPDATE NOWAIT",
-          [accountIds[1]],
+        const userAccountId = await this._getUserAccountId(
+          client,
+          userId,
+          context.tenantId,
+          { spending: userEntryType === "debit" },
         );
-      }
-
-      // Get transaction type
-      const txnTypeResult = await client.query(
-        "SELECT id FROM transaction_types WHERE code = $1",
-        ["TOP_UP"],
-      );
-      const transactionTypeId = txnTypeResult.rows[0].id;
 
-      // Create transaction record
-      const transactionId = uuidv4();
-      const description =
-        metadata.description || `Top-up ${amount} ${assetCode}`;
+        // Reject precision beyond the asset's decimals
+        toAssetUnits(amount, asset);
+
+        // Large amounts wait for a second operator (maker-checker)
+        if (
+          operation.requiresApproval &&
+          this._requiresApproval(asset, amount)
+        ) {
+          return await this._createPendingApproval(client, {
+            operation: typeCode,
+            idempotencyKey,
+            assetTypeId: asset.id,
+            amount,
+            description,
+            metadata,
+            accountId: userAccountId,
+            requestData,
+            idempotencyRequest,
+            context,
+          });
+        }
+
+        const counterpartyAccountId = await this._getSystemAccountId(
+          client,
+          operation.counterparty,
+          context.tenantId,
+        );
 
-      await client.query(
-        `INSERT INTO transactions 
-   (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, metadata, status, completed_at)
-   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-        [
-          transactionId,
+        return await postingEngine.post(client, {
+          typeCode,
           idempotencyKey,
-          transactionTypeId,
-          assetTypeId,
+          assetTypeId: asset.id,
           amount,
           description,
-          JSON.stringify(metadata),
-          "completed",
-          new Date(),
-        ],
-      );
-
-      // Get current balances
-      const treasuryBalance = await this._getBalance(
-        client,
-        treasuryAccountId,
-        assetTypeId,
-      );
-      const userBalance = await this._getBalance(
-        client,
-        userAccountId,
-        assetTypeId,
-      );
-
-      // Verify treasury has sufficient balance
-      if (treasuryBalance < amount) {
-        throw new Error("Insufficient treasury balance");
-      }
-
-      // Calculate new balances
-      const newTreasuryBalance =
-        parseFloat(treasuryBalance) - parseFloat(amount);
-      const newUserBalance = parseFloat(userBalance) + parseFloat(amount);
-
-      // Create double-entry ledger entries
-      // Debit from treasury
-      await client.query(
-        `INSERT INTO ledger_entries 
-                 (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
-                 VALUES ($1, $2, $3, 'debit', $4, $5, $6)`,
-        [
-          transactionId,
-          treasuryAccountId,
-          assetTypeId,
-          amount,
-          newTreasuryBalance,
-          "Debit from treasury for user top-up",
-        ],
-      );
-
-      // Credit to user
-      await client.query(
-        `INSERT INTO ledger_entries 
-                 (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
-                 VALUES ($1, $2, $3, 'credit', $4, $5, $6)`,
-        [
-          transactionId,
-          userAccountId,
-          assetTypeId,
-          amount,
-          newUserBalance,
-          "Credit to user wallet",
-        ],
-      );
-
-      // Update balance cache atomically
-      await this._updateBalanceCache(
-        client,
-        treasuryAccountId,
-        assetTypeId,
-        newTreasuryBalance,
-        transactionId,
-      );
-      await this._updateBalanceCache(
-        client,
-        userAccountId,
-        assetTypeId,
-        newUserBalance,
-        transactionId,
-      );
-
-      // Create idempotency log
-      const responseData = {
-        transactionId,
-        userId,
-        assetCode,
-        amount,
-        newBalance: newUserBalance,
-        timestamp: new Date().toISOString(),
-      };
-
-      await client.query(
-        `INSERT INTO idempotency_log 
-   (idempotency_key, request_hash, response_data, status, expires_at)
-   VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + INTERVAL '24 hours')`,
-        [
-          idempotencyKey,
-          this._hashRequest({ userId, assetCode, amount }),
-          JSON.stringify(responseData),
-          "completed",
-        ],
-      );
-
-      // Create audit log
-      await this._createAuditLog(
-        client,
-        transactionId,
-        userAccountId,
-        "TOP_UP",
-        {
-          userId,
-          assetCode,
-          amount,
-          idempotencyKey,
-        },
-      );
-
-      // Commit transaction
-      await client.query("COMMIT");
-
-      logger.info("Top-up transaction completed successfully", {
-        transactionId,
-        userId,
-        amount,
-        newBalance: newUserBalance,
+          metadata,
+          legs: [
+            {
+              accountId: counterpartyAccountId,
+              assetTypeId: asset.id,
+              entryType: counterpartyEntryType,
+              amount,
+              label: operation.counterpartyLabel,
+              description:
+                request.counterpartyDescription ||
+                operation.counterpartyDescription,
+            },
+            {
+              accountId: userAccountId,
+              assetTypeId: asset.id,
+              entryType: userEntryType,
+              amount,
+              description:
+                request.userDescription || operation.userDescription,
+            },
+          ],
+          request: idempotencyRequest,
+          audit: { accountId: userAccountId, action: typeCode, data: auditData },
+          context,
+          publish: Boolean(operation.publishes),
+          respond: async (transactionId, entries) => ({
+            transactionId,
+            userId,
+            assetCode,
+            amount,
+            newBalance: entries[1].runningBalance,
+            ...responseData,
+            ...(provisioned ? { accountCreated: true } : {}),
+            ...(operation.returnsEntries ? { entries } : {}),
+            timestamp: new Date().toISOString(),
+          }),
+        });
       });
-
-      return responseData;
     } catch (error) {
-      await client.query("ROLLBACK");
-      logger.error("Top-up transaction failed", {
+      logger.error("Transaction failed", {
         error: error.message,
+        typeCode,
         userId,
         assetCode,
         amount,
         idempotencyKey,
       });
       throw error;
-    } finally {
-      client.release();
     }
   }
 
@@ -300,9 +245,21 @@ class TransactionService {
    * @param {number} amount - Amount to award
    * @param {string} idempotencyKey - Unique key
    * @param {object} metadata - Additional metadata (reason, campaign, etc.)
-   * @returns {Promise<object>} Transaction result
+   * @param {object} [account] - { name, email, metadata } for the wallet opened
+   *   if the user has none and AUTO_PROVISION_ACCOUNTS is on
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Transaction result, or a pending approval when
+   *   the amount exceeds the asset's approval threshold
    */
-  async issueBonus(userId, assetCode, amount, idempotencyKey, metadata = {}) {
+  async issueBonus(
+    userId,
+    assetCode,
+    amount,
+    idempotencyKey,
+    metadata = {},
+    account = null,
+    context = {},
+  ) {
     logger.info("Processing bonus transaction", {
       userId,
       assetCode,
@@ -315,512 +272,1819 @@ class TransactionService {
       throw new Error("Missing required parameters");
     }
 
-    if (amount <= 0) {
+    if (toUnits(amount) <= 0n) {
       throw new Error("Amount must be positive");
     }
 
-    // Check idempotency
-    const existingResult = await this._checkIdempotency(idempotencyKey);
-    if (existingResult) {
-      logger.info("Returning cached result for idempotent request", {
-        idempotencyKey,
-      });
-      return existingResult;
-    }
+    // Amounts are canonical decimal strings from here on
+    amount = normalize(amount);
+
+    const idempotencyRequest = {
+      operation: "BONUS",
+      userId,
+      assetCode,
+      amount,
+      metadata,
+    };
 
     // Execute with retry
-    return await executeWithRetry(async () => {
-      return await this._executeIssueBonusTransaction(
-        userId,
-        assetCode,
-        amount,
-        idempotencyKey,
-        metadata,
-      );
-    });
+    return await postingEngine.executeIdempotent(
+      context.tenantId,
+      idempotencyKey,
+      idempotencyRequest,
+      async () => {
+        return await this._executeUserOperation("BONUS", {
+          userId,
+          assetCode,
+          amount,
+          idempotencyKey,
+          description: metadata.reason || `Bonus ${amount} ${assetCode}`,
+          metadata,
+          idempotencyRequest,
+          requestData: { userId, assetCode, amount },
+          auditData: { userId, assetCode, amount, reason: metadata.reason },
+          responseData: { reason: metadata.reason },
+          provision: this._provisionDetails(userId, account),
+          context,
+        });
+      },
+    );
   }
 
   /**
-   * Internal method to execute bonus transaction
+   * Process a purchase/spend transaction
+   * User spends credits on in-app items or services
+   *
+   * @param {string} userId - User identifier
+   * @param {string} assetCode - Asset type code
+   * @param {number} amount - Amount to spend
+   * @param {string} idempotencyKey - Unique key
+   * @param {object} metadata - Purchase details (itemId, itemName, etc.)
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Transaction result
    */
-  async _executeIssueBonusTransaction(
+  async purchase(
     userId,
     assetCode,
     amount,
     idempotencyKey,
-    metadata,
+    metadata = {},
+    context = {},
   ) {
-    const client = await pool.connect();
-
-    try {
-      await client.query("BEGIN ISOLATION LEVEL SERIALIZABLE");
+    logger.info("Processing purchase transaction", {
+      userId,
+      assetCode,
+      amount,
+      idempotencyKey,
+    });
 
-      // Get asset type
-      const assetResult = await client.query(
-        "SELECT id FROM asset_types WHERE code = $1 AND is_active = true",
-        [assetCode],
-      );
+    // Validate inputs
+    if (!userId || !assetCode || !amount || !idempotencyKey) {
+      throw new Error("Missing required parameters");
+    }
 
-      if (assetResult.rows.length === 0) {
-        throw new Error(`Asset type ${assetCode} not found`);
-      }
+    if (toUnits(amount) <= 0n) {
+      throw new Error("Amount must be positive");
+    }
 
-      const assetTypeId = assetResult.rows[0].id;
+    // Amounts are canonical decimal strings from here on
+    amount = normalize(amount);
 
-      // Get user account
-      const userAccountResult = await client.query(
-        `SELECT id FROM accounts 
-                 WHERE user_id = $1 AND is_active = true`,
-        [userId],
-      );
+    const idempotencyRequest = {
+      operation: "PURCHASE",
+      userId,
+      assetCode,
+      amount,
+      metadata,
+    };
 
-      if (userAccountResult.rows.length === 0) {
-        throw new Error(`User account ${userId} not found`);
-      }
+    // Execute with retry
+    return await postingEngine.executeIdempotent(
+      context.tenantId,
+      idempotencyKey,
+      idempotencyRequest,
+      async () => {
+        const item = metadata.itemName || metadata.itemId;
 
-      const userAccountId = userAccountResult.rows[0].id;
+        return await this._executeUserOperation("PURCHASE", {
+          userId,
+          assetCode,
+          amount,
+          idempotencyKey,
+          description: metadata.itemName
+            ? `Purchase ${metadata.itemName} for ${amount} ${assetCode}`
+            : `Purchase for ${amount} ${assetCode}`,
+          metadata,
+          idempotencyRequest,
+          requestData: { userId, assetCode, amount },
+          auditData: { userId, assetCode, amount, item },
+          responseData: { item },
+          context,
+        });
+      },
+    );
+  }
 
-      // Get bonus pool account
-      const bonusPoolResult = await client.query(
-        `SELECT a.id FROM accounts a
-                 JOIN account_types at ON a.account_type_id = at.id
-                 WHERE at.code = 'SYSTEM_BONUS' AND a.is_active = true`,
-      );
+  /**
+   * Transfer credits from one user to another
+   * Only assets flagged as transferable in asset_types may be sent
+   *
+   * @param {string} fromUserId - Sending user
+   * @param {string} toUserId - Receiving user
+   * @param {string} assetCode - Asset type code
+   * @param {number} amount - Amount to transfer
+   * @param {string} idempotencyKey - Unique key
+   * @param {object} metadata - Transfer details (message, etc.)
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Transaction result
+   */
+  async transfer(
+    fromUserId,
+    toUserId,
+    assetCode,
+    amount,
+    idempotencyKey,
+    metadata = {},
+    context = {},
+  ) {
+    logger.info("Processing transfer transaction", {
+      fromUserId,
+      toUserId,
+      assetCode,
+      amount,
+      idempotencyKey,
+    });
 
-      if (bonusPoolResult.rows.length === 0) {
-        throw new Error("Bonus pool account not found");
-      }
+    // Validate inputs
+    if (!fromUserId || !toUserId || !assetCode || !amount || !idempotencyKey) {
+      throw new Error("Missing required parameters");
+    }
 
-      const bonusPoolAccountId = bonusPoolResult.rows[0].id;
+    if (toUnits(amount) <= 0n) {
+      throw new Error("Amount must be positive");
+    }
 
-      // Lock accounts in order
-      const accountIds = [userAccountId, bonusPoolAccountId].sort();
-      await client.query(
-        "SELECT id FROM accounts WHERE id = ANY($1) ORDER BY id FOR UPDATE NOWAIT",
-        [accountIds],
-      );
+    // Amounts are canonical decimal strings from here on
+    amount = normalize(amount);
 
-      // Get transaction type
-      const txnTypeResult = await client.query(
-        "SELECT id FROM transaction_types WHERE code = $1",
-        ["BONUS"],
-      );
-      const transactionTypeId = txnTypeResult.rows[0].id;
+    if (fromUserId === toUserId) {
+      throw new Error("Cannot transfer to the same account");
+    }
 
-      // Create transaction
-      const transactionId = uuidv4();
-      const description = metadata.reason || `Bonus ${amount} ${assetCode}`;
+    const idempotencyRequest = {
+      operation: "TRANSFER",
+      fromUserId,
+      toUserId,
+      assetCode,
+      amount,
+      metadata,
+    };
 
-      await client.query(
-        `INSERT INTO transactions 
-   (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, metadata, status, completed_at)
-   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-        [
-          transactionId,
-          idempotencyKey,
-          transactionTypeId,
-          assetTypeId,
+    // Execute with retry
+    return await postingEngine.executeIdempotent(
+      context.tenantId,
+      idempotencyKey,
+      idempotencyRequest,
+      async () => {
+        return await this._executeTransferTransaction(
+          fromUserId,
+          toUserId,
+          assetCode,
           amount,
-          description,
-          JSON.stringify(metadata),
-          "completed",
-          new Date(),
-        ],
-      );
+          idempotencyKey,
+          metadata,
+          idempotencyRequest,
+          context,
+        );
+      },
+    );
+  }
 
-      // Get balances
-      const bonusPoolBalance = await this._getBalance(
-        client,
-        bonusPoolAccountId,
-        assetTypeId,
-      );
-      const userBalance = await this._getBalance(
-        client,
-        userAccountId,
-        assetTypeId,
-      );
+  /**
+   * Internal method to execute transfer transaction
+   */
+  async _executeTransferTransaction(
+    fromUserId,
+    toUserId,
+    assetCode,
+    amount,
+    idempotencyKey,
+    metadata,
+    idempotencyRequest,
+    context,
+  ) {
+    try {
+      return await postingEngine.runInTransaction(async (client) => {
+        const asset = await this._getAsset(client, assetCode, context.tenantId);
 
-      // Check bonus pool has sufficient balance
-      if (bonusPoolBalance < amount) {
-        throw new Error("Insufficient bonus pool balance");
-      }
+        if (!asset.is_transferable) {
+          throw new Error(`Asset type ${assetCode} is not transferable`);
+        }
 
-      // Calculate new balances
-      const newBonusPoolBalance =
-        parseFloat(bonusPoolBalance) - parseFloat(amount);
-      const newUserBalance = parseFloat(userBalance) + parseFloat(amount);
+        // Reject precision beyond the asset's decimals
+        toAssetUnits(amount, asset);
 
-      // Double-entry: Debit from bonus pool
-      await client.query(
-        `INSERT INTO ledger_entries 
-                 (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
-                 VALUES ($1, $2, $3, 'debit', $4, $5, $6)`,
-        [
-          transactionId,
-          bonusPoolAccountId,
-          assetTypeId,
-          amount,
-          newBonusPoolBalance,
-          "Debit from bonus pool",
-        ],
-      );
+        const senderAccountId = await this._getUserAccountId(
+          client,
+          fromUserId,
+          context.tenantId,
+          { spending: true },
+        );
+        const recipientAccountId = await this._getUserAccountId(
+          client,
+          toUserId,
+          context.tenantId,
+        );
 
-      // Credit to user
-      await client.query(
-        `INSERT INTO ledger_entries 
-                 (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
-                 VALUES ($1, $2, $3, 'credit', $4, $5, $6)`,
-        [
-          transactionId,
-          userAccountId,
-          assetTypeId,
+        // Double-entry: debit sender, credit recipient, in one TRANSFER_OUT
+        // transaction. TRANSFER_IN stays unused: posting the recipient's side
+        // as a transaction of its own would leave both halves unbalanced
+        return await postingEngine.post(client, {
+          typeCode: "TRANSFER_OUT",
+          idempotencyKey,
+          assetTypeId: asset.id,
           amount,
-          newUserBalance,
-          "Bonus credit to user",
-        ],
-      );
+          description: `Transfer ${amount} ${assetCode} from ${fromUserId} to ${toUserId}`,
+          metadata: { ...metadata, fromUserId, toUserId },
+          legs: [
+            {
+              accountId: senderAccountId,
+              assetTypeId: asset.id,
+              entryType: "debit",
+              amount,
+              description: `Transfer to ${toUserId}`,
+            },
+            {
+              accountId: recipientAccountId,
+              assetTypeId: asset.id,
+              entryType: "credit",
+              amount,
+              description: `Transfer from ${fromUserId}`,
+            },
+          ],
+          request: idempotencyRequest,
+          audit: {
+            accountId: senderAccountId,
+            action: "TRANSFER",
+            data: { fromUserId, toUserId, assetCode, amount, idempotencyKey },
+          },
+          context,
+          respond: async (transactionId, [senderEntry, recipientEntry]) => ({
+            transactionId,
+            fromUserId,
+            toUserId,
+            assetCode,
+            amount,
+            newBalance: senderEntry.runningBalance,
+            recipientNewBalance: recipientEntry.runningBalance,
+            timestamp: new Date().toISOString(),
+          }),
+        });
+      });
+    } catch (error) {
+      logger.error("Transfer transaction failed", {
+        error: error.message,
+        fromUserId,
+        toUserId,
+        assetCode,
+        amount,
+      });
+      throw error;
+    }
+  }
 
-      // Update balance cache
-      await this._updateBalanceCache(
-        client,
-        bonusPoolAccountId,
-        assetTypeId,
-        newBonusPoolBalance,
-        transactionId,
-      );
-      await this._updateBalanceCache(
-        client,
-        userAccountId,
-        assetTypeId,
-        newUserBalance,
-        transactionId,
-      );
+  /**
+   * Exchange one asset for another at the configured rate
+   * Debits the source asset to the treasury and credits the target asset
+   * from the treasury as a single multi-asset transaction
+   *
+   * @param {string} userId - User identifier
+   * @param {string} fromAssetCode - Asset being sold
+   * @param {string} toAssetCode - Asset being bought
+   * @param {number} amount - Amount of the source asset
+   * @param {string} idempotencyKey - Unique key
+   * @param {object} metadata - Additional metadata
+   * @param {string} [rateQuoteId] - Rate id the client quoted; refused if no longer active
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Transaction result
+   */
+  async exchange(
+    userId,
+    fromAssetCode,
+    toAssetCode,
+    amount,
+    idempotencyKey,
+    metadata = {},
+    rateQuoteId = null,
+    context = {},
+  ) {
+    logger.info("Processing exchange transaction", {
+      userId,
+      fromAssetCode,
+      toAssetCode,
+      amount,
+      idempotencyKey,
+      rateQuoteId,
+    });
 
-      // Idempotency log
-      const responseData = {
-        transactionId,
+    // Validate inputs
+    if (!userId || !fromAssetCode || !toAssetCode || !amount || !idempotencyKey) {
+      throw new Error("Missing required parameters");
+    }
+
+    if (toUnits(amount) <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+
+    // Amounts are canonical decimal strings from here on
+    amount = normalize(amount);
+
+    if (fromAssetCode === toAssetCode) {
+      throw new Error("Cannot exchange an asset for itself");
+    }
+
+    const idempotencyRequest = {
+      operation: "EXCHANGE",
+      userId,
+      fromAssetCode,
+      toAssetCode,
+      amount,
+      rateQuoteId,
+      metadata,
+    };
+
+    // Execute with retry
+    return await postingEngine.executeIdempotent(
+      context.tenantId,
+      idempotencyKey,
+      idempotencyRequest,
+      async () => {
+        return await this._executeExchangeTransaction(
+          userId,
+          fromAssetCode,
+          toAssetCode,
+          amount,
+          idempotencyKey,
+          metadata,
+          rateQuoteId,
+          idempotencyRequest,
+          context,
+        );
+      },
+    );
+  }
+
+  /**
+   * Internal method to execute exchange transaction
+   */
+  async _executeExchangeTransaction(
+    userId,
+    fromAssetCode,
+    toAssetCode,
+    amount,
+    idempotencyKey,
+    metadata,
+    rateQuoteId,
+    idempotencyRequest,
+    context,
+  ) {
+    try {
+      return await postingEngine.runInTransaction(async (client) => {
+        const fromAsset = await this._getAsset(
+          client,
+          fromAssetCode,
+          context.tenantId,
+        );
+        const toAsset = await this._getAsset(
+          client,
+          toAssetCode,
+          context.tenantId,
+        );
+
+        // Current rate, with slippage protection against the client's quote
+        const rate = await exchangeRateService.getActiveRate(
+          client,
+          fromAsset.id,
+          toAsset.id,
+        );
+
+        if (!rate) {
+          throw new Error(
+            `Exchange rate ${fromAssetCode} -> ${toAssetCode} not found`,
+          );
+        }
+
+        if (rateQuoteId && rateQuoteId !== rate.id) {
+          throw new Error(
+            `Exchange rate changed since quote ${rateQuoteId}; current rate is ${rate.id}`,
+          );
+        }
+
+        // Round the target amount down to the target asset's precision
+        const sourceUnits = toAssetUnits(amount, fromAsset);
+        const rateScaled = parseDecimal(rate.rate, RATE_DECIMALS);
+        const targetUnits = truncateToAsset(
+          (sourceUnits * rateScaled) / 10n ** BigInt(RATE_DECIMALS),
+          toAsset,
+        );
+        const targetAmount = fromUnits(targetUnits);
+
+        if (targetUnits <= 0n) {
+          throw new Error(
+            `Exchange amount too small: ${amount} ${fromAssetCode} converts to less than the smallest unit of ${toAssetCode}`,
+          );
+        }
+
+        const userAccountId = await this._getUserAccountId(
+          client,
+          userId,
+          context.tenantId,
+          { spending: true },
+        );
+        const treasuryAccountId = await this._getSystemAccountId(
+          client,
+          "SYSTEM_TREASURY",
+          context.tenantId,
+        );
+
+        // Multi-asset transaction: asset_type_id and amount stay NULL,
+        // per-asset amounts live on the ledger entries
+        const exchangeDetails = {
+          fromAssetCode,
+          toAssetCode,
+          sourceAmount: amount,
+          targetAmount,
+          rate: formatDecimal(rateScaled, RATE_DECIMALS),
+          rateId: rate.id,
+        };
+
+        // Balanced per asset: source asset user -> treasury, target asset treasury -> user
+        return await postingEngine.post(client, {
+          typeCode: "EXCHANGE",
+          idempotencyKey,
+          description: `Exchange ${amount} ${fromAssetCode} for ${targetAmount} ${toAssetCode}`,
+          metadata: { ...metadata, ...exchangeDetails },
+          legs: [
+            {
+              accountId: userAccountId,
+              assetTypeId: fromAsset.id,
+              entryType: "debit",
+              amount,
+              description: `Exchange ${fromAssetCode} sold`,
+            },
+            {
+              accountId: treasuryAccountId,
+              assetTypeId: fromAsset.id,
+              entryType: "credit",
+              amount,
+              description: `Treasury receives ${fromAssetCode} from exchange`,
+            },
+            {
+              accountId: treasuryAccountId,
+              assetTypeId: toAsset.id,
+              entryType: "debit",
+              amount: targetAmount,
+              label: "treasury",
+              description: `Treasury pays ${toAssetCode} for exchange`,
+            },
+            {
+              accountId: userAccountId,
+              assetTypeId: toAsset.id,
+              entryType: "credit",
+              amount: targetAmount,
+              description: `Exchange ${toAssetCode} bought`,
+            },
+          ],
+          request: idempotencyRequest,
+          audit: {
+            accountId: userAccountId,
+            action: "EXCHANGE",
+            data: {
+              userId,
+              fromAssetCode,
+              toAssetCode,
+              amount,
+              rateId: rate.id,
+              rateQuoteId,
+            },
+          },
+          context,
+          respond: async (transactionId, entries) => ({
+            transactionId,
+            userId,
+            ...exchangeDetails,
+            newFromBalance: entries[0].runningBalance,
+            newToBalance: entries[3].runningBalance,
+            timestamp: new Date().toISOString(),
+          }),
+        });
+      });
+    } catch (error) {
+      logger.error("Exchange transaction failed", {
+        error: error.message,
         userId,
-        assetCode,
+        fromAssetCode,
+        toAssetCode,
         amount,
-        newBalance: newUserBalance,
-        reason: metadata.reason,
-        timestamp: new Date().toISOString(),
-      };
+      });
+      throw error;
+    }
+  }
 
-      await client.query(
-        `INSERT INTO idempotency_log 
-   (idempotency_key, request_hash, response_data, status, expires_at)
-   VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + INTERVAL '24 hours')`,
-        [
+  /**
+   * Manually credit or debit a user wallet against the reserve fund
+   * Used by support staff; every adjustment carries a reason code,
+   * a justification and the operator who made it
+   *
+   * @param {string} userId - User identifier
+   * @param {string} assetCode - Asset type code
+   * @param {string} direction - 'credit' (to user) or 'debit' (from user)
+   * @param {number} amount - Amount to adjust
+   * @param {string} idempotencyKey - Unique key
+   * @param {object} metadata - Must include reasonCode and justification
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Transaction result including ledger entries
+   */
+  async adjust(
+    userId,
+    assetCode,
+    direction,
+    amount,
+    idempotencyKey,
+    metadata = {},
+    context = {},
+  ) {
+    logger.info("Processing adjustment transaction", {
+      userId,
+      assetCode,
+      direction,
+      amount,
+      idempotencyKey,
+      actor: context.actor,
+    });
+
+    // Validate inputs
+    if (!userId || !assetCode || !amount || !idempotencyKey) {
+      throw new Error("Missing required parameters");
+    }
+
+    if (toUnits(amount) <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+
+    // Amounts are canonical decimal strings from here on
+    amount = normalize(amount);
+
+    if (!["credit", "debit"].includes(direction)) {
+      throw new Error("Direction must be credit or debit");
+    }
+
+    if (!metadata.reasonCode || !metadata.justification) {
+      throw new Error("Adjustments require a reasonCode and justification");
+    }
+
+    if (!context.actor) {
+      throw new Error("Adjustments require an operator");
+    }
+
+    const idempotencyRequest = {
+      operation: "ADJUSTMENT",
+      userId,
+      assetCode,
+      direction,
+      amount,
+      metadata,
+    };
+
+    // Execute with retry
+    return await postingEngine.executeIdempotent(
+      context.tenantId,
+      idempotencyKey,
+      idempotencyRequest,
+      async () => {
+        return await this._executeUserOperation("ADJUSTMENT", {
+          userId,
+          assetCode,
+          amount,
           idempotencyKey,
-          this._hashRequest({ userId, assetCode, amount }),
-          JSON.stringify(responseData),
-          "completed",
-        ],
-      );
+          direction,
+          description: `Manual ${direction} of ${amount} ${assetCode} (${metadata.reasonCode})`,
+          metadata: { ...metadata, direction, operator: context.actor },
+          counterpartyDescription: `Reserve ${direction === "credit" ? "debit" : "credit"} for manual adjustment`,
+          userDescription: `Manual adjustment: ${metadata.justification}`,
+          idempotencyRequest,
+          requestData: { userId, assetCode, direction, amount },
+          auditData: {
+            userId,
+            assetCode,
+            direction,
+            amount,
+            idempotencyKey,
+            reasonCode: metadata.reasonCode,
+            justification: metadata.justification,
+            ticketId: metadata.ticketId,
+          },
+          responseData: {
+            direction,
+            reasonCode: metadata.reasonCode,
+            operator: context.actor,
+          },
+          context,
+        });
+      },
+    );
+  }
 
-      // Audit log
-      await this._createAuditLog(
-        client,
-        transactionId,
-        userAccountId,
-        "BONUS",
-        {
+  /**
+   * Refund a completed purchase, fully or partially
+   * Posts compensating entries that return credits to the user
+   *
+   * @param {string} originalTransactionId - Purchase being refunded
+   * @param {number} [amount] - Amount to refund (defaults to the remaining refundable amount)
+   * @param {string} idempotencyKey - Unique key
+   * @param {object} metadata - Refund details (reason, ticketId, etc.)
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Transaction result
+   */
+  async refund(
+    originalTransactionId,
+    amount,
+    idempotencyKey,
+    metadata = {},
+    context = {},
+  ) {
+    return await this._compensate(
+      "REFUND",
+      originalTransactionId,
+      amount,
+      idempotencyKey,
+      metadata,
+      context,
+    );
+  }
+
+  /**
+   * Reverse a completed transaction, fully or partially
+   * Mirrors every ledger leg of the original with the opposite entry type
+   *
+   * @param {string} originalTransactionId - Transaction being reversed
+   * @param {number} [amount] - Amount to reverse (defaults to the remaining reversible amount)
+   * @param {string} idempotencyKey - Unique key
+   * @param {object} metadata - Reversal details (reason, ticketId, etc.)
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Transaction result
+   */
+  async reverse(
+    originalTransactionId,
+    amount,
+    idempotencyKey,
+    metadata = {},
+    context = {},
+  ) {
+    return await this._compensate(
+      "REVERSAL",
+      originalTransactionId,
+      amount,
+      idempotencyKey,
+      metadata,
+      context,
+    );
+  }
+
+  /**
+   * Shared entry point for refunds and reversals
+   */
+  async _compensate(
+    typeCode,
+    originalTransactionId,
+    amount,
+    idempotencyKey,
+    metadata,
+    context,
+  ) {
+    logger.info("Processing compensating transaction", {
+      typeCode,
+      originalTransactionId,
+      amount,
+      idempotencyKey,
+    });
+
+    if (!originalTransactionId || !idempotencyKey) {
+      throw new Error("Missing required parameters");
+    }
+
+    if (amount !== undefined && amount !== null && toUnits(amount) <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+
+    if (!isUuid(originalTransactionId)) {
+      throw new Error(`Transaction ${originalTransactionId} not found`);
+    }
+
+    const idempotencyRequest = {
+      operation: typeCode,
+      originalTransactionId,
+      amount:
+        amount === undefined || amount === null ? null : normalize(amount),
+      metadata,
+    };
+
+    // Execute with retry
+    return await postingEngine.executeIdempotent(
+      context.tenantId,
+      idempotencyKey,
+      idempotencyRequest,
+      async () => {
+        return await this._executeCompensatingTransaction(
+          typeCode,
+          originalTransactionId,
+          amount,
+          idempotencyKey,
+          metadata,
+          idempotencyRequest,
+          context,
+        );
+      },
+    );
+  }
+
+  /**
+   * Internal method to execute a refund or reversal
+   * The original transaction row is locked so concurrent refunds cannot
+   * together exceed the original amount
+   */
+  async _executeCompensatingTransaction(
+    typeCode,
+    originalTransactionId,
+    amount,
+    idempotencyKey,
+    metadata,
+    idempotencyRequest,
+    context,
+  ) {
+    const action = typeCode === "REFUND" ? "refunded" : "reversed";
+    const label = typeCode === "REFUND" ? "Refund" : "Reversal";
+
+    try {
+      return await postingEngine.runInTransaction(async (client) => {
+        // Lock the original transaction
+        const originalResult = await client.query(
+          `SELECT t.id, t.asset_type_id, t.amount, t.status, tt.code as type_code,
+                          at.code as asset_code, at.decimals
+                   FROM transactions t
+                   JOIN transaction_types tt ON t.transaction_type_id = tt.id
+                   LEFT JOIN asset_types at ON t.asset_type_id = at.id
+                   WHERE t.id = $1 AND t.tenant_id = $2
+                   FOR UPDATE OF t`,
+          [originalTransactionId, context.tenantId],
+        );
+
+        if (originalResult.rows.length === 0) {
+          throw new Error(`Transaction ${originalTransactionId} not found`);
+        }
+
+        const original = originalResult.rows[0];
+
+        if (original.status !== "completed") {
+          throw new Error(
+            `Transaction ${originalTransactionId} cannot be ${action}: status is ${original.status}`,
+          );
+        }
+
+        if (["REFUND", "REVERSAL"].includes(original.type_code)) {
+          throw new Error(
+            `Transaction ${originalTransactionId} cannot be ${action}: it is itself a ${original.type_code.toLowerCase()}`,
+          );
+        }
+
+        if (HOLD_TRANSACTION_TYPES.includes(original.type_code)) {
+          throw new Error(
+            `Transaction ${originalTransactionId} cannot be ${action}: ${original.type_code} transactions are settled through their hold`,
+          );
+        }
+
+        if (!original.asset_type_id) {
+          throw new Error(
+            `Transaction ${originalTransactionId} cannot be ${action}: multi-asset transactions must be reversed manually`,
+          );
+        }
+
+        if (typeCode === "REFUND" && original.type_code !== "PURCHASE") {
+          throw new Error(
+            `Transaction ${originalTransactionId} cannot be refunded: only purchases are refundable`,
+          );
+        }
+
+        // Refunds and reversals share one budget: the original amount
+        const compensatedResult = await client.query(
+          `SELECT COALESCE(SUM(amount), 0) as total
+                   FROM transactions
+                   WHERE parent_transaction_id = $1 AND status = 'completed'`,
+          [originalTransactionId],
+        );
+
+        const originalUnits = toUnits(original.amount);
+        const remainingUnits =
+          originalUnits - toUnits(compensatedResult.rows[0].total);
+        const compensationUnits =
+          amount === undefined || amount === null
+            ? remainingUnits
+            : toAssetUnits(amount, {
+                code: original.asset_code,
+                decimals: original.decimals,
+              });
+
+        if (compensationUnits > remainingUnits) {
+          throw new Error(
+            `Requested amount ${fromUnits(compensationUnits)} exceeds remaining amount ${fromUnits(remainingUnits)} of transaction ${originalTransactionId}`,
+          );
+        }
+
+        const compensationAmount = fromUnits(compensationUnits);
+        const remainingAfter = fromUnits(remainingUnits - compensationUnits);
+        const fullyCompensated = compensationUnits === remainingUnits;
+
+        // Original legs, mirrored with the opposite entry type
+        const originalLegs = await client.query(
+          `SELECT le.account_id, le.asset_type_id, le.entry_type, le.amount, a.user_id,
+                          a.status as account_status
+                   FROM ledger_entries le
+                   JOIN accounts a ON le.account_id = a.id
+                   WHERE le.transaction_id = $1`,
+          [originalTransactionId],
+        );
+
+        const userLeg = originalLegs.rows.find((leg) => leg.user_id);
+
+        // A closed wallet's balances were swept; nothing may be posted to it.
+        // Checked for every wallet, e.g. both sides of a transfer
+        const closedLeg = originalLegs.rows.find(
+          (leg) => leg.user_id && leg.account_status === "closed",
+        );
+
+        if (closedLeg) {
+          throw new AccountStatusError(closedLeg.user_id, "closed");
+        }
+
+        return await postingEngine.post(client, {
+          typeCode,
+          idempotencyKey,
+          assetTypeId: original.asset_type_id,
+          amount: compensationAmount,
+          description:
+            metadata.reason ||
+            `${label} of ${compensationAmount} ${original.asset_code}`,
+          metadata,
+          parentTransactionId: originalTransactionId,
+          legs: originalLegs.rows.map((leg) => ({
+            accountId: leg.account_id,
+            assetTypeId: leg.asset_type_id,
+            entryType: leg.entry_type === "debit" ? "credit" : "debit",
+            amount: fromUnits(
+              (toUnits(leg.amount) * compensationUnits) / originalUnits,
+            ),
+            description: `${label} of ${leg.entry_type} on transaction ${originalTransactionId}`,
+          })),
+          request: idempotencyRequest,
+          audit: {
+            accountId: userLeg ? userLeg.account_id : null,
+            action: typeCode,
+            data: {
+              originalTransactionId,
+              amount: compensationAmount,
+              idempotencyKey,
+              reason: metadata.reason,
+            },
+          },
+          context,
+          publish: true,
+          respond: async (transactionId, entries) => {
+            // Fully compensated transactions are marked reversed
+            if (fullyCompensated) {
+              await client.query(
+                "UPDATE transactions SET status = 'reversed' WHERE id = $1",
+                [originalTransactionId],
+              );
+            }
+
+            const userEntry = userLeg
+              ? entries.find((entry) => entry.accountId === userLeg.account_id)
+              : null;
+
+            return {
+              transactionId,
+              originalTransactionId,
+              type: typeCode,
+              userId: userLeg ? userLeg.user_id : null,
+              assetCode: original.asset_code,
+              amount: compensationAmount,
+              newBalance: userEntry ? userEntry.runningBalance : null,
+              remainingAmount: remainingAfter,
+              originalStatus: fullyCompensated ? "reversed" : "completed",
+              entries,
+              timestamp: new Date().toISOString(),
+            };
+          },
+        });
+      });
+    } catch (error) {
+      logger.error("Compensating transaction failed", {
+        error: error.message,
+        typeCode,
+        originalTransactionId,
+        amount,
+        idempotencyKey,
+      });
+      throw error;
+    }
+  }
+
+  // ========================================================================
+  // TWO-PHASE HOLDS (AUTHORIZE / CAPTURE / VOID)
+  // ========================================================================
+
+  /**
+   * Authorize a hold: move funds from the user's wallet into escrow
+   * Held funds are no longer spendable but only reach revenue on capture
+   *
+   * @param {string} userId - User identifier
+   * @param {string} assetCode - Asset type code
+   * @param {number} amount - Amount to reserve
+   * @param {string} idempotencyKey - Unique key
+   * @param {object} metadata - Hold details (matchId, itemId, etc.)
+   * @param {number} ttlSeconds - Seconds until the hold expires if not captured
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Hold result
+   */
+  async authorize(
+    userId,
+    assetCode,
+    amount,
+    idempotencyKey,
+    metadata = {},
+    ttlSeconds = parseInt(process.env.HOLD_DEFAULT_TTL_SECONDS || "900"),
+    context = {},
+  ) {
+    logger.info("Processing hold authorization", {
+      userId,
+      assetCode,
+      amount,
+      idempotencyKey,
+      ttlSeconds,
+    });
+
+    // Validate inputs
+    if (!userId || !assetCode || !amount || !idempotencyKey) {
+      throw new Error("Missing required parameters");
+    }
+
+    if (toUnits(amount) <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+
+    // Amounts are canonical decimal strings from here on
+    amount = normalize(amount);
+
+    if (!(ttlSeconds > 0)) {
+      throw new Error("Hold TTL must be positive");
+    }
+
+    const idempotencyRequest = {
+      operation: "HOLD",
+      userId,
+      assetCode,
+      amount,
+      ttlSeconds,
+      metadata,
+    };
+
+    // Execute with retry
+    return await postingEngine.executeIdempotent(
+      context.tenantId,
+      idempotencyKey,
+      idempotencyRequest,
+      async () => {
+        return await this._executeAuthorizeTransaction(
           userId,
           assetCode,
           amount,
-          reason: metadata.reason,
-        },
+          idempotencyKey,
+          metadata,
+          ttlSeconds,
+          idempotencyRequest,
+          context,
+        );
+      },
+    );
+  }
+
+  /**
+   * Internal method to execute hold authorization
+   */
+  async _executeAuthorizeTransaction(
+    userId,
+    assetCode,
+    amount,
+    idempotencyKey,
+    metadata,
+    ttlSeconds,
+    idempotencyRequest,
+    context,
+  ) {
+    try {
+      return await postingEngine.runInTransaction(async (client) => {
+        const asset = await this._getAsset(client, assetCode, context.tenantId);
+        const userAccountId = await this._getUserAccountId(
+          client,
+          userId,
+          context.tenantId,
+          { spending: true },
+        );
+
+        // Reject precision beyond the asset's decimals
+        toAssetUnits(amount, asset);
+        const escrowAccountId = await this._getSystemAccountId(
+          client,
+          "SYSTEM_ESCROW",
+          context.tenantId,
+        );
+        const holdId = uuidv4();
+
+        // Double-entry: user wallet into escrow
+        return await postingEngine.post(client, {
+          typeCode: "HOLD",
+          idempotencyKey,
+          assetTypeId: asset.id,
+          amount,
+          description: `Hold ${amount} ${assetCode}`,
+          metadata,
+          legs: [
+            {
+              accountId: userAccountId,
+              assetTypeId: asset.id,
+              entryType: "debit",
+              amount,
+              description: "Funds held for authorization",
+            },
+            {
+              accountId: escrowAccountId,
+              assetTypeId: asset.id,
+              entryType: "credit",
+              amount,
+              description: `Escrow for hold by ${userId}`,
+            },
+          ],
+          request: idempotencyRequest,
+          audit: {
+            accountId: userAccountId,
+            action: "HOLD",
+            data: { holdId, userId, assetCode, amount, ttlSeconds },
+          },
+          context,
+          respond: async (transactionId, [userEntry]) => {
+            const holdResult = await client.query(
+              `INSERT INTO holds
+                       (id, account_id, asset_type_id, amount, authorization_transaction_id, metadata, expires_at)
+                       VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + make_interval(secs => $7))
+                       RETURNING expires_at`,
+              [
+                holdId,
+                userAccountId,
+                asset.id,
+                amount,
+                transactionId,
+                JSON.stringify(metadata),
+                ttlSeconds,
+              ],
+            );
+
+            return {
+              holdId,
+              transactionId,
+              userId,
+              assetCode,
+              amount,
+              status: "authorized",
+              newBalance: userEntry.runningBalance,
+              expiresAt: holdResult.rows[0].expires_at,
+              timestamp: new Date().toISOString(),
+            };
+          },
+        });
+      });
+    } catch (error) {
+      logger.error("Hold authorization failed", {
+        error: error.message,
+        userId,
+        assetCode,
+        amount,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Capture an authorized hold, fully or partially
+   * The captured amount goes to revenue; any remainder returns to the user
+   *
+   * @param {string} holdId - Hold identifier
+   * @param {number} [amount] - Amount to capture (defaults to the full hold)
+   * @param {string} idempotencyKey - Unique key
+   * @param {object} metadata - Settlement details (itemId, itemName, etc.)
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Settlement result
+   */
+  async capture(holdId, amount, idempotencyKey, metadata = {}, context = {}) {
+    if (amount !== undefined && amount !== null && toUnits(amount) <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+
+    return await this._settle(
+      holdId,
+      amount,
+      "captured",
+      idempotencyKey,
+      metadata,
+      context,
+    );
+  }
+
+  /**
+   * Void an authorized hold, returning all held funds to the user
+   *
+   * @param {string} holdId - Hold identifier
+   * @param {string} idempotencyKey - Unique key
+   * @param {object} metadata - Void details (reason, etc.)
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} Settlement result
+   */
+  async void(holdId, idempotencyKey, metadata = {}, context = {}) {
+    return await this._settle(
+      holdId,
+      0,
+      "voided",
+      idempotencyKey,
+      metadata,
+      context,
+    );
+  }
+
+  /**
+   * Release holds whose expiry has passed without a capture
+   * Called periodically by the hold expiry job
+   *
+   * @param {number} batchSize - Maximum holds to release per run
+   * @returns {Promise<number>} Number of holds released
+   */
+  async expireHolds(batchSize = 100) {
+    const client = await pool.connect();
+    let expired;
+
+    // Holds of every tenant; each is released within its own tenant
+    try {
+      const result = await client.query(
+        `SELECT h.id, a.tenant_id FROM holds h
+                 JOIN accounts a ON h.account_id = a.id
+                 WHERE h.status = 'authorized' AND h.expires_at <= CURRENT_TIMESTAMP
+                 ORDER BY h.expires_at
+                 LIMIT $1`,
+        [batchSize],
       );
+      expired = result.rows;
+    } finally {
+      client.release();
+    }
+
+    let released = 0;
+
+    for (const { id: holdId, tenant_id: tenantId } of expired) {
+      try {
+        await executeWithRetry(async () => {
+          return await this._executeSettlement(
+            holdId,
+            0,
+            "expired",
+            `HOLD_EXPIRY_${holdId}`,
+            { reason: "Hold expired" },
+            { operation: "HOLD_EXPIRED", holdId, amount: null },
+            { tenantId, actor: "system" },
+          );
+        });
+        released++;
+      } catch (error) {
+        logger.error("Failed to release expired hold", {
+          error: error.message,
+          holdId,
+        });
+      }
+    }
+
+    if (released > 0) {
+      logger.info("Released expired holds", { released });
+    }
+
+    return released;
+  }
+
+  /**
+   * Get a hold by id
+   *
+   * @param {string} holdId - Hold identifier
+   * @param {string} tenantId - Tenant the hold's account belongs to
+   */
+  async getHold(holdId, tenantId) {
+    if (!isUuid(holdId)) {
+      throw new Error(`Hold ${holdId} not found`);
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT h.*, a.user_id, at.code as asset_code
+                 FROM holds h
+                 JOIN accounts a ON h.account_id = a.id
+                 JOIN asset_types at ON h.asset_type_id = at.id
+                 WHERE h.id = $1 AND a.tenant_id = $2`,
+        [holdId, tenantId],
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Hold ${holdId} not found`);
+      }
+
+      return this._formatHold(result.rows[0]);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Shared entry point for capture and void
+   */
+  async _settle(
+    holdId,
+    amount,
+    finalStatus,
+    idempotencyKey,
+    metadata,
+    context,
+  ) {
+    logger.info("Processing hold settlement", {
+      holdId,
+      amount,
+      finalStatus,
+      idempotencyKey,
+    });
+
+    if (!holdId || !idempotencyKey) {
+      throw new Error("Missing required parameters");
+    }
+
+    if (!isUuid(holdId)) {
+      throw new Error(`Hold ${holdId} not found`);
+    }
+
+    const idempotencyRequest = {
+      operation: `HOLD_${finalStatus.toUpperCase()}`,
+      holdId,
+      amount:
+        amount === undefined || amount === null ? null : normalize(amount),
+      metadata,
+    };
+
+    // Execute with retry
+    return await postingEngine.executeIdempotent(
+      context.tenantId,
+      idempotencyKey,
+      idempotencyRequest,
+      async () => {
+        return await this._executeSettlement(
+          holdId,
+          amount,
+          finalStatus,
+          idempotencyKey,
+          metadata,
+          idempotencyRequest,
+          context,
+        );
+      },
+    );
+  }
 
-      await client.query("COMMIT");
+  /**
+   * Internal method to settle a hold
+   * captureAmount goes escrow -> revenue, the remainder escrow -> user
+   */
+  async _executeSettlement(
+    holdId,
+    amount,
+    finalStatus,
+    idempotencyKey,
+    metadata,
+    idempotencyRequest,
+    context,
+  ) {
+    try {
+      return await postingEngine.runInTransaction(async (client) => {
+        // Lock the hold
+        const holdResult = await client.query(
+          `SELECT h.*, a.user_id, at.code as asset_code, at.decimals
+                   FROM holds h
+                   JOIN accounts a ON h.account_id = a.id
+                   JOIN asset_types at ON h.asset_type_id = at.id
+                   WHERE h.id = $1 AND a.tenant_id = $2
+                   FOR UPDATE OF h`,
+          [holdId, context.tenantId],
+        );
 
-      logger.info("Bonus transaction completed successfully", {
-        transactionId,
-        userId,
-        amount,
-        newBalance: newUserBalance,
-      });
+        if (holdResult.rows.length === 0) {
+          throw new Error(`Hold ${holdId} not found`);
+        }
+
+        const hold = holdResult.rows[0];
+        const holdUnits = toUnits(hold.amount);
+
+        if (hold.status !== "authorized") {
+          throw new Error(
+            `Hold ${holdId} cannot be settled: status is ${hold.status}`,
+          );
+        }
+
+        if (
+          finalStatus === "captured" &&
+          new Date(hold.expires_at) <= new Date()
+        ) {
+          throw new Error(`Hold ${holdId} cannot be settled: it has expired`);
+        }
+
+        const captureUnits =
+          finalStatus === "captured"
+            ? amount === undefined || amount === null
+              ? holdUnits
+              : toAssetUnits(amount, {
+                  code: hold.asset_code,
+                  decimals: hold.decimals,
+                })
+            : 0n;
+
+        if (captureUnits > holdUnits) {
+          throw new Error(
+            `Capture amount ${fromUnits(captureUnits)} exceeds held amount ${fromUnits(holdUnits)}`,
+          );
+        }
+
+        const captureAmount = fromUnits(captureUnits);
+        const releaseAmount = fromUnits(holdUnits - captureUnits);
+
+        const escrowAccountId = await this._getSystemAccountId(
+          client,
+          "SYSTEM_ESCROW",
+          context.tenantId,
+        );
 
-      return responseData;
+        const legs = [];
+        if (captureUnits > 0n) {
+          const revenueAccountId = await this._getSystemAccountId(
+            client,
+            "SYSTEM_REVENUE",
+            context.tenantId,
+          );
+          legs.push(
+            {
+              accountId: escrowAccountId,
+              assetTypeId: hold.asset_type_id,
+              entryType: "debit",
+              amount: captureAmount,
+              label: "escrow",
+              description: `Escrow released to revenue for hold ${holdId}`,
+            },
+            {
+              accountId: revenueAccountId,
+              assetTypeId: hold.asset_type_id,
+              entryType: "credit",
+              amount: captureAmount,
+              description: "Revenue from captured hold",
+            },
+          );
+        }
+        if (captureUnits < holdUnits) {
+          legs.push(
+            {
+              accountId: escrowAccountId,
+              assetTypeId: hold.asset_type_id,
+              entryType: "debit",
+              amount: releaseAmount,
+              label: "escrow",
+              description: `Escrow returned to user for hold ${holdId}`,
+            },
+            {
+              accountId: hold.account_id,
+              assetTypeId: hold.asset_type_id,
+              entryType: "credit",
+              amount: releaseAmount,
+              description: "Held funds released",
+            },
+          );
+        }
+
+        const typeCode = captureUnits > 0n ? "HOLD_CAPTURE" : "HOLD_RELEASE";
+
+        return await postingEngine.post(client, {
+          typeCode,
+          idempotencyKey,
+          assetTypeId: hold.asset_type_id,
+          amount: captureUnits > 0n ? captureAmount : fromUnits(holdUnits),
+          description:
+            captureUnits > 0n
+              ? `Capture ${captureAmount} ${hold.asset_code} of hold ${holdId}`
+              : `Release hold ${holdId} (${finalStatus})`,
+          metadata: { ...hold.metadata, ...metadata, holdId },
+          legs,
+          request: idempotencyRequest,
+          audit: {
+            accountId: hold.account_id,
+            action: typeCode,
+            data: {
+              holdId,
+              finalStatus,
+              capturedAmount: captureAmount,
+              releasedAmount: releaseAmount,
+            },
+          },
+          context,
+          respond: async (transactionId, entries) => {
+            const updatedHold = await client.query(
+              `UPDATE holds
+                       SET status = $2, captured_amount = $3, settlement_transaction_id = $4,
+                           settled_at = CURRENT_TIMESTAMP
+                       WHERE id = $1
+                       RETURNING *`,
+              [holdId, finalStatus, captureAmount, transactionId],
+            );
+
+            const userEntry = entries.find(
+              (entry) => entry.accountId === hold.account_id,
+            );
+            const newBalance = userEntry
+              ? userEntry.runningBalance
+              : fromUnits(
+                  await postingEngine.getBalance(
+                    client,
+                    hold.account_id,
+                    hold.asset_type_id,
+                  ),
+                );
+
+            return {
+              ...this._formatHold({
+                ...updatedHold.rows[0],
+                user_id: hold.user_id,
+                asset_code: hold.asset_code,
+              }),
+              transactionId,
+              capturedAmount: captureAmount,
+              releasedAmount: releaseAmount,
+              newBalance,
+              timestamp: new Date().toISOString(),
+            };
+          },
+        });
+      });
     } catch (error) {
-      await client.query("ROLLBACK");
-      logger.error("Bonus transaction failed", {
+      logger.error("Hold settlement failed", {
         error: error.message,
-        userId,
-        assetCode,
+        holdId,
+        finalStatus,
         amount,
       });
       throw error;
+    }
+  }
+
+  /**
+   * Shape a holds row for API responses
+   */
+  _formatHold(row) {
+    return {
+      holdId: row.id,
+      userId: row.user_id,
+      assetCode: row.asset_code,
+      amount: normalize(row.amount),
+      capturedAmount: normalize(row.captured_amount),
+      status: row.status,
+      authorizationTransactionId: row.authorization_transaction_id,
+      settlementTransactionId: row.settlement_transaction_id,
+      metadata: row.metadata,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at,
+      settledAt: row.settled_at,
+    };
+  }
+
+  // ========================================================================
+  // MAKER-CHECKER APPROVALS
+  // ========================================================================
+
+  /**
+   * List approval requests, newest first
+   *
+   * @param {string} status - 'pending', 'approved' or 'rejected'
+   * @param {number} limit - Maximum number of rows
+   * @param {string} tenantId - Tenant whose requests are listed
+   */
+  async listApprovals(status = "pending", limit = 50, tenantId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT ta.transaction_id, ta.operation, ta.request_data, ta.requested_by,
+                        ta.status, ta.decided_by, ta.decision_note, ta.created_at, ta.decided_at,
+                        t.amount, t.description, at.code as asset_code
+                 FROM transaction_approvals ta
+                 JOIN transactions t ON ta.transaction_id = t.id
+                 JOIN asset_types at ON t.asset_type_id = at.id
+                 WHERE ta.status = $1 AND t.tenant_id = $3
+                 ORDER BY ta.created_at DESC
+                 LIMIT $2`,
+        [status, limit, tenantId],
+      );
+
+      return {
+        status,
+        approvals: result.rows.map((row) => ({
+          transactionId: row.transaction_id,
+          operation: row.operation,
+          userId: row.request_data.userId,
+          assetCode: row.asset_code,
+          amount: normalize(row.amount),
+          direction: row.request_data.direction,
+          description: row.description,
+          requestedBy: row.requested_by,
+          requestedAt: row.created_at,
+          status: row.status,
+          decidedBy: row.decided_by,
+          decisionNote: row.decision_note,
+          decidedAt: row.decided_at,
+        })),
+      };
     } finally {
       client.release();
     }
   }
 
   /**
-   * Process a purchase/spend transaction
-   * User spends credits on in-app items or services
+   * Approve a pending transaction and post its ledger entries
+   * The approver must differ from the operator who requested it
    *
-   * @param {string} userId - User identifier
-   * @param {string} assetCode - Asset type code
-   * @param {number} amount - Amount to spend
-   * @param {string} idempotencyKey - Unique key
-   * @param {object} metadata - Purchase details (itemId, itemName, etc.)
-   * @returns {Promise<object>} Transaction result
+   * @param {string} transactionId - Pending transaction
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @param {string} note - Optional decision note
+   * @returns {Promise<object>} Posted transaction result
    */
-  async purchase(userId, assetCode, amount, idempotencyKey, metadata = {}) {
-    logger.info("Processing purchase transaction", {
-      userId,
-      assetCode,
-      amount,
-      idempotencyKey,
+  async approveTransaction(transactionId, context = {}, note = null) {
+    logger.info("Processing approval", {
+      transactionId,
+      actor: context.actor,
     });
 
-    // Validate inputs
-    if (!userId || !assetCode || !amount || !idempotencyKey) {
-      throw new Error("Missing required parameters");
-    }
-
-    if (amount <= 0) {
-      throw new Error("Amount must be positive");
+    if (!context.actor) {
+      throw new Error("Approvals require an operator");
     }
 
-    // Check idempotency
-    const existingResult = await this._checkIdempotency(idempotencyKey);
-    if (existingResult) {
-      logger.info("Returning cached result for idempotent request", {
-        idempotencyKey,
-      });
-      return existingResult;
+    if (!isUuid(transactionId)) {
+      throw new Error(`Approval request ${transactionId} not found`);
     }
 
-    // Execute with retry
     return await executeWithRetry(async () => {
-      return await this._executePurchaseTransaction(
-        userId,
-        assetCode,
-        amount,
-        idempotencyKey,
-        metadata,
-      );
+      return await this._executeApproval(transactionId, context, note);
     });
   }
 
   /**
-   * Internal method to execute purchase transaction
+   * Internal method to post an approved transaction
+   * The pending transaction's legs are posted now, against the same
+   * counterparty the original operation would have used
    */
-  async _executePurchaseTransaction(
-    userId,
-    assetCode,
-    amount,
-    idempotencyKey,
-    metadata,
-  ) {
-    const client = await pool.connect();
-
+  async _executeApproval(transactionId, context, note) {
     try {
-      await client.query("BEGIN ISOLATION LEVEL SERIALIZABLE");
+      return await postingEngine.runInTransaction(async (client) => {
+        const approval = await this._lockPendingApproval(
+          client,
+          transactionId,
+          context,
+        );
 
-      // Get asset type
-      const assetResult = await client.query(
-        "SELECT id FROM asset_types WHERE code = $1 AND is_active = true",
-        [assetCode],
-      );
+        const operation = USER_OPERATIONS[approval.operation];
+        const userEntryType =
+          approval.request_data.direction || operation.userEntryType;
+        const counterpartyEntryType =
+          userEntryType === "credit" ? "debit" : "credit";
+
+        // The wallet may have been frozen or closed while the request waited
+        const userAccountId = await this._getUserAccountId(
+          client,
+          approval.request_data.userId,
+          context.tenantId,
+          { spending: userEntryType === "debit" },
+        );
+        const counterpartyAccountId = await this._getSystemAccountId(
+          client,
+          operation.counterparty,
+          context.tenantId,
+        );
 
-      if (assetResult.rows.length === 0) {
-        throw new Error(`Asset type ${assetCode} not found`);
-      }
+        const entries = await postingEngine.postEntries(client, transactionId, [
+          {
+            accountId: counterpartyAccountId,
+            assetTypeId: approval.asset_type_id,
+            entryType: counterpartyEntryType,
+            amount: approval.amount,
+            label: operation.counterpartyLabel,
+            description: `${operation.counterparty} ${counterpartyEntryType} for approved ${approval.operation.toLowerCase()}`,
+          },
+          {
+            accountId: userAccountId,
+            assetTypeId: approval.asset_type_id,
+            entryType: userEntryType,
+            amount: approval.amount,
+            description: approval.description,
+          },
+        ]);
 
-      const assetTypeId = assetResult.rows[0].id;
+        await client.query(
+          `UPDATE transactions SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+                   WHERE id = $1`,
+          [transactionId],
+        );
 
-      // Get user account
-      const userAccountResult = await client.query(
-        `SELECT id FROM accounts 
-                 WHERE user_id = $1 AND is_active = true`,
-        [userId],
-      );
+        await client.query(
+          `UPDATE transaction_approvals
+                   SET status = 'approved', decided_by = $2, decision_note = $3, decided_at = CURRENT_TIMESTAMP
+                   WHERE transaction_id = $1`,
+          [transactionId, context.actor, note],
+        );
 
-      if (userAccountResult.rows.length === 0) {
-        throw new Error(`User account ${userId} not found`);
-      }
+        const responseData = {
+          transactionId,
+          status: "completed",
+          operation: approval.operation,
+          ...approval.request_data,
+          amount: normalize(approval.amount),
+          newBalance: entries[1].runningBalance,
+          requestedBy: approval.requested_by,
+          approvedBy: context.actor,
+          entries,
+          timestamp: new Date().toISOString(),
+        };
 
-      const userAccountId = userAccountResult.rows[0].id;
+        // Replays of the original request now return the posted result
+        await client.query(
+          `UPDATE idempotency_log SET response_data = $3
+                   WHERE tenant_id = $1 AND idempotency_key = $2`,
+          [
+            context.tenantId,
+            approval.idempotency_key,
+            JSON.stringify(responseData),
+          ],
+        );
 
-      // Get revenue account
-      const revenueResult = await client.query(
-        `SELECT a.id FROM accounts a
-                 JOIN account_types at ON a.account_type_id = at.id
-                 WHERE at.code = 'SYSTEM_REVENUE' AND a.is_active = true`,
-      );
+        await postingEngine.createAuditLog(
+          client,
+          transactionId,
+          userAccountId,
+          "APPROVAL_APPROVED",
+          {
+            operation: approval.operation,
+            ...approval.request_data,
+            requestedBy: approval.requested_by,
+            note,
+          },
+          context,
+        );
 
-      if (revenueResult.rows.length === 0) {
-        throw new Error("Revenue account not found");
-      }
+        if (operation.publishes) {
+          await outbox.enqueue(client, {
+            tenantId: context.tenantId,
+            type: approval.operation,
+            transactionId,
+            data: responseData,
+          });
+        }
 
-      const revenueAccountId = revenueResult.rows[0].id;
+        logger.info("Approval completed successfully", {
+          transactionId,
+          operation: approval.operation,
+          approvedBy: context.actor,
+        });
 
-      // Lock accounts in order
-      const accountIds = [userAccountId, revenueAccountId].sort();
-      await client.query(
-        "SELECT id FROM accounts WHERE id = ANY($1) ORDER BY id FOR UPDATE NOWAIT",
-        [accountIds],
-      );
+        return responseData;
+      });
+    } catch (error) {
+      logger.error("Approval failed", {
+        error: error.message,
+        transactionId,
+        actor: context.actor,
+      });
+      throw error;
+    }
+  }
 
-      // Get transaction type
-      const txnTypeResult = await client.query(
-        "SELECT id FROM transaction_types WHERE code = $1",
-        ["PURCHASE"],
-      );
-      const transactionTypeId = txnTypeResult.rows[0].id;
+  /**
+   * Reject a pending transaction; it is marked failed and never posted
+   *
+   * @param {string} transactionId - Pending transaction
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @param {string} note - Optional decision note
+   * @returns {Promise<object>} Rejection result
+   */
+  async rejectTransaction(transactionId, context = {}, note = null) {
+    logger.info("Processing rejection", {
+      transactionId,
+      actor: context.actor,
+    });
 
-      // Get user balance
-      const userBalance = await this._getBalance(
-        client,
-        userAccountId,
-        assetTypeId,
-      );
+    if (!context.actor) {
+      throw new Error("Rejections require an operator");
+    }
 
-      // Check sufficient balance
-      if (userBalance < amount) {
-        throw new Error(
-          `Insufficient balance. Available: ${userBalance}, Required: ${amount}`,
-        );
-      }
+    if (!isUuid(transactionId)) {
+      throw new Error(`Approval request ${transactionId} not found`);
+    }
 
-      // Create transaction
-      const transactionId = uuidv4();
-      const description = metadata.itemName
-        ? `Purchase ${metadata.itemName} for ${amount} ${assetCode}`
-        : `Purchase for ${amount} ${assetCode}`;
+    const client = await pool.connect();
 
-      await client.query(
-        `INSERT INTO transactions 
-   (id, idempotency_key, transaction_type_id, asset_type_id, amount, description, metadata, status, completed_at)
-   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-        [
-          transactionId,
-          idempotencyKey,
-          transactionTypeId,
-          assetTypeId,
-          amount,
-          description,
-          JSON.stringify(metadata),
-          "completed",
-          new Date(),
-        ],
-      );
+    try {
+      await client.query("BEGIN");
 
-      // Get revenue balance
-      const revenueBalance = await this._getBalance(
+      const approval = await this._lockPendingApproval(
         client,
-        revenueAccountId,
-        assetTypeId,
+        transactionId,
+        context,
       );
 
-      // Calculate new balances
-      const newUserBalance = parseFloat(userBalance) - parseFloat(amount);
-      const newRevenueBalance = parseFloat(revenueBalance) + parseFloat(amount);
-
-      // Double-entry: Debit from user
       await client.query(
-        `INSERT INTO ledger_entries 
-                 (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
-                 VALUES ($1, $2, $3, 'debit', $4, $5, $6)`,
-        [
-          transactionId,
-          userAccountId,
-          assetTypeId,
-          amount,
-          newUserBalance,
-          "Debit from user for purchase",
-        ],
+        "UPDATE transactions SET status = 'failed' WHERE id = $1",
+        [transactionId],
       );
 
-      // Credit to revenue
       await client.query(
-        `INSERT INTO ledger_entries 
-                 (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance, description)
-                 VALUES ($1, $2, $3, 'credit', $4, $5, $6)`,
-        [
-          transactionId,
-          revenueAccountId,
-          assetTypeId,
-          amount,
-          newRevenueBalance,
-          "Revenue from user purchase",
-        ],
-      );
-
-      // Update balance cache
-      await this._updateBalanceCache(
-        client,
-        userAccountId,
-        assetTypeId,
-        newUserBalance,
-        transactionId,
-      );
-      await this._updateBalanceCache(
-        client,
-        revenueAccountId,
-        assetTypeId,
-        newRevenueBalance,
-        transactionId,
+        `UPDATE transaction_approvals
+                 SET status = 'rejected', decided_by = $2, decision_note = $3, decided_at = CURRENT_TIMESTAMP
+                 WHERE transaction_id = $1`,
+        [transactionId, context.actor, note],
       );
 
-      // Idempotency log
       const responseData = {
         transactionId,
-        userId,
-        assetCode,
-        amount,
-        newBalance: newUserBalance,
-        item: metadata.itemName || metadata.itemId,
+        status: "failed",
+        operation: approval.operation,
+        ...approval.request_data,
+        amount: normalize(approval.amount),
+        requestedBy: approval.requested_by,
+        rejectedBy: context.actor,
+        note,
         timestamp: new Date().toISOString(),
       };
 
       await client.query(
-        `INSERT INTO idempotency_log 
-   (idempotency_key, request_hash, response_data, status, expires_at)
-   VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + INTERVAL '24 hours')`,
+        `UPDATE idempotency_log SET response_data = $3
+                 WHERE tenant_id = $1 AND idempotency_key = $2`,
         [
-          idempotencyKey,
-          this._hashRequest({ userId, assetCode, amount }),
+          context.tenantId,
+          approval.idempotency_key,
           JSON.stringify(responseData),
-          "completed",
         ],
       );
 
-      // Audit log
-      await this._createAuditLog(
+      await postingEngine.createAuditLog(
         client,
         transactionId,
-        userAccountId,
-        "PURCHASE",
+        approval.account_id,
+        "APPROVAL_REJECTED",
         {
-          userId,
-          assetCode,
-          amount,
-          item: metadata.itemName || metadata.itemId,
+          operation: approval.operation,
+          ...approval.request_data,
+          requestedBy: approval.requested_by,
+          note,
         },
+        context,
       );
 
       await client.query("COMMIT");
 
-      logger.info("Purchase transaction completed successfully", {
+      logger.info("Approval request rejected", {
         transactionId,
-        userId,
-        amount,
-        newBalance: newUserBalance,
+        rejectedBy: context.actor,
       });
 
       return responseData;
     } catch (error) {
       await client.query("ROLLBACK");
-      logger.error("Purchase transaction failed", {
+      logger.error("Rejection failed", {
         error: error.message,
-        userId,
-        assetCode,
-        amount,
+        transactionId,
+        actor: context.actor,
       });
       throw error;
     } finally {
@@ -828,36 +2092,79 @@ class TransactionService {
     }
   }
 
+  /**
+   * Lock a pending approval and enforce the four-eyes rule
+   */
+  async _lockPendingApproval(client, transactionId, context) {
+    const result = await client.query(
+      `SELECT ta.operation, ta.request_data, ta.requested_by, ta.account_id, ta.status,
+                    t.idempotency_key, t.asset_type_id, t.amount, t.description
+             FROM transaction_approvals ta
+             JOIN transactions t ON ta.transaction_id = t.id
+             WHERE ta.transaction_id = $1 AND t.tenant_id = $2
+             FOR UPDATE OF ta, t`,
+      [transactionId, context.tenantId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Approval request ${transactionId} not found`);
+    }
+
+    const approval = result.rows[0];
+
+    if (approval.status !== "pending") {
+      throw new Error(
+        `Approval request ${transactionId} is already ${approval.status}`,
+      );
+    }
+
+    if (approval.requested_by === context.actor) {
+      throw new Error(
+        `Operator ${context.actor} cannot decide their own approval request`,
+      );
+    }
+
+    return approval;
+  }
+
   /**
    * Get account balance for a specific asset
    */
-  async getBalance(userId, assetCode) {
+  async getBalance(userId, assetCode, tenantId) {
     const client = await pool.connect();
 
     try {
       const result = await client.query(
-        `SELECT bc.balance, at.name as asset_name, at.code as asset_code
+        `SELECT bc.balance, at.name as asset_name, at.code as asset_code,
+                        (SELECT COALESCE(SUM(h.amount), 0) FROM holds h
+                         WHERE h.account_id = a.id AND h.asset_type_id = at.id
+                           AND h.status = 'authorized') as held
                  FROM balance_cache bc
                  JOIN accounts a ON bc.account_id = a.id
                  JOIN asset_types at ON bc.asset_type_id = at.id
-                 WHERE a.user_id = $1 AND at.code = $2`,
-        [userId, assetCode],
+                 WHERE a.tenant_id = $3 AND a.user_id = $1 AND at.code = $2`,
+        [userId, assetCode, tenantId],
       );
 
       if (result.rows.length === 0) {
         return {
           userId,
           assetCode,
-          balance: 0,
+          balance: "0",
+          available: "0",
+          held: "0",
           assetName: null,
         };
       }
 
+      // balance_cache already excludes held funds (they sit in escrow)
       return {
         userId,
         assetCode: result.rows[0].asset_code,
         assetName: result.rows[0].asset_name,
-        balance: parseFloat(result.rows[0].balance),
+        balance: normalize(result.rows[0].balance),
+        available: normalize(result.rows[0].balance),
+        held: normalize(result.rows[0].held),
       };
     } finally {
       client.release();
@@ -867,37 +2174,47 @@ class TransactionService {
   /**
    * Get all balances for a user
    */
-  async getAllBalances(userId) {
+  async getAllBalances(userId, tenantId) {
     const client = await pool.connect();
 
     try {
       const result = await client.query(
-        `SELECT at.code as asset_code, at.name as asset_name, bc.balance
+        `SELECT at.code as asset_code, at.name as asset_name, bc.balance,
+                        (SELECT COALESCE(SUM(h.amount), 0) FROM holds h
+                         WHERE h.account_id = a.id AND h.asset_type_id = at.id
+                           AND h.status = 'authorized') as held
                  FROM accounts a
                  LEFT JOIN balance_cache bc ON a.id = bc.account_id
                  LEFT JOIN asset_types at ON bc.asset_type_id = at.id
-                 WHERE a.user_id = $1 AND at.is_active = true
+                 WHERE a.tenant_id = $2 AND a.user_id = $1 AND at.is_active = true
                  ORDER BY at.code`,
-        [userId],
+        [userId, tenantId],
       );
 
       const balances = result.rows.map((row) => ({
         assetCode: row.asset_code,
         assetName: row.asset_name,
-        balance: parseFloat(row.balance || 0),
+        balance: normalize(row.balance || 0),
+        available: normalize(row.balance || 0),
+        held: normalize(row.held || 0),
       }));
 
       // If user has no balances, return all asset types with 0 balance
       if (balances.length === 0 || balances.every((b) => !b.assetCode)) {
         const assetsResult = await client.query(
-          "SELECT code as asset_code, name as asset_name FROM asset_types WHERE is_active = true ORDER BY code",
+          `SELECT code as asset_code, name as asset_name FROM asset_types
+                   WHERE tenant_id = $1 AND is_active = true
+                   ORDER BY code`,
+          [tenantId],
         );
         return {
           userId,
           balances: assetsResult.rows.map((row) => ({
             assetCode: row.asset_code,
             assetName: row.asset_name,
-            balance: 0,
+            balance: "0",
+            available: "0",
+            held: "0",
           })),
         };
       }
@@ -912,56 +2229,124 @@ class TransactionService {
   }
 
   /**
-   * Get transaction history for a user
+   * Get transaction history for a user, newest first
+   * One row per ledger entry on the wallet, ordered by the entry's
+   * (created_at, id) and paged by keyset: nextCursor, when present, fetches
+   * the entries after the last one returned, so pages do not shift as new
+   * entries arrive
+   *
+   * @param {string} userId - User identifier
+   * @param {object} query
+   * @param {number} [query.limit] - Entries per page
+   * @param {string} [query.cursor] - nextCursor of the previous page
+   * @param {string} [query.assetCode] - Only this asset
+   * @param {string} [query.type] - Only this transaction type code (e.g. 'PURCHASE')
+   * @param {string} [query.entryType] - 'debit' or 'credit'
+   * @param {string} [query.status] - Transaction status
+   * @param {Date} [query.from] - Entries at or after
+   * @param {Date} [query.to] - Entries before
+   * @param {string} [query.minAmount] - Entry amount at least
+   * @param {string} [query.maxAmount] - Entry amount at most
+   * @param {string} tenantId - Tenant the wallet belongs to
+   * @returns {Promise<object>} { userId, transactions, limit, nextCursor }
    */
-  async getTransactionHistory(userId, limit = 50, offset = 0) {
+  async getTransactionHistory(
+    userId,
+    {
+      limit = 50,
+      cursor = null,
+      assetCode = null,
+      type = null,
+      entryType = null,
+      status = null,
+      from = null,
+      to = null,
+      minAmount = null,
+      maxAmount = null,
+    } = {},
+    tenantId,
+  ) {
+    const after = cursor ? this._decodeHistoryCursor(cursor) : null;
     const client = await pool.connect();
 
     try {
+      // One row more than the page, to know whether there is a next page
       const result = await client.query(
         `SELECT 
+                    le.id as entry_id,
+                    to_char(le.created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') as entry_position,
                     t.id,
                     t.idempotency_key,
                     tt.name as transaction_type,
                     tt.code as transaction_code,
                     at.name as asset_name,
                     at.code as asset_code,
-                    t.amount,
+                    le.amount,
                     t.description,
                     t.metadata,
                     t.status,
-                    t.created_at,
+                    le.created_at,
                     le.entry_type,
                     le.running_balance
-                 FROM transactions t
-                 JOIN ledger_entries le ON t.id = le.transaction_id
+                 FROM ledger_entries le
                  JOIN accounts a ON le.account_id = a.id
+                 JOIN transactions t ON le.transaction_id = t.id
                  JOIN transaction_types tt ON t.transaction_type_id = tt.id
-                 JOIN asset_types at ON t.asset_type_id = at.id
-                 WHERE a.user_id = $1
-                 ORDER BY t.created_at DESC
-                 LIMIT $2 OFFSET $3`,
-        [userId, limit, offset],
+                 JOIN asset_types at ON le.asset_type_id = at.id
+                 WHERE a.tenant_id = $1 AND a.user_id = $2
+                   AND ($3::timestamp IS NULL OR (le.created_at, le.id) < ($3::timestamp, $4::uuid))
+                   AND ($5::text IS NULL OR at.code = $5)
+                   AND ($6::text IS NULL OR tt.code = $6)
+                   AND ($7::text IS NULL OR le.entry_type = $7)
+                   AND ($8::text IS NULL OR t.status = $8)
+                   AND ($9::timestamp IS NULL OR le.created_at >= $9)
+                   AND ($10::timestamp IS NULL OR le.created_at < $10)
+                   AND ($11::numeric IS NULL OR le.amount >= $11)
+                   AND ($12::numeric IS NULL OR le.amount <= $12)
+                 ORDER BY le.created_at DESC, le.id DESC
+                 LIMIT $13`,
+        [
+          tenantId,
+          userId,
+          after ? after.position : null,
+          after ? after.entryId : null,
+          assetCode,
+          type,
+          entryType,
+          status,
+          from,
+          to,
+          minAmount === null ? null : normalize(minAmount),
+          maxAmount === null ? null : normalize(maxAmount),
+          limit + 1,
+        ],
       );
 
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+
       return {
         userId,
-        transactions: result.rows.map((row) => ({
+        transactions: rows.map((row) => ({
           id: row.id,
+          entryId: row.entry_id,
           type: row.transaction_type,
           typeCode: row.transaction_code,
           asset: row.asset_name,
           assetCode: row.asset_code,
-          amount: parseFloat(row.amount),
+          amount: normalize(row.amount),
           entryType: row.entry_type,
-          runningBalance: parseFloat(row.running_balance),
+          runningBalance: normalize(row.running_balance),
           description: row.description,
           metadata: row.metadata,
           status: row.status,
           timestamp: row.created_at,
         })),
         limit,
-        offset,
+        nextCursor:
+          result.rows.length > limit
+            ? this._encodeHistoryCursor(last.entry_position, last.entry_id)
+            : null,
       };
     } finally {
       client.release();
@@ -973,83 +2358,203 @@ class TransactionService {
   // ========================================================================
 
   /**
-   * Check if request has already been processed (idempotency)
+   * Whether an amount exceeds the asset's maker-checker threshold
+   * A NULL approval_threshold means the asset never needs approval
    */
-  async _checkIdempotency(idempotencyKey) {
-    const client = await pool.connect();
+  _requiresApproval(asset, amount) {
+    return (
+      asset.approval_threshold !== null &&
+      toUnits(amount) > toUnits(asset.approval_threshold)
+    );
+  }
 
-    try {
-      const result = await client.query(
-        `SELECT response_data, status 
-                 FROM idempotency_log 
-                 WHERE idempotency_key = $1 AND expires_at > CURRENT_TIMESTAMP`,
-        [idempotencyKey],
-      );
+  /**
+   * Record a pending transaction awaiting a second operator's approval
+   * No ledger entries or balance changes are made until it is approved
+   */
+  async _createPendingApproval(
+    client,
+    {
+      operation,
+      idempotencyKey,
+      assetTypeId,
+      amount,
+      description,
+      metadata,
+      accountId,
+      requestData,
+      idempotencyRequest,
+      context,
+    },
+  ) {
+    const requestedBy = context.actor || "system";
 
-      if (result.rows.length > 0 && result.rows[0].status === "completed") {
-        return result.rows[0].response_data;
-      }
+    const responseData = await postingEngine.post(client, {
+      typeCode: operation,
+      idempotencyKey,
+      assetTypeId,
+      amount,
+      description,
+      metadata,
+      status: "pending",
+      legs: [],
+      request: idempotencyRequest,
+      audit: {
+        accountId,
+        action: "APPROVAL_REQUESTED",
+        data: { operation, ...requestData, idempotencyKey },
+      },
+      context,
+      respond: async (transactionId) => {
+        await client.query(
+          `INSERT INTO transaction_approvals
+                   (transaction_id, operation, account_id, request_data, requested_by)
+                   VALUES ($1, $2, $3, $4, $5)`,
+          [
+            transactionId,
+            operation,
+            accountId,
+            JSON.stringify(requestData),
+            requestedBy,
+          ],
+        );
 
-      return null;
-    } finally {
-      client.release();
-    }
+        return {
+          transactionId,
+          status: "pending_approval",
+          operation,
+          ...requestData,
+          requestedBy,
+          timestamp: new Date().toISOString(),
+        };
+      },
+    });
+
+    logger.info("Transaction awaiting approval", {
+      transactionId: responseData.transactionId,
+      operation,
+      amount,
+      requestedBy,
+    });
+
+    return responseData;
   }
 
   /**
-   * Get current balance from cache
+   * Look up an active asset type by code in the tenant's catalogue
    */
-  async _getBalance(client, accountId, assetTypeId) {
+  async _getAsset(client, assetCode, tenantId) {
     const result = await client.query(
-      "SELECT balance FROM balance_cache WHERE account_id = $1 AND asset_type_id = $2",
-      [accountId, assetTypeId],
+      `SELECT id, code, decimals, is_transferable, approval_threshold
+             FROM asset_types
+             WHERE tenant_id = $2 AND code = $1 AND is_active = true`,
+      [assetCode, tenantId],
     );
 
-    return result.rows.length > 0 ? parseFloat(result.rows[0].balance) : 0;
+    if (result.rows.length === 0) {
+      throw new Error(`Asset type ${assetCode} not found`);
+    }
+
+    return result.rows[0];
   }
 
   /**
-   * Update balance cache
+   * Opaque history cursor: the position of the last entry returned
+   * The timestamp is kept as text, since a Date would drop its microseconds
    */
-  async _updateBalanceCache(
-    client,
-    accountId,
-    assetTypeId,
-    newBalance,
-    transactionId,
-  ) {
-    await client.query(
-      `INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id, updated_at)
-             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-             ON CONFLICT (account_id, asset_type_id)
-             DO UPDATE SET 
-                balance = EXCLUDED.balance,
-                last_transaction_id = EXCLUDED.last_transaction_id,
-                updated_at = CURRENT_TIMESTAMP`,
-      [accountId, assetTypeId, newBalance, transactionId],
+  _encodeHistoryCursor(position, entryId) {
+    return Buffer.from(JSON.stringify([position, entryId])).toString(
+      "base64url",
     );
   }
 
+  _decodeHistoryCursor(cursor) {
+    let decoded;
+
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (
+      !Array.isArray(decoded) ||
+      typeof decoded[0] !== "string" ||
+      !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}$/.test(decoded[0]) ||
+      !isUuid(decoded[1])
+    ) {
+      throw new Error("Invalid cursor");
+    }
+
+    return { position: decoded[0], entryId: decoded[1] };
+  }
+
+  /**
+   * Wallet details to open an unknown user's account with on a first credit,
+   * or null when AUTO_PROVISION_ACCOUNTS is off
+   * The name defaults to the user id
+   */
+  _provisionDetails(userId, account) {
+    if (!AUTO_PROVISION_ACCOUNTS) {
+      return null;
+    }
+
+    return { name: userId, ...account, userId };
+  }
+
   /**
-   * Create audit log entry
+   * Look up a user's wallet account id within a tenant
+   * Closed wallets are refused. Frozen wallets are refused only when the
+   * operation spends or sends from them (spending); they can still be credited.
    */
-  async _createAuditLog(client, transactionId, accountId, action, requestData) {
-    await client.query(
-      `INSERT INTO audit_log (transaction_id, account_id, action, request_data)
-             VALUES ($1, $2, $3, $4)`,
-      [transactionId, accountId, action, JSON.stringify(requestData)],
+  async _getUserAccountId(
+    client,
+    userId,
+    tenantId,
+    { spending = false } = {},
+  ) {
+    const result = await client.query(
+      `SELECT id, status FROM accounts
+             WHERE tenant_id = $2 AND user_id = $1`,
+      [userId, tenantId],
     );
+
+    if (result.rows.length === 0) {
+      throw new Error(`User account ${userId} not found`);
+    }
+
+    const account = result.rows[0];
+
+    if (
+      account.status === "closed" ||
+      (spending && account.status === "frozen")
+    ) {
+      throw new AccountStatusError(userId, account.status);
+    }
+
+    return account.id;
   }
 
   /**
-   * Hash request for idempotency checking
+   * Look up a tenant's system account by account type code
+   * Each tenant has exactly one account per system account type
    */
-  _hashRequest(data) {
-    return crypto
-      .createHash("sha256")
-      .update(JSON.stringify(data))
-      .digest("hex");
+  async _getSystemAccountId(client, accountTypeCode, tenantId) {
+    const result = await client.query(
+      `SELECT a.id FROM accounts a
+             JOIN account_types at ON a.account_type_id = at.id
+             WHERE a.tenant_id = $2 AND at.code = $1 AND a.user_id IS NULL
+               AND a.status = 'active'`,
+      [accountTypeCode, tenantId],
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`System account ${accountTypeCode} not found`);
+    }
+
+    return result.rows[0].id;
   }
+
 }
 
 module.exports = new TransactionService();
@@ -0,0 +1,49 @@
+/**
+ * Single-asset operations between a user wallet and one system account
+ * userEntryType is the entry on the user's wallet (adjustments take it from
+ * the request); the counterparty always takes the opposite entry
+ *
+ * The ledger verifier checks posted transactions of these types against
+ * counterparty, so a top-up funded from the bonus pool is flagged
+ *
+ * Operations flagged publishes write an outbox event when they complete,
+ * delivered to the tenant's webhooks. Operations that debit the wallet
+ * (purchases, debit adjustments) are refused for frozen wallets
+ */
+const USER_OPERATIONS = {
+  TOP_UP: {
+    counterparty: "SYSTEM_TREASURY",
+    counterpartyLabel: "treasury",
+    userEntryType: "credit",
+    publishes: true,
+    counterpartyDescription: "Debit from treasury for user top-up",
+    userDescription: "Credit to user wallet",
+  },
+  BONUS: {
+    counterparty: "SYSTEM_BONUS",
+    counterpartyLabel: "bonus pool",
+    userEntryType: "credit",
+    requiresApproval: true,
+    publishes: true,
+    counterpartyDescription: "Debit from bonus pool",
+    userDescription: "Bonus credit to user",
+  },
+  PURCHASE: {
+    counterparty: "SYSTEM_REVENUE",
+    counterpartyLabel: "revenue",
+    userEntryType: "debit",
+    publishes: true,
+    counterpartyDescription: "Revenue from user purchase",
+    userDescription: "Debit from user for purchase",
+  },
+  ADJUSTMENT: {
+    counterparty: "SYSTEM_RESERVE",
+    counterpartyLabel: "reserve",
+    requiresApproval: true,
+    returnsEntries: true,
+  },
+};
+
+module.exports = {
+  USER_OPERATIONS,
+};
@@ -5,6 +5,35 @@ const Joi = require('joi');
  * Using Joi for robust input validation
  */
 
+/**
+ * Amounts are accepted as JSON numbers or decimal strings ("12.50"); strings
+ * keep their full precision. Whether an amount fits the asset's decimals is
+ * checked by the service once the asset is known.
+ */
+const amountSchema = Joi.alternatives().try(
+    Joi.number().strict().positive().precision(8),
+    Joi.string().pattern(/^(?=.*[1-9])\d{1,12}(\.\d{1,8})?$/)
+).messages({
+    'number.positive': 'amount must be positive',
+    'number.precision': 'amount must have at most 8 decimal places',
+    'string.pattern.base': 'amount must be a positive decimal with at most 8 decimal places',
+    'alternatives.types': 'amount must be a number or a decimal string'
+});
+
+/**
+ * A user's wallet details, for POST /accounts and for the wallet opened by a
+ * first top-up or bonus when AUTO_PROVISION_ACCOUNTS is on
+ */
+const accountDetailsSchema = Joi.object({
+    name: Joi.string().required().trim().min(1).max(255)
+        .messages({
+            'string.empty': 'name is required',
+            'any.required': 'name is required'
+        }),
+    email: Joi.string().email().max(255).optional(),
+    metadata: Joi.object().optional().default({})
+});
+
 const topUpSchema = Joi.object({
     userId: Joi.string().required().min(1).max(255)
         .messages({
@@ -16,9 +45,8 @@ const topUpSchema = Joi.object({
             'string.empty': 'assetCode is required',
             'any.required': 'assetCode is required'
         }),
-    amount: Joi.number().positive().precision(8).required()
+    amount: amountSchema.required()
         .messages({
-            'number.positive': 'amount must be positive',
             'any.required': 'amount is required'
         }),
     idempotencyKey: Joi.string().required().max(255)
@@ -26,7 +54,9 @@ const topUpSchema = Joi.object({
             'string.empty': 'idempotencyKey is required',
             'any.required': 'idempotencyKey is required'
         }),
-    metadata: Joi.object().optional().default({})
+    metadata: Joi.object().optional().default({}),
+    // Used only if the user has no wallet yet and auto-provisioning is on
+    account: accountDetailsSchema.optional()
 });
 
 const bonusSchema = Joi.object({
@@ -40,9 +70,8 @@ const bonusSchema = Joi.object({
             'string.empty': 'assetCode is required',
             'any.required': 'assetCode is required'
         }),
-    amount: Joi.number().positive().precision(8).required()
+    amount: amountSchema.required()
         .messages({
-            'number.positive': 'amount must be positive',
             'any.required': 'amount is required'
         }),
     idempotencyKey: Joi.string().required().max(255)
@@ -54,7 +83,9 @@ const bonusSchema = Joi.object({
         reason: Joi.string().optional(),
         campaign: Joi.string().optional(),
         referralCode: Joi.string().optional()
-    }).optional().default({})
+    }).optional().default({}),
+    // Used only if the user has no wallet yet and auto-provisioning is on
+    account: accountDetailsSchema.optional()
 });
 
 const purchaseSchema = Joi.object({
@@ -68,9 +99,8 @@ const purchaseSchema = Joi.object({
             'string.empty': 'assetCode is required',
             'any.required': 'assetCode is required'
         }),
-    amount: Joi.number().positive().precision(8).required()
+    amount: amountSchema.required()
         .messages({
-            'number.positive': 'amount must be positive',
             'any.required': 'amount is required'
         }),
     idempotencyKey: Joi.string().required().max(255)
@@ -86,15 +116,479 @@ const purchaseSchema = Joi.object({
     }).optional().default({})
 });
 
+const transferSchema = Joi.object({
+    fromUserId: Joi.string().required().min(1).max(255)
+        .messages({
+            'string.empty': 'fromUserId is required',
+            'any.required': 'fromUserId is required'
+        }),
+    toUserId: Joi.string().required().min(1).max(255).invalid(Joi.ref('fromUserId'))
+        .messages({
+            'string.empty': 'toUserId is required',
+            'any.required': 'toUserId is required',
+            'any.invalid': 'toUserId must differ from fromUserId'
+        }),
+    assetCode: Joi.string().required().uppercase().max(50)
+        .messages({
+            'string.empty': 'assetCode is required',
+            'any.required': 'assetCode is required'
+        }),
+    amount: amountSchema.required()
+        .messages({
+            'any.required': 'amount is required'
+        }),
+    idempotencyKey: Joi.string().required().max(255)
+        .messages({
+            'string.empty': 'idempotencyKey is required',
+            'any.required': 'idempotencyKey is required'
+        }),
+    metadata: Joi.object({
+        message: Joi.string().max(500).optional()
+    }).optional().default({})
+});
+
+const authorizeSchema = Joi.object({
+    userId: Joi.string().required().min(1).max(255)
+        .messages({
+            'string.empty': 'userId is required',
+            'any.required': 'userId is required'
+        }),
+    assetCode: Joi.string().required().uppercase().max(50)
+        .messages({
+            'string.empty': 'assetCode is required',
+            'any.required': 'assetCode is required'
+        }),
+    amount: amountSchema.required()
+        .messages({
+            'any.required': 'amount is required'
+        }),
+    idempotencyKey: Joi.string().required().max(255)
+        .messages({
+            'string.empty': 'idempotencyKey is required',
+            'any.required': 'idempotencyKey is required'
+        }),
+    ttlSeconds: Joi.number().integer().min(1)
+        .max(parseInt(process.env.HOLD_MAX_TTL_SECONDS || '86400')).optional(),
+    metadata: Joi.object({
+        matchId: Joi.string().optional(),
+        itemId: Joi.string().optional(),
+        itemName: Joi.string().optional()
+    }).optional().default({})
+});
+
+const captureSchema = Joi.object({
+    amount: amountSchema.optional(),
+    idempotencyKey: Joi.string().required().max(255)
+        .messages({
+            'string.empty': 'idempotencyKey is required',
+            'any.required': 'idempotencyKey is required'
+        }),
+    metadata: Joi.object({
+        itemId: Joi.string().optional(),
+        itemName: Joi.string().optional(),
+        itemType: Joi.string().optional(),
+        quantity: Joi.number().integer().positive().optional()
+    }).optional().default({})
+});
+
+const voidSchema = Joi.object({
+    idempotencyKey: Joi.string().required().max(255)
+        .messages({
+            'string.empty': 'idempotencyKey is required',
+            'any.required': 'idempotencyKey is required'
+        }),
+    metadata: Joi.object({
+        reason: Joi.string().optional()
+    }).optional().default({})
+});
+
+const refundSchema = Joi.object({
+    amount: amountSchema.optional(),
+    idempotencyKey: Joi.string().required().max(255)
+        .messages({
+            'string.empty': 'idempotencyKey is required',
+            'any.required': 'idempotencyKey is required'
+        }),
+    metadata: Joi.object({
+        reason: Joi.string().optional(),
+        ticketId: Joi.string().optional()
+    }).optional().default({})
+});
+
+const reversalSchema = Joi.object({
+    amount: amountSchema.optional(),
+    idempotencyKey: Joi.string().required().max(255)
+        .messages({
+            'string.empty': 'idempotencyKey is required',
+            'any.required': 'idempotencyKey is required'
+        }),
+    metadata: Joi.object({
+        reason: Joi.string().optional(),
+        ticketId: Joi.string().optional()
+    }).optional().default({})
+});
+
+const exchangeSchema = Joi.object({
+    userId: Joi.string().required().min(1).max(255)
+        .messages({
+            'string.empty': 'userId is required',
+            'any.required': 'userId is required'
+        }),
+    fromAssetCode: Joi.string().required().uppercase().max(50)
+        .messages({
+            'string.empty': 'fromAssetCode is required',
+            'any.required': 'fromAssetCode is required'
+        }),
+    toAssetCode: Joi.string().required().uppercase().max(50).invalid(Joi.ref('fromAssetCode'))
+        .messages({
+            'string.empty': 'toAssetCode is required',
+            'any.required': 'toAssetCode is required',
+            'any.invalid': 'toAssetCode must differ from fromAssetCode'
+        }),
+    amount: amountSchema.required()
+        .messages({
+            'any.required': 'amount is required'
+        }),
+    rateQuoteId: Joi.string().guid().optional()
+        .messages({
+            'string.guid': 'rateQuoteId must be a rate id from GET /api/exchange-rates'
+        }),
+    idempotencyKey: Joi.string().required().max(255)
+        .messages({
+            'string.empty': 'idempotencyKey is required',
+            'any.required': 'idempotencyKey is required'
+        }),
+    metadata: Joi.object().optional().default({})
+});
+
+const exchangeRateQuerySchema = Joi.object({
+    fromAssetCode: Joi.string().optional().uppercase().max(50),
+    toAssetCode: Joi.string().optional().uppercase().max(50),
+    includeInactive: Joi.boolean().optional().default(false)
+});
+
+const exchangeRateSchema = Joi.object({
+    fromAssetCode: Joi.string().required().uppercase().max(50)
+        .messages({
+            'string.empty': 'fromAssetCode is required',
+            'any.required': 'fromAssetCode is required'
+        }),
+    toAssetCode: Joi.string().required().uppercase().max(50).invalid(Joi.ref('fromAssetCode'))
+        .messages({
+            'string.empty': 'toAssetCode is required',
+            'any.required': 'toAssetCode is required',
+            'any.invalid': 'toAssetCode must differ from fromAssetCode'
+        }),
+    rate: Joi.alternatives().try(
+        Joi.number().strict().positive().precision(12),
+        Joi.string().pattern(/^(?=.*[1-9])\d{1,18}(\.\d{1,12})?$/)
+    ).required()
+        .messages({
+            'number.positive': 'rate must be positive',
+            'number.precision': 'rate must have at most 12 decimal places',
+            'string.pattern.base': 'rate must be a positive decimal with at most 12 decimal places',
+            'alternatives.types': 'rate must be a number or a decimal string',
+            'any.required': 'rate is required'
+        })
+});
+
+/**
+ * Reason codes accepted for manual adjustments
+ */
+const ADJUSTMENT_REASON_CODES = [
+    'GOODWILL',
+    'SERVICE_OUTAGE',
+    'BUG_COMPENSATION',
+    'DUPLICATE_CHARGE',
+    'FRAUD_RECOVERY',
+    'CHARGEBACK',
+    'DATA_CORRECTION'
+];
+
+const adjustmentSchema = Joi.object({
+    userId: Joi.string().required().min(1).max(255)
+        .messages({
+            'string.empty': 'userId is required',
+            'any.required': 'userId is required'
+        }),
+    assetCode: Joi.string().required().uppercase().max(50)
+        .messages({
+            'string.empty': 'assetCode is required',
+            'any.required': 'assetCode is required'
+        }),
+    direction: Joi.string().required().valid('credit', 'debit')
+        .messages({
+            'any.only': 'direction must be credit or debit',
+            'any.required': 'direction is required'
+        }),
+    amount: amountSchema.required()
+        .messages({
+            'any.required': 'amount is required'
+        }),
+    reasonCode: Joi.string().required().uppercase().valid(...ADJUSTMENT_REASON_CODES)
+        .messages({
+            'any.only': `reasonCode must be one of ${ADJUSTMENT_REASON_CODES.join(', ')}`,
+            'any.required': 'reasonCode is required'
+        }),
+    justification: Joi.string().required().trim().min(10).max(2000)
+        .messages({
+            'string.empty': 'justification is required',
+            'string.min': 'justification must be at least 10 characters',
+            'any.required': 'justification is required'
+        }),
+    idempotencyKey: Joi.string().required().max(255)
+        .messages({
+            'string.empty': 'idempotencyKey is required',
+            'any.required': 'idempotencyKey is required'
+        }),
+    metadata: Joi.object({
+        ticketId: Joi.string().optional()
+    }).optional().default({})
+});
+
+const approvalDecisionSchema = Joi.object({
+    note: Joi.string().trim().max(1000).optional()
+});
+
+const approvalListSchema = Joi.object({
+    status: Joi.string().valid('pending', 'approved', 'rejected').optional().default('pending'),
+    limit: Joi.number().integer().min(1).max(100).optional().default(50)
+});
+
+const reconciliationQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(1000).optional().default(100)
+});
+
+const ledgerVerificationQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(1000).optional().default(100)
+});
+
+const reconciliationRepairSchema = Joi.object({
+    userId: Joi.string().optional().min(1).max(255),
+    assetCode: Joi.string().optional().uppercase().max(50)
+});
+
+const API_KEY_SCOPES = [
+    'wallet:read',
+    'wallet:topup',
+    'wallet:bonus',
+    'wallet:purchase',
+    'wallet:transfer',
+    'wallet:exchange',
+    'wallet:hold',
+    'wallet:refund',
+    'wallet:accounts',
+    'analytics:read',
+    'admin:*'
+];
+
+const apiKeyCreateSchema = Joi.object({
+    name: Joi.string().required().trim().min(1).max(255)
+        .messages({
+            'string.empty': 'name is required',
+            'any.required': 'name is required'
+        }),
+    scopes: Joi.array().required().min(1).unique()
+        .items(Joi.string().valid(...API_KEY_SCOPES))
+        .messages({
+            'any.only': `scopes must be from ${API_KEY_SCOPES.join(', ')}`,
+            'array.min': 'scopes must not be empty',
+            'any.required': 'scopes is required'
+        }),
+    expiresAt: Joi.date().iso().greater('now').optional(),
+    requireSignature: Joi.boolean().optional().default(false)
+});
+
+const apiKeyListSchema = Joi.object({
+    includeRevoked: Joi.boolean().optional().default(false)
+});
+
+const apiKeyRotateSchema = Joi.object({
+    // How long the old key keeps working, so clients can switch over
+    gracePeriodSeconds: Joi.number().integer().min(0).max(604800).optional().default(0)
+});
+
+// Transaction types published to webhooks when they complete
+const WEBHOOK_EVENT_TYPES = [
+    'TOP_UP',
+    'BONUS',
+    'PURCHASE',
+    'REFUND',
+    'REVERSAL'
+];
+
+const webhookEndpointCreateSchema = Joi.object({
+    url: Joi.string().required().uri({ scheme: ['http', 'https'] }).max(2048)
+        .messages({
+            'string.uriCustomScheme': 'url must be an http or https URL',
+            'string.uri': 'url must be an http or https URL',
+            'any.required': 'url is required'
+        }),
+    // Every event type when omitted
+    eventTypes: Joi.array().min(1).unique()
+        .items(Joi.string().uppercase().valid(...WEBHOOK_EVENT_TYPES))
+        .optional().default(WEBHOOK_EVENT_TYPES)
+        .messages({
+            'any.only': `eventTypes must be from ${WEBHOOK_EVENT_TYPES.join(', ')}`,
+            'array.min': 'eventTypes must not be empty'
+        })
+});
+
+const webhookEndpointListSchema = Joi.object({
+    includeDisabled: Joi.boolean().optional().default(false)
+});
+
+const webhookDeliveryListSchema = Joi.object({
+    status: Joi.string().valid('pending', 'delivered', 'dead_letter').optional(),
+    endpointId: Joi.string().uuid().optional(),
+    transactionId: Joi.string().uuid().optional(),
+    limit: Joi.number().integer().min(1).max(500).optional().default(50)
+});
+
+const exportQuerySchema = Joi.object({
+    // from is inclusive, to exclusive; to defaults to now
+    from: Joi.date().iso().required()
+        .messages({
+            'any.required': 'from is required'
+        }),
+    to: Joi.date().iso().greater(Joi.ref('from')).optional().default(() => new Date()),
+    accountType: Joi.string().optional().uppercase().max(50),
+    assetCode: Joi.string().optional().uppercase().max(50),
+    format: Joi.string().valid('csv', 'ndjson').optional().default('csv')
+});
+
+// Business dates are UTC days, YYYY-MM-DD. Kept as a string: Joi.date()
+// would roll a day the month does not have (2026-02-30) into the next month
+const businessDateSchema = Joi.object({
+    date: Joi.string().required().pattern(/^\d{4}-\d{2}-\d{2}$/)
+        .messages({
+            'string.pattern.base': 'date must be a date in the form YYYY-MM-DD',
+            'any.required': 'date is required'
+        })
+});
+
+const analyticsQuerySchema = Joi.object({
+    // Both days are included; to defaults to today
+    from: Joi.date().iso().required()
+        .messages({
+            'any.required': 'from is required'
+        }),
+    to: Joi.date().iso().min(Joi.ref('from')).optional().default(() => new Date()),
+    assetCode: Joi.string().optional().uppercase().max(50)
+});
+
+const revenueQuerySchema = analyticsQuerySchema.keys({
+    interval: Joi.string().valid('day', 'week', 'month').optional().default('day')
+});
+
+const topItemsQuerySchema = analyticsQuerySchema.keys({
+    limit: Joi.number().integer().min(1).max(100).optional().default(10)
+});
+
+const supplyQuerySchema = Joi.object({
+    assetCode: Joi.string().optional().uppercase().max(50)
+});
+
+const tenantAssetSchema = Joi.object({
+    code: Joi.string().required().uppercase().pattern(/^[A-Z][A-Z0-9_]*$/).max(50)
+        .messages({
+            'string.pattern.base': 'asset code must be letters, digits and underscores',
+            'any.required': 'asset code is required'
+        }),
+    name: Joi.string().required().trim().min(1).max(255),
+    description: Joi.string().optional().max(1000),
+    decimals: Joi.number().integer().min(0).max(8).optional().default(2),
+    isTransferable: Joi.boolean().optional().default(false),
+    // Bonuses and adjustments above this need a second operator
+    approvalThreshold: amountSchema.optional()
+});
+
+const tenantCreateSchema = Joi.object({
+    // Sent by platform keys in the X-Tenant header
+    code: Joi.string().required().lowercase().pattern(/^[a-z0-9][a-z0-9-]*$/).max(50)
+        .messages({
+            'string.pattern.base': 'code must be lowercase letters, digits and hyphens',
+            'any.required': 'code is required'
+        }),
+    name: Joi.string().required().trim().min(1).max(255)
+        .messages({
+            'string.empty': 'name is required',
+            'any.required': 'name is required'
+        }),
+    assets: Joi.array().items(tenantAssetSchema).unique('code').optional().default([])
+        .messages({
+            'array.unique': 'asset codes must be unique'
+        })
+});
+
+const accountCreateSchema = accountDetailsSchema.keys({
+    userId: Joi.string().required().min(1).max(255)
+        .messages({
+            'string.empty': 'userId is required',
+            'any.required': 'userId is required'
+        })
+});
+
+// Freeze and unfreeze
+const accountStatusSchema = Joi.object({
+    reason: Joi.string().required().trim().min(1).max(1000)
+        .messages({
+            'string.empty': 'reason is required',
+            'any.required': 'reason is required'
+        })
+});
+
+const accountCloseSchema = Joi.object({
+    reason: Joi.string().required().trim().min(1).max(1000)
+        .messages({
+            'string.empty': 'reason is required',
+            'any.required': 'reason is required'
+        }),
+    // Move any remaining balances to SYSTEM_RESERVE instead of refusing
+    sweep: Joi.boolean().optional().default(false)
+});
+
 const balanceQuerySchema = Joi.object({
     userId: Joi.string().required().min(1).max(255),
     assetCode: Joi.string().optional().uppercase().max(50)
 });
 
+const balanceAtQuerySchema = Joi.object({
+    timestamp: Joi.date().iso().required()
+        .messages({
+            'any.required': 'timestamp is required'
+        }),
+    assetCode: Joi.string().optional().uppercase().max(50)
+});
+
+const statementQuerySchema = Joi.object({
+    assetCode: Joi.string().required().uppercase().max(50)
+        .messages({
+            'any.required': 'assetCode is required'
+        }),
+    // from is inclusive, to exclusive; to defaults to now
+    from: Joi.date().iso().required()
+        .messages({
+            'any.required': 'from is required'
+        }),
+    to: Joi.date().iso().greater(Joi.ref('from')).optional().default(() => new Date())
+});
+
 const transactionHistorySchema = Joi.object({
-    userId: Joi.string().required().min(1).max(255),
     limit: Joi.number().integer().min(1).max(100).optional().default(50),
-    offset: Joi.number().integer().min(0).optional().default(0)
+    // nextCursor of the previous page
+    cursor: Joi.string().max(512).optional(),
+    assetCode: Joi.string().optional().uppercase().max(50),
+    type: Joi.string().optional().uppercase().max(50),
+    entryType: Joi.string().valid('debit', 'credit').optional(),
+    // Only transactions that posted ledger entries appear in history, so
+    // pending (awaiting approval) and failed ones can never match
+    status: Joi.string().valid('completed', 'reversed').optional(),
+    // from is inclusive, to exclusive
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().greater(Joi.ref('from')).optional(),
+    minAmount: amountSchema.optional(),
+    maxAmount: amountSchema.optional()
 });
 
 /**
@@ -155,7 +649,43 @@ module.exports = {
     topUpSchema,
     bonusSchema,
     purchaseSchema,
+    transferSchema,
+    authorizeSchema,
+    captureSchema,
+    voidSchema,
+    refundSchema,
+    reversalSchema,
+    exchangeSchema,
+    exchangeRateQuerySchema,
+    exchangeRateSchema,
+    ADJUSTMENT_REASON_CODES,
+    adjustmentSchema,
+    approvalDecisionSchema,
+    approvalListSchema,
+    reconciliationQuerySchema,
+    reconciliationRepairSchema,
+    ledgerVerificationQuerySchema,
+    API_KEY_SCOPES,
+    apiKeyCreateSchema,
+    apiKeyListSchema,
+    apiKeyRotateSchema,
+    WEBHOOK_EVENT_TYPES,
+    webhookEndpointCreateSchema,
+    webhookEndpointListSchema,
+    webhookDeliveryListSchema,
+    exportQuerySchema,
+    businessDateSchema,
+    analyticsQuerySchema,
+    revenueQuerySchema,
+    topItemsQuerySchema,
+    supplyQuerySchema,
+    tenantCreateSchema,
+    accountCreateSchema,
+    accountStatusSchema,
+    accountCloseSchema,
     balanceQuerySchema,
+    balanceAtQuerySchema,
+    statementQuerySchema,
     transactionHistorySchema,
     validate,
     validateQuery
@@ -0,0 +1,534 @@
+const crypto = require("crypto");
+const { validate: isUuid } = require("uuid");
+const { pool } = require("./db");
+const logger = require("./logger");
+const postingEngine = require("./postingEngine");
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000");
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "8");
+const RETRY_BASE_SECONDS = parseInt(
+  process.env.WEBHOOK_RETRY_BASE_SECONDS || "30",
+);
+const RETRY_MAX_SECONDS = parseInt(
+  process.env.WEBHOOK_RETRY_MAX_SECONDS || "3600",
+);
+
+// A claimed delivery is not handed to another dispatcher until this has
+// passed, which outlasts the request timeout
+const CLAIM_LEASE_SECONDS = Math.ceil(TIMEOUT_MS / 1000) * 2;
+
+// Kept of a failed response body in last_error
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Webhook Service
+ * Registers webhook endpoints and delivers outbox events to them
+ *
+ * dispatch() first fans new outbox events out to a delivery per subscribed
+ * endpoint, then POSTs due deliveries. The body is the stored event payload,
+ * signed with the endpoint's secret as the hex HMAC-SHA256 of
+ *
+ *   TIMESTAMP \n BODY
+ *
+ * sent in X-Webhook-Signature with X-Webhook-Timestamp (Unix seconds). A
+ * non-2xx response, network error or timeout is retried after
+ * RETRY_BASE_SECONDS * 2^(attempt - 1), capped at RETRY_MAX_SECONDS; after
+ * MAX_ATTEMPTS the delivery is dead-lettered until an operator replays it.
+ * Delivery is at least once: receivers deduplicate on X-Webhook-Id.
+ */
+class WebhookService {
+  /**
+   * Register a webhook endpoint
+   *
+   * @param {object} params
+   * @param {string} params.url - http(s) URL the events are POSTed to
+   * @param {Array<string>} params.eventTypes - Event types to deliver
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The endpoint, including its signing secret
+   */
+  async createEndpoint({ url, eventTypes }, context = {}) {
+    return await postingEngine.runInTransaction(async (client) => {
+      const signingSecret = crypto.randomBytes(32).toString("hex");
+
+      const result = await client.query(
+        `INSERT INTO webhook_endpoints (tenant_id, url, event_types, signing_secret, created_by)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING *`,
+        [
+          context.tenantId,
+          url,
+          eventTypes,
+          signingSecret,
+          context.actor || null,
+        ],
+      );
+      const endpoint = result.rows[0];
+
+      await postingEngine.createAuditLog(
+        client,
+        null,
+        null,
+        "WEBHOOK_ENDPOINT_CREATED",
+        { endpointId: endpoint.id, url, eventTypes },
+        context,
+      );
+
+      logger.info("Webhook endpoint created", {
+        endpointId: endpoint.id,
+        url,
+        eventTypes,
+        actor: context.actor,
+      });
+
+      return { ...this._formatEndpoint(endpoint), signingSecret };
+    });
+  }
+
+  /**
+   * List a tenant's webhook endpoints, newest first; secrets are never returned
+   *
+   * @param {boolean} includeDisabled - Include disabled endpoints
+   * @param {string} tenantId - Tenant whose endpoints are listed
+   */
+  async listEndpoints(includeDisabled = false, tenantId) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT * FROM webhook_endpoints
+                 WHERE tenant_id = $2 AND ($1 OR is_active = true)
+                 ORDER BY created_at DESC`,
+        [includeDisabled, tenantId],
+      );
+
+      return result.rows.map((row) => this._formatEndpoint(row));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Disable an endpoint; its pending deliveries are dead-lettered
+   *
+   * @param {string} endpointId - Endpoint to disable
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The disabled endpoint
+   */
+  async disableEndpoint(endpointId, context = {}) {
+    if (!isUuid(endpointId)) {
+      throw new Error(`Webhook endpoint ${endpointId} not found`);
+    }
+
+    return await postingEngine.runInTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE webhook_endpoints
+                 SET is_active = false, disabled_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND tenant_id = $2 AND is_active = true
+                 RETURNING *`,
+        [endpointId, context.tenantId],
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(
+          `Webhook endpoint ${endpointId} not found or already disabled`,
+        );
+      }
+
+      const deadLettered = await client.query(
+        `UPDATE webhook_deliveries
+                 SET status = 'dead_letter', last_error = 'Endpoint disabled'
+                 WHERE endpoint_id = $1 AND status = 'pending'`,
+        [endpointId],
+      );
+
+      await postingEngine.createAuditLog(
+        client,
+        null,
+        null,
+        "WEBHOOK_ENDPOINT_DISABLED",
+        { endpointId, deadLettered: deadLettered.rowCount },
+        context,
+      );
+
+      logger.info("Webhook endpoint disabled", {
+        endpointId,
+        deadLettered: deadLettered.rowCount,
+        actor: context.actor,
+      });
+
+      return this._formatEndpoint(result.rows[0]);
+    });
+  }
+
+  /**
+   * List a tenant's deliveries, newest first
+   *
+   * @param {object} filters
+   * @param {string} [filters.status] - 'pending', 'delivered' or 'dead_letter'
+   * @param {string} [filters.endpointId] - Only this endpoint's deliveries
+   * @param {string} [filters.transactionId] - Only events of this transaction
+   * @param {number} [filters.limit] - Maximum rows
+   * @param {string} tenantId - Tenant whose deliveries are listed
+   */
+  async listDeliveries(
+    { status = null, endpointId = null, transactionId = null, limit = 50 },
+    tenantId,
+  ) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT d.*, e.event_type, e.transaction_id, w.url
+                 FROM webhook_deliveries d
+                 JOIN outbox_events e ON d.event_id = e.id
+                 JOIN webhook_endpoints w ON d.endpoint_id = w.id
+                 WHERE w.tenant_id = $1
+                   AND ($2::text IS NULL OR d.status = $2)
+                   AND ($3::uuid IS NULL OR d.endpoint_id = $3)
+                   AND ($4::uuid IS NULL OR e.transaction_id = $4)
+                 ORDER BY d.created_at DESC
+                 LIMIT $5`,
+        [tenantId, status, endpointId, transactionId, limit],
+      );
+
+      return result.rows.map((row) => this._formatDelivery(row));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Queue a delivered or dead-lettered delivery to be sent again now, with a
+   * fresh attempt budget
+   *
+   * @param {string} deliveryId - Delivery to replay
+   * @param {object} context - Tenant and attribution (tenantId, actor, ipAddress, userAgent)
+   * @returns {Promise<object>} The requeued delivery
+   */
+  async replayDelivery(deliveryId, context = {}) {
+    if (!isUuid(deliveryId)) {
+      throw new Error(`Webhook delivery ${deliveryId} not found`);
+    }
+
+    return await postingEngine.runInTransaction(async (client) => {
+      const existing = await client.query(
+        `SELECT d.status, w.is_active
+                 FROM webhook_deliveries d
+                 JOIN webhook_endpoints w ON d.endpoint_id = w.id
+                 WHERE d.id = $1 AND w.tenant_id = $2
+                 FOR UPDATE OF d`,
+        [deliveryId, context.tenantId],
+      );
+
+      if (existing.rows.length === 0) {
+        throw new Error(`Webhook delivery ${deliveryId} not found`);
+      }
+
+      if (existing.rows[0].status === "pending") {
+        throw new Error(`Webhook delivery ${deliveryId} is already pending`);
+      }
+
+      if (!existing.rows[0].is_active) {
+        throw new Error(
+          `Webhook delivery ${deliveryId} cannot be replayed: its endpoint is disabled`,
+        );
+      }
+
+      await client.query(
+        `UPDATE webhook_deliveries
+                 SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+                     last_response_status = NULL, last_error = NULL, delivered_at = NULL
+                 WHERE id = $1`,
+        [deliveryId],
+      );
+
+      const result = await client.query(
+        `SELECT d.*, e.event_type, e.transaction_id, w.url
+                 FROM webhook_deliveries d
+                 JOIN outbox_events e ON d.event_id = e.id
+                 JOIN webhook_endpoints w ON d.endpoint_id = w.id
+                 WHERE d.id = $1`,
+        [deliveryId],
+      );
+
+      await postingEngine.createAuditLog(
+        client,
+        null,
+        null,
+        "WEBHOOK_DELIVERY_REPLAYED",
+        { deliveryId, previousStatus: existing.rows[0].status },
+        context,
+      );
+
+      logger.info("Webhook delivery replayed", {
+        deliveryId,
+        previousStatus: existing.rows[0].status,
+        actor: context.actor,
+      });
+
+      return this._formatDelivery(result.rows[0]);
+    });
+  }
+
+  /**
+   * Fan out new outbox events, then send up to batchSize due deliveries
+   * Run by the webhook-dispatch job; safe to run on several instances
+   *
+   * @param {number} batchSize - Maximum events fanned out and deliveries sent
+   * @returns {Promise<object>} { events, delivered, retrying, deadLettered }
+   */
+  async dispatch(batchSize = 50) {
+    const events = await this._fanOut(batchSize);
+    const deliveries = await this._claimDueDeliveries(batchSize);
+    const outcomes = await Promise.all(
+      deliveries.map((delivery) => this._deliver(delivery)),
+    );
+
+    const summary = {
+      events,
+      delivered: outcomes.filter((outcome) => outcome === "delivered").length,
+      retrying: outcomes.filter((outcome) => outcome === "pending").length,
+      deadLettered: outcomes.filter((outcome) => outcome === "dead_letter")
+        .length,
+    };
+
+    if (events > 0 || deliveries.length > 0) {
+      logger.info("Webhook dispatch completed", summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Signature of a webhook body, as sent in X-Webhook-Signature
+   *
+   * @param {string} secret - Endpoint signing secret
+   * @param {string|number} timestamp - X-Webhook-Timestamp (Unix seconds)
+   * @param {string} body - Raw request body
+   * @returns {string} Hex HMAC-SHA256
+   */
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}\n${body}`)
+      .digest("hex");
+  }
+
+  /**
+   * Create a delivery for each active endpoint subscribed to each new event
+   * and mark the events dispatched. Events no endpoint subscribes to are
+   * marked dispatched without deliveries.
+   *
+   * @returns {Promise<number>} Events fanned out
+   */
+  async _fanOut(batchSize) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `WITH events AS (
+                   SELECT id, tenant_id, event_type FROM outbox_events
+                   WHERE dispatched_at IS NULL
+                   ORDER BY created_at
+                   LIMIT $1
+                   FOR UPDATE SKIP LOCKED
+                 ), fanned AS (
+                   INSERT INTO webhook_deliveries (event_id, endpoint_id)
+                   SELECT e.id, w.id FROM events e
+                   JOIN webhook_endpoints w ON w.tenant_id = e.tenant_id
+                    AND w.is_active = true
+                    AND e.event_type = ANY(w.event_types)
+                   ON CONFLICT (event_id, endpoint_id) DO NOTHING
+                 )
+                 UPDATE outbox_events SET dispatched_at = CURRENT_TIMESTAMP
+                 WHERE id IN (SELECT id FROM events)`,
+        [batchSize],
+      );
+
+      return result.rowCount;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Claim due deliveries by pushing their next attempt past the lease, so a
+   * concurrent dispatcher skips them while they are in flight
+   */
+  async _claimDueDeliveries(batchSize) {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE webhook_deliveries d
+                 SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2::int)
+                 FROM outbox_events e, webhook_endpoints w
+                 WHERE d.id IN (
+                   SELECT id FROM webhook_deliveries
+                   WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+                   ORDER BY next_attempt_at
+                   LIMIT $1
+                   FOR UPDATE SKIP LOCKED
+                 )
+                   AND e.id = d.event_id
+                   AND w.id = d.endpoint_id
+                 RETURNING d.id, d.attempts, e.id as event_id, e.event_type, e.payload,
+                           w.url, w.signing_secret`,
+        [batchSize, CLAIM_LEASE_SECONDS],
+      );
+
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST one delivery and record the attempt
+   * Errors are recorded on the delivery rather than thrown
+   *
+   * @returns {Promise<string>} The delivery's new status
+   */
+  async _deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": delivery.event_id,
+          "X-Webhook-Event": delivery.event_type,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": this.sign(
+            delivery.signing_secret,
+            timestamp,
+            body,
+          ),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+
+      responseStatus = response.status;
+      const responseBody = await response.text();
+
+      if (!response.ok) {
+        error = `HTTP ${response.status}${responseBody ? `: ${responseBody}` : ""}`;
+      }
+    } catch (requestError) {
+      error =
+        requestError.name === "TimeoutError"
+          ? `Timed out after ${TIMEOUT_MS}ms`
+          : requestError.cause
+            ? `${requestError.message}: ${requestError.cause.message}`
+            : requestError.message;
+    }
+
+    return await this._recordAttempt(delivery, responseStatus, error);
+  }
+
+  /**
+   * Mark a delivery delivered, or schedule its retry, dead-lettering it once
+   * MAX_ATTEMPTS have failed
+   */
+  async _recordAttempt(delivery, responseStatus, error) {
+    const attempts = delivery.attempts + 1;
+    const status = !error
+      ? "delivered"
+      : attempts >= MAX_ATTEMPTS
+        ? "dead_letter"
+        : "pending";
+    const retryDelay = Math.min(
+      RETRY_BASE_SECONDS * 2 ** (attempts - 1),
+      RETRY_MAX_SECONDS,
+    );
+
+    const client = await pool.connect();
+
+    try {
+      await client.query(
+        `UPDATE webhook_deliveries
+                 SET status = $2::text, attempts = $3, last_attempt_at = CURRENT_TIMESTAMP,
+                     last_response_status = $4, last_error = $5,
+                     delivered_at = CASE WHEN $2::text = 'delivered' THEN CURRENT_TIMESTAMP END,
+                     next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $6::int)
+                 WHERE id = $1`,
+        [
+          delivery.id,
+          status,
+          attempts,
+          responseStatus,
+          error ? error.slice(0, MAX_ERROR_LENGTH) : null,
+          retryDelay,
+        ],
+      );
+    } finally {
+      client.release();
+    }
+
+    if (status === "dead_letter") {
+      logger.error("Webhook delivery dead-lettered", {
+        deliveryId: delivery.id,
+        eventId: delivery.event_id,
+        url: delivery.url,
+        attempts,
+        error,
+      });
+    } else if (error) {
+      logger.warn("Webhook delivery failed, will retry", {
+        deliveryId: delivery.id,
+        url: delivery.url,
+        attempts,
+        retryInSeconds: retryDelay,
+        error,
+      });
+    }
+
+    return status;
+  }
+
+  /**
+   * Shape a webhook_endpoints row for API responses
+   */
+  _formatEndpoint(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      eventTypes: row.event_types,
+      isActive: row.is_active,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      disabledAt: row.disabled_at,
+    };
+  }
+
+  /**
+   * Shape a webhook_deliveries row (joined with its event and endpoint)
+   */
+  _formatDelivery(row) {
+    return {
+      id: row.id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      transactionId: row.transaction_id,
+      endpointId: row.endpoint_id,
+      url: row.url,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.status === "pending" ? row.next_attempt_at : null,
+      lastAttemptAt: row.last_attempt_at,
+      lastResponseStatus: row.last_response_status,
+      lastError: row.last_error,
+      deliveredAt: row.delivered_at,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new WebhookService();
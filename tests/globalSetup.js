@@ -0,0 +1,12 @@
+const { createTestDatabase } = require("./testDatabase");
+
+// One fresh database per test run; test files isolate themselves by using
+// their own users (and tenants where they read tenant-wide totals)
+module.exports = async () => {
+  // Run every test on a host clock ahead of UTC, where a time read or written
+  // in local time would land in the wrong place. Set here, before the test
+  // workers start, since a test file cannot change its own process's zone
+  process.env.TZ = "Asia/Kolkata";
+
+  await createTestDatabase();
+};
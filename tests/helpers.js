@@ -0,0 +1,156 @@
+const { pool } = require("../src/db");
+const accountService = require("../src/accountService");
+const apiKeyService = require("../src/apiKeyService");
+const tenantService = require("../src/tenantService");
+
+let sequence = 0;
+
+/**
+ * An id no other test (or earlier run) has used
+ */
+function uniqueId(prefix) {
+  sequence++;
+  return `${prefix}_${Date.now().toString(36)}_${process.pid}_${sequence}`;
+}
+
+/**
+ * Context of an operator of the seeded dino-ventures tenant
+ */
+async function seedTenantContext(actor = "test-operator") {
+  const result = await pool.query(
+    "SELECT id FROM tenants WHERE code = 'dino-ventures'",
+  );
+
+  return { tenantId: result.rows[0].id, actor };
+}
+
+/**
+ * Open a wallet for a new user and return the user id
+ */
+async function createUser(context, prefix = "user") {
+  const userId = uniqueId(prefix);
+  await accountService.create({ userId, name: userId }, context);
+  return userId;
+}
+
+/**
+ * Create a tenant (by default with one GOLD_COIN asset) and return an
+ * operator context
+ * For tests that read tenant-wide totals, which other tests would disturb
+ */
+async function createTenantContext(
+  actor = "test-operator",
+  assets = [{ code: "GOLD_COIN", name: "Gold Coins", decimals: 2 }],
+) {
+  const code = uniqueId("tenant").replace(/_/g, "-");
+  const tenant = await tenantService.create(
+    { code, name: code, assets },
+    { actor },
+  );
+
+  return { tenantId: tenant.tenantId, actor };
+}
+
+/**
+ * Mint new supply into the tenant's treasury, as seed.sql does
+ * Returns the ISSUANCE transaction id
+ */
+async function issue(context, assetCode, amount) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const target = await client.query(
+      `SELECT a.id as account_id, at.id as asset_type_id, tt.id as transaction_type_id,
+                    COALESCE(bc.balance, 0) + $3::numeric as balance
+             FROM accounts a
+             JOIN account_types act ON a.account_type_id = act.id
+             JOIN asset_types at ON at.tenant_id = a.tenant_id AND at.code = $2
+             JOIN transaction_types tt ON tt.code = 'ISSUANCE'
+             LEFT JOIN balance_cache bc ON bc.account_id = a.id AND bc.asset_type_id = at.id
+             WHERE a.tenant_id = $1 AND act.code = 'SYSTEM_TREASURY'`,
+      [context.tenantId, assetCode, amount],
+    );
+    const { account_id, asset_type_id, transaction_type_id, balance } =
+      target.rows[0];
+
+    const transaction = await client.query(
+      `INSERT INTO transactions (tenant_id, idempotency_key, transaction_type_id, asset_type_id,
+                                        amount, description, status, completed_at)
+             VALUES ($1, $2, $3, $4, $5, 'Test supply', 'completed', CURRENT_TIMESTAMP)
+             RETURNING id`,
+      [
+        context.tenantId,
+        uniqueId("ISSUANCE"),
+        transaction_type_id,
+        asset_type_id,
+        amount,
+      ],
+    );
+    const transactionId = transaction.rows[0].id;
+
+    await client.query(
+      `INSERT INTO ledger_entries (transaction_id, account_id, asset_type_id, entry_type, amount, running_balance)
+             VALUES ($1, $2, $3, 'credit', $4, $5)`,
+      [transactionId, account_id, asset_type_id, amount, balance],
+    );
+    await client.query(
+      `INSERT INTO balance_cache (account_id, asset_type_id, balance, last_transaction_id)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (account_id, asset_type_id) DO UPDATE SET
+                balance = EXCLUDED.balance,
+                last_transaction_id = EXCLUDED.last_transaction_id`,
+      [account_id, asset_type_id, balance, transactionId],
+    );
+    await client.query(
+      "INSERT INTO analytics_pending (transaction_id) VALUES ($1)",
+      [transactionId],
+    );
+
+    await client.query("COMMIT");
+    return transactionId;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Issue an API key for a tenant (a platform key when context has no tenant)
+ * Returns the key, including its secret and signing secret
+ */
+async function createApiKey(context, scopes, options = {}) {
+  return await apiKeyService.create(
+    { name: uniqueId("key"), scopes, ...options },
+    context,
+  );
+}
+
+/**
+ * Serve the app on a free port, for tests that go through the HTTP layer
+ * Returns { url, close }
+ */
+async function listen() {
+  const app = require("../src/server");
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  uniqueId,
+  seedTenantContext,
+  createUser,
+  createTenantContext,
+  issue,
+  createApiKey,
+  listen,
+};
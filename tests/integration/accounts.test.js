@@ -0,0 +1,171 @@
+const { pool } = require("../../src/db");
+const { normalize } = require("../../src/amount");
+const transactionService = require("../../src/transactionService");
+const accountService = require("../../src/accountService");
+const { AccountStatusError } = require("../../src/errors");
+const {
+  uniqueId,
+  createUser,
+  createTenantContext,
+  issue,
+} = require("../helpers");
+
+describe("wallet status", () => {
+  let context;
+
+  beforeAll(async () => {
+    context = await createTenantContext("test-operator", [
+      { code: "GOLD_COIN", name: "Gold Coins", decimals: 2 },
+      { code: "DIAMOND", name: "Diamonds", decimals: 0 },
+    ]);
+
+    await issue(context, "GOLD_COIN", "100000");
+    await issue(context, "DIAMOND", "1000");
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  function topUp(userId, amount, assetCode = "GOLD_COIN") {
+    return transactionService.topUp(
+      userId,
+      assetCode,
+      amount,
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+  }
+
+  function purchase(userId, amount) {
+    return transactionService.purchase(
+      userId,
+      "GOLD_COIN",
+      amount,
+      uniqueId("purchase"),
+      {},
+      context,
+    );
+  }
+
+  async function userWithGold(amount = "50") {
+    const userId = await createUser(context);
+    await topUp(userId, amount);
+    return userId;
+  }
+
+  async function reserveBalances() {
+    const result = await pool.query(
+      `SELECT at.code, bc.balance FROM balance_cache bc
+             JOIN accounts a ON bc.account_id = a.id
+             JOIN account_types act ON a.account_type_id = act.id
+             JOIN asset_types at ON bc.asset_type_id = at.id
+             WHERE a.tenant_id = $1 AND act.code = 'SYSTEM_RESERVE'`,
+      [context.tenantId],
+    );
+    return Object.fromEntries(
+      result.rows.map((row) => [row.code, normalize(row.balance)]),
+    );
+  }
+
+  it("stops a frozen wallet spending but still credits it", async () => {
+    const userId = await userWithGold();
+
+    const frozen = await accountService.freeze(userId, "fraud check", context);
+
+    expect(frozen).toMatchObject({
+      status: "frozen",
+      statusReason: "fraud check",
+    });
+    await expect(purchase(userId, "10")).rejects.toThrow(AccountStatusError);
+    await expect(
+      accountService.freeze(userId, "again", context),
+    ).rejects.toThrow("is already frozen");
+
+    expect((await topUp(userId, "5")).newBalance).toBe("55");
+
+    await accountService.unfreeze(userId, "cleared", context);
+
+    expect((await purchase(userId, "10")).newBalance).toBe("45");
+  });
+
+  it("refuses to close a wallet with balances unless swept", async () => {
+    const userId = await userWithGold("50.5");
+
+    await expect(
+      accountService.close(userId, { reason: "user request" }, context),
+    ).rejects.toThrow(
+      "has non-zero balances (50.5 GOLD_COIN); close with sweep",
+    );
+    expect((await accountService.get(userId, context.tenantId)).status).toBe(
+      "active",
+    );
+  });
+
+  it("refuses to close a wallet with an authorized hold", async () => {
+    const userId = await userWithGold();
+    await transactionService.authorize(
+      userId,
+      "GOLD_COIN",
+      "10",
+      uniqueId("hold"),
+      {},
+      900,
+      context,
+    );
+
+    await expect(
+      accountService.close(
+        userId,
+        { reason: "user request", sweep: true },
+        context,
+      ),
+    ).rejects.toThrow("has active holds");
+  });
+
+  it("sweeps a closing wallet to the reserve and refuses it afterwards", async () => {
+    const userId = await userWithGold("50.5");
+    await topUp(userId, "3", "DIAMOND");
+
+    const closed = await accountService.close(
+      userId,
+      { reason: "user request", sweep: true },
+      context,
+    );
+
+    expect(closed.status).toBe("closed");
+    expect(closed.sweep.balances).toEqual([
+      { assetCode: "DIAMOND", amount: "3" },
+      { assetCode: "GOLD_COIN", amount: "50.5" },
+    ]);
+
+    for (const assetCode of ["DIAMOND", "GOLD_COIN"]) {
+      const { balance } = await transactionService.getBalance(
+        userId,
+        assetCode,
+        context.tenantId,
+      );
+
+      expect(balance).toBe("0");
+    }
+
+    // Nothing else in this tenant pays into the reserve
+    expect(await reserveBalances()).toEqual({
+      DIAMOND: "3",
+      GOLD_COIN: "50.5",
+    });
+
+    await expect(topUp(userId, "1")).rejects.toThrow(
+      `User account ${userId} is closed`,
+    );
+    await expect(purchase(userId, "1")).rejects.toThrow(AccountStatusError);
+    await expect(
+      accountService.unfreeze(userId, "undo", context),
+    ).rejects.toThrow(AccountStatusError);
+    await expect(
+      accountService.close(userId, { reason: "again" }, context),
+    ).rejects.toThrow("is already closed");
+  });
+});
@@ -0,0 +1,205 @@
+const { pool } = require("../../src/db");
+const transactionService = require("../../src/transactionService");
+const analyticsService = require("../../src/analyticsService");
+const {
+  uniqueId,
+  createUser,
+  createTenantContext,
+  issue,
+} = require("../helpers");
+
+describe("analytics rollups", () => {
+  let context;
+  let alice;
+  let bob;
+  const today = { from: new Date(), to: new Date() };
+
+  beforeAll(async () => {
+    context = await createTenantContext();
+    alice = await createUser(context, "alice");
+    bob = await createUser(context, "bob");
+
+    await issue(context, "GOLD_COIN", "10000");
+
+    await topUp(alice, "500", "card");
+    await topUp(bob, "200", "paypal");
+    await topUp(alice, "100", "card");
+
+    await buy(alice, "50", "sword");
+    await buy(bob, "20", "shield");
+    const second = await buy(alice, "30", "sword");
+    await transactionService.refund(
+      second.transactionId,
+      "10",
+      uniqueId("refund"),
+      {},
+      context,
+    );
+
+    const hold = await transactionService.authorize(
+      alice,
+      "GOLD_COIN",
+      "40",
+      uniqueId("hold"),
+      { itemId: "potion" },
+      900,
+      context,
+    );
+    await transactionService.capture(
+      hold.holdId,
+      "25",
+      uniqueId("capture"),
+      {},
+      context,
+    );
+
+    await rollUpAll();
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  function topUp(userId, amount, paymentMethod) {
+    return transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      amount,
+      uniqueId("topup"),
+      { paymentMethod },
+      null,
+      context,
+    );
+  }
+
+  function buy(userId, amount, itemId) {
+    return transactionService.purchase(
+      userId,
+      "GOLD_COIN",
+      amount,
+      uniqueId("purchase"),
+      { itemId },
+      context,
+    );
+  }
+
+  async function rollUpAll() {
+    while ((await analyticsService.rollUp(500)) > 0) {
+      // Until the queue is drained
+    }
+  }
+
+  it("reports revenue net of refunds", async () => {
+    const report = await analyticsService.getRevenue(
+      { interval: "day", ...today },
+      context.tenantId,
+    );
+
+    expect(report.revenue).toEqual([
+      {
+        period: today.from.toISOString().slice(0, 10),
+        assetCode: "GOLD_COIN",
+        gross: "125",
+        refunded: "10",
+        net: "115",
+      },
+    ]);
+  });
+
+  it("ranks items by revenue, netting refunds against the item", async () => {
+    const report = await analyticsService.getTopItems(
+      { ...today, limit: 10 },
+      context.tenantId,
+    );
+
+    expect(report.items).toEqual([
+      {
+        itemId: "sword",
+        assetCode: "GOLD_COIN",
+        amount: "70",
+        transactions: 2,
+      },
+      {
+        itemId: "potion",
+        assetCode: "GOLD_COIN",
+        amount: "25",
+        transactions: 1,
+      },
+      {
+        itemId: "shield",
+        assetCode: "GOLD_COIN",
+        amount: "20",
+        transactions: 1,
+      },
+    ]);
+  });
+
+  it("breaks top-ups down by payment method", async () => {
+    const report = await analyticsService.getTopUpVolume(
+      today,
+      context.tenantId,
+    );
+
+    expect(report.paymentMethods).toEqual([
+      {
+        paymentMethod: "card",
+        assetCode: "GOLD_COIN",
+        amount: "600",
+        transactions: 2,
+      },
+      {
+        paymentMethod: "paypal",
+        assetCode: "GOLD_COIN",
+        amount: "200",
+        transactions: 1,
+      },
+    ]);
+  });
+
+  it("matches circulating supply to the wallets and escrow", async () => {
+    const report = await analyticsService.getCirculatingSupply(
+      {},
+      context.tenantId,
+    );
+    const balances = await pool.query(
+      `SELECT COALESCE(SUM(bc.balance), 0) as total
+             FROM balance_cache bc
+             JOIN accounts a ON bc.account_id = a.id
+             JOIN account_types act ON a.account_type_id = act.id
+             WHERE a.tenant_id = $1 AND act.code IN ('USER', 'SYSTEM_ESCROW')`,
+      [context.tenantId],
+    );
+
+    expect(report.supply).toHaveLength(1);
+    expect(report.supply[0]).toMatchObject({
+      assetCode: "GOLD_COIN",
+      circulatingSupply: "685",
+      totalSupply: "10000",
+    });
+    expect(report.supply[0].byAccountType).toMatchObject({
+      SYSTEM_REVENUE: "115",
+      SYSTEM_TREASURY: "9200",
+    });
+    expect(Number(balances.rows[0].total)).toBe(685);
+  });
+
+  it("counts each transaction once", async () => {
+    const pending = await pool.query(
+      `SELECT COUNT(*) as count FROM analytics_pending ap
+             JOIN transactions t ON ap.transaction_id = t.id
+             WHERE t.tenant_id = $1`,
+      [context.tenantId],
+    );
+
+    expect(pending.rows[0].count).toBe("0");
+
+    await rollUpAll();
+
+    const report = await analyticsService.getRevenue(
+      { interval: "day", ...today },
+      context.tenantId,
+    );
+
+    expect(report.revenue[0].gross).toBe("125");
+  });
+});
@@ -0,0 +1,129 @@
+const { pool } = require("../../src/db");
+const {
+  seedTenantContext,
+  createUser,
+  createTenantContext,
+  createApiKey,
+  listen,
+} = require("../helpers");
+
+describe("API key authentication", () => {
+  let context;
+  let server;
+  let userId;
+
+  beforeAll(async () => {
+    context = await seedTenantContext();
+    userId = await createUser(context);
+    server = await listen();
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await pool.end();
+  });
+
+  async function getBalance(headers = {}) {
+    const response = await fetch(`${server.url}/api/balance/${userId}`, {
+      headers,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function bearer(apiKey) {
+    return { Authorization: `Bearer ${apiKey.key}` };
+  }
+
+  it("requires an API key", async () => {
+    expect(await getBalance()).toEqual({
+      status: 401,
+      body: { success: false, error: "API key is required" },
+    });
+    expect(
+      (await getBalance({ Authorization: "Basic dXNlcjpwYXNz" })).status,
+    ).toBe(401);
+  });
+
+  it("refuses unknown and revoked keys", async () => {
+    const unknown = await getBalance({ Authorization: "Bearer not-a-key" });
+
+    expect(unknown).toEqual({
+      status: 401,
+      body: { success: false, error: "Invalid, expired or revoked API key" },
+    });
+
+    const apiKey = await createApiKey(context, ["wallet:read"]);
+    await pool.query("UPDATE api_keys SET status = 'revoked' WHERE id = $1", [
+      apiKey.id,
+    ]);
+
+    expect((await getBalance(bearer(apiKey))).status).toBe(401);
+  });
+
+  it("answers a key that holds the route's scope", async () => {
+    const apiKey = await createApiKey(context, ["wallet:read"]);
+
+    const { status, body } = await getBalance(bearer(apiKey));
+
+    expect(status).toBe(200);
+    expect(body.data.userId).toBe(userId);
+  });
+
+  it("refuses a key without the route's scope", async () => {
+    const apiKey = await createApiKey(context, ["wallet:topup", "admin:*"]);
+
+    expect(await getBalance(bearer(apiKey))).toEqual({
+      status: 403,
+      body: {
+        success: false,
+        error: "API key does not have the wallet:read scope",
+      },
+    });
+  });
+
+  describe("tenants", () => {
+    it("refuses a tenant key naming another tenant", async () => {
+      const other = await createTenantContext();
+      const otherCode = (
+        await pool.query("SELECT code FROM tenants WHERE id = $1", [
+          other.tenantId,
+        ])
+      ).rows[0].code;
+      const apiKey = await createApiKey(context, ["wallet:read"]);
+
+      expect(
+        await getBalance({ ...bearer(apiKey), "X-Tenant": otherCode }),
+      ).toEqual({
+        status: 403,
+        body: {
+          success: false,
+          error: `API key is not valid for tenant ${otherCode}`,
+        },
+      });
+      expect(
+        (await getBalance({ ...bearer(apiKey), "X-Tenant": "dino-ventures" }))
+          .status,
+      ).toBe(200);
+    });
+
+    it("makes a platform key name its tenant", async () => {
+      const apiKey = await createApiKey({ actor: "test-operator" }, [
+        "wallet:read",
+      ]);
+
+      expect((await getBalance(bearer(apiKey))).status).toBe(400);
+      expect(
+        (await getBalance({ ...bearer(apiKey), "X-Tenant": "no-such-tenant" }))
+          .status,
+      ).toBe(404);
+
+      const { status, body } = await getBalance({
+        ...bearer(apiKey),
+        "X-Tenant": "dino-ventures",
+      });
+
+      expect(status).toBe(200);
+      expect(body.data.userId).toBe(userId);
+    });
+  });
+});
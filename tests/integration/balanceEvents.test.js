@@ -0,0 +1,185 @@
+const { pool } = require("../../src/db");
+const transactionService = require("../../src/transactionService");
+const balanceEvents = require("../../src/balanceEvents");
+const {
+  uniqueId,
+  seedTenantContext,
+  createUser,
+  createApiKey,
+  listen,
+} = require("../helpers");
+
+describe("balance events", () => {
+  let context;
+  let server;
+
+  beforeAll(async () => {
+    context = await seedTenantContext();
+    server = await listen();
+  });
+
+  afterAll(async () => {
+    await server.close();
+    // The listener holds a pool connection until closed
+    balanceEvents.close();
+    await pool.end();
+  });
+
+  function topUp(userId, amount) {
+    return transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      amount,
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+  }
+
+  // A user with three top-ups (10, 20, 30) and the entry_seq of each
+  async function userWithHistory() {
+    const userId = await createUser(context);
+
+    for (const amount of ["10", "20", "30"]) {
+      await topUp(userId, amount);
+    }
+
+    const accountId = await balanceEvents.findAccount(context.tenantId, userId);
+    const entries = await pool.query(
+      "SELECT entry_seq FROM ledger_entries WHERE account_id = $1 ORDER BY entry_seq",
+      [accountId],
+    );
+
+    return {
+      userId,
+      accountId,
+      seqs: entries.rows.map((row) => row.entry_seq),
+    };
+  }
+
+  async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (!condition()) {
+      if (Date.now() > deadline) {
+        throw new Error("Timed out waiting for events");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  }
+
+  function balances(events) {
+    return events
+      .filter((event) => event.event === "balance.changed")
+      .map((event) => [event.id, event.data.balance]);
+  }
+
+  it("sends committed changes to subscribers of the wallet", async () => {
+    const userId = await createUser(context);
+    const accountId = await balanceEvents.findAccount(context.tenantId, userId);
+    const events = [];
+    const unsubscribe = await balanceEvents.subscribe(accountId, null, {
+      send: (event) => events.push(event),
+      end: () => {},
+    });
+
+    try {
+      const result = await topUp(userId, "15");
+      await waitFor(() => events.length >= 2);
+
+      expect(events[0]).toMatchObject({
+        event: "transaction.completed",
+        data: { transactionId: result.transactionId, type: "TOP_UP" },
+      });
+      expect(events[1]).toMatchObject({
+        event: "balance.changed",
+        data: { entryType: "credit", amount: "15", balance: "15" },
+      });
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  it("replays the changes after the last event id from the ledger", async () => {
+    const { accountId, seqs } = await userWithHistory();
+    const events = [];
+    const unsubscribe = await balanceEvents.subscribe(accountId, seqs[0], {
+      send: (event) => events.push(event),
+      end: () => {},
+    });
+    unsubscribe();
+
+    expect(events.map((event) => event.event)).toEqual([
+      "transaction.completed",
+      "balance.changed",
+      "transaction.completed",
+      "balance.changed",
+    ]);
+    expect(balances(events)).toEqual([
+      [seqs[1], "30"],
+      [seqs[2], "60"],
+    ]);
+  });
+
+  it("resumes an event stream from Last-Event-ID", async () => {
+    const { userId, seqs } = await userWithHistory();
+    const apiKey = await createApiKey(context, ["wallet:read"]);
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}/api/users/${userId}/events`, {
+      headers: {
+        Authorization: `Bearer ${apiKey.key}`,
+        "Last-Event-ID": seqs[1],
+      },
+      signal: controller.signal,
+    });
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+
+    // The stream stays open until the client goes away
+    try {
+      expect(response.status).toBe(200);
+      expect(response.headers.get("content-type")).toMatch(
+        /^text\/event-stream/,
+      );
+
+      while (!text.includes("event: balance.changed")) {
+        const { value } = await reader.read();
+        text += decoder.decode(value, { stream: true });
+      }
+    } finally {
+      controller.abort();
+    }
+
+    const events = text
+      .split("\n\n")
+      .filter((message) => message.includes("data: "))
+      .map((message) => {
+        const fields = Object.fromEntries(
+          message.split("\n").map((line) => {
+            const separator = line.indexOf(": ");
+            return [line.slice(0, separator), line.slice(separator + 2)];
+          }),
+        );
+        return { ...fields, data: JSON.parse(fields.data) };
+      });
+
+    expect(balances(events)).toEqual([[seqs[2], "60"]]);
+  });
+
+  it("refuses a Last-Event-ID that is not an entry sequence", async () => {
+    const userId = await createUser(context);
+    const apiKey = await createApiKey(context, ["wallet:read"]);
+
+    const response = await fetch(`${server.url}/api/users/${userId}/events`, {
+      headers: {
+        Authorization: `Bearer ${apiKey.key}`,
+        "Last-Event-ID": "abc",
+      },
+    });
+
+    expect(response.status).toBe(400);
+  });
+});
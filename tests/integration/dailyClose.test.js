@@ -0,0 +1,179 @@
+const { pool } = require("../../src/db");
+const transactionService = require("../../src/transactionService");
+const dailyCloseService = require("../../src/dailyCloseService");
+const {
+  uniqueId,
+  createUser,
+  createTenantContext,
+  issue,
+} = require("../helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+}
+
+describe("daily close", () => {
+  let context;
+  let userId;
+
+  // Everything below is posted today and moved back three days, so that
+  // the day can be closed
+  beforeAll(async () => {
+    context = await createTenantContext();
+    userId = await createUser(context);
+
+    await issue(context, "GOLD_COIN", "1000");
+    await transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      "100",
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+    await transactionService.purchase(
+      userId,
+      "GOLD_COIN",
+      "30.25",
+      uniqueId("purchase"),
+      { itemId: "sword" },
+      context,
+    );
+
+    await backdate(3);
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  async function backdate(days) {
+    await pool.query(
+      `UPDATE ledger_entries SET created_at = created_at - make_interval(days => $2)
+             WHERE account_id IN (SELECT id FROM accounts WHERE tenant_id = $1)`,
+      [context.tenantId, days],
+    );
+  }
+
+  it("conserves supply issued into the treasury", async () => {
+    const close = await dailyCloseService.close(daysAgo(3), context);
+
+    expect(close.businessDate).toBe(daysAgo(3));
+    expect(close.supplyConserved).toBe(true);
+    expect(close.supply).toEqual([
+      {
+        assetCode: "GOLD_COIN",
+        openingSupply: "0",
+        totalDebits: "130.25",
+        totalCredits: "1130.25",
+        issued: "1000",
+        closingSupply: "1000",
+        previousClosingSupply: null,
+        conserved: true,
+      },
+    ]);
+
+    const lines = Object.fromEntries(
+      close.lines.map((line) => [line.accountType, line]),
+    );
+
+    expect(lines.SYSTEM_TREASURY).toMatchObject({
+      openingBalance: "0",
+      totalDebits: "100",
+      totalCredits: "1000",
+      closingBalance: "900",
+      transactionCounts: { ISSUANCE: 1, TOP_UP: 1 },
+    });
+    expect(lines.USER).toMatchObject({
+      closingBalance: "69.75",
+      transactionCounts: { TOP_UP: 1, PURCHASE: 1 },
+    });
+    expect(lines.SYSTEM_REVENUE.closingBalance).toBe("30.25");
+  });
+
+  it("stores the close and refuses to close the day again", async () => {
+    const stored = await dailyCloseService.getTrialBalance(
+      daysAgo(3),
+      context.tenantId,
+    );
+
+    expect(stored.supply[0].closingSupply).toBe("1000");
+    expect(stored.lines).toHaveLength(3);
+
+    await expect(dailyCloseService.close(daysAgo(3), context)).rejects.toThrow(
+      "is already closed",
+    );
+    await expect(
+      pool.query(
+        "UPDATE daily_closes SET supply_conserved = false WHERE id = $1",
+        [stored.closeId],
+      ),
+    ).rejects.toThrow("Daily closes are immutable");
+  });
+
+  it("carries the closing supply into the next day", async () => {
+    const close = await dailyCloseService.close(daysAgo(2), context);
+
+    expect(close.supplyConserved).toBe(true);
+    expect(close.supply[0]).toMatchObject({
+      openingSupply: "1000",
+      totalDebits: "0",
+      totalCredits: "0",
+      issued: "0",
+      previousClosingSupply: "1000",
+    });
+  });
+
+  it("flags a single-sided entry as supply not conserved", async () => {
+    const transactionId = await issue(context, "GOLD_COIN", "5");
+
+    // A credit to a wallet with no offsetting debit
+    await pool.query(
+      `UPDATE ledger_entries SET account_id = (
+               SELECT id FROM accounts WHERE tenant_id = $2 AND user_id = $3)
+             WHERE transaction_id = $1`,
+      [transactionId, context.tenantId, userId],
+    );
+    await pool.query(
+      `UPDATE ledger_entries SET created_at = created_at - INTERVAL '1 day'
+             WHERE transaction_id = $1`,
+      [transactionId],
+    );
+
+    const close = await dailyCloseService.close(daysAgo(1), context);
+
+    expect(close.supplyConserved).toBe(false);
+    expect(close.supply[0]).toMatchObject({
+      totalCredits: "5",
+      issued: "0",
+      closingSupply: "1005",
+      conserved: false,
+    });
+  });
+
+  it("buckets entries by UTC day whatever the server time zone", async () => {
+    const result = await pool.query(
+      "SELECT current_setting('TimeZone') as time_zone",
+    );
+
+    expect(result.rows[0].time_zone).toBe("UTC");
+  });
+
+  it("refuses days that have not ended or do not exist", async () => {
+    await expect(dailyCloseService.close(daysAgo(0), context)).rejects.toThrow(
+      "has not ended",
+    );
+
+    for (const date of ["2026-02-30", "abc", "2026-1-5"]) {
+      await expect(dailyCloseService.close(date, context)).rejects.toThrow(
+        `Invalid business date ${date}`,
+      );
+      await expect(
+        dailyCloseService.getTrialBalance(date, context.tenantId),
+      ).rejects.toThrow(`Invalid business date ${date}`);
+    }
+  });
+});
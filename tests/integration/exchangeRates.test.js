@@ -0,0 +1,75 @@
+const { pool } = require("../../src/db");
+const exchangeRateService = require("../../src/exchangeRateService");
+const { createTenantContext, createApiKey, listen } = require("../helpers");
+
+const ASSETS = [
+  { code: "GOLD_COIN", name: "Gold Coins", decimals: 2 },
+  { code: "DIAMOND", name: "Diamonds", decimals: 0 },
+];
+
+describe("exchange rates", () => {
+  let context;
+  let server;
+
+  beforeAll(async () => {
+    context = await createTenantContext("test-operator", ASSETS);
+    server = await listen();
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await pool.end();
+  });
+
+  it("lists the tenant's rates to its admin keys", async () => {
+    const other = await createTenantContext("test-operator", ASSETS);
+    const rate = await exchangeRateService.setRate(
+      "DIAMOND",
+      "GOLD_COIN",
+      "120",
+      context,
+    );
+    await exchangeRateService.setRate("DIAMOND", "GOLD_COIN", "99", other);
+
+    const apiKey = await createApiKey(context, ["admin:*"]);
+    const response = await fetch(`${server.url}/api/admin/exchange-rates`, {
+      headers: { Authorization: `Bearer ${apiKey.key}` },
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.data.rates).toEqual([
+      expect.objectContaining({
+        rateId: rate.rateId,
+        fromAssetCode: "DIAMOND",
+        toAssetCode: "GOLD_COIN",
+        rate: "120",
+        isActive: true,
+      }),
+    ]);
+  });
+
+  it("lets concurrent updates of a pair supersede each other", async () => {
+    const tenant = await createTenantContext("test-operator", ASSETS);
+
+    const results = await Promise.allSettled(
+      ["100", "110", "120"].map((rate) =>
+        exchangeRateService.setRate("DIAMOND", "GOLD_COIN", rate, tenant),
+      ),
+    );
+
+    expect(results.map((result) => result.status)).toEqual([
+      "fulfilled",
+      "fulfilled",
+      "fulfilled",
+    ]);
+
+    const { rates } = await exchangeRateService.listRates(
+      { includeInactive: true },
+      tenant.tenantId,
+    );
+
+    expect(rates).toHaveLength(3);
+    expect(rates.filter((rate) => rate.isActive)).toHaveLength(1);
+  });
+});
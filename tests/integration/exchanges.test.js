@@ -0,0 +1,133 @@
+const { pool } = require("../../src/db");
+const { normalize } = require("../../src/amount");
+const transactionService = require("../../src/transactionService");
+const exchangeRateService = require("../../src/exchangeRateService");
+const ledgerVerifier = require("../../src/ledgerVerifier");
+const {
+  uniqueId,
+  createUser,
+  createTenantContext,
+  issue,
+} = require("../helpers");
+
+describe("exchanges", () => {
+  let context;
+
+  // Gold coins have 2 decimals, diamonds none; 100 gold buy 1 diamond
+  beforeAll(async () => {
+    context = await createTenantContext("test-operator", [
+      { code: "GOLD_COIN", name: "Gold Coins", decimals: 2 },
+      { code: "DIAMOND", name: "Diamonds", decimals: 0 },
+    ]);
+
+    await issue(context, "GOLD_COIN", "100000");
+    await issue(context, "DIAMOND", "1000");
+    await exchangeRateService.setRate("GOLD_COIN", "DIAMOND", "0.01", context);
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  async function userWithGold(amount = "1000") {
+    const userId = await createUser(context);
+    await transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      amount,
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+    return userId;
+  }
+
+  function exchange(userId, amount, rateQuoteId = null) {
+    return transactionService.exchange(
+      userId,
+      "GOLD_COIN",
+      "DIAMOND",
+      amount,
+      uniqueId("exchange"),
+      {},
+      rateQuoteId,
+      context,
+    );
+  }
+
+  async function activeRateId() {
+    const { rates } = await exchangeRateService.listRates(
+      { fromAssetCode: "GOLD_COIN", toAssetCode: "DIAMOND" },
+      context.tenantId,
+    );
+    return rates[0].rateId;
+  }
+
+  it("rounds the amount bought down to the target asset's decimals", async () => {
+    const userId = await userWithGold();
+
+    const result = await exchange(userId, "250.75");
+
+    expect(result).toMatchObject({
+      sourceAmount: "250.75",
+      targetAmount: "2",
+      rate: "0.01",
+      newFromBalance: "749.25",
+      newToBalance: "2",
+    });
+  });
+
+  it("refuses an amount that buys less than one unit", async () => {
+    const userId = await userWithGold();
+
+    await expect(exchange(userId, "99.99")).rejects.toThrow(
+      "Exchange amount too small",
+    );
+  });
+
+  it("refuses a quote the rate has moved on from", async () => {
+    const userId = await userWithGold();
+    const quote = await activeRateId();
+
+    await exchangeRateService.setRate("GOLD_COIN", "DIAMOND", "0.02", context);
+
+    await expect(exchange(userId, "100", quote)).rejects.toThrow(
+      `Exchange rate changed since quote ${quote}`,
+    );
+
+    const current = await activeRateId();
+    const result = await exchange(userId, "100", current);
+
+    expect(result).toMatchObject({ rateId: current, targetAmount: "2" });
+  });
+
+  it("balances the ledger in each asset", async () => {
+    const userId = await userWithGold();
+    const result = await exchange(userId, "300");
+
+    const legs = await pool.query(
+      `SELECT at.code as asset_code,
+                    SUM(CASE WHEN le.entry_type = 'debit' THEN le.amount ELSE 0 END) as debits,
+                    SUM(CASE WHEN le.entry_type = 'credit' THEN le.amount ELSE 0 END) as credits
+             FROM ledger_entries le
+             JOIN asset_types at ON le.asset_type_id = at.id
+             WHERE le.transaction_id = $1
+             GROUP BY at.code
+             ORDER BY at.code`,
+      [result.transactionId],
+    );
+
+    expect(
+      legs.rows.map((row) => ({
+        assetCode: row.asset_code,
+        debits: normalize(row.debits),
+        credits: normalize(row.credits),
+      })),
+    ).toEqual([
+      { assetCode: "DIAMOND", debits: "6", credits: "6" },
+      { assetCode: "GOLD_COIN", debits: "300", credits: "300" },
+    ]);
+    expect((await ledgerVerifier.scan(context)).healthy).toBe(true);
+  });
+});
@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const { pool } = require("../../src/db");
+const { toUnits, fromUnits } = require("../../src/amount");
+const transactionService = require("../../src/transactionService");
+const exportService = require("../../src/exportService");
+const {
+  uniqueId,
+  createUser,
+  createTenantContext,
+  issue,
+  createApiKey,
+  listen,
+} = require("../helpers");
+
+describe("exports", () => {
+  let context;
+  let server;
+  const from = new Date(Date.now() - 60 * 60 * 1000);
+  const to = new Date(Date.now() + 60 * 60 * 1000);
+
+  beforeAll(async () => {
+    context = await createTenantContext();
+    server = await listen();
+
+    const userId = await createUser(context);
+    await issue(context, "GOLD_COIN", "1000");
+    await transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      "100",
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+    await transactionService.purchase(
+      userId,
+      "GOLD_COIN",
+      "30.25",
+      uniqueId("purchase"),
+      {},
+      context,
+    );
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await pool.end();
+  });
+
+  // Splits a file at its trailer, checking the hash of what comes before it
+  function splitTrailer(body, trailerStart) {
+    const index = body.indexOf(trailerStart);
+    const content = body.slice(0, index);
+
+    return {
+      content,
+      trailer: body.slice(index),
+      sha256: crypto.createHash("sha256").update(content).digest("hex"),
+    };
+  }
+
+  // Debits and credits per asset, summed from exported entries
+  function sumEntries(entries) {
+    const totals = {};
+
+    for (const { asset_code, entry_type, amount } of entries) {
+      totals[asset_code] = totals[asset_code] || { debit: 0n, credit: 0n };
+      totals[asset_code][entry_type] += toUnits(amount);
+    }
+
+    return Object.keys(totals)
+      .sort()
+      .map((assetCode) => ({
+        assetCode,
+        debits: fromUnits(totals[assetCode].debit),
+        credits: fromUnits(totals[assetCode].credit),
+      }));
+  }
+
+  // A CSV line (RFC 4180) as values
+  function parseCsvLine(line) {
+    const values = [];
+    const pattern = /("(?:[^"]|"")*"|[^,]*)(,|$)/g;
+    let match;
+
+    while ((match = pattern.exec(line)) !== null) {
+      const value = match[1];
+      values.push(
+        value.startsWith('"') ? value.slice(1, -1).replace(/""/g, '"') : value,
+      );
+
+      if (match[2] === "") {
+        break;
+      }
+    }
+
+    return values;
+  }
+
+  it("ends an NDJSON export with its row count, totals and hash", async () => {
+    const plan = await exportService.plan(
+      "ledger-entries",
+      { from, to, format: "ndjson" },
+      context.tenantId,
+    );
+    let body = "";
+
+    for await (const chunk of exportService.stream(plan)) {
+      body += chunk;
+    }
+
+    const { content, trailer, sha256 } = splitTrailer(body, '{"trailer":');
+    const entries = content
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+
+    // Issuance, then the two legs of the top-up and of the purchase
+    expect(entries).toHaveLength(5);
+    expect(JSON.parse(trailer).trailer).toEqual({
+      rows: 5,
+      totals: sumEntries(entries),
+      sha256,
+    });
+    expect(sumEntries(entries)).toEqual([
+      { assetCode: "GOLD_COIN", debits: "130.25", credits: "1130.25" },
+    ]);
+  });
+
+  it("serves a CSV export whose trailer matches the body", async () => {
+    const apiKey = await createApiKey(context, ["admin:*"]);
+    const query = new URLSearchParams({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      format: "csv",
+    });
+
+    const response = await fetch(
+      `${server.url}/api/admin/exports/ledger-entries?${query}`,
+      { headers: { Authorization: `Bearer ${apiKey.key}` } },
+    );
+    const body = await response.text();
+
+    expect(response.status).toBe(200);
+
+    const { content, trailer, sha256 } = splitTrailer(body, "#rows,");
+    const [header, ...lines] = content.trim().split("\n").map(parseCsvLine);
+    const entries = lines.map((values) =>
+      Object.fromEntries(header.map((column, i) => [column, values[i]])),
+    );
+
+    expect(entries).toHaveLength(5);
+    expect(trailer.trim().split("\n")).toEqual([
+      "#rows,5",
+      ...sumEntries(entries).map(
+        (total) => `#total,${total.assetCode},${total.debits},${total.credits}`,
+      ),
+      `#sha256,${sha256}`,
+    ]);
+  });
+});
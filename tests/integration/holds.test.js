@@ -0,0 +1,239 @@
+const { pool } = require("../../src/db");
+const transactionService = require("../../src/transactionService");
+const { uniqueId, seedTenantContext, createUser } = require("../helpers");
+
+describe("holds", () => {
+  let context;
+
+  beforeAll(async () => {
+    context = await seedTenantContext();
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  async function userWithHold(holdAmount = "40") {
+    const userId = await createUser(context);
+    await transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      "100",
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+    const hold = await transactionService.authorize(
+      userId,
+      "GOLD_COIN",
+      holdAmount,
+      uniqueId("hold"),
+      { itemId: "shield" },
+      900,
+      context,
+    );
+    return { userId, hold };
+  }
+
+  async function balance(userId) {
+    return await transactionService.getBalance(
+      userId,
+      "GOLD_COIN",
+      context.tenantId,
+    );
+  }
+
+  it("keeps held funds in escrow until the hold is settled", async () => {
+    const { userId, hold } = await userWithHold();
+
+    expect(hold.status).toBe("authorized");
+    expect(await balance(userId)).toMatchObject({
+      balance: "60",
+      available: "60",
+      held: "40",
+    });
+  });
+
+  it("captures part of a hold and releases the rest", async () => {
+    const { userId, hold } = await userWithHold();
+
+    await expect(
+      transactionService.capture(
+        hold.holdId,
+        "41",
+        uniqueId("capture"),
+        {},
+        context,
+      ),
+    ).rejects.toThrow("Capture amount 41 exceeds held amount 40");
+
+    const capture = await transactionService.capture(
+      hold.holdId,
+      "25.5",
+      uniqueId("capture"),
+      {},
+      context,
+    );
+
+    expect(capture.status).toBe("captured");
+    expect(capture.capturedAmount).toBe("25.5");
+    expect(capture.releasedAmount).toBe("14.5");
+    expect(await balance(userId)).toMatchObject({
+      balance: "74.5",
+      held: "0",
+    });
+
+    await expect(
+      transactionService.void(hold.holdId, uniqueId("void"), {}, context),
+    ).rejects.toThrow("cannot be settled: status is captured");
+  });
+
+  it("voids a hold, returning all held funds", async () => {
+    const { userId, hold } = await userWithHold();
+
+    const voided = await transactionService.void(
+      hold.holdId,
+      uniqueId("void"),
+      { reason: "match cancelled" },
+      context,
+    );
+
+    expect(voided.status).toBe("voided");
+    expect(await balance(userId)).toMatchObject({
+      balance: "100",
+      held: "0",
+    });
+  });
+
+  it("releases holds past their expiry", async () => {
+    const { userId, hold } = await userWithHold();
+
+    await pool.query(
+      `UPDATE holds SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second'
+             WHERE id = $1`,
+      [hold.holdId],
+    );
+
+    expect(await transactionService.expireHolds()).toBeGreaterThanOrEqual(1);
+
+    const expired = await transactionService.getHold(
+      hold.holdId,
+      context.tenantId,
+    );
+
+    expect(expired.status).toBe("expired");
+    expect(expired.capturedAmount).toBe("0");
+    expect(await balance(userId)).toMatchObject({
+      balance: "100",
+      held: "0",
+    });
+  });
+
+  it("does not link settlements to the authorization as compensations", async () => {
+    const { hold } = await userWithHold();
+    const capture = await transactionService.capture(
+      hold.holdId,
+      null,
+      uniqueId("capture"),
+      {},
+      context,
+    );
+
+    // Nothing returns to the wallet on a full capture
+    expect(capture.newBalance).toBe("60");
+
+    const result = await pool.query(
+      "SELECT parent_transaction_id FROM transactions WHERE id = $1",
+      [capture.settlementTransactionId],
+    );
+
+    expect(result.rows[0].parent_transaction_id).toBeNull();
+  });
+
+  describe("refunds and reversals", () => {
+    it("refuses to reverse an authorization", async () => {
+      const { userId, hold } = await userWithHold();
+
+      await expect(
+        transactionService.reverse(
+          hold.transactionId,
+          null,
+          uniqueId("reversal"),
+          {},
+          context,
+        ),
+      ).rejects.toThrow("HOLD transactions are settled through their hold");
+
+      // The hold is still authorized and its funds still in escrow
+      const current = await transactionService.getHold(
+        hold.holdId,
+        context.tenantId,
+      );
+
+      expect(current.status).toBe("authorized");
+      expect(await balance(userId)).toMatchObject({
+        balance: "60",
+        held: "40",
+      });
+    });
+
+    it("refuses to reverse or refund a capture", async () => {
+      const { userId, hold } = await userWithHold();
+      const capture = await transactionService.capture(
+        hold.holdId,
+        "30",
+        uniqueId("capture"),
+        {},
+        context,
+      );
+
+      await expect(
+        transactionService.reverse(
+          capture.settlementTransactionId,
+          null,
+          uniqueId("reversal"),
+          {},
+          context,
+        ),
+      ).rejects.toThrow(
+        "HOLD_CAPTURE transactions are settled through their hold",
+      );
+      await expect(
+        transactionService.refund(
+          capture.settlementTransactionId,
+          null,
+          uniqueId("refund"),
+          {},
+          context,
+        ),
+      ).rejects.toThrow(
+        "HOLD_CAPTURE transactions are settled through their hold",
+      );
+
+      expect(await balance(userId)).toMatchObject({ balance: "70" });
+    });
+
+    it("refuses to reverse a release", async () => {
+      const { hold } = await userWithHold();
+      const voided = await transactionService.void(
+        hold.holdId,
+        uniqueId("void"),
+        {},
+        context,
+      );
+
+      await expect(
+        transactionService.reverse(
+          voided.settlementTransactionId,
+          null,
+          uniqueId("reversal"),
+          {},
+          context,
+        ),
+      ).rejects.toThrow(
+        "HOLD_RELEASE transactions are settled through their hold",
+      );
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// Read by the posting engine when it loads; keeps the in-progress test short
+process.env.IDEMPOTENCY_WAIT_MS = "1000";
+
+const { pool } = require("../../src/db");
+const transactionService = require("../../src/transactionService");
+const postingEngine = require("../../src/postingEngine");
+const {
+  IdempotencyConflictError,
+  IdempotencyInProgressError,
+} = require("../../src/errors");
+const { uniqueId, seedTenantContext, createUser } = require("../helpers");
+
+describe("idempotency claims", () => {
+  let context;
+
+  beforeAll(async () => {
+    context = await seedTenantContext();
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  function topUp(userId, amount, idempotencyKey, metadata = {}) {
+    return transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      amount,
+      idempotencyKey,
+      metadata,
+      null,
+      context,
+    );
+  }
+
+  async function balance(userId) {
+    const result = await transactionService.getBalance(
+      userId,
+      "GOLD_COIN",
+      context.tenantId,
+    );
+    return result.balance;
+  }
+
+  it("executes concurrent duplicates once", async () => {
+    const userId = await createUser(context);
+    const key = uniqueId("topup");
+
+    const results = await Promise.all([
+      topUp(userId, "25", key),
+      topUp(userId, "25", key),
+      topUp(userId, "25", key),
+    ]);
+
+    expect(new Set(results.map((result) => result.transactionId)).size).toBe(1);
+    expect(await balance(userId)).toBe("25");
+
+    const posted = await pool.query(
+      `SELECT COUNT(*) as count FROM transactions
+             WHERE tenant_id = $1 AND idempotency_key = $2`,
+      [context.tenantId, key],
+    );
+
+    expect(posted.rows[0].count).toBe("1");
+  });
+
+  it("treats the same amount in another notation as a replay", async () => {
+    const userId = await createUser(context);
+    const key = uniqueId("topup");
+
+    const first = await topUp(userId, "10", key);
+    const replay = await topUp(userId, 10.0, key);
+
+    expect(replay.transactionId).toBe(first.transactionId);
+    expect(await balance(userId)).toBe("10");
+  });
+
+  it("refuses a key reused for a different request", async () => {
+    const userId = await createUser(context);
+    const key = uniqueId("topup");
+
+    await topUp(userId, "10", key);
+
+    await expect(topUp(userId, "11", key)).rejects.toThrow(
+      IdempotencyConflictError,
+    );
+    await expect(
+      topUp(userId, "10", key, { paymentMethod: "card" }),
+    ).rejects.toThrow(IdempotencyConflictError);
+    expect(await balance(userId)).toBe("10");
+  });
+
+  it("releases the key when the operation fails", async () => {
+    const userId = await createUser(context);
+    const key = uniqueId("topup");
+
+    await expect(topUp(userId, "10.001", key)).rejects.toThrow(
+      "more decimal places than GOLD_COIN allows",
+    );
+
+    const result = await topUp(userId, "10", key);
+
+    expect(result.newBalance).toBe("10");
+  });
+
+  it("tells a duplicate that the first request is still in progress", async () => {
+    const userId = await createUser(context);
+    const key = uniqueId("topup");
+    const request = {
+      operation: "TOP_UP",
+      userId,
+      assetCode: "GOLD_COIN",
+      amount: "10",
+      metadata: {},
+    };
+
+    // Claimed by a request that has not finished
+    await pool.query(
+      `INSERT INTO idempotency_log (tenant_id, idempotency_key, request_hash, status, expires_at)
+             VALUES ($1, $2, $3, 'processing', CURRENT_TIMESTAMP + INTERVAL '1 minute')`,
+      [context.tenantId, key, postingEngine.hashRequest(request)],
+    );
+
+    await expect(topUp(userId, "10", key)).rejects.toThrow(
+      IdempotencyInProgressError,
+    );
+    expect(await balance(userId)).toBe("0");
+  });
+});
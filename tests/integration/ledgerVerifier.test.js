@@ -0,0 +1,48 @@
+const { pool } = require("../../src/db");
+const ledgerVerifier = require("../../src/ledgerVerifier");
+const { seedTenantContext, createTenantContext, issue } = require("../helpers");
+
+describe("ledger verifier", () => {
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  it("finds the seeded ledger balanced", async () => {
+    const { tenantId } = await seedTenantContext();
+    const report = await ledgerVerifier.scan({ tenantId });
+
+    expect(report).toMatchObject({
+      healthy: true,
+      unbalancedCount: 0,
+      fundingMismatchCount: 0,
+      missingEntriesCount: 0,
+    });
+    expect(report.transactionsChecked).toBeGreaterThan(0);
+  });
+
+  it("accepts issuance into the treasury but no other single-sided entry", async () => {
+    const context = await createTenantContext();
+    await issue(context, "GOLD_COIN", "100");
+
+    expect((await ledgerVerifier.scan(context)).healthy).toBe(true);
+
+    const transactionId = await issue(context, "GOLD_COIN", "5");
+
+    // The same credit landing in the revenue account instead
+    await pool.query(
+      `UPDATE ledger_entries SET account_id = (
+               SELECT a.id FROM accounts a
+               JOIN account_types act ON a.account_type_id = act.id
+               WHERE a.tenant_id = $2 AND act.code = 'SYSTEM_REVENUE')
+             WHERE transaction_id = $1`,
+      [transactionId, context.tenantId],
+    );
+
+    const report = await ledgerVerifier.scan(context);
+
+    expect(report.healthy).toBe(false);
+    expect(report.unbalanced).toEqual([
+      expect.objectContaining({ credits: "5", debits: "0" }),
+    ]);
+  });
+});
@@ -0,0 +1,239 @@
+const { pool } = require("../../src/db");
+const transactionService = require("../../src/transactionService");
+const accountService = require("../../src/accountService");
+const { AccountStatusError } = require("../../src/errors");
+const { uniqueId, seedTenantContext, createUser } = require("../helpers");
+
+describe("refunds and reversals", () => {
+  let context;
+
+  beforeAll(async () => {
+    context = await seedTenantContext();
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  async function fundedUser(amount = "100") {
+    const userId = await createUser(context);
+    await transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      amount,
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+    return userId;
+  }
+
+  async function buy(userId, amount) {
+    return await transactionService.purchase(
+      userId,
+      "GOLD_COIN",
+      amount,
+      uniqueId("purchase"),
+      { itemId: "sword" },
+      context,
+    );
+  }
+
+  async function balance(userId, assetCode = "GOLD_COIN") {
+    const result = await transactionService.getBalance(
+      userId,
+      assetCode,
+      context.tenantId,
+    );
+    return result.balance;
+  }
+
+  it("refunds a purchase in parts up to its amount", async () => {
+    const userId = await fundedUser();
+    const purchase = await buy(userId, "30");
+
+    const first = await transactionService.refund(
+      purchase.transactionId,
+      "10.5",
+      uniqueId("refund"),
+      { reason: "partial" },
+      context,
+    );
+
+    expect(first.amount).toBe("10.5");
+    expect(first.remainingAmount).toBe("19.5");
+    expect(first.originalStatus).toBe("completed");
+    expect(await balance(userId)).toBe("80.5");
+
+    await expect(
+      transactionService.refund(
+        purchase.transactionId,
+        "20",
+        uniqueId("refund"),
+        {},
+        context,
+      ),
+    ).rejects.toThrow("exceeds remaining amount 19.5");
+
+    // Without an amount, the rest is refunded
+    const rest = await transactionService.refund(
+      purchase.transactionId,
+      null,
+      uniqueId("refund"),
+      {},
+      context,
+    );
+
+    expect(rest.amount).toBe("19.5");
+    expect(rest.originalStatus).toBe("reversed");
+    expect(await balance(userId)).toBe("100");
+
+    await expect(
+      transactionService.refund(
+        purchase.transactionId,
+        "1",
+        uniqueId("refund"),
+        {},
+        context,
+      ),
+    ).rejects.toThrow("status is reversed");
+  });
+
+  it("replays a refund with the same idempotency key", async () => {
+    const userId = await fundedUser();
+    const purchase = await buy(userId, "30");
+    const key = uniqueId("refund");
+
+    const first = await transactionService.refund(
+      purchase.transactionId,
+      "5",
+      key,
+      {},
+      context,
+    );
+    const replay = await transactionService.refund(
+      purchase.transactionId,
+      "5",
+      key,
+      {},
+      context,
+    );
+
+    expect(replay.transactionId).toBe(first.transactionId);
+    expect(await balance(userId)).toBe("75");
+  });
+
+  it("refuses amounts finer than the asset's decimals", async () => {
+    const userId = await fundedUser();
+    const purchase = await buy(userId, "30");
+
+    await expect(
+      transactionService.refund(
+        purchase.transactionId,
+        "0.001",
+        uniqueId("refund"),
+        {},
+        context,
+      ),
+    ).rejects.toThrow("more decimal places than GOLD_COIN allows (2)");
+  });
+
+  it("only refunds purchases", async () => {
+    const userId = await createUser(context);
+    const topUp = await transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      "50",
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+
+    await expect(
+      transactionService.refund(
+        topUp.transactionId,
+        null,
+        uniqueId("refund"),
+        {},
+        context,
+      ),
+    ).rejects.toThrow("only purchases are refundable");
+  });
+
+  it("reverses a top-up, but not the reversal itself", async () => {
+    const userId = await createUser(context);
+    const topUp = await transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      "50",
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+
+    const reversal = await transactionService.reverse(
+      topUp.transactionId,
+      null,
+      uniqueId("reversal"),
+      { reason: "duplicate payment" },
+      context,
+    );
+
+    expect(reversal.amount).toBe("50");
+    expect(await balance(userId)).toBe("0");
+
+    await expect(
+      transactionService.reverse(
+        reversal.transactionId,
+        null,
+        uniqueId("reversal"),
+        {},
+        context,
+      ),
+    ).rejects.toThrow("it is itself a reversal");
+  });
+
+  it("refuses to reverse a transfer whose recipient was closed", async () => {
+    const sender = await createUser(context);
+    const recipient = await createUser(context);
+
+    await transactionService.topUp(
+      sender,
+      "DIAMOND",
+      "20",
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+    const transfer = await transactionService.transfer(
+      sender,
+      recipient,
+      "DIAMOND",
+      "5",
+      uniqueId("transfer"),
+      {},
+      context,
+    );
+    await accountService.close(
+      recipient,
+      { reason: "user request", sweep: true },
+      context,
+    );
+
+    const reversal = transactionService.reverse(
+      transfer.transactionId,
+      null,
+      uniqueId("reversal"),
+      {},
+      context,
+    );
+
+    await expect(reversal).rejects.toThrow(AccountStatusError);
+    await expect(reversal).rejects.toThrow(`${recipient} is closed`);
+    expect(await balance(sender, "DIAMOND")).toBe("15");
+  });
+});
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const { pool } = require("../../src/db");
+const requestSigning = require("../../src/requestSigning");
+const {
+  uniqueId,
+  seedTenantContext,
+  createUser,
+  createApiKey,
+  listen,
+} = require("../helpers");
+
+describe("request signing", () => {
+  let context;
+  let server;
+  let userId;
+  let apiKey;
+
+  beforeAll(async () => {
+    context = await seedTenantContext();
+    userId = await createUser(context);
+    apiKey = await createApiKey(context, ["wallet:read", "wallet:topup"], {
+      requireSignature: true,
+    });
+    server = await listen();
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await pool.end();
+  });
+
+  function sign(
+    key,
+    method,
+    path,
+    body = "",
+    {
+      timestamp = String(Math.floor(Date.now() / 1000)),
+      nonce = crypto.randomBytes(16).toString("hex"),
+    } = {},
+  ) {
+    const signature = crypto
+      .createHmac("sha256", key.signingSecret)
+      .update(requestSigning.stringToSign(method, path, timestamp, nonce, body))
+      .digest("hex");
+
+    return {
+      Authorization: `Bearer ${key.key}`,
+      "X-Signature": signature,
+      "X-Signature-Timestamp": timestamp,
+      "X-Signature-Nonce": nonce,
+    };
+  }
+
+  async function send(method, path, headers, body) {
+    const response = await fetch(`${server.url}${path}`, {
+      method,
+      headers: body
+        ? { ...headers, "Content-Type": "application/json" }
+        : headers,
+      body,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function balancePath() {
+    return `/api/balance/${userId}?assetCode=GOLD_COIN`;
+  }
+
+  function topUpBody(amount) {
+    return JSON.stringify({
+      userId,
+      assetCode: "GOLD_COIN",
+      amount,
+      idempotencyKey: uniqueId("topup"),
+    });
+  }
+
+  it("accepts a signed request", async () => {
+    const path = balancePath();
+
+    const { status } = await send("GET", path, sign(apiKey, "GET", path));
+
+    expect(status).toBe(200);
+  });
+
+  it("signs the body", async () => {
+    const path = "/api/transactions/topup";
+    const body = topUpBody("5");
+    const headers = sign(apiKey, "POST", path, body);
+
+    const tampered = await send("POST", path, headers, topUpBody("5000"));
+
+    expect(tampered.status).toBe(401);
+    expect(tampered.body.code).toBe("SIGNATURE_INVALID");
+
+    const { status, body: result } = await send(
+      "POST",
+      path,
+      sign(apiKey, "POST", path, body),
+      body,
+    );
+
+    expect(status).toBe(200);
+    expect(result.data.newBalance).toBe("5");
+  });
+
+  it("requires a signature from keys that must sign", async () => {
+    const { status, body } = await send("GET", balancePath(), {
+      Authorization: `Bearer ${apiKey.key}`,
+    });
+
+    expect(status).toBe(401);
+    expect(body.code).toBe("SIGNATURE_REQUIRED");
+  });
+
+  it("refuses a signature made with another secret", async () => {
+    const path = balancePath();
+    const headers = sign(
+      { ...apiKey, signingSecret: "not-the-signing-secret" },
+      "GET",
+      path,
+    );
+
+    const { status, body } = await send("GET", path, headers);
+
+    expect(status).toBe(401);
+    expect(body.code).toBe("SIGNATURE_INVALID");
+  });
+
+  it("verifies signatures sent by keys that need not sign", async () => {
+    const optional = await createApiKey(context, ["wallet:read"]);
+    const path = balancePath();
+    const headers = {
+      ...sign(optional, "GET", path),
+      "X-Signature": "0".repeat(64),
+    };
+
+    const { status, body } = await send("GET", path, headers);
+
+    expect(status).toBe(401);
+    expect(body.code).toBe("SIGNATURE_INVALID");
+  });
+
+  it("refuses timestamps outside the allowed window", async () => {
+    const path = balancePath();
+
+    for (const offset of [-301, 301]) {
+      const timestamp = String(Math.floor(Date.now() / 1000) + offset);
+      const { status, body } = await send(
+        "GET",
+        path,
+        sign(apiKey, "GET", path, "", { timestamp }),
+      );
+
+      expect(status).toBe(401);
+      expect(body.code).toBe("SIGNATURE_EXPIRED");
+    }
+  });
+
+  it("refuses a replayed nonce", async () => {
+    const path = balancePath();
+    const headers = sign(apiKey, "GET", path);
+
+    expect((await send("GET", path, headers)).status).toBe(200);
+
+    const replay = await send("GET", path, headers);
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe("NONCE_REUSED");
+  });
+});
@@ -0,0 +1,134 @@
+const { pool } = require("../../src/db");
+const transactionService = require("../../src/transactionService");
+const statementService = require("../../src/statementService");
+const exportService = require("../../src/exportService");
+const {
+  uniqueId,
+  createUser,
+  createTenantContext,
+  issue,
+} = require("../helpers");
+
+const POSTED_AT = new Date("2026-01-10T12:00:00Z");
+const JUST_BEFORE = new Date("2026-01-10T11:59:59Z");
+const JUST_AFTER = new Date("2026-01-10T12:00:01Z");
+const START_OF_DAY = new Date("2026-01-10T00:00:00Z");
+
+describe("statement windows on a host outside UTC", () => {
+  let context;
+  let userId;
+
+  // A top-up, moved to noon UTC on 2026-01-10
+  beforeAll(async () => {
+    context = await createTenantContext();
+    userId = await createUser(context);
+
+    await issue(context, "GOLD_COIN", "1000");
+    await transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      "100",
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+
+    await pool.query(
+      `UPDATE ledger_entries SET created_at = '2026-01-10 12:00:00'
+             WHERE account_id IN (SELECT id FROM accounts WHERE tenant_id = $1)`,
+      [context.tenantId],
+    );
+    await pool.query(
+      `UPDATE transactions SET created_at = '2026-01-10 12:00:00'
+             WHERE tenant_id = $1`,
+      [context.tenantId],
+    );
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  async function exportedRows(kind, from, to) {
+    const plan = await exportService.plan(
+      kind,
+      { from, to, format: "ndjson" },
+      context.tenantId,
+    );
+    const lines = [];
+
+    for await (const chunk of exportService.stream(plan)) {
+      lines.push(...chunk.split("\n").filter(Boolean));
+    }
+
+    return JSON.parse(lines.pop()).trailer.rows;
+  }
+
+  // The time zone is set in globalSetup.js
+  it("runs on a host ahead of UTC", () => {
+    expect(new Date("2026-01-10T00:00:00Z").getTimezoneOffset()).toBe(-330);
+  });
+
+  it("reads entries as they stood at an instant", async () => {
+    const before = await statementService.getBalanceAt(
+      userId,
+      JUST_BEFORE,
+      "GOLD_COIN",
+      context.tenantId,
+    );
+    const at = await statementService.getBalanceAt(
+      userId,
+      POSTED_AT,
+      "GOLD_COIN",
+      context.tenantId,
+    );
+
+    expect(before.balances).toEqual([]);
+    expect(at.balances).toEqual([
+      expect.objectContaining({ balance: "100", lastEntryAt: POSTED_AT }),
+    ]);
+  });
+
+  it("bounds statements by UTC instants", async () => {
+    const morning = await statementService.getStatement(
+      userId,
+      { assetCode: "GOLD_COIN", from: START_OF_DAY, to: POSTED_AT },
+      context.tenantId,
+    );
+    const day = await statementService.getStatement(
+      userId,
+      { assetCode: "GOLD_COIN", from: START_OF_DAY, to: JUST_AFTER },
+      context.tenantId,
+    );
+
+    expect(morning.movements).toHaveLength(0);
+    expect(morning.closingBalance).toBe("0");
+    expect(day.movements).toHaveLength(1);
+    expect(day).toMatchObject({ closingBalance: "100", verified: true });
+  });
+
+  it("bounds history by UTC instants", async () => {
+    const before = await transactionService.getTransactionHistory(
+      userId,
+      { from: START_OF_DAY, to: POSTED_AT },
+      context.tenantId,
+    );
+    const after = await transactionService.getTransactionHistory(
+      userId,
+      { from: POSTED_AT, to: JUST_AFTER },
+      context.tenantId,
+    );
+
+    expect(before.transactions).toHaveLength(0);
+    expect(after.transactions).toHaveLength(1);
+  });
+
+  it("bounds exports by UTC instants", async () => {
+    expect(await exportedRows("ledger-entries", START_OF_DAY, POSTED_AT)).toBe(
+      0,
+    );
+    expect(await exportedRows("ledger-entries", POSTED_AT, JUST_AFTER)).toBe(3);
+    expect(await exportedRows("transactions", POSTED_AT, JUST_AFTER)).toBe(2);
+  });
+});
@@ -0,0 +1,132 @@
+const { pool } = require("../../src/db");
+const { normalize } = require("../../src/amount");
+const transactionService = require("../../src/transactionService");
+const accountService = require("../../src/accountService");
+const { AccountStatusError } = require("../../src/errors");
+const { uniqueId, seedTenantContext, createUser } = require("../helpers");
+
+describe("transfers", () => {
+  let context;
+
+  // DIAMOND is the seeded transferable asset; ENERGY is not
+  beforeAll(async () => {
+    context = await seedTenantContext();
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  async function usersWithDiamonds(amount = "100") {
+    const sender = await createUser(context, "sender");
+    const recipient = await createUser(context, "recipient");
+    await transactionService.topUp(
+      sender,
+      "DIAMOND",
+      amount,
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+    return { sender, recipient };
+  }
+
+  function transfer(fromUserId, toUserId, amount, assetCode = "DIAMOND") {
+    return transactionService.transfer(
+      fromUserId,
+      toUserId,
+      assetCode,
+      amount,
+      uniqueId("transfer"),
+      { message: "gg" },
+      context,
+    );
+  }
+
+  async function balance(userId) {
+    const result = await transactionService.getBalance(
+      userId,
+      "DIAMOND",
+      context.tenantId,
+    );
+    return result.balance;
+  }
+
+  it("debits the sender and credits the recipient in one transaction", async () => {
+    const { sender, recipient } = await usersWithDiamonds();
+
+    const result = await transfer(sender, recipient, "30.5");
+
+    expect(result).toMatchObject({
+      newBalance: "69.5",
+      recipientNewBalance: "30.5",
+    });
+
+    const entries = await pool.query(
+      `SELECT a.user_id, le.entry_type, le.amount, tt.code as type_code
+             FROM ledger_entries le
+             JOIN accounts a ON le.account_id = a.id
+             JOIN transactions t ON le.transaction_id = t.id
+             JOIN transaction_types tt ON t.transaction_type_id = tt.id
+             WHERE le.transaction_id = $1
+             ORDER BY le.entry_type DESC`,
+      [result.transactionId],
+    );
+
+    expect(
+      entries.rows.map((row) => [
+        row.user_id,
+        row.entry_type,
+        normalize(row.amount),
+        row.type_code,
+      ]),
+    ).toEqual([
+      [sender, "debit", "30.5", "TRANSFER_OUT"],
+      [recipient, "credit", "30.5", "TRANSFER_OUT"],
+    ]);
+  });
+
+  it("refuses assets that are not transferable", async () => {
+    const { sender, recipient } = await usersWithDiamonds();
+
+    await expect(transfer(sender, recipient, "1", "ENERGY")).rejects.toThrow(
+      "Asset type ENERGY is not transferable",
+    );
+  });
+
+  it("refuses a transfer to the sender's own wallet", async () => {
+    const { sender } = await usersWithDiamonds();
+
+    await expect(transfer(sender, sender, "1")).rejects.toThrow(
+      "Cannot transfer to the same account",
+    );
+  });
+
+  it("refuses more than the sender holds", async () => {
+    const { sender, recipient } = await usersWithDiamonds();
+
+    await expect(transfer(sender, recipient, "100.01")).rejects.toThrow(
+      "Insufficient balance. Available: 100, Required: 100.01",
+    );
+    expect(await balance(sender)).toBe("100");
+    expect(await balance(recipient)).toBe("0");
+  });
+
+  it("refuses a frozen sender but pays a frozen recipient", async () => {
+    const { sender, recipient } = await usersWithDiamonds();
+
+    await accountService.freeze(sender, "chargeback review", context);
+
+    await expect(transfer(sender, recipient, "1")).rejects.toThrow(
+      AccountStatusError,
+    );
+
+    await accountService.unfreeze(sender, "review done", context);
+    await accountService.freeze(recipient, "chargeback review", context);
+
+    const result = await transfer(sender, recipient, "1");
+
+    expect(result.recipientNewBalance).toBe("1");
+  });
+});
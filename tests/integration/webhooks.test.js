@@ -0,0 +1,166 @@
+// Read by the webhook service when it loads; a delivery is dead-lettered
+// after its second failure
+process.env.WEBHOOK_MAX_ATTEMPTS = "2";
+
+const http = require("http");
+const { pool } = require("../../src/db");
+const transactionService = require("../../src/transactionService");
+const webhookService = require("../../src/webhookService");
+const {
+  uniqueId,
+  createUser,
+  createTenantContext,
+  issue,
+} = require("../helpers");
+
+describe("webhooks", () => {
+  let context;
+  let receiver;
+  let receiverUrl;
+  let endpoint;
+  let userId;
+  const received = [];
+  let responseStatus = 200;
+
+  // A receiver that records every request and answers with responseStatus
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus).end(responseStatus === 200 ? "" : "down");
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    context = await createTenantContext();
+    userId = await createUser(context);
+    await issue(context, "GOLD_COIN", "1000");
+    endpoint = await webhookService.createEndpoint(
+      { url: receiverUrl, eventTypes: ["TOP_UP"] },
+      context,
+    );
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    await pool.end();
+  });
+
+  function topUp(amount) {
+    return transactionService.topUp(
+      userId,
+      "GOLD_COIN",
+      amount,
+      uniqueId("topup"),
+      {},
+      null,
+      context,
+    );
+  }
+
+  // Fans out every waiting event, including other tests' events
+  async function dispatchAll() {
+    while ((await webhookService.dispatch(500)).events > 0) {
+      // Until every event has its deliveries
+    }
+  }
+
+  async function delivery(transactionId) {
+    const [found] = await webhookService.listDeliveries(
+      { transactionId },
+      context.tenantId,
+    );
+    return found;
+  }
+
+  it("writes an event with the posting", async () => {
+    const result = await topUp("10");
+
+    const events = await pool.query(
+      "SELECT event_type, payload FROM outbox_events WHERE transaction_id = $1",
+      [result.transactionId],
+    );
+
+    expect(events.rows).toHaveLength(1);
+    expect(events.rows[0].event_type).toBe("TOP_UP");
+    expect(events.rows[0].payload).toMatchObject({
+      type: "TOP_UP",
+      tenantId: context.tenantId,
+      transactionId: result.transactionId,
+      data: { newBalance: result.newBalance },
+    });
+  });
+
+  it("delivers the event signed with the endpoint's secret", async () => {
+    responseStatus = 200;
+    const result = await topUp("20");
+
+    await dispatchAll();
+
+    const sent = received.find((request) =>
+      request.body.includes(result.transactionId),
+    );
+
+    expect(sent).toBeDefined();
+    expect(sent.headers["x-webhook-event"]).toBe("TOP_UP");
+    expect(sent.headers["x-webhook-signature"]).toBe(
+      webhookService.sign(
+        endpoint.signingSecret,
+        sent.headers["x-webhook-timestamp"],
+        sent.body,
+      ),
+    );
+    expect(JSON.parse(sent.body).id).toBe(sent.headers["x-webhook-id"]);
+    expect(await delivery(result.transactionId)).toMatchObject({
+      status: "delivered",
+      attempts: 1,
+      lastResponseStatus: 200,
+    });
+  });
+
+  it("retries failed deliveries, then dead-letters them", async () => {
+    responseStatus = 503;
+    const result = await topUp("30");
+
+    await dispatchAll();
+
+    const first = await delivery(result.transactionId);
+
+    expect(first).toMatchObject({
+      status: "pending",
+      attempts: 1,
+      lastResponseStatus: 503,
+      lastError: "HTTP 503: down",
+    });
+    expect(first.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Not due yet
+    await webhookService.dispatch();
+    expect((await delivery(result.transactionId)).attempts).toBe(1);
+
+    await pool.query(
+      `UPDATE webhook_deliveries SET next_attempt_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+      [first.id],
+    );
+    await webhookService.dispatch();
+
+    expect(await delivery(result.transactionId)).toMatchObject({
+      status: "dead_letter",
+      attempts: 2,
+    });
+
+    // An operator replays it once the receiver is back
+    responseStatus = 200;
+    await webhookService.replayDelivery(first.id, context);
+    await webhookService.dispatch();
+
+    expect(await delivery(result.transactionId)).toMatchObject({
+      status: "delivered",
+      attempts: 1,
+    });
+  });
+});
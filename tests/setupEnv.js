@@ -0,0 +1,8 @@
+const { TEST_DB_NAME } = require("./testDatabase");
+
+// Point src/db at the test database before any test loads it
+process.env.DB_NAME = TEST_DB_NAME;
+process.env.DB_POOL_MAX = process.env.DB_POOL_MAX || "5";
+
+// Expected failures would otherwise fill the output with error logs
+require("../src/logger").silent = true;
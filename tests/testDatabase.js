@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+const { Client } = require("pg");
+
+// Integration tests never touch the service's own database
+const TEST_DB_NAME = process.env.TEST_DB_NAME || "wallet_service_test";
+
+function connectionConfig(database) {
+  return {
+    host: process.env.DB_HOST || "localhost",
+    port: parseInt(process.env.DB_PORT || "5432"),
+    user: process.env.DB_USER || "wallet_admin",
+    password: process.env.DB_PASSWORD,
+    database,
+    options: "-c TimeZone=UTC",
+  };
+}
+
+/**
+ * Drop and recreate the test database from schema.sql and seed.sql
+ */
+async function createTestDatabase() {
+  const admin = new Client(connectionConfig("postgres"));
+  await admin.connect();
+
+  try {
+    await admin.query(`DROP DATABASE IF EXISTS ${TEST_DB_NAME} WITH (FORCE)`);
+    await admin.query(`CREATE DATABASE ${TEST_DB_NAME}`);
+  } finally {
+    await admin.end();
+  }
+
+  const client = new Client(connectionConfig(TEST_DB_NAME));
+  await client.connect();
+
+  try {
+    for (const file of ["schema.sql", "seed.sql"]) {
+      await client.query(
+        fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+      );
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+module.exports = {
+  TEST_DB_NAME,
+  createTestDatabase,
+};
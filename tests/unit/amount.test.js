@@ -0,0 +1,108 @@
+const {
+  parseDecimal,
+  formatDecimal,
+  toUnits,
+  fromUnits,
+  normalize,
+  toAssetUnits,
+  truncateToAsset,
+} = require("../../src/amount");
+
+const GOLD = { code: "GOLD_COIN", decimals: 2 };
+const ENERGY = { code: "ENERGY", decimals: 0 };
+
+describe("parseDecimal", () => {
+  it("scales strings and numbers digit by digit", () => {
+    expect(parseDecimal("12.5", 2)).toBe(1250n);
+    expect(parseDecimal(12.5, 2)).toBe(1250n);
+    expect(parseDecimal("-0.01", 2)).toBe(-1n);
+    expect(parseDecimal(" 7 ", 0)).toBe(7n);
+  });
+
+  it("reads small and large numbers without exponent notation", () => {
+    expect(parseDecimal(1e-7, 8)).toBe(10n);
+    expect(parseDecimal(1e21, 0)).toBe(10n ** 21n);
+  });
+
+  it("ignores trailing zeros beyond the scale", () => {
+    expect(parseDecimal("1.2300", 2)).toBe(123n);
+  });
+
+  it("refuses more significant decimal places than the scale", () => {
+    expect(() => parseDecimal("1.234", 2)).toThrow(
+      "Amount 1.234 has more than 2 decimal places",
+    );
+  });
+
+  it("refuses anything that is not a plain decimal", () => {
+    for (const value of ["abc", "1e5", "1,000", "", ".5", "1."]) {
+      expect(() => parseDecimal(value, 8)).toThrow(`Invalid amount ${value}`);
+    }
+  });
+});
+
+describe("formatDecimal", () => {
+  it("drops trailing zeros and the point of whole numbers", () => {
+    expect(formatDecimal(1250n, 2)).toBe("12.5");
+    expect(formatDecimal(1200n, 2)).toBe("12");
+    expect(formatDecimal(0n, 8)).toBe("0");
+  });
+
+  it("pads fractions below one", () => {
+    expect(formatDecimal(5n, 8)).toBe("0.00000005");
+    expect(formatDecimal(-5n, 2)).toBe("-0.05");
+  });
+});
+
+describe("toUnits and fromUnits", () => {
+  it("round-trip at ledger precision", () => {
+    expect(toUnits("0.00000001")).toBe(1n);
+    expect(fromUnits(toUnits("123.45678901"))).toBe("123.45678901");
+  });
+
+  it("add without float error", () => {
+    expect(fromUnits(toUnits(0.1) + toUnits(0.2))).toBe("0.3");
+  });
+
+  it("refuse precision beyond the given decimals", () => {
+    expect(toUnits("1.5", 1)).toBe(150000000n);
+    expect(() => toUnits("1.55", 1)).toThrow("more than 1 decimal places");
+    expect(() => toUnits("0.000000001")).toThrow("more than 8 decimal places");
+  });
+});
+
+describe("normalize", () => {
+  it("gives the canonical string of database decimals", () => {
+    expect(normalize("100.00000000")).toBe("100");
+    expect(normalize("0.50000000")).toBe("0.5");
+    expect(normalize(0)).toBe("0");
+  });
+});
+
+describe("toAssetUnits", () => {
+  it("accepts amounts within the asset's decimals", () => {
+    expect(toAssetUnits("10.25", GOLD)).toBe(1025000000n);
+    expect(toAssetUnits(3, ENERGY)).toBe(300000000n);
+  });
+
+  it("names the asset when the amount is too precise", () => {
+    expect(() => toAssetUnits("10.255", GOLD)).toThrow(
+      "Amount 10.255 has more decimal places than GOLD_COIN allows (2)",
+    );
+    expect(() => toAssetUnits("0.5", ENERGY)).toThrow(
+      "Amount 0.5 has more decimal places than ENERGY allows (0)",
+    );
+  });
+
+  it("passes other errors through", () => {
+    expect(() => toAssetUnits("ten", GOLD)).toThrow("Invalid amount ten");
+  });
+});
+
+describe("truncateToAsset", () => {
+  it("rounds down to the asset's smallest unit", () => {
+    expect(truncateToAsset(toUnits("1.23456789"), GOLD)).toBe(toUnits("1.23"));
+    expect(truncateToAsset(toUnits("9.99"), ENERGY)).toBe(toUnits("9"));
+    expect(truncateToAsset(toUnits("5"), ENERGY)).toBe(toUnits("5"));
+  });
+});
@@ -0,0 +1,17 @@
+const { transactionHistorySchema } = require("../../src/validation");
+
+describe("transactionHistorySchema", () => {
+  it("filters on the statuses of transactions that posted entries", () => {
+    for (const status of ["completed", "reversed"]) {
+      expect(transactionHistorySchema.validate({ status }).error).toBe(
+        undefined,
+      );
+    }
+  });
+
+  it("refuses statuses no ledger entry can have", () => {
+    for (const status of ["pending", "failed"]) {
+      expect(transactionHistorySchema.validate({ status }).error).toBeDefined();
+    }
+  });
+});